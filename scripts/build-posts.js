@@ -0,0 +1,73 @@
+// Compiles the Markdown posts in src/content/posts/ into src/content/posts.json, which the
+// resources section imports (CRA can't import raw Markdown). Each post starts with front-matter:
+//
+//   ---
+//   title: How Acme answers 80% of questions automatically
+//   date: 2025-05-20
+//   author: anika-rao              # id in src/content/authors.json
+//   tags: [case-study, ecommerce]
+//   features: [customer-support]   # offerings whose cards link to the post (optional)
+//   summary: One or two sentences for the list page and the feed.
+//   ---
+//
+// The file name is the post's slug. Runs before every build; run `npm run posts` after editing a
+// post and commit the result (the content tests fail while posts.json is out of date).
+
+const fs = require('fs');
+const path = require('path');
+
+const POSTS_DIR = path.resolve(__dirname, '..', 'src', 'content', 'posts');
+const OUTPUT = path.resolve(__dirname, '..', 'src', 'content', 'posts.json');
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+const unquote = (value) => (/^(["']).*\1$/.test(value) ? value.slice(1, -1) : value);
+
+const parseValue = (value) => {
+	if (value === 'true' || value === 'false') return value === 'true';
+	if (value.startsWith('[') && value.endsWith(']'))
+		return value
+			.slice(1, -1)
+			.split(',')
+			.map((item) => unquote(item.trim()))
+			.filter(Boolean);
+	return unquote(value);
+};
+
+// The YAML subset posts use: `key: value` lines with strings, true/false and [inline, lists].
+// Comments start with "# " (so "#1234" in a title is kept).
+const parseFrontMatter = (source, file = 'post') => {
+	const match = source.match(FRONT_MATTER);
+	if (!match) throw new Error(`${file}: missing front-matter (a block between --- lines at the top)`);
+
+	const data = {};
+	match[1].split(/\r?\n/).forEach((line, index) => {
+		const content = line.replace(/(^|\s)#(\s.*)?$/, '').trim();
+		if (!content) return;
+		const field = content.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+		if (!field) throw new Error(`${file}: front-matter line ${index + 2} is not a "key: value" pair`);
+		data[field[1]] = parseValue(field[2]);
+	});
+	return { data, body: source.slice(match[0].length).trim() };
+};
+
+// Every post in `dir` as a posts.json entry, newest first
+const compilePosts = (dir = POSTS_DIR) =>
+	fs
+		.readdirSync(dir)
+		.filter((file) => file.endsWith('.md'))
+		.map((file) => {
+			const { data, body } = parseFrontMatter(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+			return { slug: path.basename(file, '.md'), ...data, body };
+		})
+		.sort((a, b) => String(b.date).localeCompare(String(a.date)) || a.slug.localeCompare(b.slug));
+
+const serialize = (posts) => `${JSON.stringify(posts, null, '\t')}\n`;
+
+module.exports = { compilePosts, OUTPUT, parseFrontMatter, serialize };
+
+if (require.main === module) {
+	const posts = compilePosts();
+	fs.writeFileSync(OUTPUT, serialize(posts));
+	console.log(`Compiled ${posts.length} posts into ${path.relative(process.cwd(), OUTPUT)}`);
+}
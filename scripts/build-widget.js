@@ -0,0 +1,70 @@
+// Bundles the embeddable chat widget (src/widget) into a single script, build/widget/nimble-chat.js,
+// that customers load with one script tag. Runs after the site build (the `postbuild` script) and
+// on its own with `npm run build:widget`.
+//
+// It uses the same webpack, Babel and PostCSS toolchain as react-scripts (declared in devDependencies
+// at the versions react-scripts ships with). The widget's Tailwind stylesheet is compiled to a
+// string (`asset/source`) that the widget injects into its shadow root.
+
+process.env.NODE_ENV = 'production';
+process.env.BABEL_ENV = 'production';
+// Loads .env files exactly like `react-scripts build`, so REACT_APP_* settings match the site
+const getClientEnvironment = require('react-scripts/config/env');
+
+const path = require('path');
+const webpack = require('webpack');
+const TerserPlugin = require('terser-webpack-plugin');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const OUTPUT = path.join(ROOT, 'build', 'widget');
+
+// Only the classes the widget uses end up in its stylesheet
+const tailwindConfig = {
+	...require('../tailwind.config'),
+	content: [path.join(SRC, 'widget', '**', '*.js'), path.join(SRC, 'chat', 'ChatMessages.js')],
+};
+
+const config = {
+	mode: 'production',
+	target: ['web', 'es5'],
+	entry: path.join(SRC, 'widget', 'index.js'),
+	output: { path: OUTPUT, filename: 'nimble-chat.js', clean: true },
+	module: {
+		rules: [
+			{
+				test: /\.js$/,
+				include: SRC,
+				loader: 'babel-loader',
+				options: { babelrc: false, configFile: false, presets: [[require.resolve('babel-preset-react-app'), { runtime: 'automatic' }]] },
+			},
+			{
+				test: /\.css$/,
+				type: 'asset/source',
+				use: [
+					{
+						loader: 'postcss-loader',
+						options: {
+							postcssOptions: {
+								plugins: [require('tailwindcss')(tailwindConfig), require('autoprefixer'), require('cssnano')({ preset: 'default' })],
+							},
+						},
+					},
+				],
+			},
+		],
+	},
+	plugins: [new webpack.DefinePlugin(getClientEnvironment('').stringified)],
+	optimization: { minimizer: [new TerserPlugin({ extractComments: false })] },
+	// React is most of the bundle; it is one cacheable download for every page of the host site
+	performance: { hints: false },
+};
+
+webpack(config, (error, stats) => {
+	if (error || stats.hasErrors()) {
+		console.error(error || stats.toString({ all: false, errors: true }));
+		process.exit(1);
+	}
+	const { assets } = stats.toJson({ all: false, assets: true });
+	assets.forEach((asset) => console.log(`Built widget ${path.relative(ROOT, path.join(OUTPUT, asset.name))} (${(asset.size / 1024).toFixed(1)} kB)`));
+});
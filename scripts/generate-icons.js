@@ -0,0 +1,134 @@
+// Generates the app icons in public/ from public/logo.png: regular icons with a margin, a
+// maskable icon whose artwork stays inside the central safe zone, and the Apple touch icon.
+// Run `npm run icons` after replacing the logo and commit the results.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const PUBLIC = path.resolve(__dirname, '..', 'public');
+
+// Background behind the logo; the light theme's page color (src/theme/tokens.json)
+const BACKGROUND = [255, 255, 255, 255];
+
+// [file, size in px, share of the size the logo may take up]
+const ICONS = [
+	['icon-192.png', 192, 0.8],
+	['icon-512.png', 512, 0.8],
+	// Launchers crop maskable icons to as little as the central circle of 80% diameter
+	['icon-maskable-512.png', 512, 0.55],
+	['apple-touch-icon.png', 180, 0.75],
+];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+	let crc = 0xffffffff;
+	for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Reads an 8-bit RGBA, non-interlaced PNG into { width, height, pixels }
+const decodePng = (file) => {
+	const data = fs.readFileSync(file);
+	let offset = 8;
+	let header;
+	const idat = [];
+	while (offset < data.length) {
+		const length = data.readUInt32BE(offset);
+		const type = data.toString('ascii', offset + 4, offset + 8);
+		const body = data.subarray(offset + 8, offset + 8 + length);
+		if (type === 'IHDR') header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8], color: body[9], interlace: body[12] };
+		if (type === 'IDAT') idat.push(body);
+		offset += length + 12;
+	}
+	if (header.depth !== 8 || header.color !== 6 || header.interlace) throw new Error(`${file}: only 8-bit RGBA, non-interlaced PNGs are supported`);
+
+	const { width, height } = header;
+	const raw = zlib.inflateSync(Buffer.concat(idat));
+	const stride = width * 4;
+	const pixels = Buffer.alloc(stride * height);
+	for (let y = 0; y < height; y++) {
+		const filter = raw[y * (stride + 1)];
+		for (let x = 0; x < stride; x++) {
+			const value = raw[y * (stride + 1) + 1 + x];
+			const left = x >= 4 ? pixels[y * stride + x - 4] : 0;
+			const up = y ? pixels[(y - 1) * stride + x] : 0;
+			const upLeft = x >= 4 && y ? pixels[(y - 1) * stride + x - 4] : 0;
+			const estimate = left + up - upLeft;
+			const [pa, pb, pc] = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+			const paeth = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+			const predictor = [0, left, up, (left + up) >> 1, paeth][filter];
+			pixels[y * stride + x] = (value + predictor) & 0xff;
+		}
+	}
+	return { width, height, pixels };
+};
+
+const chunk = (type, body) => {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(body.length);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type, 'ascii'), body])));
+	return Buffer.concat([length, Buffer.from(type, 'ascii'), body, crc]);
+};
+
+const encodePng = ({ width, height, pixels }) => {
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	header.set([8, 6, 0, 0, 0], 8);
+	const raw = Buffer.alloc((width * 4 + 1) * height);
+	for (let y = 0; y < height; y++) pixels.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+	const signature = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+	return Buffer.concat([signature, chunk('IHDR', header), chunk('IDAT', zlib.deflateSync(raw, { level: 9 })), chunk('IEND', Buffer.alloc(0))]);
+};
+
+// Bilinear sample of the logo at (x, y), premultiplied so transparent edges don't darken
+const sample = ({ width, height, pixels }, x, y) => {
+	const x0 = Math.max(0, Math.min(width - 1, Math.floor(x)));
+	const y0 = Math.max(0, Math.min(height - 1, Math.floor(y)));
+	const [x1, y1] = [Math.min(width - 1, x0 + 1), Math.min(height - 1, y0 + 1)];
+	const [fx, fy] = [Math.max(0, Math.min(1, x - x0)), Math.max(0, Math.min(1, y - y0))];
+	const result = [0, 0, 0, 0];
+	[
+		[x0, y0, (1 - fx) * (1 - fy)],
+		[x1, y0, fx * (1 - fy)],
+		[x0, y1, (1 - fx) * fy],
+		[x1, y1, fx * fy],
+	].forEach(([px, py, weight]) => {
+		const i = (py * width + px) * 4;
+		const alpha = (pixels[i + 3] / 255) * weight;
+		for (let c = 0; c < 3; c++) result[c] += pixels[i + c] * alpha;
+		result[3] += alpha;
+	});
+	return result;
+};
+
+// The logo centered on the background, scaled to fit `scale` of a `size` square
+const renderIcon = (logo, size, scale) => {
+	const factor = (size * scale) / Math.max(logo.width, logo.height);
+	const [offsetX, offsetY] = [(size - logo.width * factor) / 2, (size - logo.height * factor) / 2];
+	const pixels = Buffer.alloc(size * size * 4);
+	for (let y = 0; y < size; y++) {
+		for (let x = 0; x < size; x++) {
+			const [r, g, b, alpha] = sample(logo, (x + 0.5 - offsetX) / factor - 0.5, (y + 0.5 - offsetY) / factor - 0.5);
+			const inside = x >= offsetX && x < size - offsetX && y >= offsetY && y < size - offsetY;
+			const a = inside ? alpha : 0;
+			const i = (y * size + x) * 4;
+			for (let c = 0; c < 3; c++) pixels[i + c] = Math.round((a ? (c === 0 ? r : c === 1 ? g : b) : 0) + BACKGROUND[c] * (1 - a));
+			pixels[i + 3] = 255;
+		}
+	}
+	return { width: size, height: size, pixels };
+};
+
+const logo = decodePng(path.join(PUBLIC, 'logo.png'));
+ICONS.forEach(([file, size, scale]) => {
+	fs.writeFileSync(path.join(PUBLIC, file), encodePng(renderIcon(logo, size, scale)));
+	console.log(`Wrote public/${file} (${size}x${size})`);
+});
@@ -0,0 +1,89 @@
+// Pre-renders every page of the production build to static HTML, then writes sitemap.xml and
+// robots.txt. Runs after `react-scripts build` (the `postbuild` script), so crawlers and social
+// previews get real markup and head tags instead of an empty #root; the browser then hydrates it.
+//
+// The app is rendered in a jsdom window, like in the tests, so code that touches `window`,
+// `localStorage` and friends works unchanged. Sources are compiled on the fly with the Babel
+// preset react-scripts uses (jsdom and Babel are devDependencies).
+
+process.env.NODE_ENV = 'production';
+// The preset's test config targets the running Node version and compiles modules to CommonJS
+process.env.BABEL_ENV = 'test';
+// Loads .env files exactly like `react-scripts build`, so REACT_APP_* settings match the bundle
+require('react-scripts/config/env');
+
+const fs = require('fs');
+const Module = require('module');
+const path = require('path');
+const babel = require('@babel/core');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src') + path.sep;
+const BUILD = path.join(ROOT, 'build');
+
+const manifest = require(path.join(BUILD, 'asset-manifest.json')).files;
+
+// Imported images resolve to the URL webpack gave them, or a data URI for images small enough
+// to have been inlined into the bundle
+const loadAsset = (module, filename) => {
+	const url = manifest[`static/media/${path.basename(filename)}`];
+	const type = { '.jpg': 'jpeg', '.svg': 'svg+xml' }[path.extname(filename)] || path.extname(filename).slice(1);
+	const dataUri = () => `data:image/${type};base64,${fs.readFileSync(filename).toString('base64')}`;
+	module.exports = url || dataUri();
+};
+['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'].forEach((extension) => {
+	Module._extensions[extension] = loadAsset;
+});
+
+const loadJs = Module._extensions['.js'];
+Module._extensions['.js'] = (module, filename) => {
+	if (!filename.startsWith(SRC)) return loadJs(module, filename);
+	const { code } = babel.transformFileSync(filename, { babelrc: false, configFile: false, presets: [require.resolve('babel-preset-react-app')] });
+	return module._compile(code, filename);
+};
+
+const { SITE_URL } = require('../src/seo/meta');
+
+// A browser-like global environment for a first-time visitor on the live site
+const browser = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { url: `${SITE_URL}/` });
+['window', 'document', 'navigator', 'localStorage', 'sessionStorage'].forEach((name) =>
+	Object.defineProperty(global, name, { value: browser.window[name], configurable: true, writable: true })
+);
+
+const { applyPageMeta } = require('../src/seo/meta');
+const { getStaticPaths, NOT_FOUND_PATH, renderPage } = require('../src/seo/render');
+const { authors, posts, seo } = require('../src/content');
+const { buildFeed } = require('../src/seo/feed');
+const { buildRobots, buildSitemap } = require('../src/seo/sitemap');
+
+const template = fs.readFileSync(path.join(BUILD, 'index.html'), 'utf8');
+
+// build/index.html for "/", build/<path>/index.html for everything else
+const outputFile = (pathname) => (pathname === '/' ? path.join(BUILD, 'index.html') : path.join(BUILD, pathname, 'index.html'));
+
+const writePage = (pathname, file) => {
+	const { html, meta } = renderPage(pathname);
+	const page = new JSDOM(template);
+	const { document } = page.window;
+	const root = document.getElementById('root');
+	root.innerHTML = html;
+	// React emits resource hints (e.g. image preloads) ahead of the markup; they belong in <head>
+	root.querySelectorAll(':scope > link').forEach((link) => document.head.appendChild(link));
+	applyPageMeta(meta, document);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, page.serialize());
+	return meta;
+};
+
+const paths = getStaticPaths();
+const indexed = paths.filter((pathname) => !writePage(pathname, outputFile(pathname)).noindex);
+writePage(NOT_FOUND_PATH, path.join(BUILD, '404.html'));
+
+fs.writeFileSync(path.join(BUILD, 'sitemap.xml'), buildSitemap(indexed));
+fs.writeFileSync(path.join(BUILD, 'robots.txt'), buildRobots());
+fs.writeFileSync(path.join(BUILD, 'feed.xml'), buildFeed(posts, authors, { siteName: seo.siteName }));
+
+console.log(
+	`Pre-rendered ${paths.length} pages and 404.html, wrote sitemap.xml (${indexed.length} URLs), robots.txt and feed.xml (${posts.length} posts) for ${SITE_URL}`
+);
@@ -1,8 +1,31 @@
 import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
+import { ASSIGNMENTS_KEY } from './experiments/experiments';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+beforeAll(() => {
+	// ScrollManager scrolls to the top on navigation, which jsdom does not implement
+	jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+	// Show the control of the hero experiments rather than a random variant
+	localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify({ hero: 'a', cta: 'a' }));
+});
+
+afterAll(() => {
+	window.scrollTo.mockRestore();
+	localStorage.clear();
+});
+
+// jsdom has neither IntersectionObserver nor matchMedia, so this also covers the fallbacks that
+// show every revealed section straight away
+test('renders the landing page with its navigation and every section', () => {
+	render(
+		<MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<App />
+		</MemoryRouter>
+	);
+
+	expect(screen.getByRole('heading', { level: 1, name: /empower your business/i })).toBeInTheDocument();
+	expect(screen.getByRole('navigation')).toBeInTheDocument();
+	expect(screen.getByRole('heading', { name: /nimble ai in action/i })).not.toHaveClass('opacity-0');
+	expect(screen.getByRole('contentinfo')).toHaveClass('animate-fadeIn');
 });
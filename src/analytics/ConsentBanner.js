@@ -0,0 +1,40 @@
+import React from 'react';
+import useHydrated from '../hooks/useHydrated';
+import { useI18n } from '../i18n/I18nProvider';
+import { CONSENT } from './consent';
+import useConsent from './useConsent';
+
+// Consent Banner Component - asks for analytics consent until the visitor accepts or declines
+function ConsentBanner() {
+	const { t } = useI18n();
+	const [consent, setConsent] = useConsent();
+	// Not part of pre-rendered pages: only the browser knows whether the visitor already decided
+	const hydrated = useHydrated();
+	if (!hydrated || consent !== CONSENT.UNKNOWN) return null;
+
+	return (
+		<section aria-label={t('consent.label')} className='fixed inset-x-0 bottom-0 z-50 p-4 animate-slideInUp'>
+			<div className='container mx-auto max-w-3xl flex flex-col sm:flex-row items-center gap-4 p-4 sm:p-6 rounded-xl border shadow-lg bg-surface border-line text-fg'>
+				<p className='flex-grow text-sm text-start text-fg-muted'>{t('consent.message')}</p>
+				<div className='flex gap-2 flex-shrink-0'>
+					<button
+						type='button'
+						onClick={() => setConsent(CONSENT.DENIED)}
+						className='px-4 py-2 rounded-full border text-sm font-medium transition-colors duration-300 border-line-strong text-fg-muted hover:bg-muted'
+					>
+						{t('consent.decline')}
+					</button>
+					<button
+						type='button'
+						onClick={() => setConsent(CONSENT.GRANTED)}
+						className='px-4 py-2 rounded-full text-sm font-semibold transition duration-300 bg-accent text-on-accent hover:bg-accent-hover'
+					>
+						{t('consent.accept')}
+					</button>
+				</div>
+			</div>
+		</section>
+	);
+}
+
+export default ConsentBanner;
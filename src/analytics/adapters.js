@@ -0,0 +1,43 @@
+// An analytics adapter delivers tracked events somewhere. Every adapter exposes
+// `{ name, send(event) }`, where `event` is `{ name, props, path, timestamp }`.
+
+// Logs events to the browser console, handy while developing
+export const createConsoleAdapter = ({ logger = console } = {}) => ({
+	name: 'console',
+	send: (event) => logger.info(`[analytics] ${event.name}`, event.props, event),
+});
+
+// Posts each event as JSON to `endpoint`. sendBeacon survives page unloads; browsers without it
+// fall back to a keepalive fetch.
+export const createBeaconAdapter = ({
+	endpoint,
+	sendBeacon = typeof navigator !== 'undefined' && navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null,
+	fetchImpl = (...args) => fetch(...args),
+}) => ({
+	name: 'beacon',
+	send: (event) => {
+		const body = JSON.stringify(event);
+		if (sendBeacon && sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) return;
+		fetchImpl(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true }).catch(() => {
+			// Analytics must never break the page; a lost event is acceptable
+		});
+	},
+});
+
+// Keeps events in memory, for tests and local debugging
+export const createMemoryAdapter = () => {
+	const events = [];
+	return {
+		name: 'memory',
+		events,
+		send: (event) => events.push(event),
+		clear: () => events.splice(0, events.length),
+	};
+};
+
+// Beacon adapter when REACT_APP_ANALYTICS_ENDPOINT is set, plus the console adapter when
+// REACT_APP_ANALYTICS_DEBUG is true
+export const createDefaultAdapters = ({
+	endpoint = process.env.REACT_APP_ANALYTICS_ENDPOINT,
+	debug = process.env.REACT_APP_ANALYTICS_DEBUG === 'true',
+} = {}) => [...(endpoint ? [createBeaconAdapter({ endpoint })] : []), ...(debug ? [createConsoleAdapter()] : [])];
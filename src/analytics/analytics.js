@@ -0,0 +1,55 @@
+import { createAttributionStore } from './attribution';
+import { CONSENT, createConsentStore } from './consent';
+import { validateEvent } from './events';
+
+// Analytics event bus. `track(name, props)` validates the event against ./events and hands it
+// to every adapter, but only once the visitor granted consent; before that events are dropped.
+export const createAnalytics = ({
+	adapters = [],
+	consent = createConsentStore(),
+	attribution = createAttributionStore(),
+	getPath = () => window.location.pathname,
+} = {}) => {
+	const activeAdapters = new Set(adapters);
+	const isGranted = () => consent.get() === CONSENT.GRANTED;
+
+	if (isGranted()) attribution.persist();
+	consent.subscribe((choice) => {
+		if (choice === CONSENT.GRANTED) attribution.persist();
+		if (choice === CONSENT.DENIED) attribution.clear();
+	});
+
+	const track = (name, props = {}) => {
+		const errors = validateEvent(name, props);
+		if (errors.length) {
+			// A misspelled event is a bug; fail loudly in development and tests, never in production
+			if (process.env.NODE_ENV !== 'production') throw new Error(`Invalid analytics event: ${errors.join(', ')}`);
+			console.error(`Invalid analytics event: ${errors.join(', ')}`);
+			return;
+		}
+		if (!isGranted()) return;
+
+		const event = { name, props, path: getPath(), timestamp: new Date().toISOString() };
+		activeAdapters.forEach((adapter) => {
+			try {
+				adapter.send(event);
+			} catch (error) {
+				console.error(`Analytics adapter "${adapter.name}" failed:`, error);
+			}
+		});
+	};
+
+	// Adds an adapter at runtime (e.g. a memory sink in tests); returns a function removing it
+	const addAdapter = (adapter) => {
+		activeAdapters.add(adapter);
+		return () => activeAdapters.delete(adapter);
+	};
+
+	return {
+		consent,
+		track,
+		addAdapter,
+		// Attribution for lead payloads, null unless the visitor agreed to tracking
+		getAttribution: () => (isGranted() ? attribution.get() : null),
+	};
+};
@@ -0,0 +1,81 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { analytics } from '.';
+import { createBeaconAdapter, createMemoryAdapter } from './adapters';
+import { createAnalytics } from './analytics';
+import { createAttributionStore, parseAttribution } from './attribution';
+import ConsentBanner from './ConsentBanner';
+import { CONSENT, CONSENT_KEY, createConsentStore } from './consent';
+import { validateEvent } from './events';
+
+const landing = { search: '?utm_source=newsletter&utm_campaign=launch&ref=x', pathname: '/pricing', host: 'nimble.ai' };
+
+const setup = () => {
+	const sink = createMemoryAdapter();
+	const consent = createConsentStore({ storage: window.localStorage });
+	const attribution = createAttributionStore({ storage: window.sessionStorage, landing: parseAttribution(landing, 'https://google.com/') });
+	return { sink, consent, bus: createAnalytics({ adapters: [sink], consent, attribution, getPath: () => '/faq' }) };
+};
+
+afterEach(() => {
+	localStorage.clear();
+	sessionStorage.clear();
+	analytics.consent.set(CONSENT.UNKNOWN);
+});
+
+test('validates events against their declared property types', () => {
+	expect(validateEvent('faq_opened', { id: 'crm-integration', trigger: 'click' })).toEqual([]);
+	expect(validateEvent('lead_submitted', { source: 'hero', status: 'error', code: 'timeout' })).toEqual([]);
+	expect(validateEvent('faq_opened', { id: 1, extra: true })).toEqual([
+		'faq_opened.extra: unknown property',
+		'faq_opened.id: expected string',
+		'faq_opened.trigger: required',
+	]);
+	expect(validateEvent('page_exploded')).toEqual(['unknown event "page_exploded"']);
+});
+
+test('drops events until consent is granted and then delivers them to every adapter', () => {
+	const { sink, consent, bus } = setup();
+	bus.track('theme_changed', { mode: 'dark' });
+	expect(sink.events).toHaveLength(0);
+
+	consent.set(CONSENT.GRANTED);
+	bus.track('theme_changed', { mode: 'dark' });
+	expect(sink.events).toEqual([{ name: 'theme_changed', props: { mode: 'dark' }, path: '/faq', timestamp: expect.any(String) }]);
+
+	consent.set(CONSENT.DENIED);
+	bus.track('theme_changed', { mode: 'light' });
+	expect(sink.events).toHaveLength(1);
+	expect(() => bus.track('theme_changed', { mode: 3 })).toThrow('theme_changed.mode: expected string');
+});
+
+test('captures UTM parameters and external referrers, shared only with consent', () => {
+	expect(parseAttribution(landing, 'https://nimble.ai/about')).toEqual({ utm_source: 'newsletter', utm_campaign: 'launch', landingPage: '/pricing' });
+
+	const { consent, bus } = setup();
+	expect(bus.getAttribution()).toBeNull();
+
+	consent.set(CONSENT.GRANTED);
+	const expected = { utm_source: 'newsletter', utm_campaign: 'launch', referrer: 'https://google.com/', landingPage: '/pricing' };
+	expect(bus.getAttribution()).toEqual(expected);
+	expect(JSON.parse(sessionStorage.getItem('nimble-attribution'))).toEqual(expected);
+
+	consent.set(CONSENT.DENIED);
+	expect(sessionStorage.getItem('nimble-attribution')).toBeNull();
+});
+
+test('the beacon adapter falls back to a keepalive fetch', () => {
+	const fetchImpl = jest.fn(() => Promise.resolve());
+	const adapter = createBeaconAdapter({ endpoint: '/events', sendBeacon: () => false, fetchImpl });
+	adapter.send({ name: 'theme_changed', props: { mode: 'dark' } });
+	expect(fetchImpl).toHaveBeenCalledWith('/events', expect.objectContaining({ method: 'POST', keepalive: true }));
+});
+
+test('the consent banner persists the choice and hides itself', () => {
+	render(<ConsentBanner />);
+	userEvent.click(screen.getByRole('button', { name: 'Accept' }));
+
+	expect(screen.queryByRole('region', { name: 'Cookie consent' })).not.toBeInTheDocument();
+	expect(JSON.parse(localStorage.getItem(CONSENT_KEY))).toMatchObject({ choice: CONSENT.GRANTED });
+	expect(createConsentStore().get()).toBe(CONSENT.GRANTED);
+});
@@ -0,0 +1,57 @@
+// Marketing attribution for the visit: UTM parameters and the external referrer of the page
+// the visitor landed on. It is attached to lead payloads when analytics consent is granted.
+
+export const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+export const ATTRIBUTION_KEY = 'nimble-attribution';
+
+const externalReferrer = (referrer, host) => {
+	try {
+		return referrer && new URL(referrer).host !== host ? referrer : undefined;
+	} catch (error) {
+		return undefined;
+	}
+};
+
+// Reads the attribution of a landing `location`; internal referrers are ignored
+export const parseAttribution = ({ search, pathname, host }, referrer) => {
+	const params = new URLSearchParams(search);
+	const attribution = Object.fromEntries(UTM_PARAMS.filter((param) => params.get(param)).map((param) => [param, params.get(param)]));
+	const external = externalReferrer(referrer, host);
+	return { ...attribution, ...(external && { referrer: external }), landingPage: pathname };
+};
+
+// First-touch attribution for the browser session. `landing` is read once when the app loads,
+// since later client-side navigations keep the same document and referrer. Only `persist`
+// (called once consent is granted) writes it to sessionStorage so it survives reloads.
+export const createAttributionStore = ({
+	key = ATTRIBUTION_KEY,
+	storage = window.sessionStorage,
+	landing = parseAttribution(window.location, document.referrer),
+} = {}) => {
+	const read = () => {
+		try {
+			return JSON.parse(storage.getItem(key));
+		} catch (error) {
+			return null;
+		}
+	};
+
+	return {
+		get: () => read() || landing,
+		persist: () => {
+			try {
+				if (!read()) storage.setItem(key, JSON.stringify(landing));
+			} catch (error) {
+				// Attribution is only kept in memory when storage is unavailable
+			}
+		},
+		clear: () => {
+			try {
+				storage.removeItem(key);
+			} catch (error) {
+				// Nothing was stored
+			}
+		},
+	};
+};
@@ -0,0 +1,43 @@
+// The visitor's analytics consent, asked for by the consent banner. Nothing is tracked and no
+// attribution is stored until it is granted.
+export const CONSENT = {
+	UNKNOWN: 'unknown',
+	GRANTED: 'granted',
+	DENIED: 'denied',
+};
+
+export const CONSENT_KEY = 'nimble-consent';
+
+// Consent persisted in localStorage as `{ choice, decidedAt }`, with change notifications
+export const createConsentStore = ({ key = CONSENT_KEY, storage = window.localStorage } = {}) => {
+	const listeners = new Set();
+
+	const read = () => {
+		try {
+			const { choice } = JSON.parse(storage.getItem(key)) || {};
+			return choice === CONSENT.GRANTED || choice === CONSENT.DENIED ? choice : CONSENT.UNKNOWN;
+		} catch (error) {
+			return CONSENT.UNKNOWN;
+		}
+	};
+
+	let choice = read();
+
+	const set = (next) => {
+		choice = next;
+		try {
+			if (next === CONSENT.UNKNOWN) storage.removeItem(key);
+			else storage.setItem(key, JSON.stringify({ choice: next, decidedAt: new Date().toISOString() }));
+		} catch (error) {
+			// Without storage the choice only lasts for this page view
+		}
+		listeners.forEach((listener) => listener(choice));
+	};
+
+	const subscribe = (listener) => {
+		listeners.add(listener);
+		return () => listeners.delete(listener);
+	};
+
+	return { get: () => choice, set, subscribe };
+};
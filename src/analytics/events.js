@@ -0,0 +1,51 @@
+// Every event the site emits, with the type of each property (`?` marks optional ones).
+// `track` rejects unknown events and mistyped properties so reports can rely on the shape.
+export const EVENTS = {
+	// Visitor entered a valid email in a contact form (`source`: hero or contact-page)
+	contact_started: { source: 'string' },
+	// Lead submission finished; `status` is success, queued or error, with the error `code`
+	lead_submitted: { source: 'string', status: 'string', code: 'string?' },
+	// FAQ answer opened; `trigger` is click, deep-link or expand-all
+	faq_opened: { id: 'string', trigger: 'string' },
+	// Theme picked with the navbar toggle (system or a theme name)
+	theme_changed: { mode: 'string' },
+	// Navbar link followed; `menu` is main, solutions or mobile
+	nav_clicked: { to: 'string', menu: 'string' },
+	// A page section scrolled into view for the first time
+	section_viewed: { section: 'string' },
+	// Billing period switched on the pricing page (monthly or annual)
+	billing_changed: { billing: 'string' },
+	// Demo booking step sent; `action` is book, reschedule or cancel, `status` as for lead_submitted
+	demo_booking: { action: 'string', status: 'string', code: 'string?' },
+	// ROI calculation shared; `method` is link (copied) or enquiry (attached to the contact form)
+	roi_shared: { method: 'string' },
+	// Beta waitlist sign-up; `referred` when it came through a referral link, `status` as for lead_submitted
+	// or duplicate (the email was already on the list)
+	waitlist_joined: { status: 'string', referred: 'boolean', code: 'string?' },
+	// Waitlist referral link shared; `method` is link (copied)
+	waitlist_shared: { method: 'string' },
+	// Experiment shown, once per page session; `forced` marks variants set with the ?exp= override
+	experiment_viewed: { experiment: 'string', variant: 'string', forced: 'boolean?' },
+	// Visitor reached a `goal` of an experiment (e.g. contact_started)
+	experiment_converted: { experiment: 'string', variant: 'string', goal: 'string', forced: 'boolean?' },
+};
+
+// Returns every problem with an event as a string (empty when valid)
+export const validateEvent = (name, props = {}) => {
+	const schema = EVENTS[name];
+	if (!schema) return [`unknown event "${name}"`];
+
+	const errors = Object.keys(props)
+		.filter((key) => !(key in schema))
+		.map((key) => `${name}.${key}: unknown property`);
+	Object.entries(schema).forEach(([key, type]) => {
+		const optional = type.endsWith('?');
+		const value = props[key];
+		if (value === undefined) {
+			if (!optional) errors.push(`${name}.${key}: required`);
+		} else if (typeof value !== type.replace('?', '')) {
+			errors.push(`${name}.${key}: expected ${type.replace('?', '')}`);
+		}
+	});
+	return errors;
+};
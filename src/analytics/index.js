@@ -0,0 +1,7 @@
+import { createDefaultAdapters } from './adapters';
+import { createAnalytics } from './analytics';
+
+// The site-wide analytics bus, configured from the REACT_APP_ANALYTICS_* variables
+export const analytics = createAnalytics({ adapters: createDefaultAdapters() });
+
+export const track = (name, props) => analytics.track(name, props);
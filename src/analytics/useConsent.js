@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { analytics } from '.';
+
+// The current consent choice and a setter, re-rendering when it changes
+const useConsent = () => [useSyncExternalStore(analytics.consent.subscribe, analytics.consent.get, analytics.consent.get), analytics.consent.set];
+
+export default useConsent;
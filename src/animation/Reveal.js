@@ -0,0 +1,41 @@
+import React, { Children, cloneElement, isValidElement, useEffect, useRef } from 'react';
+import useIntersectionObserver from '../hooks/useIntersectionObserver';
+import { usePrefersReducedMotion } from './motion';
+
+// Entrance animations, defined in tailwind.config.js
+const ANIMATIONS = {
+	fade: 'animate-fadeIn',
+	'slide-up': 'animate-slideInUp',
+};
+
+// Reveal Component - renders `as` (a div by default) hidden until it scrolls into view, then plays
+// its entrance animation after `delay` ms. With reduced motion the content is shown right away
+// without animating. `onReveal` is called once, when the element is first actually seen.
+function Reveal({ as: Component = 'div', animation = 'fade', delay = 0, threshold = 0.1, onReveal, className = '', style, children, ...props }) {
+	const [ref, isVisible] = useIntersectionObserver({ threshold });
+	const reducedMotion = usePrefersReducedMotion();
+	const onRevealRef = useRef(onReveal);
+	onRevealRef.current = onReveal;
+
+	useEffect(() => {
+		if (isVisible && onRevealRef.current) onRevealRef.current();
+	}, [isVisible]);
+
+	const stateClass = reducedMotion ? '' : isVisible ? ANIMATIONS[animation] : 'opacity-0';
+	const animationStyle = delay && !reducedMotion ? { ...style, animationDelay: `${delay}ms` } : style;
+
+	return (
+		<Component ref={ref} className={`${className} ${stateClass}`.trim()} style={animationStyle} {...props}>
+			{children}
+		</Component>
+	);
+}
+
+// Staggers its children: each one gets a `delay` prop `stagger` ms after the previous one, so
+// children must be Reveals or components passing `delay` on to one
+export const RevealGroup = ({ stagger = 100, children }) =>
+	Children.toArray(children).map((child, index) =>
+		isValidElement(child) ? cloneElement(child, { delay: (child.props.delay || 0) + index * stagger }) : child
+	);
+
+export default Reveal;
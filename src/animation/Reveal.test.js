@@ -0,0 +1,120 @@
+import { act, render, screen } from '@testing-library/react';
+import { REDUCED_MOTION_QUERY } from './motion';
+import { poolSize } from './observerPool';
+import Reveal, { RevealGroup } from './Reveal';
+
+// Minimal IntersectionObserver that lets tests decide when elements intersect
+let observers = [];
+class MockIntersectionObserver {
+	constructor(callback, options) {
+		this.callback = callback;
+		this.options = options;
+		this.elements = new Set();
+		observers.push(this);
+	}
+	observe(element) {
+		this.elements.add(element);
+	}
+	unobserve(element) {
+		this.elements.delete(element);
+	}
+	disconnect() {
+		observers = observers.filter((observer) => observer !== this);
+	}
+}
+
+const intersect = (element, isIntersecting = true) =>
+	act(() =>
+		observers.filter((observer) => observer.elements.has(element)).forEach((observer) => observer.callback([{ target: element, isIntersecting }]))
+	);
+
+const mockReducedMotion = (matches) => {
+	window.matchMedia = jest.fn((query) => ({ matches: query === REDUCED_MOTION_QUERY && matches, addEventListener() {}, removeEventListener() {} }));
+};
+
+beforeEach(() => {
+	observers = [];
+	window.IntersectionObserver = MockIntersectionObserver;
+});
+
+afterEach(() => {
+	delete window.IntersectionObserver;
+	delete window.matchMedia;
+});
+
+test('stays hidden until it scrolls into view, then animates and reports once', () => {
+	const onReveal = jest.fn();
+	render(
+		<Reveal animation='slide-up' onReveal={onReveal}>
+			Hello
+		</Reveal>
+	);
+	const element = screen.getByText('Hello');
+
+	expect(element).toHaveClass('opacity-0');
+	expect(onReveal).not.toHaveBeenCalled();
+
+	intersect(element);
+	expect(element).toHaveClass('animate-slideInUp');
+	expect(element).not.toHaveClass('opacity-0');
+	expect(onReveal).toHaveBeenCalledTimes(1);
+
+	// Observation stops after the first reveal
+	intersect(element, false);
+	expect(element).toHaveClass('animate-slideInUp');
+});
+
+test('shares one observer between elements with the same options and releases it on unmount', () => {
+	const { unmount } = render(
+		<>
+			<Reveal>One</Reveal>
+			<Reveal>Two</Reveal>
+			<Reveal threshold={0.5}>Three</Reveal>
+		</>
+	);
+
+	expect(observers).toHaveLength(2);
+	expect(poolSize()).toBe(2);
+	unmount();
+	expect(observers).toHaveLength(0);
+	expect(poolSize()).toBe(0);
+});
+
+test('staggers the children of a RevealGroup', () => {
+	render(
+		<RevealGroup stagger={150}>
+			<Reveal>First</Reveal>
+			<Reveal delay={50}>Second</Reveal>
+			<Reveal>Third</Reveal>
+		</RevealGroup>
+	);
+
+	expect(screen.getByText('First')).not.toHaveAttribute('style');
+	expect(screen.getByText('Second')).toHaveStyle({ animationDelay: '200ms' });
+	expect(screen.getByText('Third')).toHaveStyle({ animationDelay: '300ms' });
+});
+
+test('shows content without animating when reduced motion is preferred', () => {
+	mockReducedMotion(true);
+	render(
+		<Reveal delay={200} as='section'>
+			Calm
+		</Reveal>
+	);
+	const element = screen.getByText('Calm');
+
+	expect(element.tagName).toBe('SECTION');
+	expect(element).not.toHaveClass('opacity-0');
+	expect(element).not.toHaveAttribute('style');
+	intersect(element);
+	expect(element).not.toHaveClass('animate-fadeIn');
+});
+
+test('reveals immediately without IntersectionObserver', () => {
+	delete window.IntersectionObserver;
+	const onReveal = jest.fn();
+	render(<Reveal onReveal={onReveal}>Fallback</Reveal>);
+
+	expect(screen.getByText('Fallback')).toHaveClass('animate-fadeIn');
+	expect(onReveal).toHaveBeenCalledTimes(1);
+});
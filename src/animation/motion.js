@@ -0,0 +1,19 @@
+import { useSyncExternalStore } from 'react';
+
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// jsdom and very old browsers have no matchMedia; they get full motion
+const getQuery = () => (typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null);
+
+export const prefersReducedMotion = () => Boolean(getQuery()?.matches);
+
+const subscribe = (onChange) => {
+	const query = getQuery();
+	if (!query) return () => {};
+	query.addEventListener('change', onChange);
+	return () => query.removeEventListener('change', onChange);
+};
+
+// Whether the visitor asked the OS for reduced motion, updated live when the setting changes.
+// Pre-rendered pages assume full motion; content is hidden until revealed either way.
+export const usePrefersReducedMotion = () => useSyncExternalStore(subscribe, prefersReducedMotion, () => false);
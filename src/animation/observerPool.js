@@ -0,0 +1,43 @@
+// One IntersectionObserver shared by every element observed with the same threshold and
+// rootMargin, instead of one observer per component. Browsers without IntersectionObserver
+// (and jsdom in tests) report every element as visible right away.
+
+const pools = new Map();
+
+export const isObserverSupported = () => typeof window !== 'undefined' && 'IntersectionObserver' in window;
+
+// Calls `callback(isIntersecting)` whenever visibility of `element` changes; returns a function
+// that stops observing it. The pooled observer is disconnected once nothing uses it anymore.
+export const observe = (element, callback, { threshold = 0, rootMargin = '0px' } = {}) => {
+	if (!isObserverSupported()) {
+		callback(true);
+		return () => {};
+	}
+
+	const key = `${threshold}|${rootMargin}`;
+	if (!pools.has(key)) {
+		const callbacks = new Map();
+		const observer = new IntersectionObserver(
+			(entries) => entries.forEach((entry) => callbacks.has(entry.target) && callbacks.get(entry.target)(entry.isIntersecting)),
+			{ threshold, rootMargin }
+		);
+		pools.set(key, { observer, callbacks });
+	}
+
+	const pool = pools.get(key);
+	pool.callbacks.set(element, callback);
+	pool.observer.observe(element);
+
+	return () => {
+		if (!pool.callbacks.has(element)) return;
+		pool.callbacks.delete(element);
+		pool.observer.unobserve(element);
+		if (!pool.callbacks.size) {
+			pool.observer.disconnect();
+			pools.delete(key);
+		}
+	};
+};
+
+// Number of live observers, for tests
+export const poolSize = () => pools.size;
@@ -0,0 +1,106 @@
+import { API_BASE_URL, API_RETRIES, API_TIMEOUT } from './config';
+
+// Error thrown by the API client. `kind` is one of:
+// 'timeout' - the attempt took longer than the configured timeout
+// 'network' - the request never reached the server (offline, DNS, CORS)
+// 'http'    - the server answered with a non-2xx status (see `status` and `data`)
+export class ApiError extends Error {
+	constructor(message, { kind, status, data, retryAfter } = {}) {
+		super(message);
+		this.name = 'ApiError';
+		this.kind = kind;
+		this.status = status;
+		this.data = data;
+		this.retryAfter = retryAfter;
+	}
+}
+
+// Network failures, timeouts, rate limiting and server errors are worth another attempt;
+// other 4xx responses mean the request itself is wrong and would fail again.
+export const isRetryable = (error) => error instanceof ApiError && (error.kind !== 'http' || error.status === 429 || error.status >= 500);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const parseBody = async (response) => {
+	const text = await response.text();
+	if (!text) return null;
+	try {
+		return JSON.parse(text);
+	} catch (error) {
+		return text;
+	}
+};
+
+const parseRetryAfter = (response) => {
+	const header = response.headers && response.headers.get('Retry-After');
+	if (!header) return undefined;
+	const seconds = Number(header);
+	if (Number.isFinite(seconds)) return seconds * 1000;
+	const date = Date.parse(header);
+	return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// Creates a JSON API client bound to `baseUrl`. Every attempt is aborted after `timeout`
+// milliseconds and retryable failures are retried up to `retries` times with exponential
+// backoff (retryDelay, 2 x retryDelay, 4 x retryDelay... plus jitter).
+export const createApiClient = ({
+	baseUrl = API_BASE_URL,
+	timeout = API_TIMEOUT,
+	retries = API_RETRIES,
+	retryDelay = 500,
+	fetchImpl = (...args) => fetch(...args),
+	delay = sleep,
+} = {}) => {
+	const attempt = async (path, init) => {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), timeout);
+		let response;
+		try {
+			response = await fetchImpl(`${baseUrl}${path}`, { ...init, signal: controller.signal });
+		} catch (error) {
+			if (controller.signal.aborted) {
+				throw new ApiError(`Request to ${path} timed out after ${timeout}ms`, { kind: 'timeout' });
+			}
+			throw new ApiError(`Request to ${path} failed: ${error.message}`, { kind: 'network' });
+		} finally {
+			clearTimeout(timer);
+		}
+
+		const data = await parseBody(response).catch(() => null);
+		if (!response.ok) {
+			throw new ApiError(`Request to ${path} failed with status ${response.status}`, {
+				kind: 'http',
+				status: response.status,
+				data,
+				retryAfter: parseRetryAfter(response),
+			});
+		}
+		return data;
+	};
+
+	const request = async (path, init = {}) => {
+		for (let attemptNumber = 0; ; attemptNumber++) {
+			try {
+				return await attempt(path, init);
+			} catch (error) {
+				if (attemptNumber >= retries || !isRetryable(error)) throw error;
+				const backoff = retryDelay * 2 ** attemptNumber;
+				await delay(error.retryAfter !== undefined ? error.retryAfter : backoff + Math.random() * retryDelay);
+			}
+		}
+	};
+
+	return {
+		request,
+		post: (path, body, init = {}) =>
+			request(path, {
+				...init,
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', ...init.headers },
+				body: JSON.stringify(body),
+			}),
+	};
+};
+
+// Shared client for the Nimble AI backend
+export const apiClient = createApiClient();
@@ -0,0 +1,65 @@
+import { ApiError, createApiClient } from './client';
+
+const jsonResponse = (status, body, headers = {}) => ({
+	ok: status >= 200 && status < 300,
+	status,
+	headers: { get: (name) => headers[name] },
+	text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body)),
+});
+
+const createClient = (fetchImpl, options) =>
+	createApiClient({ baseUrl: 'https://api.test', retryDelay: 100, delay: jest.fn(), fetchImpl, ...options });
+
+test('posts JSON to the configured base URL', async () => {
+	const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(200, { ok: true }));
+
+	await expect(createClient(fetchImpl).post('/sendEmail', { userEmail: 'lead@example.com' })).resolves.toEqual({ ok: true });
+	expect(fetchImpl).toHaveBeenCalledWith(
+		'https://api.test/sendEmail',
+		expect.objectContaining({ method: 'POST', body: JSON.stringify({ userEmail: 'lead@example.com' }) })
+	);
+});
+
+test('retries network errors and server errors with exponential backoff', async () => {
+	const delay = jest.fn();
+	const fetchImpl = jest
+		.fn()
+		.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+		.mockResolvedValueOnce(jsonResponse(503))
+		.mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+	await expect(createClient(fetchImpl, { retries: 2, delay }).post('/sendEmail', {})).resolves.toEqual({ ok: true });
+	expect(fetchImpl).toHaveBeenCalledTimes(3);
+	expect(delay.mock.calls[0][0]).toBeGreaterThanOrEqual(100);
+	expect(delay.mock.calls[1][0]).toBeGreaterThanOrEqual(200);
+});
+
+test('does not retry client errors and exposes the server response', async () => {
+	const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(400, { message: 'Invalid email' }));
+	const error = await createClient(fetchImpl)
+		.post('/sendEmail', {})
+		.catch((e) => e);
+
+	expect(error).toBeInstanceOf(ApiError);
+	expect(error).toMatchObject({ kind: 'http', status: 400, data: { message: 'Invalid email' } });
+	expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('honours Retry-After when rate limited', async () => {
+	const delay = jest.fn();
+	const fetchImpl = jest
+		.fn()
+		.mockResolvedValueOnce(jsonResponse(429, undefined, { 'Retry-After': '3' }))
+		.mockResolvedValueOnce(jsonResponse(200));
+
+	await createClient(fetchImpl, { delay }).post('/sendEmail', {});
+	expect(delay).toHaveBeenCalledWith(3000);
+});
+
+test('aborts attempts that exceed the timeout', async () => {
+	const fetchImpl = jest.fn(
+		(url, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError'))))
+	);
+
+	await expect(createClient(fetchImpl, { timeout: 10, retries: 0 }).post('/sendEmail', {})).rejects.toMatchObject({ kind: 'timeout' });
+});
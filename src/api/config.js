@@ -0,0 +1,16 @@
+// API configuration, read from the build environment (see .env.example).
+// CRA only exposes variables prefixed with REACT_APP_ to the browser bundle.
+const toNumber = (value, fallback) => {
+	const number = Number(value);
+	return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+export const API_BASE_URL = (process.env.REACT_APP_API_BASE_URL || 'https://a804judny2.execute-api.us-east-1.amazonaws.com/auto').replace(/\/+$/, '');
+
+// Milliseconds before a single attempt is aborted
+export const API_TIMEOUT = toNumber(process.env.REACT_APP_API_TIMEOUT, 10000);
+
+// Extra attempts after the first one fails with a retryable error
+export const API_RETRIES = toNumber(process.env.REACT_APP_API_RETRIES, 2);
+
+export const CONTACT_PATH = '/sendEmail';
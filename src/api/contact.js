@@ -0,0 +1,26 @@
+import { apiClient } from './client';
+import { CONTACT_PATH } from './config';
+import { createOfflineQueue } from './offlineQueue';
+
+const sendContactRequest = (payload) => apiClient.post(CONTACT_PATH, payload);
+
+// Lead submissions made while offline wait here until connectivity returns
+export const contactQueue = createOfflineQueue({ key: 'nimble-contact-queue', send: sendContactRequest });
+
+// Submits a lead to the backend. Resolves with `{ queued: true, id }` when the browser is offline
+// (or the request could not reach the server) and the lead was saved for later delivery;
+// `id` identifies the queued item in contactQueue's 'sent' and 'failed' events.
+// Server rejections and timeouts are rethrown as ApiError so the caller can report them.
+export const submitLead = async (payload) => {
+	if (navigator.onLine === false) {
+		return { queued: true, id: contactQueue.enqueue(payload).id };
+	}
+
+	try {
+		const data = await sendContactRequest(payload);
+		return { queued: false, data };
+	} catch (error) {
+		if (error.kind !== 'network') throw error;
+		return { queued: true, id: contactQueue.enqueue(payload).id };
+	}
+};
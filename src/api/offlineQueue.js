@@ -0,0 +1,85 @@
+import { isRetryable } from './client';
+
+let nextId = 0;
+
+// Persistent queue for requests that could not be delivered while the browser was offline.
+// Items are stored in localStorage under `key` and replayed through `send` when the
+// browser reports it is back online (or on the next visit).
+export const createOfflineQueue = ({ key, send, storage = window.localStorage }) => {
+	const listeners = new Set();
+	let flushing = null;
+
+	const read = () => {
+		try {
+			const items = JSON.parse(storage.getItem(key));
+			return Array.isArray(items) ? items : [];
+		} catch (error) {
+			return [];
+		}
+	};
+
+	const write = (items) => {
+		try {
+			if (items.length) {
+				storage.setItem(key, JSON.stringify(items));
+			} else {
+				storage.removeItem(key);
+			}
+		} catch (error) {
+			console.error('Unable to persist the offline queue:', error);
+		}
+	};
+
+	const notify = (event) => listeners.forEach((listener) => listener({ ...event, size: read().length }));
+
+	const enqueue = (payload) => {
+		const item = { id: `${Date.now().toString(36)}-${(nextId++).toString(36)}`, payload, queuedAt: new Date().toISOString() };
+		write([...read(), item]);
+		notify({ type: 'queued', item });
+		return item;
+	};
+
+	const remove = (id) => write(read().filter((item) => item.id !== id));
+
+	// Sends queued items in order. Stops at the first retryable failure so the rest stay
+	// queued for the next attempt; items the server rejects outright are dropped.
+	const replay = async () => {
+		for (const item of read()) {
+			try {
+				await send(item.payload);
+				remove(item.id);
+				notify({ type: 'sent', item });
+			} catch (error) {
+				if (isRetryable(error)) return;
+				console.error('Dropping queued request rejected by the server:', error);
+				remove(item.id);
+				notify({ type: 'failed', item, error });
+			}
+		}
+	};
+
+	const flush = () => {
+		if (!flushing) {
+			flushing = replay().finally(() => {
+				flushing = null;
+			});
+		}
+		return flushing;
+	};
+
+	// Replays the queue now (when online) and whenever connectivity returns.
+	// Returns a function that stops listening.
+	const start = () => {
+		const handleOnline = () => flush();
+		window.addEventListener('online', handleOnline);
+		if (navigator.onLine !== false) flush();
+		return () => window.removeEventListener('online', handleOnline);
+	};
+
+	const subscribe = (listener) => {
+		listeners.add(listener);
+		return () => listeners.delete(listener);
+	};
+
+	return { enqueue, flush, start, subscribe, size: () => read().length };
+};
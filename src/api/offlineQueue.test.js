@@ -0,0 +1,62 @@
+import { ApiError } from './client';
+import { createOfflineQueue } from './offlineQueue';
+
+const KEY = 'test-queue';
+
+beforeEach(() => localStorage.clear());
+
+test('persists queued items until they are sent', async () => {
+	const send = jest.fn().mockResolvedValue({});
+	const queue = createOfflineQueue({ key: KEY, send });
+	const listener = jest.fn();
+	queue.subscribe(listener);
+
+	queue.enqueue({ userEmail: 'a@example.com' });
+	queue.enqueue({ userEmail: 'b@example.com' });
+	expect(JSON.parse(localStorage.getItem(KEY))).toHaveLength(2);
+
+	await queue.flush();
+	expect(send.mock.calls.map(([payload]) => payload.userEmail)).toEqual(['a@example.com', 'b@example.com']);
+	expect(queue.size()).toBe(0);
+	expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'sent', size: 0 }));
+});
+
+test('keeps items queued while the network is still unavailable', async () => {
+	const send = jest.fn().mockRejectedValue(new ApiError('offline', { kind: 'network' }));
+	const queue = createOfflineQueue({ key: KEY, send });
+
+	queue.enqueue({ userEmail: 'a@example.com' });
+	await queue.flush();
+	expect(queue.size()).toBe(1);
+});
+
+test('drops items the server rejects and reports which one failed', async () => {
+	const error = new ApiError('bad request', { kind: 'http', status: 400 });
+	const send = jest.fn().mockRejectedValue(error);
+	jest.spyOn(console, 'error').mockImplementation(() => {});
+	const queue = createOfflineQueue({ key: KEY, send });
+	const listener = jest.fn();
+	queue.subscribe(listener);
+
+	const { id } = queue.enqueue({ userEmail: 'a@example.com' });
+	await queue.flush();
+	expect(queue.size()).toBe(0);
+	expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'failed', item: expect.objectContaining({ id }), error }));
+	console.error.mockRestore();
+});
+
+test('replays when the browser comes back online', async () => {
+	const send = jest.fn().mockResolvedValue({});
+	const queue = createOfflineQueue({ key: KEY, send });
+	queue.enqueue({ userEmail: 'a@example.com' });
+
+	const stop = queue.start();
+	await queue.flush();
+	send.mockClear();
+
+	queue.enqueue({ userEmail: 'b@example.com' });
+	window.dispatchEvent(new Event('online'));
+	await queue.flush();
+	expect(send).toHaveBeenCalledWith({ userEmail: 'b@example.com' });
+	stop();
+});
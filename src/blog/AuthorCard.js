@@ -0,0 +1,43 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+
+const initials = (name) =>
+	name
+		.split(/\s+/)
+		.slice(0, 2)
+		.map((word) => word.charAt(0))
+		.join('');
+
+// Author Card Component - who wrote a post (src/content/authors.json), shown below it
+const AuthorCard = ({ author }) => {
+	const { t } = useI18n();
+
+	return (
+		<aside aria-label={t('resources.writtenBy')} className='mt-12 p-6 rounded-xl border flex items-start gap-4 text-start bg-surface border-line'>
+			<span
+				aria-hidden='true'
+				className='flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center font-semibold bg-inverse text-on-inverse'
+			>
+				{initials(author.name)}
+			</span>
+			<div>
+				<p className='text-xs font-medium uppercase tracking-wide text-fg-subtle'>{t('resources.writtenBy')}</p>
+				<p className='font-semibold text-fg'>{author.name}</p>
+				<p className='text-sm text-fg-subtle'>{author.role}</p>
+				<p className='mt-2 text-sm text-fg-muted'>{author.bio}</p>
+				{author.linkedinUrl && (
+					<a
+						href={author.linkedinUrl}
+						target='_blank'
+						rel='noopener noreferrer'
+						className='mt-2 inline-block text-sm font-semibold underline text-fg'
+					>
+						{t('resources.linkedin', { name: author.name })}
+					</a>
+				)}
+			</div>
+		</aside>
+	);
+};
+
+export default AuthorCard;
@@ -0,0 +1,96 @@
+import React from 'react';
+import Markdown from '../content/Markdown';
+import { useI18n } from '../i18n/I18nProvider';
+import { highlight, isHighlighted } from './highlight';
+import { parseBlocks } from './markdown';
+
+const TOKEN_CLASSES = {
+	comment: 'italic text-syntax-comment',
+	string: 'text-syntax-string',
+	keyword: 'text-syntax-keyword',
+	number: 'text-syntax-number',
+};
+
+const HEADING_CLASSES = {
+	2: 'mt-10 mb-4 text-2xl sm:text-3xl font-bold',
+	3: 'mt-8 mb-3 text-xl sm:text-2xl font-semibold',
+	4: 'mt-6 mb-2 text-lg font-semibold',
+};
+
+// Code Block Component - fenced code with syntax highlighting and its language as a caption
+const CodeBlock = ({ language, code }) => {
+	const { t } = useI18n();
+
+	return (
+		<figure className='my-6 rounded-xl border overflow-hidden bg-muted border-line'>
+			{language && (
+				<figcaption className='px-4 py-2 border-b text-xs font-medium uppercase tracking-wide border-line text-fg-subtle'>
+					<span className='sr-only'>{t('resources.code', { language })}</span>
+					<span aria-hidden='true'>{language}</span>
+				</figcaption>
+			)}
+			{/* Code reads left to right in every locale */}
+			<pre dir='ltr' className='p-4 overflow-x-auto text-sm leading-relaxed text-start'>
+				<code className='font-mono text-fg'>
+					{isHighlighted(language)
+						? highlight(code, language).map((token, index) =>
+								TOKEN_CLASSES[token.type] ? (
+									<span key={index} className={TOKEN_CLASSES[token.type]}>
+										{token.text}
+									</span>
+								) : (
+									token.text
+								)
+						  )
+						: code}
+				</code>
+			</pre>
+		</figure>
+	);
+};
+
+const renderBlock = (block, index) => {
+	switch (block.type) {
+		case 'heading': {
+			const Heading = `h${block.level}`;
+			return (
+				<Heading key={index} id={block.id} className={`scroll-mt-24 text-fg ${HEADING_CLASSES[block.level]}`}>
+					<Markdown text={block.text} inline />
+				</Heading>
+			);
+		}
+		case 'list': {
+			const List = block.ordered ? 'ol' : 'ul';
+			return (
+				<List key={index} className={`my-4 ps-6 space-y-2 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+					{block.items.map((item, itemIndex) => (
+						<li key={itemIndex}>
+							<Markdown text={item} inline />
+						</li>
+					))}
+				</List>
+			);
+		}
+		case 'quote':
+			return (
+				<blockquote key={index} className='my-6 ps-4 border-s-4 italic border-line-strong text-fg'>
+					<Markdown text={block.text} inline />
+				</blockquote>
+			);
+		case 'code':
+			return <CodeBlock key={index} language={block.language} code={block.code} />;
+		case 'rule':
+			return <hr key={index} className='my-8 border-line' />;
+		default:
+			return (
+				<p key={index} className='my-4'>
+					<Markdown text={block.text} inline />
+				</p>
+			);
+	}
+};
+
+// Post Body Component - renders the Markdown body of a post (see ./markdown)
+const PostBody = ({ body }) => <div className='text-base sm:text-lg leading-relaxed text-fg-muted'>{parseBlocks(body).map(renderBlock)}</div>;
+
+export default PostBody;
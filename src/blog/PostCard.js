@@ -0,0 +1,34 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import Reveal from '../animation/Reveal';
+import PostMeta from './PostMeta';
+import { tagLabel } from './posts';
+
+// Post Card Component - entry of the resources list linking to the post
+const PostCard = ({ post, delay }) => (
+	<Reveal
+		as='article'
+		animation='slide-up'
+		delay={delay}
+		aria-labelledby={`post-${post.slug}`}
+		className='relative flex flex-col p-6 rounded-xl border shadow-md text-start transition-shadow duration-300 hover:shadow-lg bg-raised border-line-strong'
+	>
+		<ul className='flex flex-wrap gap-2 mb-4'>
+			{post.tags.map((tag) => (
+				<li key={tag} className='text-xs font-medium px-2 py-0.5 rounded-full bg-muted text-fg-muted'>
+					{tagLabel(tag)}
+				</li>
+			))}
+		</ul>
+		<h2 id={`post-${post.slug}`} className='text-lg sm:text-xl font-semibold text-fg'>
+			{/* The stretched link makes the whole card clickable */}
+			<Link to={`/resources/${post.slug}`} className='after:absolute after:inset-0 focus:outline-none focus-visible:underline'>
+				{post.title}
+			</Link>
+		</h2>
+		<p className='mt-3 mb-4 flex-grow text-sm text-fg-muted'>{post.summary}</p>
+		<PostMeta post={post} />
+	</Reveal>
+);
+
+export default PostCard;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { formatPostDate, readingTime } from './posts';
+
+// Post Meta Component - publication date, reading time and, optionally, the author of a post
+const PostMeta = ({ post, author, className = '' }) => {
+	const { locale, t } = useI18n();
+
+	return (
+		<p className={`flex flex-wrap items-center gap-x-2 gap-y-1 text-sm text-fg-subtle ${className}`}>
+			{author && (
+				<>
+					<span>{t('resources.byline', { name: author.name })}</span>
+					<span aria-hidden='true'>·</span>
+				</>
+			)}
+			<time dateTime={post.date}>{formatPostDate(post.date, locale)}</time>
+			<span aria-hidden='true'>·</span>
+			<span>{t('resources.readingTime', { minutes: readingTime(post.body) })}</span>
+		</p>
+	);
+};
+
+export default PostMeta;
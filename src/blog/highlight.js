@@ -0,0 +1,50 @@
+// Lightweight syntax highlighting for the code blocks of posts. Each grammar is a list of
+// [token type, pattern]; earlier patterns win where they overlap (e.g. a quote inside a comment).
+const JS_KEYWORDS =
+	'async|await|break|case|catch|class|const|continue|default|else|export|extends|false|finally|for|from|function|if|import|in|let|new|null|of|return|switch|this|throw|true|try|typeof|undefined|var|while';
+
+const GRAMMARS = {
+	js: [
+		['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+		['string', /`(?:\\[\s\S]|[^\\`])*`|'(?:\\.|[^\\'\n])*'|"(?:\\.|[^\\"\n])*"/],
+		['keyword', new RegExp(`\\b(?:${JS_KEYWORDS})\\b`)],
+		['number', /\b\d+(?:\.\d+)?\b/],
+	],
+	json: [
+		['string', /"(?:\\.|[^\\"\n])*"/],
+		['keyword', /\b(?:true|false|null)\b/],
+		['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+	],
+	html: [
+		['comment', /<!--[\s\S]*?-->/],
+		['string', /"[^"\n]*"|'[^'\n]*'/],
+		['keyword', /<\/?[A-Za-z][\w-]*|\/?>/],
+	],
+	bash: [
+		['comment', /(?:^|\s)#[^\n]*/],
+		['string', /'[^'\n]*'|"(?:\\.|[^\\"\n])*"/],
+		['keyword', /\b(?:cd|curl|echo|export|git|npm|npx)\b/],
+	],
+};
+
+const ALIASES = { javascript: 'js', jsx: 'js', sh: 'bash', shell: 'bash', xml: 'html' };
+
+// Whether code blocks in `language` are highlighted (others render as plain text)
+export const isHighlighted = (language) => Boolean(GRAMMARS[ALIASES[language] || language]);
+
+// Splits `code` into { type, text } tokens, where type is 'plain', 'comment', 'string', 'keyword' or 'number'
+export const highlight = (code, language) => {
+	const grammar = GRAMMARS[ALIASES[language] || language];
+	if (!grammar) return [{ type: 'plain', text: code }];
+
+	const pattern = new RegExp(grammar.map(([, rule]) => `(${rule.source})`).join('|'), 'gm');
+	const tokens = [];
+	let last = 0;
+	for (const match of code.matchAll(pattern)) {
+		if (match.index > last) tokens.push({ type: 'plain', text: code.slice(last, match.index) });
+		tokens.push({ type: grammar[match.slice(1).findIndex((group) => group !== undefined)][0], text: match[0] });
+		last = match.index + match[0].length;
+	}
+	if (last < code.length) tokens.push({ type: 'plain', text: code.slice(last) });
+	return tokens;
+};
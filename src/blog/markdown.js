@@ -0,0 +1,78 @@
+// Block-level Markdown of posts (src/content/posts/*.md): ## headings, paragraphs, - and 1. lists,
+// > quotes, ``` fenced code blocks and --- rules. Text inside blocks keeps its inline Markdown,
+// which ../content/Markdown renders.
+
+const FENCE = /^```\s*([\w-]*)\s*$/;
+const HEADING = /^(#{1,4})\s+(.+?)\s*#*$/;
+const RULE = /^(-{3,}|\*{3,})\s*$/;
+const QUOTE = /^>\s?(.*)$/;
+const LIST_ITEM = /^([-*]|\d+\.)\s+(.*)$/;
+
+// Anchor id of a heading, e.g. "Results after 8 weeks" -> "results-after-8-weeks"
+export const headingId = (text) =>
+	text
+		.toLowerCase()
+		.replace(/[`*[\]()]/g, '')
+		.replace(/[^\p{L}\p{N}]+/gu, '-')
+		.replace(/^-+|-+$/g, '');
+
+const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+// Splits a post body into blocks: { type: 'heading', level, text, id }, { type: 'paragraph', text },
+// { type: 'list', ordered, items }, { type: 'quote', text }, { type: 'code', language, code } and { type: 'rule' }
+export const parseBlocks = (source) => {
+	const lines = source.replace(/\r\n?/g, '\n').split('\n');
+	const blocks = [];
+	const ids = new Set();
+	let index = 0;
+
+	while (index < lines.length) {
+		const line = lines[index];
+		let match;
+
+		if (!line.trim()) {
+			index++;
+		} else if ((match = line.match(FENCE))) {
+			const code = [];
+			index++;
+			while (index < lines.length && !/^```\s*$/.test(lines[index])) code.push(lines[index++]);
+			index++;
+			blocks.push({ type: 'code', language: match[1] || null, code: code.join('\n') });
+		} else if ((match = line.match(HEADING))) {
+			// The post title is the page's h1, so headings in the body start at h2
+			let id = headingId(match[2]);
+			for (let n = 2; ids.has(id); n++) id = `${headingId(match[2])}-${n}`;
+			ids.add(id);
+			blocks.push({ type: 'heading', level: Math.max(match[1].length, 2), text: match[2], id });
+			index++;
+		} else if (RULE.test(line)) {
+			blocks.push({ type: 'rule' });
+			index++;
+		} else if (QUOTE.test(line)) {
+			const text = [];
+			while (index < lines.length && (match = lines[index].match(QUOTE))) {
+				text.push(match[1]);
+				index++;
+			}
+			blocks.push({ type: 'quote', text: text.join(' ').trim() });
+		} else if ((match = line.match(LIST_ITEM))) {
+			const ordered = /\d/.test(match[1]);
+			const items = [];
+			while (index < lines.length && lines[index].trim()) {
+				const item = lines[index].match(LIST_ITEM);
+				// Indented lines continue the previous item, a different kind of marker starts a new list
+				if (item && /\d/.test(item[1]) === ordered) items.push(item[2]);
+				else if (item) break;
+				else if (/^\s+/.test(lines[index]) && items.length) items[items.length - 1] += ` ${lines[index].trim()}`;
+				else break;
+				index++;
+			}
+			blocks.push({ type: 'list', ordered, items });
+		} else {
+			const text = [];
+			while (index < lines.length && lines[index].trim() && !startsBlock(lines[index])) text.push(lines[index++].trim());
+			blocks.push({ type: 'paragraph', text: text.join(' ') });
+		}
+	}
+	return blocks;
+};
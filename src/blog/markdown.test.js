@@ -0,0 +1,60 @@
+import { highlight } from './highlight';
+import { parseBlocks } from './markdown';
+import { adjacentPosts, readingTime } from './posts';
+
+test('splits a post body into blocks', () => {
+	const body = [
+		'Intro line one',
+		'continues here.',
+		'',
+		'## Results after *8* weeks',
+		'',
+		'1. First',
+		'2. Second',
+		'   wraps onto a new line',
+		'- Bullet',
+		'',
+		'> Quoted',
+		'> text',
+		'',
+		'```js',
+		'const a = 1;',
+		'',
+		'```',
+		'---',
+		'## Results after *8* weeks',
+	].join('\n');
+
+	expect(parseBlocks(body)).toEqual([
+		{ type: 'paragraph', text: 'Intro line one continues here.' },
+		{ type: 'heading', level: 2, text: 'Results after *8* weeks', id: 'results-after-8-weeks' },
+		{ type: 'list', ordered: true, items: ['First', 'Second wraps onto a new line'] },
+		{ type: 'list', ordered: false, items: ['Bullet'] },
+		{ type: 'quote', text: 'Quoted text' },
+		{ type: 'code', language: 'js', code: 'const a = 1;\n' },
+		{ type: 'rule' },
+		{ type: 'heading', level: 2, text: 'Results after *8* weeks', id: 'results-after-8-weeks-2' },
+	]);
+});
+
+test('highlights code blocks and leaves unknown languages plain', () => {
+	expect(highlight("const url = 'x'; // 2 ways", 'javascript')).toEqual([
+		{ type: 'keyword', text: 'const' },
+		{ type: 'plain', text: ' url = ' },
+		{ type: 'string', text: "'x'" },
+		{ type: 'plain', text: '; ' },
+		{ type: 'comment', text: '// 2 ways' },
+	]);
+	expect(highlight('<a href="/x">', 'html').map((token) => token.type)).toEqual(['keyword', 'plain', 'string', 'keyword']);
+	expect(highlight('plain text', 'text')).toEqual([{ type: 'plain', text: 'plain text' }]);
+});
+
+test('estimates reading time and finds the neighbouring posts', () => {
+	expect(readingTime('word '.repeat(50))).toBe(1);
+	expect(readingTime('word '.repeat(1000))).toBe(5);
+
+	const posts = [{ slug: 'newest' }, { slug: 'middle' }, { slug: 'oldest' }];
+	expect(adjacentPosts(posts, 'middle')).toEqual({ newer: posts[0], older: posts[2] });
+	expect(adjacentPosts(posts, 'newest')).toEqual({ newer: null, older: posts[1] });
+	expect(adjacentPosts(posts, 'missing')).toEqual({ newer: null, older: null });
+});
@@ -0,0 +1,33 @@
+// Helpers for the posts of the resources section (src/content/posts.json, newest first)
+
+const WORDS_PER_MINUTE = 200;
+
+// Estimated minutes to read a post body, at least 1
+export const readingTime = (body) => Math.max(1, Math.round(body.split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE));
+
+// "case-study" -> "Case study"
+export const tagLabel = (tag) => tag.charAt(0).toUpperCase() + tag.slice(1).replace(/-/g, ' ');
+
+// Every tag used by `posts`, alphabetically
+export const collectTags = (posts) => [...new Set(posts.flatMap((post) => post.tags))].sort();
+
+// The tag of a `?tag=` URL parameter, or null for an unknown or missing one
+export const parseTag = (params, tags) => {
+	const tag = params.get('tag');
+	return tags.includes(tag) ? tag : null;
+};
+
+export const filterPosts = (posts, tag) => (tag ? posts.filter((post) => post.tags.includes(tag)) : posts);
+
+// The posts published right before (`older`) and after (`newer`) the one with `slug`
+export const adjacentPosts = (posts, slug) => {
+	const index = posts.findIndex((post) => post.slug === slug);
+	return { newer: posts[index - 1] || null, older: (index !== -1 && posts[index + 1]) || null };
+};
+
+// Latest post about the offering with `slug` (listed in its `features`), linked from its card
+export const latestPostFor = (posts, slug) => posts.find((post) => (post.features || []).includes(slug)) || null;
+
+// Post dates are calendar days, formatted in UTC so no time zone shifts them by a day
+export const formatPostDate = (date, locale) =>
+	new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(`${date}T00:00:00Z`));
@@ -0,0 +1,300 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { analytics, track } from '../analytics';
+import { contactQueue, submitLead } from '../api/contact';
+import SubmissionStatus from '../contact/SubmissionStatus';
+import { ERROR_CODES, errorStatus, IDLE, QUEUED, statusFromError, SUBMITTING } from '../contact/submissionState';
+import { contactSpamGuard, HONEYPOT_FIELD } from '../contact/spamProtection';
+import { footer } from '../content';
+import useHydrated from '../hooks/useHydrated';
+import { useI18n } from '../i18n/I18nProvider';
+import { buildBookingPayload, createBooking, readBooking, storeBooking, validateDetails } from './booking';
+import { buildIcs, toIcsDataUrl } from './ics';
+import { availability } from './index';
+import SlotPicker from './SlotPicker';
+import { detectTimeZone } from './timeZones';
+
+const formatSlot = (start, timeZone, locale) =>
+	new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeStyle: 'short', timeZone }).format(new Date(start));
+
+const bookingIcs = (booking) =>
+	buildIcs({
+		uid: `${booking.id}@nimble.ai`,
+		start: booking.start,
+		end: booking.end,
+		summary: 'Nimble AI demo',
+		description: 'Your free Nimble AI demo. We will send the meeting link to your email before the call.',
+		url: `${window.location.origin}/demo`,
+		organizer: { name: 'Nimble AI', email: footer.email },
+		attendee: { name: booking.name, email: booking.email },
+		sequence: booking.sequence,
+	});
+
+const buttonClasses = {
+	primary:
+		'px-6 py-3 rounded-full font-semibold shadow-md transition duration-300 disabled:opacity-50 bg-accent text-on-accent hover:bg-accent-hover',
+	secondary: 'px-6 py-3 rounded-full font-semibold border transition duration-300 disabled:opacity-50 border-line-strong text-fg hover:bg-muted',
+};
+
+// Demo Scheduler Component - books the free first demo: pick a slot, leave contact details, then
+// download the calendar invite, reschedule or cancel. Each step is sent to the lead endpoint. What
+// it shows depends on the clock, the visitor's time zone and a stored booking, so pre-rendered
+// pages show a placeholder until hydration. `source` is the availability source, see ./availability.
+function DemoScheduler({ source = availability }) {
+	const { t } = useI18n();
+	return useHydrated() ? <Scheduler source={source} /> : <p className='text-sm text-fg-subtle'>{t('booking.loading')}</p>;
+}
+
+function Scheduler({ source }) {
+	const { locale, t } = useI18n();
+	const [booking, setBooking] = useState(readBooking);
+	// pick -> details -> confirmed, and cancelled once a booking was called off
+	const [view, setView] = useState(booking ? 'confirmed' : 'pick');
+	const [timeZone, setTimeZone] = useState(() => (booking ? booking.timeZone : detectTimeZone()));
+	const [slots, setSlots] = useState(null);
+	const [loadFailed, setLoadFailed] = useState(false);
+	const [loadAttempt, setLoadAttempt] = useState(0);
+	const [slot, setSlot] = useState(null);
+	const [details, setDetails] = useState(() => ({
+		name: booking ? booking.name : '',
+		email: booking ? booking.email : '',
+		company: booking ? booking.company : '',
+	}));
+	const [errors, setErrors] = useState({});
+	const [status, setStatus] = useState(IDLE);
+	const [honeypot, setHoneypot] = useState('');
+	const startedAtRef = useRef(Date.now());
+	// Booking action waiting in the offline queue: its queue id, the action and the booking it replaced
+	const pendingRef = useRef(null);
+	const isLoading = status.type === 'submitting';
+
+	// Fresh availability every time the visitor goes to pick a time
+	useEffect(() => {
+		if (view !== 'pick') return;
+		let active = true;
+		setSlots(null);
+		setLoadFailed(false);
+		source.getSlots().then(
+			(result) => active && setSlots(result),
+			() => active && setLoadFailed(true)
+		);
+		return () => {
+			active = false;
+		};
+	}, [source, view, loadAttempt]);
+
+	// Bookings sent while offline are replayed with the queued leads. When the server rejects the
+	// one this scheduler queued, the booking goes back to what it was before and the error is shown.
+	useEffect(() => {
+		const stop = contactQueue.start();
+		const unsubscribe = contactQueue.subscribe((event) => {
+			const pending = pendingRef.current;
+			if (!pending || !event.item || event.item.id !== pending.id) return;
+			if (event.type !== 'sent' && event.type !== 'failed') return;
+			pendingRef.current = null;
+			if (event.type === 'sent') {
+				setStatus(IDLE);
+				track('demo_booking', { action: pending.action, status: 'success' });
+				return;
+			}
+			const result = statusFromError(event.error);
+			setBooking(pending.before);
+			storeBooking(pending.before);
+			setView(pending.before ? 'confirmed' : 'details');
+			setStatus(result);
+			track('demo_booking', { action: pending.action, status: 'error', code: result.code });
+		});
+		return () => {
+			stop();
+			unsubscribe();
+		};
+	}, []);
+
+	const save = (next) => {
+		setBooking(next);
+		storeBooking(next);
+	};
+
+	// Sends a booking action through the lead pipeline and resolves to true once it was accepted or queued
+	const send = async (action, target, previous = null) => {
+		setStatus(SUBMITTING);
+		try {
+			const payload = buildBookingPayload(target, action, { previous, attribution: analytics.getAttribution() });
+			const guard = await contactSpamGuard.check({ payload, honeypot, startedAt: startedAtRef.current });
+			if (guard.verdict === 'bot') {
+				setStatus(IDLE);
+				return true;
+			}
+			if (guard.verdict !== 'ok') {
+				const code = guard.verdict === 'too-fast' ? ERROR_CODES.TOO_FAST : ERROR_CODES.RATE_LIMITED;
+				setStatus(errorStatus(code, undefined, { retryAfter: guard.retryAfter }));
+				track('demo_booking', { action, status: 'error', code });
+				return false;
+			}
+			const { queued, id } = await submitLead(guard.challenge ? { ...payload, challenge: guard.challenge } : payload);
+			pendingRef.current = queued ? { id, action, before: booking } : null;
+			setStatus(queued ? QUEUED : IDLE);
+			track('demo_booking', { action, status: queued ? 'queued' : 'success' });
+			return true;
+		} catch (error) {
+			console.error('Error sending booking:', error);
+			const result = statusFromError(error);
+			setStatus(result);
+			track('demo_booking', { action, status: 'error', code: result.code });
+			return false;
+		}
+	};
+
+	const handleBook = async (e) => {
+		e.preventDefault();
+		const detailErrors = validateDetails(details);
+		setErrors(detailErrors);
+		if (Object.keys(detailErrors).length) return;
+
+		const previous = booking;
+		const next = createBooking({ slot, timeZone, details, previous });
+		if (await send(previous ? 'reschedule' : 'book', next, previous)) {
+			save(next);
+			setView('confirmed');
+		}
+	};
+
+	const handleCancel = async () => {
+		if (await send('cancel', booking)) {
+			save(null);
+			setSlot(null);
+			setView('cancelled');
+		}
+	};
+
+	const pickSlot = (picked) => {
+		setSlot(picked);
+		setStatus(IDLE);
+		setView('details');
+	};
+
+	const setDetail = (field, value) => {
+		setDetails((current) => ({ ...current, [field]: value }));
+		setErrors(({ [field]: _removed, ...rest }) => rest);
+	};
+
+	let content;
+	if (view === 'confirmed') {
+		content = (
+			<div className='text-center'>
+				<h2 className='text-xl sm:text-2xl font-bold text-fg'>{t('booking.confirmedTitle')}</h2>
+				<p className='mt-3 text-fg-muted'>
+					{t('booking.confirmedText', { time: formatSlot(booking.start, booking.timeZone, locale), email: booking.email })}
+				</p>
+				<div className='mt-6 flex flex-wrap justify-center gap-3'>
+					<a href={toIcsDataUrl(bookingIcs(booking))} download='nimble-ai-demo.ics' className={buttonClasses.primary}>
+						{t('booking.addToCalendar')}
+					</a>
+					<button type='button' onClick={() => setView('pick')} disabled={isLoading} className={buttonClasses.secondary}>
+						{t('booking.reschedule')}
+					</button>
+					<button type='button' onClick={handleCancel} disabled={isLoading} className={buttonClasses.secondary}>
+						{t('booking.cancel')}
+					</button>
+				</div>
+			</div>
+		);
+	} else if (view === 'cancelled') {
+		content = (
+			<div className='text-center'>
+				<h2 className='text-xl sm:text-2xl font-bold text-fg'>{t('booking.cancelledTitle')}</h2>
+				<p className='mt-3 text-fg-muted'>{t('booking.cancelledText')}</p>
+				<button type='button' onClick={() => setView('pick')} className={`mt-6 ${buttonClasses.primary}`}>
+					{t('booking.bookAgain')}
+				</button>
+			</div>
+		);
+	} else if (view === 'details') {
+		content = (
+			<form onSubmit={handleBook} noValidate className='max-w-md mx-auto text-start space-y-4'>
+				<div className='flex flex-wrap items-baseline justify-between gap-2'>
+					<p className='font-semibold text-fg'>{formatSlot(slot.start, timeZone, locale)}</p>
+					<button type='button' onClick={() => setView('pick')} className='text-sm font-semibold underline text-fg-muted'>
+						{t('booking.changeTime')}
+					</button>
+				</div>
+				{[
+					{ field: 'name', type: 'text', autoComplete: 'name' },
+					{ field: 'email', type: 'email', autoComplete: 'email' },
+					{ field: 'company', type: 'text', autoComplete: 'organization' },
+				].map(({ field, ...inputProps }) => (
+					<div key={field}>
+						<label htmlFor={`booking-${field}`} className='block text-sm font-medium text-fg-muted'>
+							{t(`booking.${field}`)}
+						</label>
+						<input
+							id={`booking-${field}`}
+							value={details[field]}
+							onChange={(e) => setDetail(field, e.target.value)}
+							aria-invalid={Boolean(errors[field])}
+							aria-describedby={errors[field] ? `booking-${field}-error` : undefined}
+							className={`mt-1 w-full px-4 py-3 rounded-lg border text-sm focus:outline-none bg-raised text-fg ${
+								errors[field] ? 'border-red-400' : 'border-line-strong focus:border-focus'
+							}`}
+							{...inputProps}
+						/>
+						{errors[field] && (
+							<p id={`booking-${field}-error`} className='mt-1 text-xs text-red-600'>
+								{t(errors[field])}
+							</p>
+						)}
+					</div>
+				))}
+				{/* Honeypot field - visually hidden and skipped by keyboard and screen readers */}
+				<input
+					type='text'
+					name={HONEYPOT_FIELD}
+					value={honeypot}
+					onChange={(e) => setHoneypot(e.target.value)}
+					tabIndex={-1}
+					autoComplete='off'
+					aria-hidden='true'
+					className='absolute -left-[9999px] w-px h-px opacity-0'
+				/>
+				<button type='submit' disabled={isLoading} className={`w-full ${buttonClasses.primary}`}>
+					{isLoading ? t('contact.sending') : booking ? t('booking.confirmReschedule') : t('booking.confirm')}
+				</button>
+			</form>
+		);
+	} else if (loadFailed) {
+		content = (
+			<p role='alert' className='text-center text-fg-muted'>
+				{t('booking.loadFailed')}{' '}
+				<button type='button' onClick={() => setLoadAttempt((attempt) => attempt + 1)} className='font-semibold underline text-fg'>
+					{t('booking.retry')}
+				</button>
+			</p>
+		);
+	} else if (!slots) {
+		content = <p className='text-center text-sm text-fg-subtle'>{t('booking.loading')}</p>;
+	} else if (!slots.length) {
+		content = <p className='text-center text-fg-muted'>{t('booking.noSlots')}</p>;
+	} else {
+		content = (
+			<>
+				{booking && (
+					<p className='mb-6 text-center text-sm text-fg-muted'>
+						{t('booking.currentTime', { time: formatSlot(booking.start, booking.timeZone, locale) })}{' '}
+						<button type='button' onClick={() => setView('confirmed')} className='font-semibold underline text-fg'>
+							{t('booking.keepTime')}
+						</button>
+					</p>
+				)}
+				<SlotPicker slots={slots} timeZone={timeZone} onTimeZoneChange={setTimeZone} selectedStart={slot && slot.start} onSelect={pickSlot} />
+			</>
+		);
+	}
+
+	return (
+		<div className='p-6 sm:p-8 rounded-xl border shadow-md bg-raised border-line-strong'>
+			{content}
+			<SubmissionStatus status={status} />
+		</div>
+	);
+}
+
+export default DemoScheduler;
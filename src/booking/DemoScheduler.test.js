@@ -0,0 +1,98 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { contactQueue } from '../api/contact';
+import DemoScheduler from './DemoScheduler';
+import { BOOKING_KEY } from './booking';
+
+const SLOTS = [
+	{ start: '2026-10-21T09:00:00.000Z', end: '2026-10-21T09:30:00.000Z' },
+	{ start: '2026-10-21T09:30:00.000Z', end: '2026-10-21T10:00:00.000Z' },
+	{ start: '2026-11-03T15:00:00.000Z', end: '2026-11-03T15:30:00.000Z' },
+];
+
+const source = { getSlots: () => Promise.resolve(SLOTS) };
+
+beforeEach(() => localStorage.clear());
+
+test('picks a day and time in the chosen time zone, then asks for contact details', async () => {
+	render(<DemoScheduler source={source} />);
+
+	userEvent.selectOptions(await screen.findByRole('combobox', { name: 'Times shown in' }), 'Europe/London');
+	expect(screen.getByRole('heading', { name: 'Available on Wednesday, October 21, 2026' })).toBeInTheDocument();
+	expect(screen.getByRole('button', { name: 'Thursday, October 22, 2026' })).toBeDisabled();
+
+	userEvent.click(screen.getByRole('button', { name: 'Next month' }));
+	expect(screen.getByRole('heading', { name: 'Available on Tuesday, November 3, 2026' })).toBeInTheDocument();
+	userEvent.click(screen.getByRole('button', { name: 'Previous month' }));
+
+	userEvent.click(screen.getByRole('button', { name: '10:30 AM' }));
+	expect(screen.getByText('Wednesday, October 21, 2026 at 10:30 AM')).toBeInTheDocument();
+
+	userEvent.click(screen.getByRole('button', { name: 'Confirm booking' }));
+	expect(screen.getByLabelText('Your name')).toHaveAccessibleDescription('Please tell us your name.');
+	expect(screen.getByLabelText('Work email')).toHaveAccessibleDescription('Please enter your email address.');
+});
+
+test('offers the calendar invite, rescheduling and cancelling for a stored booking', async () => {
+	const booking = {
+		id: 'demo-1',
+		start: SLOTS[0].start,
+		end: SLOTS[0].end,
+		timeZone: 'Asia/Kolkata',
+		name: 'Asha',
+		email: 'asha@example.com',
+		company: '',
+		sequence: 0,
+	};
+	localStorage.setItem(BOOKING_KEY, JSON.stringify(booking));
+	render(<DemoScheduler source={source} />);
+
+	expect(screen.getByRole('heading', { name: 'Your demo is booked' })).toBeInTheDocument();
+	expect(screen.getByText(/See you on Wednesday, October 21, 2026 at 2:30 PM/)).toBeInTheDocument();
+	const invite = screen.getByRole('link', { name: 'Add to calendar (.ics)' });
+	expect(invite).toHaveAttribute('download', 'nimble-ai-demo.ics');
+	expect(decodeURIComponent(invite.getAttribute('href'))).toContain('DTSTART:20261021T090000Z');
+
+	userEvent.click(screen.getByRole('button', { name: 'Reschedule' }));
+	expect(await screen.findByText(/Your demo is booked for Wednesday, October 21, 2026 at 2:30 PM/)).toBeInTheDocument();
+	userEvent.click(screen.getByRole('button', { name: '3:00 PM' }));
+	expect(screen.getByLabelText('Your name')).toHaveValue('Asha');
+	expect(screen.getByRole('button', { name: 'Confirm new time' })).toBeInTheDocument();
+});
+
+test('restores the booking when a cancellation queued offline is rejected on replay', async () => {
+	const booking = {
+		id: 'demo-1',
+		start: SLOTS[0].start,
+		end: SLOTS[0].end,
+		timeZone: 'UTC',
+		name: 'Asha',
+		email: 'asha@example.com',
+		company: '',
+		sequence: 0,
+	};
+	localStorage.setItem(BOOKING_KEY, JSON.stringify(booking));
+	const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+	const now = Date.now();
+	jest.spyOn(Date, 'now').mockReturnValue(now);
+	jest.spyOn(console, 'error').mockImplementation(() => {});
+	render(<DemoScheduler source={source} />);
+
+	// Past the spam guard's minimum fill time
+	Date.now.mockReturnValue(now + 5000);
+	userEvent.click(screen.getByRole('button', { name: 'Cancel demo' }));
+	expect(await screen.findByRole('heading', { name: 'Your demo is cancelled' })).toBeInTheDocument();
+	expect(localStorage.getItem(BOOKING_KEY)).toBeNull();
+
+	onLine.mockReturnValue(true);
+	const { fetch } = window;
+	window.fetch = jest.fn().mockResolvedValue({ ok: false, status: 400, headers: { get: () => null }, text: () => Promise.resolve('') });
+	await act(() => contactQueue.flush());
+
+	expect(screen.getByRole('heading', { name: 'Your demo is booked' })).toBeInTheDocument();
+	expect(screen.getByRole('alert')).toHaveTextContent("We couldn't accept your details.");
+	expect(JSON.parse(localStorage.getItem(BOOKING_KEY))).toMatchObject({ id: 'demo-1' });
+
+	window.fetch = fetch;
+	jest.restoreAllMocks();
+});
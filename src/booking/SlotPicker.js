@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { addDays, listTimeZones, toDateKey, weekday } from './timeZones';
+
+// Calendar dates ('YYYY-MM-DD') are formatted as UTC midnight so no time zone shifts the day
+const dateFromKey = (dateKey) => new Date(`${dateKey}T00:00:00Z`);
+
+const daysInMonth = (month) => {
+	const [year, index] = month.split('-').map(Number);
+	return new Date(Date.UTC(year, index, 0)).getUTCDate();
+};
+
+const shiftMonth = (month, months) => {
+	const [year, index] = month.split('-').map(Number);
+	return new Date(Date.UTC(year, index - 1 + months, 1)).toISOString().slice(0, 7);
+};
+
+// Slot Picker Component - month calendar of the days with free slots, the free times of the
+// selected day and the time zone they are shown in
+function SlotPicker({ slots, timeZone, onTimeZoneChange, selectedStart, onSelect }) {
+	const { locale, t } = useI18n();
+
+	// Slots per calendar day in the chosen time zone, in ascending order
+	const slotsByDate = useMemo(() => {
+		const byDate = new Map();
+		slots.forEach((slot) => {
+			const dateKey = toDateKey(new Date(slot.start), timeZone);
+			byDate.set(dateKey, [...(byDate.get(dateKey) || []), slot]);
+		});
+		return byDate;
+	}, [slots, timeZone]);
+
+	const dates = [...slotsByDate.keys()];
+	const initialDate = selectedStart ? toDateKey(new Date(selectedStart), timeZone) : dates[0];
+	const [selectedDate, setSelectedDate] = useState(initialDate);
+	const [month, setMonth] = useState((initialDate || toDateKey(new Date(), timeZone)).slice(0, 7));
+	// The picked day while its month is shown, otherwise the first day of the month with free slots
+	const activeDate =
+		selectedDate && selectedDate.startsWith(month) && slotsByDate.has(selectedDate)
+			? selectedDate
+			: dates.find((dateKey) => dateKey.startsWith(month));
+
+	const dayLabel = new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeZone: 'UTC' });
+	const weekdayLabel = new Intl.DateTimeFormat(locale, { weekday: 'narrow', timeZone: 'UTC' });
+	const timeLabel = new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone });
+	// Sunday first; 2023-01-01 was a Sunday
+	const weekdays = Array.from({ length: 7 }, (_, index) => addDays('2023-01-01', index));
+	const firstDay = `${month}-01`;
+	const days = Array.from({ length: daysInMonth(month) }, (_, index) => addDays(firstDay, index));
+
+	return (
+		<div className='grid grid-cols-1 md:grid-cols-2 gap-6 sm:gap-8 text-start'>
+			<div>
+				<div className='flex items-center justify-between mb-4'>
+					<button
+						type='button'
+						onClick={() => setMonth(shiftMonth(month, -1))}
+						disabled={!dates.some((dateKey) => dateKey < firstDay)}
+						aria-label={t('booking.previousMonth')}
+						className='p-2 rounded-full text-fg-muted hover:bg-muted disabled:opacity-30 disabled:hover:bg-transparent'
+					>
+						<svg
+							className='w-5 h-5 rtl:rotate-180'
+							fill='none'
+							stroke='currentColor'
+							viewBox='0 0 24 24'
+							xmlns='http://www.w3.org/2000/svg'
+							aria-hidden='true'
+						>
+							<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M15 19l-7-7 7-7' />
+						</svg>
+					</button>
+					<h3 className='font-semibold text-fg' aria-live='polite'>
+						{new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(dateFromKey(firstDay))}
+					</h3>
+					<button
+						type='button'
+						onClick={() => setMonth(shiftMonth(month, 1))}
+						disabled={!dates.some((dateKey) => dateKey > `${month}-31`)}
+						aria-label={t('booking.nextMonth')}
+						className='p-2 rounded-full text-fg-muted hover:bg-muted disabled:opacity-30 disabled:hover:bg-transparent'
+					>
+						<svg
+							className='w-5 h-5 rtl:rotate-180'
+							fill='none'
+							stroke='currentColor'
+							viewBox='0 0 24 24'
+							xmlns='http://www.w3.org/2000/svg'
+							aria-hidden='true'
+						>
+							<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M9 5l7 7-7 7' />
+						</svg>
+					</button>
+				</div>
+				<div className='grid grid-cols-7 gap-1 text-center text-sm'>
+					{weekdays.map((dateKey) => (
+						<span key={dateKey} aria-hidden='true' className='py-1 text-xs font-medium text-fg-subtle'>
+							{weekdayLabel.format(dateFromKey(dateKey))}
+						</span>
+					))}
+					{days.map((dateKey, index) => {
+						const available = slotsByDate.has(dateKey);
+						const selected = dateKey === activeDate;
+						return (
+							<button
+								key={dateKey}
+								type='button'
+								disabled={!available}
+								aria-pressed={selected}
+								aria-label={dayLabel.format(dateFromKey(dateKey))}
+								onClick={() => setSelectedDate(dateKey)}
+								style={index === 0 ? { gridColumnStart: weekday(dateKey) + 1 } : undefined}
+								className={`aspect-square rounded-full transition-colors duration-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-focus ${
+									selected ? 'bg-accent text-on-accent font-semibold' : available ? 'font-medium text-fg hover:bg-muted' : 'text-fg-subtle opacity-40'
+								}`}
+							>
+								{Number(dateKey.slice(8))}
+							</button>
+						);
+					})}
+				</div>
+				<label className='block mt-6 text-sm'>
+					<span className='block font-medium text-fg-muted'>{t('booking.timeZone')}</span>
+					<select
+						value={timeZone}
+						onChange={(e) => onTimeZoneChange(e.target.value)}
+						className='mt-1 w-full px-3 py-2 rounded-lg border text-sm focus:outline-none bg-raised border-line-strong text-fg focus:border-focus'
+					>
+						{listTimeZones(timeZone).map((zone) => (
+							<option key={zone} value={zone}>
+								{zone.replace(/_/g, ' ')}
+							</option>
+						))}
+					</select>
+				</label>
+			</div>
+			<div>
+				<h3 className='font-semibold mb-4 text-fg'>
+					{activeDate ? t('booking.timesOn', { date: dayLabel.format(dateFromKey(activeDate)) }) : t('booking.noTimesThisMonth')}
+				</h3>
+				{activeDate && (
+					<ul className='grid grid-cols-2 sm:grid-cols-3 gap-2'>
+						{slotsByDate.get(activeDate).map((slot) => (
+							<li key={slot.start}>
+								<button
+									type='button'
+									aria-pressed={slot.start === selectedStart}
+									onClick={() => onSelect(slot)}
+									className={`w-full px-3 py-2 rounded-lg border text-sm font-medium transition-colors duration-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-focus ${
+										slot.start === selectedStart ? 'bg-accent text-on-accent border-transparent' : 'border-line-strong text-fg hover:bg-muted'
+									}`}
+								>
+									{timeLabel.format(new Date(slot.start))}
+								</button>
+							</li>
+						))}
+					</ul>
+				)}
+			</div>
+		</div>
+	);
+}
+
+export default SlotPicker;
@@ -0,0 +1,39 @@
+import schedule from './availability.json';
+import { addDays, toDateKey, weekday, zonedTimeToDate } from './timeZones';
+
+// An availability source lists the demo slots that can still be booked. Every source exposes
+// `getSlots({ from, to })`, resolving to `{ start, end }` ISO strings in ascending order. Until
+// the team calendar is connected, slots come from the weekly schedule in ./availability.json.
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Slots from a weekly schedule: opening hours per weekday in the schedule's time zone, split into
+// `slotMinutes` slots, skipping `closed` dates, anything sooner than `minNoticeHours` from now and
+// anything more than `horizonDays` ahead
+export const createScheduleAvailability = (config = schedule, { now = () => new Date() } = {}) => ({
+	getSlots: async ({ from, to } = {}) => {
+		const current = now();
+		const earliest = Math.max(from ? new Date(from).getTime() : 0, current.getTime() + config.minNoticeHours * HOUR);
+		const latest = Math.min(to ? new Date(to).getTime() : Infinity, current.getTime() + config.horizonDays * DAY);
+		const slotMs = config.slotMinutes * 60 * 1000;
+		const slots = [];
+
+		for (
+			let dateKey = toDateKey(new Date(earliest), config.timeZone);
+			zonedTimeToDate(dateKey, '00:00', config.timeZone) <= latest;
+			dateKey = addDays(dateKey, 1)
+		) {
+			if (config.closed.includes(dateKey)) continue;
+			(config.weekly[WEEKDAYS[weekday(dateKey)]] || []).forEach(([open, close]) => {
+				const closing = zonedTimeToDate(dateKey, close, config.timeZone).getTime();
+				for (let start = zonedTimeToDate(dateKey, open, config.timeZone).getTime(); start + slotMs <= closing; start += slotMs) {
+					if (start >= earliest && start + slotMs <= latest)
+						slots.push({ start: new Date(start).toISOString(), end: new Date(start + slotMs).toISOString() });
+				}
+			});
+		}
+		return slots;
+	},
+});
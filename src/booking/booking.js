@@ -0,0 +1,61 @@
+import { buildLeadPayload, INITIAL_VALUES, validateStep } from '../contact/leadForm';
+
+// A booking is a plain object, kept in localStorage so visitors can come back to reschedule or cancel:
+// { id, start, end, timeZone, name, email, company, sequence }
+// `sequence` counts reschedules, see ./ics
+
+export const BOOKING_KEY = 'nimble-demo-booking';
+
+export const readBooking = (storage = window.localStorage) => {
+	try {
+		const booking = JSON.parse(storage.getItem(BOOKING_KEY));
+		return booking && booking.id && booking.start ? booking : null;
+	} catch (error) {
+		return null;
+	}
+};
+
+export const storeBooking = (booking, storage = window.localStorage) => {
+	try {
+		if (booking) storage.setItem(BOOKING_KEY, JSON.stringify(booking));
+		else storage.removeItem(BOOKING_KEY);
+	} catch (error) {
+		// Without storage the booking can only be managed until the page is left
+	}
+};
+
+// Name and email are required to book, the company is optional. Errors are catalog keys, see contact/leadForm
+export const validateDetails = (values) => {
+	const { company, ...errors } = { ...validateStep(0, { ...INITIAL_VALUES, ...values }), ...validateStep(1, { ...INITIAL_VALUES, ...values }) };
+	return errors;
+};
+
+// The booking for `slot`. Rescheduling keeps the id of the `previous` booking and bumps its sequence.
+export const createBooking = ({ slot, timeZone, details, previous = null }) => ({
+	id: previous ? previous.id : `demo-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+	start: slot.start,
+	end: slot.end,
+	timeZone,
+	name: details.name.trim(),
+	email: details.email.trim(),
+	company: details.company.trim(),
+	sequence: previous ? previous.sequence + 1 : 0,
+});
+
+// Bookings reach the backend as leads: the lead payload with the slot as the preferred demo time
+// and the visitor's chosen time zone, plus a `demoBooking` block. `action` is book, reschedule or
+// cancel; a reschedule also names the start it replaces.
+export const buildBookingPayload = (booking, action, { previous = null, attribution = null } = {}) => ({
+	...buildLeadPayload(
+		{ ...INITIAL_VALUES, email: booking.email, name: booking.name, company: booking.company, demoTime: booking.start },
+		attribution
+	),
+	timeZone: booking.timeZone,
+	demoBooking: {
+		id: booking.id,
+		action,
+		end: booking.end,
+		sequence: booking.sequence,
+		...(previous && { previousStart: previous.start }),
+	},
+});
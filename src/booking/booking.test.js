@@ -0,0 +1,108 @@
+import { createScheduleAvailability } from './availability';
+import { buildBookingPayload, createBooking, validateDetails } from './booking';
+import { buildIcs } from './ics';
+import { toDateKey, zonedTimeToDate } from './timeZones';
+
+const SCHEDULE = {
+	timeZone: 'Asia/Kolkata',
+	slotMinutes: 30,
+	minNoticeHours: 12,
+	horizonDays: 3,
+	weekly: { mon: [['17:00', '18:00']], wed: [['10:00', '11:00']] },
+	closed: ['2026-10-20'],
+};
+
+// Monday 19 October 2026, 05:30 in Kolkata
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+test('converts wall clock times in any time zone, across daylight saving time', () => {
+	expect(zonedTimeToDate('2026-10-19', '10:00', 'Asia/Kolkata').toISOString()).toBe('2026-10-19T04:30:00.000Z');
+	expect(zonedTimeToDate('2026-01-15', '09:00', 'America/New_York').toISOString()).toBe('2026-01-15T14:00:00.000Z');
+	expect(zonedTimeToDate('2026-07-15', '09:00', 'America/New_York').toISOString()).toBe('2026-07-15T13:00:00.000Z');
+	expect(toDateKey(new Date('2026-10-19T20:00:00Z'), 'Asia/Kolkata')).toBe('2026-10-20');
+	expect(toDateKey(new Date('2026-10-19T20:00:00Z'), 'America/Los_Angeles')).toBe('2026-10-19');
+});
+
+test('lists schedule slots after the minimum notice and within the horizon', async () => {
+	const slots = await createScheduleAvailability(SCHEDULE, { now: () => NOW }).getSlots();
+	// 17:00 is less than 12 hours away, Tuesday is closed and Thursday is past the horizon
+	expect(slots).toEqual([
+		{ start: '2026-10-19T12:00:00.000Z', end: '2026-10-19T12:30:00.000Z' },
+		{ start: '2026-10-21T04:30:00.000Z', end: '2026-10-21T05:00:00.000Z' },
+		{ start: '2026-10-21T05:00:00.000Z', end: '2026-10-21T05:30:00.000Z' },
+	]);
+	const later = await createScheduleAvailability(SCHEDULE, { now: () => NOW }).getSlots({ from: '2026-10-20T00:00:00Z' });
+	expect(later.map((slot) => slot.start)).toEqual(['2026-10-21T04:30:00.000Z', '2026-10-21T05:00:00.000Z']);
+});
+
+describe('bookings', () => {
+	const slot = { start: '2026-10-21T04:30:00.000Z', end: '2026-10-21T05:00:00.000Z' };
+	const details = { name: ' Asha ', email: 'asha@example.com', company: '' };
+
+	test('requires a name and a valid email', () => {
+		expect(validateDetails({ name: '', email: 'asha@', company: '' })).toEqual({
+			email: 'lead.error.emailInvalid',
+			name: 'lead.error.nameRequired',
+		});
+		expect(validateDetails(details)).toEqual({});
+	});
+
+	test('are sent as leads, and rescheduling keeps the booking id', () => {
+		const booking = createBooking({ slot, timeZone: 'Europe/Berlin', details });
+		expect(buildBookingPayload(booking, 'book')).toEqual({
+			userEmail: 'asha@example.com',
+			name: 'Asha',
+			preferredDemoTime: slot.start,
+			timeZone: 'Europe/Berlin',
+			demoBooking: { id: booking.id, action: 'book', end: slot.end, sequence: 0 },
+		});
+
+		const moved = createBooking({
+			slot: { start: '2026-10-21T05:00:00.000Z', end: '2026-10-21T05:30:00.000Z' },
+			timeZone: 'Europe/Berlin',
+			details,
+			previous: booking,
+		});
+		expect(moved).toMatchObject({ id: booking.id, sequence: 1 });
+		expect(buildBookingPayload(moved, 'reschedule', { previous: booking }).demoBooking).toEqual({
+			id: booking.id,
+			action: 'reschedule',
+			end: '2026-10-21T05:30:00.000Z',
+			sequence: 1,
+			previousStart: slot.start,
+		});
+	});
+
+	test('export to an iCalendar event', () => {
+		const ics = buildIcs(
+			{
+				uid: 'demo-1@nimble.ai',
+				start: slot.start,
+				end: slot.end,
+				summary: 'Nimble AI demo',
+				description: `Agenda: your scenarios; questions, pricing\n${'and a long line '.repeat(5)}`,
+				organizer: { name: 'Nimble AI', email: 'enquire@nimble.ai' },
+				attendee: { name: 'Asha, Acme', email: 'asha@example.com' },
+				sequence: 2,
+			},
+			new Date('2026-10-18T09:15:00Z')
+		);
+		const lines = ics.split('\r\n');
+		expect(ics.endsWith('\r\n')).toBe(true);
+		expect(lines).toEqual(
+			expect.arrayContaining([
+				'BEGIN:VEVENT',
+				'UID:demo-1@nimble.ai',
+				'SEQUENCE:2',
+				'DTSTAMP:20261018T091500Z',
+				'DTSTART:20261021T043000Z',
+				'DTEND:20261021T050000Z',
+				'ORGANIZER;CN="Nimble AI":mailto:enquire@nimble.ai',
+				'ATTENDEE;CN="Asha, Acme";RSVP=FALSE:mailto:asha@example.com',
+			])
+		);
+		// Long lines are folded at 75 octets and text values escaped
+		expect(lines.every((line) => line.length <= 75)).toBe(true);
+		expect(ics.replace(/\r\n /g, '')).toContain('DESCRIPTION:Agenda: your scenarios\\; questions\\, pricing\\nand a long line');
+	});
+});
@@ -0,0 +1,73 @@
+// Builds iCalendar (RFC 5545) files for booked demos, so visitors can add them to any calendar.
+
+// 20250501T103000Z
+const formatUtc = (date) =>
+	new Date(date)
+		.toISOString()
+		.replace(/[-:]/g, '')
+		.replace(/\.\d{3}/, '');
+
+const escapeText = (text) =>
+	text
+		.replace(/\\/g, '\\\\')
+		.replace(/\n/g, '\\n')
+		.replace(/[,;]/g, (char) => `\\${char}`);
+
+// Parameter values such as a display name are quoted, and can't contain quotes themselves
+const quoteParam = (text) => `"${text.replace(/"/g, "'")}"`;
+
+const utf8Length = (char) => {
+	const code = char.codePointAt(0);
+	if (code < 0x80) return 1;
+	if (code < 0x800) return 2;
+	return code < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets continue on the next line after a space. Splitting by code point
+// keeps multi-byte characters (Hindi, Arabic names) intact.
+const fold = (line) => {
+	const chunks = [];
+	let chunk = '';
+	let length = 0;
+	for (const char of line) {
+		// Continuation lines lose one octet to the leading space
+		if (length + utf8Length(char) > (chunks.length ? 74 : 75)) {
+			chunks.push(chunk);
+			chunk = '';
+			length = 0;
+		}
+		chunk += char;
+		length += utf8Length(char);
+	}
+	return [...chunks, chunk].join('\r\n ');
+};
+
+// `event`: { uid, start, end, summary, description, url, organizer: { name, email }, attendee, sequence }.
+// `sequence` goes up with every reschedule so calendars replace the earlier version of the event.
+export const buildIcs = ({ uid, start, end, summary, description, url, organizer, attendee, sequence = 0 }, now = new Date()) => {
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//Nimble AI//Demo booking//EN',
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		'BEGIN:VEVENT',
+		`UID:${uid}`,
+		`SEQUENCE:${sequence}`,
+		`DTSTAMP:${formatUtc(now)}`,
+		`DTSTART:${formatUtc(start)}`,
+		`DTEND:${formatUtc(end)}`,
+		`SUMMARY:${escapeText(summary)}`,
+		description && `DESCRIPTION:${escapeText(description)}`,
+		url && `URL:${url}`,
+		organizer && `ORGANIZER;CN=${quoteParam(organizer.name)}:mailto:${organizer.email}`,
+		attendee && `ATTENDEE;CN=${quoteParam(attendee.name || attendee.email)};RSVP=FALSE:mailto:${attendee.email}`,
+		'STATUS:CONFIRMED',
+		'END:VEVENT',
+		'END:VCALENDAR',
+	];
+	return `${lines.filter(Boolean).map(fold).join('\r\n')}\r\n`;
+};
+
+// Link target that downloads the file without a server round trip
+export const toIcsDataUrl = (ics) => `data:text/calendar;charset=utf-8,${encodeURIComponent(ics)}`;
@@ -0,0 +1,4 @@
+import { createScheduleAvailability } from './availability';
+
+// The site-wide availability source for demo bookings, see ./availability
+export const availability = createScheduleAvailability();
@@ -0,0 +1,79 @@
+// Date helpers for IANA time zones built on Intl, so slots defined in the team's time zone can be
+// listed and labelled in the visitor's. Calendar dates are 'YYYY-MM-DD' strings throughout.
+
+const formatters = new Map();
+
+const partsFormatter = (timeZone) => {
+	if (!formatters.has(timeZone)) {
+		formatters.set(
+			timeZone,
+			new Intl.DateTimeFormat('en-US', {
+				timeZone,
+				hourCycle: 'h23',
+				year: 'numeric',
+				month: '2-digit',
+				day: '2-digit',
+				hour: '2-digit',
+				minute: '2-digit',
+				second: '2-digit',
+			})
+		);
+	}
+	return formatters.get(timeZone);
+};
+
+// Wall clock fields of `date` in `timeZone`
+const zonedParts = (date, timeZone) =>
+	Object.fromEntries(
+		partsFormatter(timeZone)
+			.formatToParts(date)
+			.filter((part) => part.type !== 'literal')
+			.map((part) => [part.type, Number(part.value)])
+	);
+
+// Milliseconds `timeZone` is ahead of UTC at `date`, e.g. 19800000 for Asia/Kolkata
+export const timeZoneOffset = (date, timeZone) => {
+	const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+	return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a wall clock shows `time` ('HH:MM') on `dateKey` in `timeZone`. The offset is
+// looked up twice so times next to a daylight saving change land on the right side of it.
+export const zonedTimeToDate = (dateKey, time, timeZone) => {
+	const [year, month, day] = dateKey.split('-').map(Number);
+	const [hour, minute] = time.split(':').map(Number);
+	const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+	const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+	return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Calendar date of `date` in `timeZone`
+export const toDateKey = (date, timeZone) => {
+	const { year, month, day } = zonedParts(date, timeZone);
+	return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// Calendar date `days` after `dateKey` (negative to go back)
+export const addDays = (dateKey, days) => {
+	const [year, month, day] = dateKey.split('-').map(Number);
+	return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// 0 (Sunday) to 6 (Saturday)
+export const weekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+export const detectTimeZone = () => {
+	try {
+		return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+	} catch (error) {
+		return 'UTC';
+	}
+};
+
+// Every time zone the browser knows, with `current` first when older browsers can't list them
+export const listTimeZones = (current) => {
+	const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+	return zones.includes(current) ? zones : [current, ...zones];
+};
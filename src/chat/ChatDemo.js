@@ -0,0 +1,99 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import { AIMessage, CustomerMessage, TypingIndicator } from './ChatMessages';
+import { createScriptedReply } from './intents';
+import { createDefaultTransport } from './transports';
+import { useChat } from './useChat';
+
+// Interactive Nimble AI Chat Demo - streams replies from the configured chat transport
+function ChatDemo({ transport }) {
+	const { chat } = useContent();
+	const chatTransport = useMemo(() => transport || createDefaultTransport(undefined, { getReply: createScriptedReply(chat) }), [transport, chat]);
+	const { messages, status, send, reset } = useChat(chatTransport, { greeting: chat.greeting });
+	const { t } = useI18n();
+	const [draft, setDraft] = useState('');
+	const logRef = useRef(null);
+	const isBusy = status === 'typing' || status === 'streaming';
+
+	// Keep the latest message in view as replies stream in
+	useEffect(() => {
+		if (logRef.current) {
+			logRef.current.scrollTop = logRef.current.scrollHeight;
+		}
+	}, [messages, status]);
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		if (isBusy) return;
+		send(draft);
+		setDraft('');
+	};
+
+	return (
+		<div className='lg:w-1/2 w-full rounded-xl shadow-lg p-4 sm:p-6 flex flex-col animate-fadeIn animate-delay-200 max-w-md mx-auto bg-muted'>
+			<div className='flex items-center justify-between mb-4 sm:mb-6'>
+				<h3 className='text-lg sm:text-xl font-semibold flex items-center gap-1.5 sm:gap-2 text-fg'>
+					<span className='text-2xl sm:text-3xl text-fg'>◎</span> {t('chat.title')}
+				</h3>
+				<button
+					type='button'
+					onClick={reset}
+					className='text-xs sm:text-sm font-medium px-3 py-1 rounded-full transition-colors duration-300 bg-raised text-fg-muted hover:bg-muted-strong'
+				>
+					{t('chat.reset')}
+				</button>
+			</div>
+
+			{/* Chat Messages */}
+			<div ref={logRef} className='space-y-3 flex-grow h-72 overflow-y-auto pr-1' role='log' aria-live='polite' aria-label={t('chat.log')}>
+				{messages.map((message) =>
+					message.role === 'user' ? (
+						<CustomerMessage key={message.id} text={message.text} />
+					) : (
+						<AIMessage key={message.id} text={message.text} linkLabel={t('chat.articleLink')} />
+					)
+				)}
+				{status === 'typing' && <TypingIndicator label={t('chat.typing')} />}
+				{status === 'error' && <p className='text-xs sm:text-sm text-red-600 text-left'>{t('chat.error')}</p>}
+			</div>
+
+			{/* Suggested prompts for first-time visitors */}
+			{messages.length === 1 && (
+				<div className='flex flex-wrap gap-2 mt-4'>
+					{chat.suggestions.map((suggestion) => (
+						<button
+							key={suggestion}
+							type='button'
+							onClick={() => send(suggestion)}
+							disabled={isBusy}
+							className='text-xs px-3 py-1 rounded-full border transition-colors duration-300 border-line-strong text-fg-muted hover:bg-raised'
+						>
+							{suggestion}
+						</button>
+					))}
+				</div>
+			)}
+
+			<form onSubmit={handleSubmit} className='mt-4 flex items-center gap-2'>
+				<input
+					type='text'
+					value={draft}
+					onChange={(e) => setDraft(e.target.value)}
+					placeholder={t('chat.placeholder')}
+					aria-label={t('chat.inputLabel')}
+					className='flex-grow px-4 py-2 rounded-full border text-sm focus:outline-none bg-raised border-line-strong text-fg placeholder-fg-subtle focus:border-focus'
+				/>
+				<button
+					type='submit'
+					disabled={isBusy || !draft.trim()}
+					className='px-4 py-2 rounded-full text-sm font-semibold transition duration-300 disabled:opacity-50 bg-accent text-on-accent hover:bg-accent-hover'
+				>
+					{t('chat.send')}
+				</button>
+			</form>
+		</div>
+	);
+}
+
+export default ChatDemo;
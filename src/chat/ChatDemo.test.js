@@ -0,0 +1,45 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import I18nProvider from '../i18n/I18nProvider';
+import ChatDemo from './ChatDemo';
+
+const echoTransport = {
+	async *stream(messages) {
+		yield 'You said: ';
+		yield messages[messages.length - 1].text;
+	},
+};
+
+beforeEach(() => sessionStorage.clear());
+
+test('sends a message and renders the streamed reply', async () => {
+	render(<ChatDemo transport={echoTransport} />);
+
+	userEvent.type(screen.getByLabelText('Message Nimble AI'), 'Where is my order?');
+	userEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+	expect(await screen.findByText('You said: Where is my order?')).toBeInTheDocument();
+	expect(screen.getByText('Where is my order?')).toBeInTheDocument();
+});
+
+test('starts a new chat from the greeting', async () => {
+	render(<ChatDemo transport={echoTransport} />);
+
+	userEvent.click(screen.getByRole('button', { name: 'How do refunds work?' }));
+	await screen.findByText('You said: How do refunds work?');
+	userEvent.click(screen.getByRole('button', { name: 'New chat' }));
+
+	expect(screen.queryByText('You said: How do refunds work?')).not.toBeInTheDocument();
+	expect(screen.getByText('Hello! How can I assist you today?')).toBeInTheDocument();
+});
+
+test("greets and suggests prompts in the visitor's language", () => {
+	render(
+		<I18nProvider initialLocale='hi'>
+			<ChatDemo transport={echoTransport} />
+		</I18nProvider>
+	);
+
+	expect(screen.getByText('नमस्ते! आज मैं आपकी क्या मदद कर सकता हूँ?')).toBeInTheDocument();
+	expect(screen.getByRole('button', { name: 'रिफ़ंड कैसे होता है?' })).toBeInTheDocument();
+});
@@ -0,0 +1,38 @@
+import React from 'react';
+
+// Reusable User Message Component for the chat demo (now CustomerMessage)
+export const CustomerMessage = ({ text }) => (
+	<div className='flex justify-end animate-fadeIn'>
+		<div className='p-2 sm:p-3 rounded-lg max-w-[80%] text-right shadow-sm bg-inverse text-on-inverse'>
+			<p className='text-xs sm:text-sm'>{text}</p>
+		</div>
+	</div>
+);
+
+// Reusable AI Message Component for the chat demo. Labels are passed in rather than translated here,
+// since the embeddable widget renders these messages without the site's i18n layer.
+export const AIMessage = ({ text, link, linkLabel = 'refer to this article.' }) => (
+	<div className='flex justify-start animate-fadeIn'>
+		<div className='p-2 sm:p-3 rounded-lg max-w-[80%] text-left shadow-sm border bg-raised text-fg border-line-strong'>
+			<p className='text-xs sm:text-sm'>
+				{text}
+				{link && (
+					<a href={link} className='text-blue-600 hover:underline ml-1 text-xs sm:text-sm' target='_blank' rel='noopener noreferrer'>
+						{linkLabel}
+					</a>
+				)}
+			</p>
+		</div>
+	</div>
+);
+
+// Three bouncing dots shown while the assistant is preparing a reply
+export const TypingIndicator = ({ label = 'Nimble AI is typing' }) => (
+	<div className='flex justify-start animate-fadeIn' role='status' aria-label={label}>
+		<div className='px-3 py-2 sm:py-3 rounded-lg shadow-sm border flex items-center gap-1 bg-raised border-line-strong'>
+			{[0, 150, 300].map((delay) => (
+				<span key={delay} className='h-1.5 w-1.5 rounded-full animate-bounce bg-fg-subtle' style={{ animationDelay: `${delay}ms` }}></span>
+			))}
+		</div>
+	</div>
+);
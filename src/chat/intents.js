@@ -0,0 +1,96 @@
+// The chat copy is read straight from its JSON file (validated with the rest in src/content) so the
+// embeddable widget, which shares this module, does not bundle the whole content layer
+import chat from '../content/chat.json';
+import { fillTemplate } from '../content/template';
+
+// Scripted intents used by the offline mock responder. Each intent is matched against the
+// latest customer message in order, the first match wins and `reply` builds the answer.
+// Hindi and Arabic keywords sit next to the English ones (`\b` does not work outside ASCII).
+const ORDER_NUMBER = /#?\b(\d{4,})\b/;
+
+const findOrderNumber = (text) => {
+	const match = text.match(ORDER_NUMBER);
+	return match ? match[1] : null;
+};
+
+// Builds the reply for an intent from the templates in `content` (src/content/chat.json or its
+// translation); the `withOrderNumber` variant is used when the customer mentioned an order number.
+const replyFor = (content, id) => (text) => {
+	const { default: reply, withOrderNumber } = content.replies[id];
+	const orderNumber = findOrderNumber(text);
+	return fillTemplate(orderNumber && withOrderNumber ? withOrderNumber : reply, { orderNumber });
+};
+
+// Intents answering with the replies of `content`, e.g. the chat copy of the visitor's language
+export const createIntents = (content = chat) => [
+	{
+		id: 'refund',
+		patterns: [/\b(refund|money back|reimburse)/i, /(रिफ़ंड|रिफंड|पैसे वापस|استرداد)/],
+		reply: replyFor(content, 'refund'),
+	},
+	{
+		id: 'return',
+		patterns: [/\b(return|exchange|replace)\b/i, /(रिटर्न|वापसी|إرجاع|استبدال)/],
+		reply: replyFor(content, 'return'),
+	},
+	{
+		id: 'cancel',
+		patterns: [/\bcancel/i, /(रद्द|إلغاء)/],
+		reply: replyFor(content, 'cancel'),
+	},
+	{
+		id: 'order-status-with-number',
+		patterns: [ORDER_NUMBER],
+		reply: replyFor(content, 'order-status-with-number'),
+	},
+	{
+		id: 'order-status',
+		patterns: [
+			/\border\b.*\b(status|where|track|update)\b/i,
+			/\b(track|tracking|where is)\b.*\b(order|package|parcel)\b/i,
+			/\border status\b/i,
+			/ऑर्डर.*(स्थिति|कहाँ|ट्रैक)/,
+			/(حالة|أين|تتبع).*طلب/,
+		],
+		reply: replyFor(content, 'order-status'),
+	},
+	{
+		id: 'shipping',
+		patterns: [/\b(shipping|delivery|deliver)\b/i, /(शिपिंग|डिलीवरी|شحن|توصيل)/],
+		reply: replyFor(content, 'shipping'),
+	},
+	{
+		id: 'human',
+		patterns: [/\b(human|agent|person|representative|someone)\b/i, /(इंसान|एजेंट|موظف|شخص)/],
+		reply: replyFor(content, 'human'),
+	},
+	{
+		id: 'thanks',
+		patterns: [/\b(thanks|thank you|thx)\b/i, /(धन्यवाद|शुक्रिया|شكر)/],
+		reply: replyFor(content, 'thanks'),
+	},
+	{
+		id: 'greeting',
+		patterns: [/^\s*(hi|hello|hey|good (morning|afternoon|evening))\b/i, /^\s*(नमस्ते|مرحب|السلام عليكم)/],
+		reply: replyFor(content, 'greeting'),
+	},
+];
+
+export const intents = createIntents();
+
+export const fallbackReply = chat.fallbackReply;
+
+// Returns the first intent whose patterns match `text`, or null.
+export const matchIntent = (text, intentList = intents) => intentList.find((intent) => intent.patterns.some((pattern) => pattern.test(text))) || null;
+
+// Builds the scripted reply for a customer message.
+export const getScriptedReply = (text, intentList = intents, fallback = fallbackReply) => {
+	const intent = matchIntent(text, intentList);
+	return intent ? intent.reply(text) : fallback;
+};
+
+// Scripted replies in the language of `content`, for the mock transport's `getReply`
+export const createScriptedReply = (content) => {
+	const intentList = createIntents(content);
+	return (text) => getScriptedReply(text, intentList, content.fallbackReply);
+};
@@ -0,0 +1,90 @@
+import { getScriptedReply } from './intents';
+
+// A chat transport turns the conversation so far into a streamed assistant reply.
+// Every transport exposes `stream(messages, { signal })`, an async iterable of text chunks,
+// where `messages` is the history as `{ role: 'user' | 'assistant', text }` objects.
+
+const abortError = () => new DOMException('The chat request was aborted.', 'AbortError');
+
+// Resolves after `ms`, or rejects early with an AbortError if `signal` aborts.
+const wait = (ms, signal) =>
+	new Promise((resolve, reject) => {
+		if (signal && signal.aborted) {
+			reject(abortError());
+			return;
+		}
+		const timer = setTimeout(() => {
+			if (signal) signal.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(abortError());
+		};
+		if (signal) signal.addEventListener('abort', onAbort, { once: true });
+	});
+
+const lastUserText = (messages) => {
+	const lastUserMessage = [...messages].reverse().find((message) => message.role === 'user');
+	return lastUserMessage ? lastUserMessage.text : '';
+};
+
+// Local scripted responder so the demo works offline. Replies are streamed word by word
+// after a short "thinking" pause to mimic a real model.
+export const createMockTransport = ({ thinkingDelay = 600, wordDelay = 40, getReply = getScriptedReply } = {}) => ({
+	async *stream(messages, { signal } = {}) {
+		const reply = getReply(lastUserText(messages));
+		await wait(thinkingDelay, signal);
+		for (const chunk of reply.match(/\s*\S+\s*/g) || []) {
+			yield chunk;
+			await wait(wordDelay, signal);
+		}
+	},
+});
+
+// Transport for the Nimble AI backend. The endpoint receives `{ messages }` and may either
+// stream plain text chunks in the response body or answer with a JSON `{ reply }`.
+export const createHttpTransport = ({ endpoint, headers = {}, fetchImpl = (...args) => fetch(...args) }) => ({
+	async *stream(messages, { signal } = {}) {
+		const response = await fetchImpl(endpoint, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				...headers,
+			},
+			body: JSON.stringify({ messages: messages.map(({ role, text }) => ({ role, text })) }),
+			signal,
+		});
+
+		if (!response.ok) {
+			throw new Error(`Chat request failed with status ${response.status}`);
+		}
+
+		const contentType = (response.headers && response.headers.get('Content-Type')) || '';
+		if (contentType.includes('application/json') || !response.body || !response.body.getReader) {
+			const data = await response.json();
+			yield data.reply;
+			return;
+		}
+
+		const reader = response.body.getReader();
+		const decoder = new TextDecoder();
+		try {
+			while (true) {
+				const { done, value } = await reader.read();
+				if (done) break;
+				const chunk = decoder.decode(value, { stream: true });
+				if (chunk) yield chunk;
+			}
+			const rest = decoder.decode();
+			if (rest) yield rest;
+		} finally {
+			reader.releaseLock();
+		}
+	},
+});
+
+// Picks the HTTP transport when a chat endpoint is configured, otherwise the offline mock
+// (`mockOptions` are passed to it, e.g. a `getReply` answering in the visitor's language).
+export const createDefaultTransport = (endpoint = process.env.REACT_APP_CHAT_ENDPOINT, mockOptions) =>
+	endpoint ? createHttpTransport({ endpoint }) : createMockTransport(mockOptions);
@@ -0,0 +1,70 @@
+import { getContent } from '../content';
+import { createScriptedReply, getScriptedReply, matchIntent } from './intents';
+import { createHttpTransport, createMockTransport } from './transports';
+
+const collect = async (iterable) => {
+	let text = '';
+	for await (const chunk of iterable) text += chunk;
+	return text;
+};
+
+test('matches order status questions and asks for the order number', () => {
+	expect(matchIntent('I need to know my order status.').id).toBe('order-status');
+	expect(getScriptedReply('My order number is #12345.')).toContain('#12345');
+});
+
+test('routes refunds with an order number to the refund intent', () => {
+	expect(matchIntent('I want a refund for order 98765').id).toBe('refund');
+	expect(getScriptedReply('I want a refund for order 98765')).toContain('refund for order #98765');
+});
+
+test('falls back to a helpful reply for unknown questions', () => {
+	expect(matchIntent('What is the meaning of life?')).toBeNull();
+	expect(getScriptedReply('What is the meaning of life?')).toMatch(/order status/);
+});
+
+test("answers the suggested prompts with the replies of the visitor's language", () => {
+	const { chat } = getContent('ar');
+	const getReply = createScriptedReply(chat);
+
+	chat.suggestions.forEach((suggestion) => expect(getReply(suggestion)).not.toBe(chat.fallbackReply));
+	expect(getReply('أريد استرداد المبلغ للطلب 98765')).toContain('#98765');
+	expect(getReply('ما معنى الحياة؟')).toBe(chat.fallbackReply);
+});
+
+test('mock transport streams the scripted reply in chunks', async () => {
+	const transport = createMockTransport({ thinkingDelay: 0, wordDelay: 0 });
+	const chunks = [];
+	for await (const chunk of transport.stream([{ role: 'user', text: 'hello' }])) chunks.push(chunk);
+
+	expect(chunks.length).toBeGreaterThan(1);
+	expect(chunks.join('')).toBe('Hello! How can I assist you today?');
+});
+
+test('mock transport stops when aborted', async () => {
+	const controller = new AbortController();
+	const transport = createMockTransport({ thinkingDelay: 50 });
+	const pending = collect(transport.stream([{ role: 'user', text: 'hello' }], { signal: controller.signal }));
+	controller.abort();
+
+	await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+});
+
+test('http transport posts the history and reads a JSON reply', async () => {
+	const fetchImpl = jest.fn().mockResolvedValue({
+		ok: true,
+		headers: { get: () => 'application/json' },
+		json: () => Promise.resolve({ reply: 'From the backend' }),
+	});
+	const transport = createHttpTransport({ endpoint: '/chat', fetchImpl });
+
+	await expect(collect(transport.stream([{ id: '1', role: 'user', text: 'hi' }]))).resolves.toBe('From the backend');
+	expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toEqual({ messages: [{ role: 'user', text: 'hi' }] });
+});
+
+test('http transport rejects on server errors', async () => {
+	const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+	const transport = createHttpTransport({ endpoint: '/chat', fetchImpl });
+
+	await expect(collect(transport.stream([]))).rejects.toThrow('503');
+});
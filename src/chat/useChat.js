@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import chat from '../content/chat.json';
+
+export const HISTORY_KEY = 'nimble-chat-history';
+
+const greetingMessage = (text) => ({ id: 'greeting', role: 'assistant', text });
+
+export const GREETING = greetingMessage(chat.greeting);
+
+let nextId = 0;
+const createId = () => `${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+
+// Chat history is kept per browser tab so a reload does not wipe the conversation. The saved
+// greeting is swapped for the current one, which follows the visitor's language.
+const loadHistory = (storageKey, greeting) => {
+	try {
+		const saved = JSON.parse(sessionStorage.getItem(storageKey));
+		return Array.isArray(saved) && saved.length ? saved.map((message) => (message.id === greeting.id ? greeting : message)) : [greeting];
+	} catch (error) {
+		return [greeting];
+	}
+};
+
+// Custom Hook that drives a conversation over a chat transport.
+// `status` is 'idle', 'typing' (waiting for the first chunk), 'streaming' or 'error'.
+// `greeting` opens every new conversation; `storageKey` keeps separate chats (e.g. the embeddable
+// widget) from sharing a history.
+export const useChat = (transport, { greeting = chat.greeting, storageKey = HISTORY_KEY } = {}) => {
+	const [messages, setMessages] = useState(() => [greetingMessage(greeting)]);
+	const [status, setStatus] = useState('idle');
+	const [restored, setRestored] = useState(false);
+	const controllerRef = useRef(null);
+
+	// The history is restored after mounting, so pre-rendered pages hydrate with the greeting alone
+	useEffect(() => {
+		setMessages(loadHistory(storageKey, greetingMessage(greeting)));
+		setRestored(true);
+	}, [storageKey, greeting]);
+
+	useEffect(() => {
+		if (!restored) return;
+		try {
+			sessionStorage.setItem(storageKey, JSON.stringify(messages));
+		} catch (error) {
+			// Storage can be unavailable (private mode, quota); history just won't survive a reload.
+		}
+	}, [restored, messages, storageKey]);
+
+	// Abort any in-flight reply when the component using the hook unmounts
+	useEffect(() => () => controllerRef.current && controllerRef.current.abort(), []);
+
+	const send = useCallback(
+		async (text) => {
+			const trimmed = text.trim();
+			if (!trimmed || controllerRef.current) return;
+
+			const userMessage = { id: createId(), role: 'user', text: trimmed };
+			const history = [...messages, userMessage];
+			const replyId = createId();
+			const controller = new AbortController();
+			controllerRef.current = controller;
+
+			setMessages(history);
+			setStatus('typing');
+
+			try {
+				let started = false;
+				for await (const chunk of transport.stream(history, { signal: controller.signal })) {
+					if (!started) {
+						started = true;
+						setStatus('streaming');
+						setMessages((current) => [...current, { id: replyId, role: 'assistant', text: chunk }]);
+					} else {
+						setMessages((current) => current.map((message) => (message.id === replyId ? { ...message, text: message.text + chunk } : message)));
+					}
+				}
+				setStatus('idle');
+			} catch (error) {
+				if (error.name === 'AbortError') return;
+				console.error('Chat transport error:', error);
+				setStatus('error');
+			} finally {
+				if (controllerRef.current === controller) controllerRef.current = null;
+			}
+		},
+		[messages, transport]
+	);
+
+	const reset = useCallback(() => {
+		if (controllerRef.current) controllerRef.current.abort();
+		controllerRef.current = null;
+		setMessages([greetingMessage(greeting)]);
+		setStatus('idle');
+	}, [greeting]);
+
+	return { messages, status, send, reset };
+};
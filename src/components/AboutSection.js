@@ -0,0 +1,53 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { track } from '../analytics';
+import Reveal, { RevealGroup } from '../animation/Reveal';
+import Markdown from '../content/Markdown';
+import useContent from '../content/useContent';
+
+// About Section Component (existing) with animations and centered content
+function AboutSection() {
+	const { about } = useContent();
+
+	return (
+		<Reveal as='section' onReveal={() => track('section_viewed', { section: 'about' })} className='py-12 sm:py-20 bg-page-alt'>
+			<div className='container mx-auto px-4 flex flex-col md:flex-row items-center justify-center gap-8 md:gap-12'>
+				<Reveal animation='slide-up' className='md:w-1/2 text-center'>
+					<span className='inline-block text-xs sm:text-sm font-medium px-2 py-0.5 sm:px-3 sm:py-1 rounded-full mb-4 sm:mb-6 bg-muted text-fg-muted'>
+						{about.badge}
+					</span>
+					<h2 className='text-2xl sm:text-3xl md:text-4xl font-bold leading-tight mb-4 sm:mb-6 text-fg'>{about.heading}</h2>
+					<Markdown text={about.body} className='text-sm sm:text-lg mb-6 sm:mb-8 max-w-xl mx-auto text-fg-muted' />
+				</Reveal>
+				<div className='md:w-1/2 grid grid-cols-1 gap-4 sm:gap-6 max-w-xs sm:max-w-sm mx-auto'>
+					<RevealGroup>
+						{about.infoCards.map((card, index) => (
+							<InfoCard key={index} title={card.title} value={card.value} to={card.to} delay={200} />
+						))}
+					</RevealGroup>
+				</div>
+			</div>
+		</Reveal>
+	);
+}
+
+// Reusable Info Card Component for About Section (existing); cards with `to` link to that page
+const InfoCard = ({ title, value, icon, to, delay }) => (
+	<Reveal
+		as={to ? Link : 'div'}
+		to={to}
+		animation='slide-up'
+		delay={delay}
+		className={`p-4 sm:p-6 rounded-xl shadow-md border flex items-center justify-between gap-4 bg-raised border-line-strong ${
+			to ? 'transition-shadow duration-300 hover:shadow-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-focus' : ''
+		}`}
+	>
+		<div className='flex items-center gap-1.5 sm:gap-2'>
+			{icon}
+			<span className='text-sm sm:text-base font-medium text-fg-muted'>{title}</span>
+		</div>
+		{value && <span className={`text-sm sm:text-base font-semibold text-fg flex-shrink-0 ${to ? 'underline' : ''}`}>{value}</span>}
+	</Reveal>
+);
+
+export default AboutSection;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Call To Action Component - closing banner on inner pages that points visitors to the contact page
+const CallToAction = ({ title, description }) => {
+	const { t } = useI18n();
+
+	return (
+		<section className='py-12 sm:py-16 px-4 bg-page-alt'>
+			<div className='container mx-auto text-center max-w-2xl'>
+				<h2 className='text-2xl sm:text-3xl font-bold mb-3 text-fg'>{title || t('cta.title')}</h2>
+				<p className='text-sm sm:text-lg mb-6 text-fg-muted'>{description || t('cta.description')}</p>
+				<Link
+					to='/contact'
+					className='inline-flex items-center gap-2 px-6 py-3 font-semibold rounded-full shadow-md transition duration-300 bg-accent text-on-accent hover:bg-accent-hover'
+				>
+					{t('contact.submit')}
+					<svg className='w-5 h-5' fill='none' stroke='currentColor' viewBox='0 0 24 24' xmlns='http://www.w3.org/2000/svg'>
+						<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M14 5l7 7m0 0l-7 7m7-7H3' />
+					</svg>
+				</Link>
+			</div>
+		</section>
+	);
+};
+
+export default CallToAction;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { track } from '../analytics';
+import Reveal from '../animation/Reveal';
+import ChatDemo from '../chat/ChatDemo';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Comparison Section Component (existing) with animations
+function ComparisonSection() {
+	const { t } = useI18n();
+
+	return (
+		<Reveal as='section' onReveal={() => track('section_viewed', { section: 'comparison' })} className='py-12 sm:py-20 bg-page'>
+			<div className='container mx-auto px-4 text-center'>
+				<Reveal as='h2' animation='slide-up' className='text-2xl sm:text-3xl md:text-4xl font-bold mb-8 sm:mb-12 text-fg'>
+					{t('chat.sectionTitle')}
+				</Reveal>
+				<div className='flex flex-col lg:flex-row justify-center items-stretch gap-6 sm:gap-8'>
+					{/* Nimble AI Chat Demo */}
+					<ChatDemo />
+				</div>
+			</div>
+		</Reveal>
+	);
+}
+
+export default ComparisonSection;
@@ -0,0 +1,216 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { track } from '../analytics';
+import Reveal, { RevealGroup } from '../animation/Reveal';
+import Markdown from '../content/Markdown';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import JsonLd from '../seo/JsonLd';
+import { faqPageSchema } from '../seo/structuredData';
+
+// Each item is addressable as #faq-<id>, e.g. /faq#faq-crm-integration opens that question
+const itemId = (id) => `faq-${id}`;
+
+const idFromHash = (hash) => {
+	const target = decodeURIComponent(hash.slice(1));
+	return target.startsWith('faq-') ? target.slice(4) : null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive match on the question or the answer (markdown markers ignored)
+const matchesQuery = (faq, query) => {
+	const needle = query.toLocaleLowerCase();
+	return [faq.question, faq.answer.replace(/\*+/g, '')].some((text) => text.toLocaleLowerCase().includes(needle));
+};
+
+// Wraps every occurrence of `query` in `text` in a <mark>
+const Highlight = ({ text, query }) => {
+	if (!query) return text;
+	return text.split(new RegExp(`(${escapeRegExp(query)})`, 'gi')).map((part, index) =>
+		index % 2 ? (
+			<mark key={index} className='rounded-sm bg-highlight text-inherit'>
+				{part}
+			</mark>
+		) : (
+			part
+		)
+	);
+};
+
+// Arrow keys move between the accordion headers (wrapping around), Home/End jump to the first/last one
+const ACCORDION_KEYS = {
+	ArrowDown: (index, count) => (index + 1) % count,
+	ArrowUp: (index, count) => (index - 1 + count) % count,
+	Home: () => 0,
+	End: (index, count) => count - 1,
+};
+
+// FAQ Section Component - searchable WAI-ARIA accordion with deep links and an expand all control
+function FAQSection() {
+	const { t } = useI18n();
+	const { faqs } = useContent();
+	const { hash } = useLocation();
+	const listRef = useRef(null);
+	const [query, setQuery] = useState('');
+	const [openIds, setOpenIds] = useState(() => new Set());
+
+	// Open the item a deep link points at, after mounting so pre-rendered pages (which have no
+	// hash) hydrate unchanged, and again whenever the hash changes on the same page
+	useEffect(() => {
+		const id = idFromHash(hash);
+		if (!id) return;
+		setOpenIds((ids) => (ids.has(id) ? ids : new Set(ids).add(id)));
+		track('faq_opened', { id, trigger: 'deep-link' });
+	}, [hash]);
+
+	const search = query.trim();
+	const visibleFaqs = search ? faqs.filter((faq) => matchesQuery(faq, search)) : faqs;
+	const allOpen = visibleFaqs.length > 0 && visibleFaqs.every((faq) => openIds.has(faq.id));
+
+	const toggle = (id) =>
+		setOpenIds((ids) => {
+			const next = new Set(ids);
+			if (next.has(id)) next.delete(id);
+			else next.add(id);
+			return next;
+		});
+
+	const toggleAll = () => {
+		if (!allOpen) visibleFaqs.filter((faq) => !openIds.has(faq.id)).forEach((faq) => track('faq_opened', { id: faq.id, trigger: 'expand-all' }));
+		setOpenIds((ids) => {
+			const next = new Set(ids);
+			visibleFaqs.forEach((faq) => (allOpen ? next.delete(faq.id) : next.add(faq.id)));
+			return next;
+		});
+	};
+
+	const handleKeyDown = (event) => {
+		const move = ACCORDION_KEYS[event.key];
+		const triggers = Array.from(listRef.current.querySelectorAll('[data-accordion-trigger]'));
+		const index = triggers.indexOf(document.activeElement);
+		if (!move || index === -1) return;
+		event.preventDefault();
+		triggers[move(index, triggers.length)].focus();
+	};
+
+	return (
+		<Reveal as='section' onReveal={() => track('section_viewed', { section: 'faq' })} className='py-12 sm:py-20 bg-page-alt'>
+			<div className='container mx-auto px-4 text-center'>
+				<Reveal
+					as='span'
+					className='inline-block text-xs sm:text-sm font-medium px-2 py-0.5 sm:px-3 sm:py-1 rounded-full mb-4 sm:mb-6 bg-muted text-fg-muted'
+				>
+					{t('faq.badge')}
+				</Reveal>
+				<Reveal as='h2' animation='slide-up' className='text-2xl sm:text-3xl md:text-4xl font-bold mb-8 sm:mb-12 text-fg'>
+					{t('faq.heading')}
+				</Reveal>
+				<div className='flex flex-col sm:flex-row items-stretch sm:items-center gap-3 max-w-lg sm:max-w-4xl mx-auto mb-4 sm:mb-6'>
+					<input
+						type='search'
+						value={query}
+						onChange={(e) => setQuery(e.target.value)}
+						placeholder={t('faq.searchPlaceholder')}
+						aria-label={t('faq.searchLabel')}
+						aria-controls='faq-list'
+						className='flex-grow px-4 py-2 rounded-full border text-sm focus:outline-none bg-raised border-line-strong text-fg placeholder-fg-subtle focus:border-focus'
+					/>
+					<button
+						type='button'
+						onClick={toggleAll}
+						disabled={visibleFaqs.length === 0}
+						className='px-4 py-2 rounded-full border text-sm font-medium transition-colors duration-300 disabled:opacity-50 border-line-strong text-fg-muted hover:bg-muted'
+					>
+						{allOpen ? t('faq.collapseAll') : t('faq.expandAll')}
+					</button>
+				</div>
+				<p className='sr-only' role='status'>
+					{search ? t('faq.resultCount', { count: visibleFaqs.length }) : ''}
+				</p>
+				<div
+					id='faq-list'
+					ref={listRef}
+					onKeyDown={handleKeyDown}
+					className='grid grid-cols-1 md:grid-cols-2 gap-4 sm:gap-6 items-start max-w-lg sm:max-w-4xl mx-auto'
+				>
+					<RevealGroup>
+						{visibleFaqs.map((faq) => (
+							<FAQItem
+								key={faq.id}
+								id={faq.id}
+								question={faq.question}
+								answer={faq.answer}
+								query={search}
+								isOpen={openIds.has(faq.id)}
+								onToggle={() => toggle(faq.id)}
+							/>
+						))}
+					</RevealGroup>
+				</div>
+				{search && visibleFaqs.length === 0 && <p className='mt-6 text-sm text-fg-subtle'>{t('faq.noResults', { query: search })}</p>}
+			</div>
+			{/* Every question, whatever the search shows */}
+			<JsonLd data={faqPageSchema(faqs)} />
+		</Reveal>
+	);
+}
+
+// FAQ Item Component - accordion header button and its collapsible answer panel
+function FAQItem({ id, question, answer, query, isOpen, onToggle, delay }) {
+	const baseId = itemId(id);
+
+	const handleClick = () => {
+		if (!isOpen) track('faq_opened', { id, trigger: 'click' });
+		onToggle();
+	};
+
+	return (
+		<Reveal
+			id={baseId}
+			animation='slide-up'
+			delay={delay}
+			className='p-4 sm:p-6 rounded-xl shadow-md border text-start transition-all duration-300 hover:shadow-lg bg-raised border-line-strong'
+		>
+			<h3 className='text-base sm:text-lg font-semibold text-fg'>
+				<button
+					type='button'
+					id={`${baseId}-button`}
+					onClick={handleClick}
+					aria-expanded={isOpen}
+					aria-controls={`${baseId}-panel`}
+					data-accordion-trigger
+					className='w-full flex justify-between items-center gap-4 text-start rounded-md focus:outline-none focus-visible:ring-2 focus-visible:ring-focus'
+				>
+					<span>
+						<Highlight text={question} query={query} />
+					</span>
+					<svg
+						className={`w-5 h-5 sm:w-6 sm:h-6 flex-shrink-0 transform transition-transform duration-300 ${isOpen ? 'rotate-180' : ''} text-fg-muted`}
+						fill='none'
+						stroke='currentColor'
+						viewBox='0 0 24 24'
+						xmlns='http://www.w3.org/2000/svg'
+						aria-hidden='true'
+					>
+						<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M19 9l-7 7-7-7' />
+					</svg>
+				</button>
+			</h3>
+			{/* Animating grid rows from 0fr to 1fr expands the panel to its natural height */}
+			<div
+				id={`${baseId}-panel`}
+				role='region'
+				aria-labelledby={`${baseId}-button`}
+				inert={!isOpen}
+				className={`grid transition-[grid-template-rows] duration-300 ease-in-out ${isOpen ? 'grid-rows-[1fr]' : 'grid-rows-[0fr]'}`}
+			>
+				<div className='overflow-hidden'>
+					<Markdown text={answer} className='mt-3 text-sm sm:text-base text-fg-subtle' />
+				</div>
+			</div>
+		</Reveal>
+	);
+}
+
+export default FAQSection;
@@ -0,0 +1,70 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import FAQSection from './FAQSection';
+
+const renderAt = (path = '/faq') =>
+	render(
+		<MemoryRouter initialEntries={[path]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<FAQSection />
+		</MemoryRouter>
+	);
+
+const header = (name) => screen.getByRole('button', { name });
+
+test('headers are buttons that expand and collapse their answer panel', () => {
+	renderAt();
+	const button = header('What is Nimble AI?');
+	expect(button).toHaveAttribute('aria-expanded', 'false');
+	expect(screen.getByRole('region', { name: 'What is Nimble AI?' })).toHaveAttribute('id', button.getAttribute('aria-controls'));
+
+	userEvent.click(button);
+	expect(button).toHaveAttribute('aria-expanded', 'true');
+
+	userEvent.click(button);
+	expect(button).toHaveAttribute('aria-expanded', 'false');
+});
+
+test('arrow keys, Home and End move focus between headers', () => {
+	renderAt();
+	const triggers = screen.getAllByRole('button', { expanded: false });
+	triggers[0].focus();
+
+	userEvent.keyboard('{arrowdown}');
+	expect(triggers[1]).toHaveFocus();
+	userEvent.keyboard('{arrowup}{arrowup}');
+	expect(triggers[triggers.length - 1]).toHaveFocus();
+	userEvent.keyboard('{home}');
+	expect(triggers[0]).toHaveFocus();
+	userEvent.keyboard('{end}');
+	expect(triggers[triggers.length - 1]).toHaveFocus();
+});
+
+test('expand all opens every question and then collapses them again', () => {
+	renderAt();
+	userEvent.click(screen.getByRole('button', { name: 'Expand all' }));
+	expect(screen.queryAllByRole('button', { expanded: false })).toHaveLength(0);
+
+	userEvent.click(screen.getByRole('button', { name: 'Collapse all' }));
+	expect(screen.queryAllByRole('button', { expanded: true })).toHaveLength(0);
+});
+
+test('search filters the questions and highlights the match', () => {
+	renderAt();
+	userEvent.type(screen.getByRole('searchbox', { name: 'Search frequently asked questions' }), 'crm');
+
+	const button = header('Can Nimble AI integrate with my existing CRM system?');
+	expect(within(button).getByText('CRM', { selector: 'mark' })).toBeInTheDocument();
+	expect(screen.queryByRole('button', { name: 'What is Nimble AI?' })).not.toBeInTheDocument();
+	expect(screen.getByRole('status')).toHaveTextContent(/questions? found/);
+
+	userEvent.clear(screen.getByRole('searchbox'));
+	userEvent.type(screen.getByRole('searchbox'), 'zzz');
+	expect(screen.getByText('No questions match “zzz”.')).toBeInTheDocument();
+});
+
+test('a #faq-<id> deep link opens the matching question', () => {
+	renderAt('/faq#faq-crm-integration');
+	expect(header('Can Nimble AI integrate with my existing CRM system?')).toHaveAttribute('aria-expanded', 'true');
+	expect(header('What is Nimble AI?')).toHaveAttribute('aria-expanded', 'false');
+});
@@ -0,0 +1,95 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { track } from '../analytics';
+import Reveal, { RevealGroup } from '../animation/Reveal';
+import { latestPostFor } from '../blog/posts';
+import { FeatureIcon, HighlightIcon } from '../content/icons';
+import Markdown from '../content/Markdown';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import JsonLd from '../seo/JsonLd';
+import { servicesSchema } from '../seo/structuredData';
+
+// Offerings shown on the landing page, each with a dedicated page at /solutions/:slug.
+// `features` is the localized content from src/content/features.json (see useContent).
+export const getFeatures = (features) =>
+	features.map((feature) => ({
+		...feature,
+		icon: <FeatureIcon name={feature.icon} />,
+		description: feature.highlights.map((highlight) => ({
+			text: <Markdown text={highlight.text} inline />,
+			icon: <HighlightIcon name={highlight.icon} />,
+		})),
+	}));
+
+// Features Section Component - Updated for Black & White theme with NEW creative icons
+function FeaturesSection() {
+	const content = useContent();
+	const features = getFeatures(content.features);
+
+	return (
+		<Reveal as='section' onReveal={() => track('section_viewed', { section: 'features' })} className='py-12 pb-20 bg-page'>
+			<div className='container mx-auto px-4 text-center'>
+				<div className='grid grid-cols-1 md:grid-cols-3 gap-6 sm:gap-8'>
+					<RevealGroup>
+						{features.map((feature) => (
+							<FeatureCard
+								key={feature.slug}
+								slug={feature.slug}
+								icon={feature.icon}
+								title={feature.title}
+								description={feature.description}
+								post={latestPostFor(content.posts, feature.slug)}
+							/>
+						))}
+					</RevealGroup>
+				</div>
+			</div>
+			<JsonLd data={servicesSchema(content.features)} />
+		</Reveal>
+	);
+}
+
+// Feature Card Component - Adjusted for Black & White theme with animation. `post` is a post of
+// the resources section backing up the card's claims, linked below it.
+export const FeatureCard = ({ slug, icon, title, description, post, delay }) => {
+	const { t } = useI18n();
+
+	return (
+		<Reveal
+			animation='slide-up'
+			delay={delay}
+			className='p-6 sm:p-8 rounded-xl border flex flex-col items-center justify-center text-center transition-shadow duration-300 ease-in-out transform hover:-translate-y-1 bg-surface border-line shadow-[0_4px_12px_rgb(var(--color-glow)/0.05)] hover:shadow-[0_10px_25px_rgb(var(--color-glow)/0.1)]'
+		>
+			<div className='mb-3 sm:mb-4 flex justify-center'>{icon}</div>
+			<h3 className='text-lg sm:text-xl font-semibold mb-1 sm:mb-2 text-fg'>{title}</h3>
+			{Array.isArray(description) ? (
+				<ul className='list-none p-0 m-0 space-y-1 sm:space-y-2 text-start text-fg-subtle'>
+					{description.map((item, i) => (
+						<li key={i} className='flex items-center gap-1.5 sm:gap-2'>
+							{item.icon}
+							<span className='text-xs sm:text-sm'>{item.text}</span>
+						</li>
+					))}
+				</ul>
+			) : (
+				<p className='text-sm sm:text-base text-fg-subtle'>{description}</p>
+			)}
+			{slug && (
+				<Link to={`/solutions/${slug}`} className='mt-4 sm:mt-6 inline-flex items-center gap-1 text-sm font-semibold hover:underline text-fg'>
+					{t('features.learnMore')}
+					<svg className='w-4 h-4' fill='none' stroke='currentColor' viewBox='0 0 24 24' xmlns='http://www.w3.org/2000/svg'>
+						<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M14 5l7 7m0 0l-7 7m7-7H3' />
+					</svg>
+				</Link>
+			)}
+			{post && (
+				<Link to={`/resources/${post.slug}`} className='mt-2 text-sm underline text-fg-subtle hover:text-fg'>
+					{t('resources.featureLink', { title: post.title })}
+				</Link>
+			)}
+		</Reveal>
+	);
+};
+
+export default FeaturesSection;
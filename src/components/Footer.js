@@ -0,0 +1,70 @@
+import React from 'react';
+import { analytics, track } from '../analytics';
+import { CONSENT } from '../analytics/consent';
+import Reveal from '../animation/Reveal';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import JsonLd from '../seo/JsonLd';
+import { organizationSchema } from '../seo/structuredData';
+
+// Footer Component - Updated for Black & White theme to match the screenshot
+function Footer() {
+	const { footer, seo } = useContent();
+	const { t } = useI18n();
+
+	return (
+		<Reveal
+			as='footer'
+			onReveal={() => track('section_viewed', { section: 'footer' })}
+			className='py-8 sm:py-10 border-t bg-surface text-fg border-line'
+		>
+			<div className='container mx-auto px-4 text-center'>
+				<div className='flex flex-col sm:flex-row gap-3 sm:gap-4 mb-3 sm:mb-4 justify-center items-center'>
+					{/* "Write Us" button updated to mailto link */}
+					<a
+						href={`mailto:${footer.email}`}
+						className='px-4 py-1.5 sm:px-6 sm:py-2 font-semibold rounded-full shadow-lg transition duration-300 flex items-center gap-1.5 sm:gap-2 text-sm sm:text-base bg-inverse text-on-inverse hover:bg-inverse-hover'
+					>
+						<svg className='w-4 h-4 sm:w-5 sm:h-5' fill='none' stroke='currentColor' viewBox='0 0 24 24' xmlns='http://www.w3.org/2000/svg'>
+							<path
+								strokeLinecap='round'
+								strokeLinejoin='round'
+								strokeWidth='2'
+								d='M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z'
+							/>
+						</svg>
+						{footer.writeUsLabel}
+					</a>
+				</div>
+
+				{/* Follow Us */}
+				<div className='flex flex-col items-center space-y-1.5 sm:space-y-2 mb-3 sm:mb-4'>
+					<span className='text-xs sm:text-sm font-medium text-fg-muted'>{footer.followUsLabel}</span>
+					<a
+						href={footer.linkedinUrl}
+						target='_blank'
+						rel='noopener noreferrer'
+						className='text-fg-muted hover:text-fg transition-colors duration-300'
+					>
+						<svg className='w-6 h-6 sm:w-8 sm:h-8' fill='currentColor' viewBox='0 0 24 24' aria-hidden='true'>
+							<path d='M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z' />
+						</svg>
+					</a>
+				</div>
+
+				{/* Copyright and Slogan */}
+				<div className='flex flex-col sm:flex-row justify-between items-center text-xs sm:text-sm border-t pt-4 sm:pt-6 mt-4 sm:mt-6 text-fg-subtle border-line'>
+					<p className='mb-1.5 sm:mb-0'>{footer.copyright}</p>
+					<p>{footer.tagline}</p>
+					{/* Reopens the consent banner */}
+					<button type='button' onClick={() => analytics.consent.set(CONSENT.UNKNOWN)} className='mt-1.5 sm:mt-0 underline hover:text-fg'>
+						{t('consent.settings')}
+					</button>
+				</div>
+			</div>
+			<JsonLd data={organizationSchema({ footer, seo })} />
+		</Reveal>
+	);
+}
+
+export default Footer;
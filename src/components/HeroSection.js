@@ -0,0 +1,52 @@
+import React from 'react';
+import useContent from '../content/useContent';
+import ContactForm from '../contact/ContactForm';
+import useExperiment from '../experiments/useExperiment';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Hero Section Component - Updated for Black & White theme with animations and centered content.
+// The headline and the contact button text are experiments (see src/experiments/config).
+function HeroSection() {
+	const { t } = useI18n();
+	const { hero } = useContent();
+	const headline = useExperiment('hero');
+	const cta = useExperiment('cta');
+	// Variant copy overrides the control's; the control is the plain hero content and button text
+	const { title, subtitle } = { ...hero, ...hero.variants.find((variant) => variant.id === headline.variant) };
+	const submitLabel = cta.isControl ? undefined : t(`contact.submit.${cta.variant}`);
+
+	const handleStarted = () => {
+		headline.convert('contact_started');
+		cta.convert('contact_started');
+	};
+
+	return (
+		<section className='py-8 md:py-10 overflow-hidden relative px-4 bg-gradient-to-br from-page to-page-alt'>
+			<div className='container mx-auto flex flex-col md:flex-row items-center justify-center gap-8 md:gap-12'>
+				{/* Content */}
+				<div className='md:w-2/3 text-center z-10 animate-slideInUp'>
+					<h1 className='text-3xl sm:text-4xl md:text-5xl lg:text-6xl font-extrabold leading-tight mb-4 sm:mb-6 text-fg'>
+						{title.map((line, index) => (
+							<React.Fragment key={index}>
+								{index > 0 && (
+									<>
+										{' '}
+										<br className='hidden sm:inline' />{' '}
+									</>
+								)}
+								{line}
+							</React.Fragment>
+						))}
+					</h1>
+					<p className='text-base sm:text-lg md:text-xl mb-6 sm:mb-8 max-w-xl mx-auto text-fg-muted'>{subtitle}</p>
+					<ContactForm source='hero' submitLabel={submitLabel} onStarted={handleStarted} />
+				</div>
+			</div>
+			{/* Wavy background effect (simplified with a large, rotated div) - Grayscale */}
+			<div className='absolute bottom-0 left-0 w-full h-1/3 transform rotate-6 -translate-y-1/2 opacity-50 hidden md:block animate-fadeIn animate-delay-300 bg-muted'></div>
+			<div className='absolute top-0 right-0 w-full h-1/2 transform -rotate-12 translate-y-1/2 opacity-30 hidden md:block animate-fadeIn animate-delay-400 bg-muted-strong'></div>
+		</section>
+	);
+}
+
+export default HeroSection;
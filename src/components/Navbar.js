@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import { Link, NavLink, useLocation } from 'react-router-dom';
+import { track } from '../analytics';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import LanguageSwitcher from '../i18n/LanguageSwitcher';
+import ThemeToggle from '../theme/ThemeToggle';
+
+// Labels are catalog keys, translated when rendered
+const NAV_LINKS = [
+	{ to: '/pricing', labelKey: 'nav.pricing' },
+	{ to: '/integrations', labelKey: 'nav.integrations' },
+	{ to: '/resources', labelKey: 'nav.resources' },
+	{ to: '/faq', labelKey: 'nav.faq' },
+	{ to: '/about', labelKey: 'nav.about' },
+	{ to: '/contact', labelKey: 'nav.contact' },
+];
+
+const trackNavClick = (to, menu) => track('nav_clicked', { to, menu });
+
+const navLinkClass = ({ isActive }) =>
+	`px-3 py-2 rounded-full text-sm font-medium transition-colors duration-300 ${isActive ? 'bg-muted text-fg' : 'text-fg-subtle hover:text-fg'}`;
+
+// Navbar Component - Updated for Black & White theme with centered logo and new name
+function Navbar() {
+	const location = useLocation();
+	const { t } = useI18n();
+	const { features } = useContent();
+	// Offering pages, titled after the FeaturesSection cards
+	const solutionLinks = features.map(({ slug, title }) => ({ to: `/solutions/${slug}`, label: title }));
+	const navLinks = NAV_LINKS.map(({ to, labelKey }) => ({ to, label: t(labelKey) }));
+	const [isMenuOpen, setIsMenuOpen] = useState(false); // Mobile menu
+	const [isSolutionsOpen, setIsSolutionsOpen] = useState(false); // Desktop solutions dropdown
+	const isSolutionsActive = location.pathname.startsWith('/solutions/');
+
+	// Close the menus whenever the route changes
+	useEffect(() => {
+		setIsMenuOpen(false);
+		setIsSolutionsOpen(false);
+	}, [location.pathname]);
+
+	return (
+		<nav className='sticky top-0 z-50 border-b bg-surface border-line animate-fadeIn'>
+			<div className='container mx-auto px-4 py-4 flex items-center'>
+				{/* Navigation links on the left balance the theme toggle on the right */}
+				<div className='flex-grow basis-1/3 flex items-center'>
+					{/* Mobile Menu Button */}
+					<button
+						type='button'
+						onClick={() => setIsMenuOpen((open) => !open)}
+						className='lg:hidden p-2 rounded-full transition-colors duration-300 text-fg hover:bg-muted'
+						aria-label={t('nav.toggleMenu')}
+						aria-expanded={isMenuOpen}
+						aria-controls='mobile-navigation'
+					>
+						<svg className='w-6 h-6' fill='none' stroke='currentColor' viewBox='0 0 24 24' xmlns='http://www.w3.org/2000/svg'>
+							<path
+								strokeLinecap='round'
+								strokeLinejoin='round'
+								strokeWidth='2'
+								d={isMenuOpen ? 'M6 18L18 6M6 6l12 12' : 'M4 6h16M4 12h16M4 18h16'}
+							/>
+						</svg>
+					</button>
+
+					{/* Desktop Navigation */}
+					<ul className='hidden lg:flex items-center gap-1'>
+						<li className='relative'>
+							<button
+								type='button'
+								onClick={() => setIsSolutionsOpen((open) => !open)}
+								onKeyDown={(e) => e.key === 'Escape' && setIsSolutionsOpen(false)}
+								className={navLinkClass({ isActive: isSolutionsActive }) + ' flex items-center gap-1'}
+								aria-expanded={isSolutionsOpen}
+								aria-controls='solutions-menu'
+							>
+								{t('nav.solutions')}
+								<svg
+									className={`w-4 h-4 transform transition-transform duration-300 ${isSolutionsOpen ? 'rotate-180' : ''}`}
+									fill='none'
+									stroke='currentColor'
+									viewBox='0 0 24 24'
+									xmlns='http://www.w3.org/2000/svg'
+								>
+									<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M19 9l-7 7-7-7' />
+								</svg>
+							</button>
+							{isSolutionsOpen && (
+								<ul id='solutions-menu' className='absolute start-0 mt-2 w-64 rounded-xl shadow-lg border p-2 animate-fadeIn bg-surface border-line'>
+									{solutionLinks.map((link) => (
+										<li key={link.to}>
+											<NavLink to={link.to} onClick={() => trackNavClick(link.to, 'solutions')} className={(state) => `block ${navLinkClass(state)}`}>
+												{link.label}
+											</NavLink>
+										</li>
+									))}
+								</ul>
+							)}
+						</li>
+						{navLinks.map((link) => (
+							<li key={link.to}>
+								<NavLink to={link.to} onClick={() => trackNavClick(link.to, 'main')} className={navLinkClass}>
+									{link.label}
+								</NavLink>
+							</li>
+						))}
+					</ul>
+				</div>
+
+				{/* Logo - Updated to Nimble AI and centered */}
+				<Link to='/' className='flex items-center space-x-2 flex-grow justify-center basis-1/3'>
+					{/* Removed image import and replaced with text logo */}
+					<img src={require('../logo.png')} alt={t('nav.logoAlt')} className='h-12 w-auto object-contain logo-themed' />
+				</Link>
+				{/* Language Switcher and Theme Toggle */}
+				<div className='flex-grow flex justify-end items-center gap-2 basis-1/3'>
+					<LanguageSwitcher />
+					<ThemeToggle />
+				</div>
+			</div>
+
+			{/* Mobile Navigation */}
+			{isMenuOpen && (
+				<ul id='mobile-navigation' className='lg:hidden border-t px-4 py-3 space-y-1 animate-fadeIn border-line'>
+					{[...solutionLinks, ...navLinks].map((link) => (
+						<li key={link.to}>
+							<NavLink to={link.to} onClick={() => trackNavClick(link.to, 'mobile')} className={(state) => `block ${navLinkClass(state)}`}>
+								{link.label}
+							</NavLink>
+						</li>
+					))}
+				</ul>
+			)}
+		</nav>
+	);
+}
+
+export default Navbar;
@@ -0,0 +1,19 @@
+import React from 'react';
+
+// Page Header Component - eyebrow pill, title and intro shared by the inner pages
+const PageHeader = ({ eyebrow, title, description, children }) => (
+	<section className='py-12 sm:py-16 px-4 bg-gradient-to-br from-page to-page-alt'>
+		<div className='container mx-auto text-center max-w-3xl animate-slideInUp'>
+			{eyebrow && (
+				<span className='inline-block text-xs sm:text-sm font-medium px-2 py-0.5 sm:px-3 sm:py-1 rounded-full mb-4 sm:mb-6 bg-muted text-fg-muted'>
+					{eyebrow}
+				</span>
+			)}
+			<h1 className='text-3xl sm:text-4xl md:text-5xl font-extrabold leading-tight mb-4 sm:mb-6 text-fg'>{title}</h1>
+			{description && <p className='text-base sm:text-lg md:text-xl max-w-xl mx-auto text-fg-muted'>{description}</p>}
+			{children}
+		</div>
+	</section>
+);
+
+export default PageHeader;
@@ -0,0 +1,70 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+import { useLocation, useNavigationType } from 'react-router-dom';
+
+const POSITIONS_KEY = 'nimble-scroll-positions';
+
+const readPositions = () => {
+	try {
+		return JSON.parse(sessionStorage.getItem(POSITIONS_KEY)) || {};
+	} catch (error) {
+		return {};
+	}
+};
+
+// Scroll Manager Component - restores the scroll position when navigating back/forward,
+// scrolls to the `#hash` target when there is one and to the top on every other navigation.
+// Replacing the query of the current page (e.g. the pricing calculator inputs) keeps the position.
+function ScrollManager() {
+	const location = useLocation();
+	const navigationType = useNavigationType();
+	const positionsRef = useRef(readPositions());
+	const pathnameRef = useRef(location.pathname);
+
+	// Take over from the browser, which would otherwise restore positions before the new page renders
+	useEffect(() => {
+		if ('scrollRestoration' in window.history) {
+			const previous = window.history.scrollRestoration;
+			window.history.scrollRestoration = 'manual';
+			return () => {
+				window.history.scrollRestoration = previous;
+			};
+		}
+	}, []);
+
+	// Track the scroll position of the current history entry while the visitor scrolls
+	useEffect(() => {
+		const { key } = location;
+		const positions = positionsRef.current;
+		const handleScroll = () => {
+			positions[key] = window.scrollY;
+		};
+		window.addEventListener('scroll', handleScroll, { passive: true });
+		return () => {
+			window.removeEventListener('scroll', handleScroll);
+			try {
+				sessionStorage.setItem(POSITIONS_KEY, JSON.stringify(positions));
+			} catch (error) {
+				// Positions are only kept in memory when storage is unavailable
+			}
+		};
+	}, [location]);
+
+	useLayoutEffect(() => {
+		const samePage = pathnameRef.current === location.pathname;
+		pathnameRef.current = location.pathname;
+		if (navigationType === 'REPLACE' && samePage && !location.hash) return;
+		if (location.hash) {
+			const target = document.getElementById(decodeURIComponent(location.hash.slice(1)));
+			if (target) {
+				target.scrollIntoView();
+				return;
+			}
+		}
+		const saved = navigationType === 'POP' ? positionsRef.current[location.key] : undefined;
+		window.scrollTo(0, saved || 0);
+	}, [location, navigationType]);
+
+	return null;
+}
+
+export default ScrollManager;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { track } from '../analytics';
+import Reveal, { RevealGroup } from '../animation/Reveal';
+import { IntegrationIcon } from '../content/icons';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Seamless Integrations Component - landing page strip of the featured integrations in
+// src/content/integrations.json, linking to the full catalog
+const SeamlessIntegrations = () => {
+	const { t } = useI18n();
+	const { integrations } = useContent();
+	const featured = integrations.items.filter((integration) => integration.featured);
+
+	return (
+		<Reveal
+			as='section'
+			onReveal={() => track('section_viewed', { section: 'integrations' })}
+			className='relative w-full max-w-5xl mx-auto px-4 py-10'
+		>
+			<div className='absolute -top-4 left-1/2 transform -translate-x-1/2 px-4 py-1 rounded-full shadow text-sm font-medium border whitespace-nowrap bg-surface text-fg-subtle border-line'>
+				{t('integrations.teaserBadge')}
+			</div>
+
+			<div className='rounded-2xl px-6 py-8 flex flex-wrap justify-center items-center gap-8 sm:gap-12 transition-all duration-300 bg-page border-line'>
+				<RevealGroup>
+					{featured.map((integration) => (
+						<IntegrationCard
+							key={integration.slug}
+							to={`/integrations/${integration.slug}`}
+							icon={<IntegrationIcon name={integration.icon} />}
+							label={integration.name}
+							note={integration.status === 'available' ? null : t(`integrations.status.${integration.status}`)}
+						/>
+					))}
+				</RevealGroup>
+			</div>
+			<p className='text-center'>
+				<Link to='/integrations' className='text-sm font-semibold underline text-fg'>
+					{t('integrations.viewAll')}
+				</Link>
+			</p>
+		</Reveal>
+	);
+};
+
+const IntegrationCard = ({ to, icon, label, note, delay }) => (
+	<Reveal
+		as={Link}
+		to={to}
+		delay={delay}
+		className='flex flex-col items-center justify-center text-center gap-2 rounded-xl border backdrop-blur-md transition-all duration-300 ease-in-out transform hover:-translate-y-1 hover:scale-[1.02] px-4 py-5 min-w-[100px] bg-surface/50 border-line text-fg shadow-[0_4px_12px_rgb(var(--color-glow)/0.05)] hover:shadow-[0_10px_25px_rgb(var(--color-glow)/0.1)]'
+	>
+		<div className='mb-1'>{icon}</div>
+		<span className='text-xs font-medium tracking-wide opacity-80'>{label}</span>
+		{note && <span className='text-[10px] uppercase tracking-wide text-fg-subtle'>{note}</span>}
+	</Reveal>
+);
+
+export default SeamlessIntegrations;
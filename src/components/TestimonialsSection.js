@@ -0,0 +1,33 @@
+import React from 'react';
+import { track } from '../analytics';
+import Reveal from '../animation/Reveal';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import TestimonialsCarousel from '../testimonials/TestimonialsCarousel';
+
+// Testimonials Section Component - customer quotes in a carousel, each linking to its case study
+function TestimonialsSection() {
+	const { t } = useI18n();
+	const { testimonials } = useContent();
+
+	if (!testimonials.length) return null;
+
+	return (
+		<Reveal as='section' onReveal={() => track('section_viewed', { section: 'testimonials' })} className='py-12 sm:py-20 bg-page'>
+			<div className='container mx-auto px-4 text-center'>
+				<Reveal
+					as='span'
+					className='inline-block text-xs sm:text-sm font-medium px-2 py-0.5 sm:px-3 sm:py-1 rounded-full mb-4 sm:mb-6 bg-muted text-fg-muted'
+				>
+					{t('testimonials.badge')}
+				</Reveal>
+				<Reveal as='h2' animation='slide-up' className='text-2xl sm:text-3xl md:text-4xl font-bold mb-8 sm:mb-12 text-fg'>
+					{t('testimonials.heading')}
+				</Reveal>
+				<TestimonialsCarousel testimonials={testimonials} />
+			</div>
+		</Reveal>
+	);
+}
+
+export default TestimonialsSection;
@@ -0,0 +1,175 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { analytics, track } from '../analytics';
+import { contactQueue, submitLead } from '../api/contact';
+import { useI18n } from '../i18n/I18nProvider';
+import { formatCurrency } from '../pricing/pricing';
+import LeadDetailsForm from './LeadDetailsForm';
+import SubmissionStatus from './SubmissionStatus';
+import { buildLeadPayload, validateStep } from './leadForm';
+import { ERROR_CODES, errorStatus, IDLE, QUEUED, statusFromError, SUBMITTING, SUCCESS, VALIDATING } from './submissionState';
+import { contactSpamGuard, HONEYPOT_FIELD } from './spamProtection';
+import { useLeadForm } from './useLeadForm';
+
+// Contact Form Component - hero email field, optional lead details steps and submission status.
+// Used by the landing page hero and the Contact page; `source` tells them apart in analytics.
+// An ROI `estimate` from the pricing page is attached to the lead until the visitor removes it.
+// `submitLabel` replaces the button text and `onStarted` runs once a valid email is entered
+// (the hero uses both for its experiments, see src/experiments).
+function ContactForm({ source = 'hero', estimate = null, onRemoveEstimate, submitLabel, onStarted }) {
+	const { locale, t } = useI18n();
+	const lead = useLeadForm();
+	const [status, setStatus] = useState(IDLE); // Structured submission status, see contact/submissionState
+	const lastSubmissionRef = useRef(null); // Values of the last attempt, used by the retry button
+	const [honeypot, setHoneypot] = useState(''); // Hidden field only bots fill in
+	const startedAtRef = useRef(Date.now()); // When the form appeared, for the time-to-submit check
+	const queuedIdRef = useRef(null); // Offline queue id of the lead this form is waiting on
+	const isLoading = status.type === 'submitting';
+
+	// Replay leads queued while offline, and report the outcome of the one this form queued.
+	// Other forms (and the demo scheduler) share the queue, so their items are ignored.
+	useEffect(() => {
+		const stop = contactQueue.start();
+		const unsubscribe = contactQueue.subscribe((event) => {
+			if (!event.item || event.item.id !== queuedIdRef.current) return;
+			if (event.type !== 'sent' && event.type !== 'failed') return;
+			queuedIdRef.current = null;
+			const result = event.type === 'sent' ? SUCCESS : statusFromError(event.error);
+			setStatus(result);
+			track('lead_submitted', { source, status: result.type, ...(result.code && { code: result.code }) });
+		});
+		return () => {
+			stop();
+			unsubscribe();
+		};
+	}, [source]);
+
+	// The email field is the first lead step; the remaining steps are optional details
+	const handleContactUs = (e) => {
+		e.preventDefault();
+		setStatus(VALIDATING);
+		if (lead.next()) {
+			setStatus(IDLE);
+			track('contact_started', { source });
+			if (onStarted) onStarted();
+		} else {
+			setStatus(errorStatus(ERROR_CODES.VALIDATION, t(validateStep(0, lead.values).email)));
+		}
+	};
+
+	// Reports the outcome of a submission attempt to analytics
+	const trackResult = (result) => track('lead_submitted', { source, status: result.type, ...(result.code && { code: result.code }) });
+
+	const handleSubmitLead = async (values) => {
+		lastSubmissionRef.current = values;
+		setStatus(SUBMITTING);
+
+		try {
+			const payload = buildLeadPayload(values, analytics.getAttribution(), estimate);
+			const guard = await contactSpamGuard.check({ payload, honeypot, startedAt: startedAtRef.current });
+			if (guard.verdict === 'bot') {
+				// Pretend it worked so bots get no signal to adapt to
+				setStatus(SUCCESS);
+				lead.reset();
+				return;
+			}
+			if (guard.verdict !== 'ok') {
+				const code = guard.verdict === 'too-fast' ? ERROR_CODES.TOO_FAST : ERROR_CODES.RATE_LIMITED;
+				const result = errorStatus(code, undefined, { retryAfter: guard.retryAfter });
+				setStatus(result);
+				trackResult(result);
+				return;
+			}
+
+			const { queued, id } = await submitLead(guard.challenge ? { ...payload, challenge: guard.challenge } : payload);
+			queuedIdRef.current = queued ? id : null;
+			const result = queued ? QUEUED : SUCCESS;
+			setStatus(result);
+			trackResult(result);
+			lead.reset();
+		} catch (error) {
+			console.error('Error sending email:', error);
+			const result = statusFromError(error);
+			setStatus(result);
+			trackResult(result);
+		}
+	};
+
+	const handleRetry = () => {
+		if (lastSubmissionRef.current) handleSubmitLead(lastSubmissionRef.current);
+	};
+
+	return (
+		<>
+			{estimate && (
+				<p className='flex flex-wrap items-center justify-center gap-x-2 mb-4 text-sm text-fg-muted'>
+					{t('contact.estimateAttached', {
+						tickets: estimate.tickets,
+						savings: formatCurrency(estimate.savings, estimate.currency, locale),
+					})}
+					<button type='button' onClick={onRemoveEstimate} className='font-semibold underline text-fg'>
+						{t('contact.removeEstimate')}
+					</button>
+				</p>
+			)}
+			{/* Email Input with Integrated Button, followed by the optional lead details steps */}
+			{lead.step > 0 ? (
+				<LeadDetailsForm lead={lead} onSubmit={handleSubmitLead} isLoading={isLoading} />
+			) : (
+				<form
+					onSubmit={handleContactUs}
+					className='flex items-center justify-start md:w-[450px] mx-auto rounded-full overflow-hidden shadow-xl relative transition-all duration-300 border focus-within:border bg-page border-transparent focus-within:border-focus'
+				>
+					<input
+						type='email'
+						placeholder={t('contact.emailPlaceholder')}
+						className='w-full px-5 py-5 rounded-full border border-transparent focus:outline-none focus:ring-0 focus:border-transparent bg-raised text-fg placeholder-fg-subtle'
+						value={lead.values.email}
+						onChange={(e) => lead.setValue('email', e.target.value)}
+						required
+					/>
+					{/* Honeypot field - visually hidden and skipped by keyboard and screen readers */}
+					<input
+						type='text'
+						name={HONEYPOT_FIELD}
+						value={honeypot}
+						onChange={(e) => setHoneypot(e.target.value)}
+						tabIndex={-1}
+						autoComplete='off'
+						aria-hidden='true'
+						className='absolute -left-[9999px] w-px h-px opacity-0'
+					/>
+					<button
+						type='submit'
+						className='w-40 absolute end-2 px-1 py-3 font-semibold text-base rounded-3xl shadow-md transition duration-300 flex items-center justify-center gap-2 bg-accent text-on-accent hover:bg-accent-hover focus:ring-2 focus:ring-focus'
+						disabled={isLoading}
+					>
+						{isLoading ? (
+							<>
+								<svg className='animate-spin h-5 w-5 text-white' xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24'>
+									<circle className='opacity-25' cx='12' cy='12' r='10' stroke='currentColor' strokeWidth='4'></circle>
+									<path
+										className='opacity-75'
+										fill='currentColor'
+										d='M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z'
+									></path>
+								</svg>
+								{t('contact.sending')}
+							</>
+						) : (
+							<>
+								{submitLabel || t('contact.submit')}
+								<svg className='w-5 h-5' fill='none' stroke='currentColor' viewBox='0 0 24 24' xmlns='http://www.w3.org/2000/svg'>
+									<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M14 5l7 7m0 0l-7 7m7-7H3' />
+								</svg>
+							</>
+						)}
+					</button>
+				</form>
+			)}
+
+			<SubmissionStatus status={status} onRetry={handleRetry} />
+		</>
+	);
+}
+
+export default ContactForm;
@@ -0,0 +1,191 @@
+import React from 'react';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import { COMPANY_SIZES, STEPS, USE_CASES, withoutInvalidDetails } from './leadForm';
+
+// Progress Indicator Component - one segment per lead form step
+export const StepProgress = ({ step, stepCount }) => {
+	const { t } = useI18n();
+	return (
+		<div className='mb-4'>
+			<div className='flex justify-between text-xs font-medium mb-2 text-fg-subtle'>
+				<span>{t('lead.progress', { step: step + 1, count: stepCount })}</span>
+				<span>{t(STEPS[step].title)}</span>
+			</div>
+			<div
+				className='flex gap-1'
+				role='progressbar'
+				aria-label={t('lead.progressLabel')}
+				aria-valuemin={1}
+				aria-valuemax={stepCount}
+				aria-valuenow={step + 1}
+			>
+				{STEPS.map((item, index) => (
+					<span
+						key={item.id}
+						className={`h-1.5 flex-1 rounded-full transition-colors duration-300 ${index <= step ? 'bg-accent' : 'bg-muted-strong'}`}
+					></span>
+				))}
+			</div>
+		</div>
+	);
+};
+
+// Validation messages are catalog keys, see ./leadForm
+const FieldError = ({ id, message }) => {
+	const { t } = useI18n();
+	return message ? (
+		<p id={id} className='mt-1 text-xs text-red-600'>
+			{t(message)}
+		</p>
+	) : null;
+};
+
+// Reusable Text Field Component for the lead form
+const TextField = ({ id, label, value, error, onChange, ...inputProps }) => (
+	<div className='text-start'>
+		<label htmlFor={id} className='block text-sm font-medium text-fg-muted'>
+			{label}
+		</label>
+		<input
+			id={id}
+			value={value}
+			onChange={(e) => onChange(e.target.value)}
+			aria-invalid={Boolean(error)}
+			aria-describedby={error ? `${id}-error` : undefined}
+			className={`mt-1 w-full px-4 py-3 rounded-lg border text-sm focus:outline-none ${
+				error ? 'border-red-400' : 'border-line-strong focus:border-focus'
+			} bg-raised text-fg placeholder-fg-subtle`}
+			{...inputProps}
+		/>
+		<FieldError id={`${id}-error`} message={error} />
+	</div>
+);
+
+// Reusable Choice Group Component - a radio group styled as selectable pills
+const ChoiceGroup = ({ name, label, options, value, error, onChange }) => (
+	<fieldset className='text-start'>
+		<legend className='text-sm font-medium mb-2 text-fg-muted'>{label}</legend>
+		<div className='flex flex-wrap gap-2'>
+			{options.map((option) => (
+				<label
+					key={option.id}
+					className={`cursor-pointer px-4 py-2 rounded-full border text-sm transition-colors duration-300 focus-within:ring-2 focus-within:ring-gray-400 ${
+						value === option.id ? 'bg-accent text-on-accent border-accent' : 'border-line-strong text-fg-muted hover:bg-muted'
+					}`}
+				>
+					<input type='radio' name={name} value={option.id} checked={value === option.id} onChange={() => onChange(option.id)} className='sr-only' />
+					{option.label}
+				</label>
+			))}
+		</div>
+		<FieldError id={`${name}-error`} message={error} />
+	</fieldset>
+);
+
+// Lead Details Form Component - the optional steps that follow the hero email field
+function LeadDetailsForm({ lead, onSubmit, isLoading }) {
+	const { step, stepCount, currentStep, isLastStep, values, errors, setValue, next, back, validate } = lead;
+	const { t } = useI18n();
+	const { features } = useContent();
+	// Use case choices are labelled with the offering titles in the active locale
+	const titles = Object.fromEntries(features.map(({ slug, title }) => [slug, title]));
+	const useCases = USE_CASES.map((option) => ({ ...option, label: titles[option.id] || option.label }));
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		if (!isLastStep) {
+			next();
+		} else if (validate()) {
+			onSubmit(values);
+		}
+	};
+
+	return (
+		<form onSubmit={handleSubmit} noValidate className='md:w-[450px] mx-auto rounded-2xl shadow-xl p-5 sm:p-6 text-start animate-fadeIn bg-surface'>
+			<StepProgress step={step} stepCount={stepCount} />
+
+			<div className='space-y-4'>
+				{currentStep.id === 'about' && (
+					<>
+						<TextField
+							id='lead-name'
+							label={t('lead.name')}
+							autoComplete='name'
+							value={values.name}
+							error={errors.name}
+							onChange={(value) => setValue('name', value)}
+						/>
+						<TextField
+							id='lead-company'
+							label={t('lead.company')}
+							autoComplete='organization'
+							value={values.company}
+							error={errors.company}
+							onChange={(value) => setValue('company', value)}
+						/>
+					</>
+				)}
+				{currentStep.id === 'companySize' && (
+					<ChoiceGroup
+						name='companySize'
+						label={t('lead.companySize')}
+						options={COMPANY_SIZES.map((size) => ({ id: size, label: size }))}
+						value={values.companySize}
+						error={errors.companySize}
+						onChange={(value) => setValue('companySize', value)}
+					/>
+				)}
+				{currentStep.id === 'useCase' && (
+					<ChoiceGroup
+						name='useCase'
+						label={t('lead.useCase')}
+						options={useCases}
+						value={values.useCase}
+						error={errors.useCase}
+						onChange={(value) => setValue('useCase', value)}
+					/>
+				)}
+				{currentStep.id === 'demoTime' && (
+					<TextField
+						id='lead-demo-time'
+						label={t('lead.demoTime')}
+						type='datetime-local'
+						value={values.demoTime}
+						error={errors.demoTime}
+						onChange={(value) => setValue('demoTime', value)}
+					/>
+				)}
+			</div>
+
+			<div className='mt-6 flex items-center justify-between gap-2'>
+				<button
+					type='button'
+					onClick={back}
+					className='px-4 py-2 rounded-full text-sm font-semibold transition duration-300 text-fg-muted hover:bg-muted'
+				>
+					{t('lead.back')}
+				</button>
+				<div className='flex items-center gap-2'>
+					<button
+						type='button'
+						onClick={() => onSubmit(withoutInvalidDetails(values))}
+						disabled={isLoading}
+						className='px-3 py-2 text-xs sm:text-sm underline transition duration-300 text-fg-subtle hover:text-fg'
+					>
+						{t('lead.skip')}
+					</button>
+					<button
+						type='submit'
+						disabled={isLoading}
+						className='px-5 py-2 rounded-full text-sm font-semibold shadow-md transition duration-300 disabled:opacity-50 bg-accent text-on-accent hover:bg-accent-hover'
+					>
+						{isLastStep ? (isLoading ? t('contact.sending') : t('lead.send')) : t('lead.next')}
+					</button>
+				</div>
+			</div>
+		</form>
+	);
+}
+
+export default LeadDetailsForm;
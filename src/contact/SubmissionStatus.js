@@ -0,0 +1,129 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { canRetry, ERROR_CODES } from './submissionState';
+
+const CheckIcon = () => (
+	<svg
+		className='h-5 w-5 flex-shrink-0 text-green-500'
+		fill='none'
+		strokeLinecap='round'
+		strokeLinejoin='round'
+		strokeWidth='2'
+		viewBox='0 0 24 24'
+		stroke='currentColor'
+	>
+		<path d='M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z'></path>
+	</svg>
+);
+
+const ClockIcon = () => (
+	<svg
+		className='h-5 w-5 flex-shrink-0 text-amber-500'
+		fill='none'
+		strokeLinecap='round'
+		strokeLinejoin='round'
+		strokeWidth='2'
+		viewBox='0 0 24 24'
+		stroke='currentColor'
+	>
+		<path d='M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z'></path>
+	</svg>
+);
+
+const WarningIcon = () => (
+	<svg
+		className='h-5 w-5 flex-shrink-0 text-amber-500'
+		fill='none'
+		strokeLinecap='round'
+		strokeLinejoin='round'
+		strokeWidth='2'
+		viewBox='0 0 24 24'
+		stroke='currentColor'
+	>
+		<path d='M12 9v2m0 4h.01M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z'></path>
+	</svg>
+);
+
+const ErrorIcon = () => (
+	<svg
+		className='h-5 w-5 flex-shrink-0 text-red-500'
+		fill='none'
+		strokeLinecap='round'
+		strokeLinejoin='round'
+		strokeWidth='2'
+		viewBox='0 0 24 24'
+		stroke='currentColor'
+	>
+		<path d='M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2A9 9 0 1112 11c0 2.13 1.13 4.06 3 5.13l-1.5 1.5M21 12a9 9 0 01-18 0c0-2.13 1.13-4.06 3-5.13l-1.5-1.5'></path>
+	</svg>
+);
+
+// Wait time for the rate limit message, in whole seconds below a minute and whole minutes above
+const waitValues = (ms) => {
+	const seconds = Math.ceil(ms / 1000);
+	return seconds < 60 ? { unit: 'second', count: seconds } : { unit: 'minute', count: Math.ceil(seconds / 60) };
+};
+
+// Message, icon and tone for every displayable status. Server supplied messages are shown as is.
+const describe = (status, t) => {
+	if (status.type === 'success') return { tone: 'success', icon: <CheckIcon />, text: t('status.success') };
+	if (status.type === 'queued') return { tone: 'warning', icon: <ClockIcon />, text: t('status.queued') };
+	switch (status.code) {
+		case ERROR_CODES.VALIDATION:
+			return { tone: 'warning', icon: <WarningIcon />, text: status.message || t('status.validation') };
+		case ERROR_CODES.NETWORK:
+			return { tone: 'error', icon: <ErrorIcon />, text: t('status.network') };
+		case ERROR_CODES.TIMEOUT:
+			return { tone: 'error', icon: <ErrorIcon />, text: t('status.timeout') };
+		case ERROR_CODES.SERVER_REJECTED:
+			return { tone: 'error', icon: <ErrorIcon />, text: status.message || t('status.rejected') };
+		case ERROR_CODES.RATE_LIMITED:
+			return {
+				tone: 'warning',
+				icon: <ClockIcon />,
+				text: status.retryAfter ? t('status.rateLimited', waitValues(status.retryAfter)) : t('status.rateLimitedMoment'),
+			};
+		case ERROR_CODES.TOO_FAST:
+			return { tone: 'warning', icon: <ClockIcon />, text: t('status.tooFast') };
+		default:
+			return { tone: 'error', icon: <ErrorIcon />, text: t('status.unknown') };
+	}
+};
+
+const TONE_CLASSES = {
+	success: 'bg-raised border-line-strong text-fg',
+	warning: 'bg-warning border-warning-line text-on-warning',
+	error: 'bg-danger border-danger-line text-on-danger',
+};
+
+// Submission Status Component - renders the outcome of a lead submission with an optional retry
+function SubmissionStatus({ status, onRetry }) {
+	const { t } = useI18n();
+	if (!['success', 'queued', 'error'].includes(status.type)) return null;
+
+	const { tone, icon, text } = describe(status, t);
+	const isError = status.type === 'error';
+
+	return (
+		<div
+			role={isError ? 'alert' : 'status'}
+			data-status={status.type}
+			data-code={status.code}
+			className={`md:w-[450px] mx-auto mt-4 px-4 py-2 rounded-lg border text-sm font-medium flex items-center justify-center gap-2 animate-fadeIn ${TONE_CLASSES[tone]}`}
+		>
+			{icon}
+			<span>{text}</span>
+			{canRetry(status) && onRetry && (
+				<button
+					type='button'
+					onClick={onRetry}
+					className='ms-2 flex-shrink-0 px-3 py-1 rounded-full border border-current text-xs font-semibold hover:opacity-80 transition duration-300'
+				>
+					{t('status.retry')}
+				</button>
+			)}
+		</div>
+	);
+}
+
+export default SubmissionStatus;
@@ -0,0 +1,48 @@
+// Challenge providers prove a lead submission came from a real browser session.
+// A provider is `{ name, getToken(payload) }`; getToken resolves to a token string that is
+// sent with the lead (or null when the provider has nothing to add). A CAPTCHA integration
+// only needs to implement the same shape and be returned from `createChallengeProvider`.
+
+// Default provider: adds nothing and never blocks a submission
+export const noopChallenge = {
+	name: 'none',
+	getToken: async () => null,
+};
+
+// Deterministic provider for tests and local development
+export const createTestChallenge = (token = 'test-token') => ({
+	name: 'test',
+	getToken: async () => token,
+});
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// Hashcash-style proof of work: finds a nonce so that SHA-256(`${seed}:${nonce}`) starts with
+// `difficulty` zero hex digits. The backend verifies it with a single hash. The token is
+// `${seed}:${nonce}`, where the seed binds it to the submitted email and the current time.
+export const createProofOfWorkChallenge = ({ difficulty = 4, maxAttempts = 5000000, subtle = window.crypto && window.crypto.subtle } = {}) => ({
+	name: 'pow',
+	getToken: async (payload) => {
+		if (!subtle) return null;
+		const prefix = '0'.repeat(difficulty);
+		const seed = `${payload.userEmail || ''}:${Date.now()}`;
+		const encoder = new TextEncoder();
+		for (let nonce = 0; nonce < maxAttempts; nonce++) {
+			const hash = toHex(await subtle.digest('SHA-256', encoder.encode(`${seed}:${nonce}`)));
+			if (hash.startsWith(prefix)) return `${seed}:${nonce}`;
+		}
+		return null;
+	},
+});
+
+// Picks the provider configured with REACT_APP_CHALLENGE_PROVIDER ('none', 'pow' or 'test')
+export const createChallengeProvider = (name = process.env.REACT_APP_CHALLENGE_PROVIDER) => {
+	switch (name) {
+		case 'pow':
+			return createProofOfWorkChallenge();
+		case 'test':
+			return createTestChallenge();
+		default:
+			return noopChallenge;
+	}
+};
@@ -0,0 +1,100 @@
+import { features } from '../content';
+
+// Lead capture steps shown after the hero email field. Every step lists the fields it owns
+// and a validator that returns an `{ field: messageKey }` object (empty when the step is valid).
+// Step titles and validation messages are i18n catalog keys, see src/i18n/catalogs.
+
+export const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-1000', '1000+'];
+
+// One choice per published offering in src/content/features.json
+export const USE_CASES = features.map(({ slug, title }) => ({ id: slug, label: title }));
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const INITIAL_VALUES = {
+	email: '',
+	name: '',
+	company: '',
+	companySize: '',
+	useCase: '',
+	demoTime: '',
+};
+
+export const STEPS = [
+	{
+		id: 'email',
+		title: 'lead.step.email',
+		fields: ['email'],
+		validate: ({ email }) => {
+			if (!email.trim()) return { email: 'lead.error.emailRequired' };
+			if (!EMAIL_PATTERN.test(email.trim())) return { email: 'lead.error.emailInvalid' };
+			return {};
+		},
+	},
+	{
+		id: 'about',
+		title: 'lead.step.about',
+		fields: ['name', 'company'],
+		validate: ({ name, company }) => {
+			const errors = {};
+			if (!name.trim()) errors.name = 'lead.error.nameRequired';
+			if (!company.trim()) errors.company = 'lead.error.companyRequired';
+			return errors;
+		},
+	},
+	{
+		id: 'companySize',
+		title: 'lead.step.companySize',
+		fields: ['companySize'],
+		validate: ({ companySize }) => (COMPANY_SIZES.includes(companySize) ? {} : { companySize: 'lead.error.companySize' }),
+	},
+	{
+		id: 'useCase',
+		title: 'lead.step.useCase',
+		fields: ['useCase'],
+		validate: ({ useCase }) => (USE_CASES.some((option) => option.id === useCase) ? {} : { useCase: 'lead.error.useCase' }),
+	},
+	{
+		id: 'demoTime',
+		title: 'lead.step.demoTime',
+		fields: ['demoTime'],
+		validate: ({ demoTime }, now = new Date()) => {
+			if (!demoTime) return { demoTime: 'lead.error.demoTimeRequired' };
+			const time = new Date(demoTime);
+			if (Number.isNaN(time.getTime())) return { demoTime: 'lead.error.demoTimeInvalid' };
+			if (time <= now) return { demoTime: 'lead.error.demoTimePast' };
+			return {};
+		},
+	},
+];
+
+// Validates a single step by index
+export const validateStep = (stepIndex, values, now) => STEPS[stepIndex].validate(values, now);
+
+// Clears the optional details that fail their step's validation, e.g. a half typed demo time, so a
+// visitor who skips the remaining steps only sends what they finished
+export const withoutInvalidDetails = (values, now) =>
+	STEPS.slice(1).reduce((kept, step) => {
+		const invalid = Object.keys(step.validate(values, now));
+		return { ...kept, ...Object.fromEntries(invalid.map((field) => [field, INITIAL_VALUES[field]])) };
+	}, values);
+
+// Builds the structured payload for the lead endpoint. Only the email is mandatory, the
+// remaining details are included when the visitor filled them in. `attribution` (UTM
+// parameters and referrer, see analytics/attribution) is attached when available, and so is the
+// `estimate` of an ROI calculation the visitor brought from the pricing page (see pricing/roi).
+export const buildLeadPayload = (values, attribution = null, estimate = null) => {
+	const useCase = USE_CASES.find((option) => option.id === values.useCase);
+	const payload = {
+		userEmail: values.email.trim(),
+		name: values.name.trim() || undefined,
+		company: values.company.trim() || undefined,
+		companySize: values.companySize || undefined,
+		useCase: useCase ? useCase.label : undefined,
+		preferredDemoTime: values.demoTime ? new Date(values.demoTime).toISOString() : undefined,
+		timeZone: values.demoTime ? Intl.DateTimeFormat().resolvedOptions().timeZone : undefined,
+		attribution: attribution || undefined,
+		roiEstimate: estimate || undefined,
+	};
+	return Object.fromEntries(Object.entries(payload).filter(([, value]) => value !== undefined));
+};
@@ -0,0 +1,118 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import I18nProvider from '../i18n/I18nProvider';
+import LeadDetailsForm from './LeadDetailsForm';
+import { buildLeadPayload, INITIAL_VALUES, validateStep, withoutInvalidDetails } from './leadForm';
+import { DRAFT_KEY, useLeadForm } from './useLeadForm';
+
+const NOW = new Date('2025-05-01T10:00:00');
+
+test('validates each step independently', () => {
+	expect(validateStep(0, { ...INITIAL_VALUES, email: 'not-an-email' })).toEqual({ email: 'lead.error.emailInvalid' });
+	expect(validateStep(0, { ...INITIAL_VALUES, email: 'lead@example.com' })).toEqual({});
+	expect(Object.keys(validateStep(1, INITIAL_VALUES))).toEqual(['name', 'company']);
+	expect(validateStep(2, { ...INITIAL_VALUES, companySize: '11-50' })).toEqual({});
+	expect(validateStep(3, { ...INITIAL_VALUES, useCase: 'unknown' })).toHaveProperty('useCase');
+	expect(validateStep(4, { ...INITIAL_VALUES, demoTime: '2025-04-30T10:00' }, NOW)).toEqual({ demoTime: 'lead.error.demoTimePast' });
+	expect(validateStep(4, { ...INITIAL_VALUES, demoTime: '2025-05-02T10:00' }, NOW)).toEqual({});
+});
+
+test('builds one structured payload and omits empty details', () => {
+	expect(buildLeadPayload({ ...INITIAL_VALUES, email: ' lead@example.com ' })).toEqual({ userEmail: 'lead@example.com' });
+	expect(
+		buildLeadPayload({ email: 'lead@example.com', name: 'Asha', company: 'Acme', companySize: '11-50', useCase: 'agentic-workflows', demoTime: '' })
+	).toEqual({ userEmail: 'lead@example.com', name: 'Asha', company: 'Acme', companySize: '11-50', useCase: 'Agentic workflows' });
+	expect(buildLeadPayload({ ...INITIAL_VALUES, email: 'lead@example.com' }, { utm_source: 'newsletter', landingPage: '/' })).toEqual({
+		userEmail: 'lead@example.com',
+		attribution: { utm_source: 'newsletter', landingPage: '/' },
+	});
+	expect(buildLeadPayload({ ...INITIAL_VALUES, email: 'lead@example.com' }, null, { tickets: 2000, savings: 4667 })).toEqual({
+		userEmail: 'lead@example.com',
+		roiEstimate: { tickets: 2000, savings: 4667 },
+	});
+});
+
+test('clears the optional details that are not valid yet', () => {
+	const values = { email: 'lead@example.com', name: 'Asha', company: '', companySize: '11-50', useCase: 'unknown', demoTime: '2025-13-45T99:99' };
+	expect(withoutInvalidDetails(values, NOW)).toEqual({ ...INITIAL_VALUES, email: 'lead@example.com', name: 'Asha', companySize: '11-50' });
+	expect(withoutInvalidDetails({ ...values, demoTime: '2025-05-02T10:00' }, NOW).demoTime).toBe('2025-05-02T10:00');
+});
+
+describe('LeadDetailsForm', () => {
+	let lead;
+	const Harness = ({ onSubmit }) => {
+		lead = useLeadForm();
+		return lead.step > 0 ? <LeadDetailsForm lead={lead} onSubmit={onSubmit} /> : null;
+	};
+
+	beforeEach(() => localStorage.clear());
+
+	const startDetails = () => {
+		act(() => lead.setValue('email', 'lead@example.com'));
+		act(() => {
+			lead.next();
+		});
+	};
+
+	test('blocks the next step until the current one is valid', () => {
+		render(<Harness onSubmit={jest.fn()} />);
+		startDetails();
+
+		userEvent.click(screen.getByRole('button', { name: 'Next' }));
+		expect(screen.getByText('Please tell us your name.')).toBeInTheDocument();
+
+		userEvent.type(screen.getByLabelText('Your name'), 'Asha');
+		userEvent.type(screen.getByLabelText('Company'), 'Acme');
+		userEvent.click(screen.getByRole('button', { name: 'Next' }));
+		expect(screen.getByText('Step 3 of 5')).toBeInTheDocument();
+
+		userEvent.click(screen.getByRole('button', { name: 'Back' }));
+		expect(screen.getByLabelText('Your name')).toHaveValue('Asha');
+	});
+
+	test('saves the draft and restores it on the next visit', () => {
+		const { unmount } = render(<Harness onSubmit={jest.fn()} />);
+		startDetails();
+		userEvent.type(screen.getByLabelText('Your name'), 'Asha');
+		unmount();
+
+		expect(JSON.parse(localStorage.getItem(DRAFT_KEY))).toMatchObject({ step: 1, values: { email: 'lead@example.com', name: 'Asha' } });
+
+		render(<Harness onSubmit={jest.fn()} />);
+		expect(screen.getByLabelText('Your name')).toHaveValue('Asha');
+	});
+
+	test('lets visitors skip the optional details', () => {
+		const onSubmit = jest.fn();
+		render(<Harness onSubmit={onSubmit} />);
+		startDetails();
+
+		userEvent.click(screen.getByRole('button', { name: 'Skip and send' }));
+		expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ email: 'lead@example.com' }));
+	});
+
+	test('leaves a half typed demo time out when skipping', () => {
+		const onSubmit = jest.fn();
+		render(<Harness onSubmit={onSubmit} />);
+		startDetails();
+		act(() => lead.setValue('demoTime', '2025-13-45T99:99'));
+
+		userEvent.click(screen.getByRole('button', { name: 'Skip and send' }));
+		const [values] = onSubmit.mock.calls[0];
+		expect(values.demoTime).toBe('');
+		expect(() => buildLeadPayload(values)).not.toThrow();
+	});
+
+	test('shows its labels and validation messages in the active locale', () => {
+		render(
+			<I18nProvider initialLocale='hi'>
+				<Harness onSubmit={jest.fn()} />
+			</I18nProvider>
+		);
+		startDetails();
+
+		expect(screen.getByRole('progressbar', { name: 'फ़ॉर्म की प्रगति' })).toBeInTheDocument();
+		userEvent.click(screen.getByRole('button', { name: 'आगे' }));
+		expect(screen.getByLabelText('आपका नाम')).toHaveAccessibleDescription('कृपया हमें अपना नाम बताएँ।');
+	});
+});
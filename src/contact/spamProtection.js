@@ -0,0 +1,62 @@
+import { createChallengeProvider } from './challenges';
+
+// Name of the hidden honeypot input. Real visitors never see it, form-filling bots usually do.
+export const HONEYPOT_FIELD = 'website';
+
+// Submissions faster than this after the form appeared are almost certainly scripted
+export const MIN_FILL_TIME = 2000;
+
+// Per-browser throttle for lead submissions, persisted in localStorage so reloading the page
+// does not reset it. Keeps the timestamps of recent submissions within `windowMs`.
+export const createRateLimiter = ({ key, limit, windowMs, storage = window.localStorage }) => {
+	const read = (now) => {
+		try {
+			const timestamps = JSON.parse(storage.getItem(key));
+			return Array.isArray(timestamps) ? timestamps.filter((time) => now - time < windowMs) : [];
+		} catch (error) {
+			return [];
+		}
+	};
+
+	return {
+		// Returns { allowed: true } or { allowed: false, retryAfter } in milliseconds
+		check: (now = Date.now()) => {
+			const recent = read(now);
+			if (recent.length < limit) return { allowed: true };
+			return { allowed: false, retryAfter: Math.min(...recent) + windowMs - now };
+		},
+		record: (now = Date.now()) => {
+			try {
+				storage.setItem(key, JSON.stringify([...read(now), now]));
+			} catch (error) {
+				// Without storage the throttle only lasts for this page view
+			}
+		},
+	};
+};
+
+// Runs every client-side abuse check before a lead is sent. `check` resolves to one of:
+// { verdict: 'ok', challenge }      - send the lead, attaching `challenge` when present
+// { verdict: 'bot' }                - honeypot was filled; drop the lead silently
+// { verdict: 'too-fast', retryAfter } - submitted faster than a person could
+// { verdict: 'rate-limited', retryAfter } - too many submissions from this browser
+export const createSpamGuard = ({
+	rateLimiter = createRateLimiter({ key: 'nimble-contact-submissions', limit: 5, windowMs: 10 * 60 * 1000 }),
+	challenge = createChallengeProvider(),
+	minFillTime = MIN_FILL_TIME,
+} = {}) => ({
+	check: async ({ payload, honeypot, startedAt, now = Date.now() }) => {
+		if (honeypot) return { verdict: 'bot' };
+		if (now - startedAt < minFillTime) return { verdict: 'too-fast', retryAfter: minFillTime - (now - startedAt) };
+
+		const limit = rateLimiter.check(now);
+		if (!limit.allowed) return { verdict: 'rate-limited', retryAfter: limit.retryAfter };
+
+		rateLimiter.record(now);
+		const token = await challenge.getToken(payload);
+		return { verdict: 'ok', challenge: token ? { provider: challenge.name, token } : null };
+	},
+});
+
+// Shared guard for the contact form
+export const contactSpamGuard = createSpamGuard();
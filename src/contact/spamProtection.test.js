@@ -0,0 +1,54 @@
+import { createProofOfWorkChallenge, createTestChallenge, noopChallenge } from './challenges';
+import { createRateLimiter, createSpamGuard } from './spamProtection';
+
+const NOW = 1_700_000_000_000;
+const payload = { userEmail: 'lead@example.com' };
+
+const createGuard = (options = {}) =>
+	createSpamGuard({
+		rateLimiter: createRateLimiter({ key: 'test-submissions', limit: 2, windowMs: 60000 }),
+		challenge: noopChallenge,
+		minFillTime: 2000,
+		...options,
+	});
+
+beforeEach(() => localStorage.clear());
+
+test('flags submissions that filled the honeypot', async () => {
+	await expect(createGuard().check({ payload, honeypot: 'https://spam.example', startedAt: NOW - 60000, now: NOW })).resolves.toEqual({
+		verdict: 'bot',
+	});
+});
+
+test('rejects submissions made faster than a person could type', async () => {
+	await expect(createGuard().check({ payload, honeypot: '', startedAt: NOW - 500, now: NOW })).resolves.toEqual({
+		verdict: 'too-fast',
+		retryAfter: 1500,
+	});
+});
+
+test('throttles repeated submissions from the same browser across page loads', async () => {
+	const check = (now) => createGuard().check({ payload, honeypot: '', startedAt: 0, now });
+
+	await expect(check(NOW)).resolves.toMatchObject({ verdict: 'ok' });
+	await expect(check(NOW + 1000)).resolves.toMatchObject({ verdict: 'ok' });
+	await expect(check(NOW + 2000)).resolves.toEqual({ verdict: 'rate-limited', retryAfter: 58000 });
+	await expect(check(NOW + 60000)).resolves.toMatchObject({ verdict: 'ok' });
+});
+
+test('attaches the challenge token from the configured provider', async () => {
+	const guard = createGuard({ challenge: createTestChallenge('abc') });
+
+	await expect(guard.check({ payload, honeypot: '', startedAt: 0, now: NOW })).resolves.toEqual({
+		verdict: 'ok',
+		challenge: { provider: 'test', token: 'abc' },
+	});
+});
+
+test('proof of work finds a nonce whose hash has the required prefix', async () => {
+	// Stand-in digest: the first byte is zero only for nonce 3
+	const subtle = { digest: async (algorithm, data) => new Uint8Array([new TextDecoder().decode(data).endsWith(':3') ? 0 : 255, 1]).buffer };
+	const token = await createProofOfWorkChallenge({ difficulty: 2, subtle }).getToken(payload);
+
+	expect(token).toMatch(/^lead@example\.com:\d+:3$/);
+});
@@ -0,0 +1,45 @@
+// Status model for the lead submission. A status is a plain object:
+// { type: 'idle' | 'validating' | 'submitting' | 'success' | 'queued' | 'error', code?, message?, retryAfter? }
+// `code` is one of ERROR_CODES and is only present on errors.
+
+export const ERROR_CODES = {
+	VALIDATION: 'validation',
+	NETWORK: 'network',
+	TIMEOUT: 'timeout',
+	SERVER_REJECTED: 'server-rejected',
+	RATE_LIMITED: 'rate-limited',
+	TOO_FAST: 'too-fast',
+	SERVER_ERROR: 'server-error',
+	UNKNOWN: 'unknown',
+};
+
+export const IDLE = { type: 'idle' };
+export const VALIDATING = { type: 'validating' };
+export const SUBMITTING = { type: 'submitting' };
+export const SUCCESS = { type: 'success' };
+export const QUEUED = { type: 'queued' };
+
+export const errorStatus = (code, message, extra = {}) => ({ type: 'error', code, message, ...extra });
+
+// Pulls a human readable message out of an error response body, if the server sent one
+const serverMessage = (data) => {
+	if (!data) return undefined;
+	if (typeof data === 'string') return data;
+	return data.message || data.error || undefined;
+};
+
+// Maps an ApiError (see api/client) to an error status
+export const statusFromError = (error) => {
+	if (!error || !error.kind) return errorStatus(ERROR_CODES.UNKNOWN);
+	if (error.kind === 'network') return errorStatus(ERROR_CODES.NETWORK);
+	if (error.kind === 'timeout') return errorStatus(ERROR_CODES.TIMEOUT);
+	if (error.status === 429) return errorStatus(ERROR_CODES.RATE_LIMITED, serverMessage(error.data), { retryAfter: error.retryAfter });
+	if (error.status >= 400 && error.status < 500) return errorStatus(ERROR_CODES.SERVER_REJECTED, serverMessage(error.data));
+	return errorStatus(ERROR_CODES.SERVER_ERROR);
+};
+
+// Errors that sending the same details again cannot fix: validation and server rejections (4xx) need
+// the form edited and rate limits need a wait, like `isRetryable` in the API client
+const PERMANENT_ERRORS = [ERROR_CODES.VALIDATION, ERROR_CODES.SERVER_REJECTED, ERROR_CODES.RATE_LIMITED];
+
+export const canRetry = (status) => status.type === 'error' && !PERMANENT_ERRORS.includes(status.code);
@@ -0,0 +1,64 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ApiError } from '../api/client';
+import SubmissionStatus from './SubmissionStatus';
+import { canRetry, ERROR_CODES, errorStatus, IDLE, statusFromError, SUBMITTING, SUCCESS } from './submissionState';
+
+test('maps API errors to error codes', () => {
+	expect(statusFromError(new ApiError('offline', { kind: 'network' }))).toMatchObject({ type: 'error', code: ERROR_CODES.NETWORK });
+	expect(statusFromError(new ApiError('slow', { kind: 'timeout' }))).toMatchObject({ code: ERROR_CODES.TIMEOUT });
+	expect(statusFromError(new ApiError('bad', { kind: 'http', status: 422, data: { message: 'Email domain is not allowed' } }))).toEqual({
+		type: 'error',
+		code: ERROR_CODES.SERVER_REJECTED,
+		message: 'Email domain is not allowed',
+	});
+	expect(statusFromError(new ApiError('slow down', { kind: 'http', status: 429, retryAfter: 30000 }))).toMatchObject({
+		code: ERROR_CODES.RATE_LIMITED,
+		retryAfter: 30000,
+	});
+	expect(statusFromError(new ApiError('boom', { kind: 'http', status: 500 }))).toMatchObject({ code: ERROR_CODES.SERVER_ERROR });
+	expect(statusFromError(new Error('unexpected'))).toMatchObject({ code: ERROR_CODES.UNKNOWN });
+});
+
+test('only errors that may pass on a second attempt can be retried', () => {
+	expect(canRetry(errorStatus(ERROR_CODES.NETWORK))).toBe(true);
+	expect(canRetry(errorStatus(ERROR_CODES.SERVER_ERROR))).toBe(true);
+	expect(canRetry(errorStatus(ERROR_CODES.VALIDATION, 'Please enter your email address.'))).toBe(false);
+	expect(canRetry(errorStatus(ERROR_CODES.SERVER_REJECTED, 'Email domain is not allowed'))).toBe(false);
+	expect(canRetry(errorStatus(ERROR_CODES.RATE_LIMITED, undefined, { retryAfter: 30000 }))).toBe(false);
+	expect(canRetry(SUCCESS)).toBe(false);
+});
+
+test('renders nothing while idle or submitting', () => {
+	const { container, rerender } = render(<SubmissionStatus status={IDLE} />);
+	expect(container).toBeEmptyDOMElement();
+	rerender(<SubmissionStatus status={SUBMITTING} />);
+	expect(container).toBeEmptyDOMElement();
+});
+
+test('shows validation messages without a retry button', () => {
+	render(<SubmissionStatus status={errorStatus(ERROR_CODES.VALIDATION, 'Please enter your email address.')} onRetry={jest.fn()} />);
+
+	expect(screen.getByRole('alert')).toHaveTextContent('Please enter your email address.');
+	expect(screen.queryByRole('button', { name: 'Try again' })).not.toBeInTheDocument();
+});
+
+test('shows the server message without offering to resend rejected details', () => {
+	render(<SubmissionStatus status={errorStatus(ERROR_CODES.SERVER_REJECTED, 'Email domain is not allowed')} onRetry={jest.fn()} />);
+
+	expect(screen.getByRole('alert')).toHaveTextContent('Email domain is not allowed');
+	expect(screen.queryByRole('button', { name: 'Try again' })).not.toBeInTheDocument();
+});
+
+test('retries server errors', () => {
+	const onRetry = jest.fn();
+	render(<SubmissionStatus status={errorStatus(ERROR_CODES.SERVER_ERROR)} onRetry={onRetry} />);
+
+	userEvent.click(screen.getByRole('button', { name: 'Try again' }));
+	expect(onRetry).toHaveBeenCalled();
+});
+
+test('tells rate limited visitors how long to wait', () => {
+	render(<SubmissionStatus status={errorStatus(ERROR_CODES.RATE_LIMITED, undefined, { retryAfter: 90000 })} />);
+	expect(screen.getByRole('alert')).toHaveTextContent('Please wait 2 minutes and try again.');
+});
@@ -0,0 +1,94 @@
+import { useCallback, useEffect, useState } from 'react';
+import { INITIAL_VALUES, STEPS, validateStep } from './leadForm';
+
+export const DRAFT_KEY = 'nimble-lead-draft';
+
+const loadDraft = () => {
+	try {
+		const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+		if (!draft || typeof draft !== 'object') return null;
+		const step = Number.isInteger(draft.step) && draft.step >= 0 && draft.step < STEPS.length ? draft.step : 0;
+		return { step, values: { ...INITIAL_VALUES, ...draft.values } };
+	} catch (error) {
+		return null;
+	}
+};
+
+// Custom Hook holding the multi-step lead form state. The draft (current step and values)
+// is mirrored to localStorage so visitors can pick up where they left off.
+export const useLeadForm = () => {
+	const [step, setStep] = useState(0);
+	const [values, setValues] = useState(INITIAL_VALUES);
+	const [errors, setErrors] = useState({});
+	const [restored, setRestored] = useState(false);
+
+	// The draft is restored after mounting, so pre-rendered pages hydrate with the empty form
+	useEffect(() => {
+		const draft = loadDraft();
+		if (draft) {
+			setStep(draft.step);
+			setValues(draft.values);
+		}
+		setRestored(true);
+	}, []);
+
+	useEffect(() => {
+		if (!restored) return;
+		try {
+			if (step === 0 && Object.entries(values).every(([field, value]) => value === INITIAL_VALUES[field])) {
+				localStorage.removeItem(DRAFT_KEY);
+			} else {
+				localStorage.setItem(DRAFT_KEY, JSON.stringify({ step, values }));
+			}
+		} catch (error) {
+			// Storage can be unavailable (private mode, quota); the form still works without a draft.
+		}
+	}, [restored, step, values]);
+
+	const setValue = useCallback((field, value) => {
+		setValues((current) => ({ ...current, [field]: value }));
+		setErrors((current) => {
+			if (!current[field]) return current;
+			const { [field]: _removed, ...rest } = current;
+			return rest;
+		});
+	}, []);
+
+	// Validates the current step and returns true when it is valid
+	const validate = useCallback(() => {
+		const stepErrors = validateStep(step, values);
+		setErrors(stepErrors);
+		return Object.keys(stepErrors).length === 0;
+	}, [step, values]);
+
+	const next = useCallback(() => {
+		if (!validate()) return false;
+		setStep((current) => Math.min(current + 1, STEPS.length - 1));
+		return true;
+	}, [validate]);
+
+	const back = useCallback(() => {
+		setErrors({});
+		setStep((current) => Math.max(current - 1, 0));
+	}, []);
+
+	const reset = useCallback(() => {
+		setErrors({});
+		setValues(INITIAL_VALUES);
+		setStep(0);
+	}, []);
+
+	return {
+		step,
+		stepCount: STEPS.length,
+		currentStep: STEPS[step],
+		isLastStep: step === STEPS.length - 1,
+		values,
+		errors,
+		setValue,
+		validate,
+		next,
+		back,
+		reset,
+	};
+};
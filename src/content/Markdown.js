@@ -0,0 +1,77 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// The small Markdown subset allowed in content strings: **bold**, *italic*, `code` and [links](/path)
+const INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+// Splits a content string into text, code, strong, em and link tokens
+export const parseInline = (text) => {
+	const tokens = [];
+	let last = 0;
+	for (const match of text.matchAll(INLINE_PATTERN)) {
+		if (match.index > last) tokens.push({ type: 'text', text: text.slice(last, match.index) });
+		if (match[1] !== undefined) tokens.push({ type: 'code', text: match[1] });
+		else if (match[2] !== undefined) tokens.push({ type: 'strong', text: match[2] });
+		else if (match[3] !== undefined) tokens.push({ type: 'em', text: match[3] });
+		else tokens.push({ type: 'link', text: match[4], href: match[5] });
+		last = match.index + match[0].length;
+	}
+	if (last < text.length) tokens.push({ type: 'text', text: text.slice(last) });
+	return tokens;
+};
+
+// The text of a content string without Markdown markers, paragraphs separated by a blank line
+export const toPlainText = (text) =>
+	text
+		.split(/\n\s*\n/)
+		.map((paragraph) =>
+			parseInline(paragraph.trim())
+				.map((token) => token.text)
+				.join('')
+		)
+		.join('\n\n');
+
+const renderToken = (token, index) => {
+	switch (token.type) {
+		case 'strong':
+			return (
+				<span key={index} className='font-bold'>
+					{token.text}
+				</span>
+			);
+		case 'em':
+			return <em key={index}>{token.text}</em>;
+		case 'code':
+			return (
+				<code key={index} className='px-1 py-0.5 rounded font-mono text-[0.9em] bg-muted text-fg'>
+					{token.text}
+				</code>
+			);
+		case 'link':
+			// Site paths go through the router, everything else opens in a new tab
+			return token.href.startsWith('/') ? (
+				<Link key={index} to={token.href} className='underline'>
+					{token.text}
+				</Link>
+			) : (
+				<a key={index} href={token.href} target='_blank' rel='noopener noreferrer' className='underline'>
+					{token.text}
+				</a>
+			);
+		default:
+			return token.text;
+	}
+};
+
+// Markdown Component - renders a content string inline, or as paragraphs separated by blank lines
+function Markdown({ text, inline, className }) {
+	if (inline) return <>{parseInline(text).map(renderToken)}</>;
+
+	return text.split(/\n\s*\n/).map((paragraph, index) => (
+		<p key={index} className={className}>
+			{parseInline(paragraph.trim()).map(renderToken)}
+		</p>
+	));
+}
+
+export default Markdown;
@@ -0,0 +1,135 @@
+import { faqs, fillTemplate, getContent, isPublished, publishContent, published, RAW_CONTENT, validateContent } from '.';
+import { compilePosts, parseFrontMatter } from '../../scripts/build-posts';
+import { flagStore } from '../flags';
+import { parseInline } from './Markdown';
+
+test('every content file matches its schema', () => {
+	expect(validateContent()).toEqual([]);
+});
+
+test('reports missing, mistyped and unknown fields with their location', () => {
+	const content = {
+		...RAW_CONTENT,
+		faqs: [
+			{ id: 'pricing', question: 'How much is it?', hiden: true },
+			{ id: 'pricing', question: '', answer: 'Ask us.' },
+		],
+		footer: { ...RAW_CONTENT.footer, email: 'not-an-email' },
+	};
+
+	expect(validateContent(content, {})).toEqual([
+		'faqs.json: [0].answer: is required',
+		'faqs.json: [0].hiden: is not a known field',
+		'faqs.json: [1].question: expected a non-empty string',
+		'faqs.json: [1].id: duplicate value "pricing"',
+		'footer.json: email: does not match /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/',
+	]);
+});
+
+test('rejects icons that are not in the icon registry', () => {
+	const features = [{ ...RAW_CONTENT.features[0], icon: 'rocket' }];
+	expect(validateContent({ ...RAW_CONTENT, features }, {})).toEqual([expect.stringMatching(/^features\.json: \[0\]\.icon: expected one of /)]);
+});
+
+test('hidden entries are never published and drafts only in preview', () => {
+	const entries = [{ id: 'live' }, { id: 'draft', draft: true }, { id: 'hidden', hidden: true }, { id: 'both', draft: true, hidden: true }];
+
+	expect(published(entries, false).map((entry) => entry.id)).toEqual(['live']);
+	expect(published(entries, true).map((entry) => entry.id)).toEqual(['live', 'draft']);
+	expect(isPublished({ id: 'hidden', hidden: true }, true)).toBe(false);
+});
+
+test('leaves draft posts out unless previewing', () => {
+	const [post] = RAW_CONTENT.posts;
+	const content = { ...RAW_CONTENT, posts: [post, { ...post, slug: 'coming-soon', draft: true }] };
+
+	expect(publishContent(content, false).posts.map(({ slug }) => slug)).toEqual([post.slug]);
+	expect(publishContent(content, true).posts.map(({ slug }) => slug)).toEqual([post.slug, 'coming-soon']);
+});
+
+test('leaves hidden testimonials out and only links published case studies', () => {
+	const [post] = RAW_CONTENT.posts;
+	const [testimonial] = RAW_CONTENT.testimonials;
+	const content = {
+		...RAW_CONTENT,
+		posts: [post, { ...post, slug: 'coming-soon', draft: true }],
+		testimonials: [
+			{ ...testimonial, id: 'live', caseStudy: post.slug },
+			{ ...testimonial, id: 'teaser', caseStudy: 'coming-soon' },
+			{ ...testimonial, id: 'retired', hidden: true },
+		],
+	};
+
+	expect(publishContent(content, false).testimonials.map(({ id, caseStudy }) => [id, caseStudy])).toEqual([
+		['live', post.slug],
+		['teaser', undefined],
+	]);
+});
+
+test('leaves FAQs behind a disabled feature flag out of the content', () => {
+	const flaggedIds = RAW_CONTENT.faqs.filter((faq) => faq.flag && !flagStore.getDefault(faq.flag)).map((faq) => faq.id);
+	expect(flaggedIds.length).toBeGreaterThan(0);
+	expect(faqs.map((faq) => faq.id)).not.toEqual(expect.arrayContaining(flaggedIds));
+});
+
+test('parses the supported Markdown subset', () => {
+	expect(parseInline('**Fast:** replies in *seconds*, see [pricing](/pricing).')).toEqual([
+		{ type: 'strong', text: 'Fast:' },
+		{ type: 'text', text: ' replies in ' },
+		{ type: 'em', text: 'seconds' },
+		{ type: 'text', text: ', see ' },
+		{ type: 'link', text: 'pricing', href: '/pricing' },
+		{ type: 'text', text: '.' },
+	]);
+	expect(parseInline('Set `data-theme` to **dark**')).toEqual([
+		{ type: 'text', text: 'Set ' },
+		{ type: 'code', text: 'data-theme' },
+		{ type: 'text', text: ' to ' },
+		{ type: 'strong', text: 'dark' },
+	]);
+});
+
+test('posts.json is compiled from the Markdown posts (run `npm run posts`)', () => {
+	expect(RAW_CONTENT.posts).toEqual(compilePosts());
+});
+
+test('parses the front-matter of a post', () => {
+	const source =
+		'---\ntitle: "Order #1234: shipped"\ndate: 2025-01-31  # publication day\ntags: [news, case-study]\ndraft: true\n---\n\nBody text.\n';
+	expect(parseFrontMatter(source)).toEqual({
+		data: { title: 'Order #1234: shipped', date: '2025-01-31', tags: ['news', 'case-study'], draft: true },
+		body: 'Body text.',
+	});
+	expect(() => parseFrontMatter('No front-matter', 'a.md')).toThrow('a.md: missing front-matter');
+	expect(() => parseFrontMatter('---\njust text\n---\n', 'b.md')).toThrow('b.md: front-matter line 2 is not a "key: value" pair');
+});
+
+test('fills template placeholders and keeps unknown ones', () => {
+	expect(fillTemplate('Order #{orderNumber} for {name}', { orderNumber: '12345' })).toBe('Order #12345 for {name}');
+});
+
+test('layers translations over English and keeps untranslated fields', () => {
+	const hindi = getContent('hi');
+	expect(hindi.faqs.find((faq) => faq.id === 'what-is-nimble-ai').question).toBe('Nimble AI क्या है?');
+	expect(hindi.features[0].slug).toBe('customer-support');
+	expect(hindi.footer.email).toBe(RAW_CONTENT.footer.email);
+	expect(hindi.pricing.plans[0]).toMatchObject({ id: 'starter', name: 'स्टार्टर', monthlyPrice: 299 });
+	expect(hindi.pricing.comparison.find((row) => row.id === 'support').values).toEqual({
+		starter: 'ईमेल',
+		growth: 'प्राथमिकता',
+		enterprise: 'समर्पित मैनेजर और SLA',
+	});
+	expect(hindi.pricing.comparison.find((row) => row.id === 'website').values.starter).toBe(true);
+	expect(getContent('fr')).toEqual(getContent('en'));
+});
+
+test('reports translations that do not match the English content', () => {
+	const translations = {
+		hi: { faqs: { 'no-such-faq': { question: 'क्या?' } }, features: { 'customer-support': { slug: 'support' } }, hero: { tagline: 'x' } },
+	};
+	expect(validateContent(RAW_CONTENT, translations)).toEqual([
+		'locales/hi.json: faqs.no-such-faq: no entry with this id',
+		'locales/hi.json: features.customer-support.slug: cannot be translated',
+		'locales/hi.json: hero.tagline: is not a known field',
+	]);
+});
@@ -0,0 +1,132 @@
+import React from 'react';
+
+// Icons the content files refer to by name (see the `icon` fields in features.json)
+
+export const FEATURE_ICONS = {
+	headset: {
+		viewBox: '0 0 512 512',
+		d: 'M256 48C141.1 48 48 141.1 48 256l0 40c0 13.3-10.7 24-24 24s-24-10.7-24-24l0-40C0 114.6 114.6 0 256 0S512 114.6 512 256l0 144.1c0 48.6-39.4 88-88.1 88L313.6 488c-8.3 14.3-23.8 24-41.6 24l-32 0c-26.5 0-48-21.5-48-48s21.5-48 48-48l32 0c17.8 0 33.3 9.7 41.6 24l110.4 .1c22.1 0 40-17.9 40-40L464 256c0-114.9-93.1-208-208-208zM144 208l16 0c17.7 0 32 14.3 32 32l0 112c0 17.7-14.3 32-32 32l-16 0c-35.3 0-64-28.7-64-64l0-48c0-35.3 28.7-64 64-64zm224 0c35.3 0 64 28.7 64 64l0 48c0 35.3-28.7 64-64 64l-16 0c-17.7 0-32-14.3-32-32l0-112c0-17.7 14.3-32 32-32l16 0z',
+	},
+	team: {
+		viewBox: '0 0 640 512',
+		d: 'M144 160A80 80 0 1 0 144 0a80 80 0 1 0 0 160zm368 0A80 80 0 1 0 512 0a80 80 0 1 0 0 160zM0 298.7C0 310.4 9.6 320 21.3 320l213.3 0c.2 0 .4 0 .7 0c-26.6-23.5-43.3-57.8-43.3-96c0-7.6 .7-15 1.9-22.3c-13.6-6.3-28.7-9.7-44.6-9.7l-42.7 0C47.8 192 0 239.8 0 298.7zM320 320c24 0 45.9-8.8 62.7-23.3c2.5-3.7 5.2-7.3 8-10.7c2.7-3.3 5.7-6.1 9-8.3C410 262.3 416 243.9 416 224c0-53-43-96-96-96s-96 43-96 96s43 96 96 96zm65.4 60.2c-10.3-5.9-18.1-16.2-20.8-28.2l-103.2 0C187.7 352 128 411.7 128 485.3c0 14.7 11.9 26.7 26.7 26.7l300.6 0c-2.1-5.2-3.2-10.9-3.2-16.4l0-3c-1.3-.7-2.7-1.5-4-2.3l-2.6 1.5c-16.8 9.7-40.5 8-54.7-9.7c-4.5-5.6-8.6-11.5-12.4-17.6l-.1-.2-.1-.2-2.4-4.1-.1-.2-.1-.2c-3.4-6.2-6.4-12.6-9-19.3c-8.2-21.2 2.2-42.6 19-52.3l2.7-1.5c0-.8 0-1.5 0-2.3s0-1.5 0-2.3l-2.7-1.5zM533.3 192l-42.7 0c-15.9 0-31 3.5-44.6 9.7c1.3 7.2 1.9 14.7 1.9 22.3c0 17.4-3.5 33.9-9.7 49c2.5 .9 4.9 2 7.1 3.3l2.6 1.5c1.3-.8 2.6-1.6 4-2.3l0-3c0-19.4 13.3-39.1 35.8-42.6c7.9-1.2 16-1.9 24.2-1.9s16.3 .6 24.2 1.9c22.5 3.5 35.8 23.2 35.8 42.6l0 3c1.3 .7 2.7 1.5 4 2.3l2.6-1.5c16.8-9.7 40.5-8 54.7 9.7c2.3 2.8 4.5 5.8 6.6 8.7c-2.1-57.1-49-102.7-106.6-102.7zm91.3 163.9c6.3-3.6 9.5-11.1 6.8-18c-2.1-5.5-4.6-10.8-7.4-15.9l-2.3-4c-3.1-5.1-6.5-9.9-10.2-14.5c-4.6-5.7-12.7-6.7-19-3l-2.9 1.7c-9.2 5.3-20.4 4-29.6-1.3s-16.1-14.5-16.1-25.1l0-3.4c0-7.3-4.9-13.8-12.1-14.9c-6.5-1-13.1-1.5-19.9-1.5s-13.4 .5-19.9 1.5c-7.2 1.1-12.1 7.6-12.1 14.9l0 3.4c0 10.6-6.9 19.8-16.1 25.1s-20.4 6.6-29.6 1.3l-2.9-1.7c-6.3-3.6-14.4-2.6-19 3c-3.7 4.6-7.1 9.5-10.2 14.6l-2.3 3.9c-2.8 5.1-5.3 10.4-7.4 15.9c-2.6 6.8 .5 14.3 6.8 17.9l2.9 1.7c9.2 5.3 13.7 15.8 13.7 26.4s-4.5 21.1-13.7 26.4l-3 1.7c-6.3 3.6-9.5 11.1-6.8 17.9c2.1 5.5 4.6 10.7 7.4 15.8l2.4 4.1c3 5.1 6.4 9.9 10.1 14.5c4.6 5.7 12.7 6.7 19 3l2.9-1.7c9.2-5.3 20.4-4 29.6 1.3s16.1 14.5 16.1 25.1l0 3.4c0 7.3 4.9 13.8 12.1 14.9c6.5 1 13.1 1.5 19.9 1.5s13.4-.5 19.9-1.5c-7.2-1.1-12.1-7.6-12.1-14.9l0-3.4c0-10.6 6.9-19.8 16.1-25.1s20.4-6.6 29.6-1.3l2.9 1.7c6.3 3.6 14.4 2.6 19-3c3.7-4.6 7.1-9.4 10.1-14.5l2.4-4.2c2.8-5.1 5.3-10.3 7.4-15.8c2.6-6.8-.5-14.3-6.8-17.9l-3-1.7c-9.2-5.3-13.7-15.8-13.7-26.4s4.5-21.1 13.7-26.4l3-1.7zM472 384a40 40 0 1 1 80 0 40 40 0 1 1 -80 0z',
+	},
+	chip: {
+		viewBox: '0 0 512 512',
+		d: 'M176 24c0-13.3-10.7-24-24-24s-24 10.7-24 24l0 40c-35.3 0-64 28.7-64 64l-40 0c-13.3 0-24 10.7-24 24s10.7 24 24 24l40 0 0 56-40 0c-13.3 0-24 10.7-24 24s10.7 24 24 24l40 0 0 56-40 0c-13.3 0-24 10.7-24 24s10.7 24 24 24l40 0c0 35.3 28.7 64 64 64l0 40c0 13.3 10.7 24 24 24s24-10.7 24-24l0-40 56 0 0 40c0 13.3 10.7 24 24 24s24-10.7 24-24l0-40 56 0 0 40c0 13.3 10.7 24 24 24s24-10.7 24-24l0-40c35.3 0 64-28.7 64-64l40 0c13.3 0 24-10.7 24-24s-10.7-24-24-24l-40 0 0-56 40 0c13.3 0 24-10.7 24-24s-10.7-24-24-24l-40 0 0-56 40 0c13.3 0 24-10.7 24-24s-10.7-24-24-24l-40 0c0-35.3-28.7-64-64-64l0-40c0-13.3-10.7-24-24-24s-24 10.7-24 24l0 40-56 0 0-40c0-13.3-10.7-24-24-24s-24 10.7-24 24l0 40-56 0 0-40zM160 128l192 0c17.7 0 32 14.3 32 32l0 192c0 17.7-14.3 32-32 32l-192 0c-17.7 0-32-14.3-32-32l0-192c0-17.7 14.3-32 32-32zm192 32l-192 0 0 192 192 0 0-192z',
+	},
+};
+
+// Outline icons are stroked, the rest are filled
+export const HIGHLIGHT_ICONS = {
+	check: { outline: true, d: 'M5 13l4 4L19 7' },
+	'check-circle': { outline: true, d: 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z' },
+	bolt: { outline: true, d: 'M13 10V3L4 14h7v7l9-11h-7z' },
+	'arrow-right': { outline: true, d: 'M13 7l5 5m0 0l-5 5m5-5H6' },
+	bars: { d: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 14h-2V8h2v8zm3 0h-2V8h2v8zm3 0h-2V8h2v8z' },
+	alert: {
+		d: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm-1-13h2v6h-2zm0 8h2v2h-2z',
+	},
+};
+
+// Logos and channel icons of the integrations in integrations.json. Outline icons are stroked
+// with the text color; filled ones keep their brand colors.
+export const INTEGRATION_ICONS = {
+	whatsapp: {
+		viewBox: '0 0 32 32',
+		paths: [
+			{
+				fill: '#25D366',
+				d: 'M16 2.933C8.64 2.933 2.667 8.906 2.667 16.267c0 2.84.906 5.47 2.44 7.627L2.667 29.067l5.347-2.387a13.226 13.226 0 006.64 1.787c7.36 0 13.333-5.973 13.333-13.333S23.36 2.933 16 2.933z',
+			},
+			{
+				fill: '#fff',
+				d: 'M23.36 19.373c-.333-.173-1.973-.96-2.28-1.067-.307-.107-.533-.173-.76.173-.227.347-.867 1.067-1.067 1.28-.2.213-.387.24-.72.08-.333-.16-1.413-.52-2.693-1.653-.993-.893-1.667-1.987-1.867-2.32-.2-.333-.02-.513.147-.68.147-.147.333-.387.493-.573.16-.187.213-.32.32-.533.107-.213.053-.4-.027-.573-.08-.173-.76-1.813-1.04-2.48-.28-.667-.56-.56-.76-.573h-.653c-.213 0-.56.08-.853.4-.293.32-1.12 1.093-1.12 2.667 0 1.573 1.147 3.093 1.307 3.307.16.213 2.24 3.413 5.44 4.72 3.2 1.307 3.2.867 3.76.813.56-.053 1.827-.747 2.08-1.48.253-.733.253-1.36.173-1.48-.08-.12-.293-.2-.627-.373z',
+			},
+		],
+	},
+	globe: {
+		outline: true,
+		paths: [
+			{ d: 'M2 12a10 10 0 1 0 20 0 10 10 0 1 0-20 0M2 12h20' },
+			{ d: 'M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z' },
+		],
+	},
+	mobile: { outline: true, paths: [{ d: 'M9 2h6a2 2 0 0 1 2 2v16a2 2 0 0 1-2 2H9a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2zM12 18h.01' }] },
+	chat: {
+		outline: true,
+		paths: [
+			{
+				d: 'M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z',
+			},
+		],
+	},
+	mail: { outline: true, paths: [{ d: 'M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z' }] },
+	users: {
+		outline: true,
+		paths: [
+			{
+				d: 'M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z',
+			},
+		],
+	},
+	ticket: {
+		outline: true,
+		paths: [{ d: 'M15 5v2m0 4v2m0 4v2M5 5a2 2 0 00-2 2v3a2 2 0 110 4v3a2 2 0 002 2h14a2 2 0 002-2v-3a2 2 0 110-4V7a2 2 0 00-2-2H5z' }],
+	},
+};
+
+// Large icon at the top of a feature card
+export const FeatureIcon = ({ name }) => {
+	const { viewBox, d } = FEATURE_ICONS[name];
+	return (
+		<svg
+			fill='currentColor'
+			className='w-10 h-10 sm:w-12 sm:h-12 text-fg-muted'
+			xmlns='http://www.w3.org/2000/svg'
+			viewBox={viewBox}
+			aria-hidden='true'
+		>
+			<path d={d} />
+		</svg>
+	);
+};
+
+// Small icon in front of a feature highlight
+export const HighlightIcon = ({ name }) => {
+	const { outline, d } = HIGHLIGHT_ICONS[name];
+	return (
+		<svg
+			className='w-4 h-4 sm:w-5 sm:h-5 flex-shrink-0 text-fg-muted'
+			fill={outline ? 'none' : 'currentColor'}
+			stroke={outline ? 'currentColor' : undefined}
+			viewBox='0 0 24 24'
+			xmlns='http://www.w3.org/2000/svg'
+			aria-hidden='true'
+		>
+			{outline ? <path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d={d} /> : <path d={d} />}
+		</svg>
+	);
+};
+
+// Icon of an integration, 32px by default
+export const IntegrationIcon = ({ name, className = 'w-8 h-8' }) => {
+	const { viewBox = '0 0 24 24', outline, paths } = INTEGRATION_ICONS[name];
+	return (
+		<svg
+			className={`${className} text-fg`}
+			fill='none'
+			stroke={outline ? 'currentColor' : undefined}
+			strokeWidth={outline ? 1.8 : undefined}
+			strokeLinecap='round'
+			strokeLinejoin='round'
+			viewBox={viewBox}
+			xmlns='http://www.w3.org/2000/svg'
+			aria-hidden='true'
+		>
+			{paths.map((path) => (
+				<path key={path.d} d={path.d} fill={path.fill} />
+			))}
+		</svg>
+	);
+};
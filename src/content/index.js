@@ -0,0 +1,100 @@
+import { flagStore } from '../flags';
+import { gateContent } from '../flags/flags';
+import aboutContent from './about.json';
+import authorsContent from './authors.json';
+import chatContent from './chat.json';
+import faqsContent from './faqs.json';
+import featuresContent from './features.json';
+import footerContent from './footer.json';
+import heroContent from './hero.json';
+import integrationsContent from './integrations.json';
+import { localize, validateTranslation } from './localize';
+import arContent from './locales/ar.json';
+import hiContent from './locales/hi.json';
+import postsContent from './posts.json';
+import pricingContent from './pricing.json';
+import { SCHEMAS, validate } from './schema';
+import seoContent from './seo.json';
+import testimonialsContent from './testimonials.json';
+
+// Marketing copy lives in the JSON files next to this module and is bundled at build time.
+// Components import the validated, published content from here rather than the files directly.
+
+export const RAW_CONTENT = {
+	about: aboutContent,
+	authors: authorsContent,
+	chat: chatContent,
+	faqs: faqsContent,
+	features: featuresContent,
+	footer: footerContent,
+	hero: heroContent,
+	integrations: integrationsContent,
+	posts: postsContent,
+	pricing: pricingContent,
+	seo: seoContent,
+	testimonials: testimonialsContent,
+};
+
+// Partial translations per locale code, layered over the English files (see ./localize)
+export const TRANSLATIONS = {
+	ar: arContent,
+	hi: hiContent,
+};
+
+// Returns every schema violation as a `file.json: field: message` string (empty when valid)
+export const validateContent = (content = RAW_CONTENT, translations = TRANSLATIONS) => [
+	...Object.keys(SCHEMAS).flatMap((name) => validate(content[name], SCHEMAS[name]).map((error) => `${name}.json: ${error}`)),
+	...Object.keys(translations).flatMap((code) => validateTranslation(content, translations[code]).map((error) => `locales/${code}.json: ${error}`)),
+];
+
+const errors = validateContent();
+if (errors.length) {
+	// The content tests (run before every build) catch this; fail loudly if it slips through in development
+	if (process.env.NODE_ENV !== 'production') throw new Error(`Invalid content:\n${errors.join('\n')}`);
+	console.error(`Invalid content:\n${errors.join('\n')}`);
+}
+
+// Preview builds (REACT_APP_CONTENT_PREVIEW=true) also show entries still marked as `draft`
+export const CONTENT_PREVIEW = process.env.REACT_APP_CONTENT_PREVIEW === 'true';
+
+// `hidden` entries are never shown, `draft` entries only in preview builds
+export const isPublished = (entry, preview = CONTENT_PREVIEW) => !entry.hidden && (!entry.draft || preview);
+
+export const published = (entries, preview = CONTENT_PREVIEW) => entries.filter((entry) => isPublished(entry, preview));
+
+// `content` with only the published entries of every list. Testimonials only link to case
+// studies that are published themselves.
+export const publishContent = (content, preview = CONTENT_PREVIEW) => {
+	const posts = published(content.posts, preview);
+	const testimonials = published(content.testimonials, preview).map(({ caseStudy, ...testimonial }) =>
+		posts.some((post) => post.slug === caseStudy) ? { ...testimonial, caseStudy } : testimonial
+	);
+	return {
+		...content,
+		about: { ...content.about, infoCards: published(content.about.infoCards, preview) },
+		faqs: published(content.faqs, preview),
+		features: published(content.features, preview).map((feature) => ({ ...feature, highlights: published(feature.highlights, preview) })),
+		integrations: { ...content.integrations, items: published(content.integrations.items, preview) },
+		posts,
+		pricing: { ...content.pricing, plans: published(content.pricing.plans, preview), comparison: published(content.pricing.comparison, preview) },
+		testimonials,
+	};
+};
+
+const cache = new Map();
+
+// Published content translated into `locale`, falling back to English for anything untranslated
+export const getContent = (locale, preview = CONTENT_PREVIEW) => {
+	const key = `${locale}:${preview}`;
+	if (!cache.has(key)) cache.set(key, publishContent(localize(RAW_CONTENT, TRANSLATIONS[locale]), preview));
+	return cache.get(key);
+};
+
+// English content for code outside React, gated by the default feature flags; components use
+// `useContent` to follow the active locale and the flags panel
+export const { about, authors, chat, faqs, features, footer, hero, integrations, posts, pricing, seo, testimonials } = gateContent(
+	getContent('en'),
+	flagStore.getDefault
+);
+
+export { fillTemplate } from './template';
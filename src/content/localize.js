@@ -0,0 +1,55 @@
+// Translations in src/content/locales/<code>.json mirror the shape of the English files but only
+// carry text. Lists of entries with an `id` or `slug` (FAQs, features) are keyed by it, other lists
+// (highlights, info cards) are matched by position and lists of strings are replaced as a whole.
+// Anything a translation leaves out stays in English.
+
+// Identifiers and links that must be the same in every language
+const FIXED_FIELDS = ['id', 'slug', 'icon', 'email', 'linkedinUrl', 'image', 'to', 'flag'];
+
+const entryKey = (entry) => entry && (entry.id || entry.slug);
+const isKeyedList = (list) => list.length > 0 && list.every(entryKey);
+const isStringList = (list) => list.every((item) => typeof item === 'string');
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+export const localize = (base, translation) => {
+	if (translation === undefined || translation === null) return base;
+	if (typeof base === 'string') return translation;
+	if (Array.isArray(base)) {
+		if (isStringList(base)) return translation;
+		return base.map((item, index) => localize(item, isKeyedList(base) ? translation[entryKey(item)] : translation[index]));
+	}
+	if (isPlainObject(base)) return Object.fromEntries(Object.entries(base).map(([key, value]) => [key, localize(value, translation[key])]));
+	return base;
+};
+
+// Returns a `field: message` string for every part of `translation` that has no English counterpart
+export const validateTranslation = (base, translation, path = '') => {
+	const at = path || '(root)';
+
+	if (typeof base === 'string') return typeof translation === 'string' && translation.trim() ? [] : [`${at}: expected a non-empty string`];
+
+	if (Array.isArray(base)) {
+		if (isStringList(base)) {
+			return Array.isArray(translation) && translation.length && isStringList(translation) ? [] : [`${at}: expected a list of strings`];
+		}
+		if (isKeyedList(base)) {
+			if (!isPlainObject(translation)) return [`${at}: expected an object keyed by id`];
+			return Object.keys(translation).flatMap((key) => {
+				const entry = base.find((item) => entryKey(item) === key);
+				return entry ? validateTranslation(entry, translation[key], `${path}.${key}`) : [`${path}.${key}: no entry with this id`];
+			});
+		}
+		if (!Array.isArray(translation)) return [`${at}: expected an array`];
+		if (translation.length > base.length) return [`${at}: has ${translation.length} entries but the English list has ${base.length}`];
+		return translation.flatMap((item, index) => validateTranslation(base[index], item, `${path}[${index}]`));
+	}
+
+	if (!isPlainObject(translation)) return [`${at}: expected an object`];
+	const prefix = path ? `${path}.` : '';
+	return Object.keys(translation).flatMap((key) => {
+		if (base[key] === undefined) return [`${prefix}${key}: is not a known field`];
+		if (FIXED_FIELDS.includes(key) || typeof base[key] === 'boolean' || typeof base[key] === 'number')
+			return [`${prefix}${key}: cannot be translated`];
+		return validateTranslation(base[key], translation[key], `${prefix}${key}`);
+	});
+};
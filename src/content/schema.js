@@ -0,0 +1,295 @@
+import { EXPERIMENTS } from '../experiments/config';
+import { FLAG_NAMES } from '../flags/flags';
+import authorsContent from './authors.json';
+import featuresContent from './features.json';
+import { FEATURE_ICONS, HIGHLIGHT_ICONS, INTEGRATION_ICONS } from './icons';
+import postsContent from './posts.json';
+
+// Minimal schema checker for the JSON files in this directory. A schema is a plain object:
+// { type: 'string' | 'number' | 'boolean' | 'array' | 'object', required, properties, items, enum, pattern, min, max, minItems, unique }
+// `type` may also list several types, e.g. ['string', 'boolean'] for a value that can be either.
+// Unknown object keys are reported as errors so a typo such as `hiden` can't silently do nothing.
+export const validate = (value, schema, path = '') => {
+	const at = path || '(root)';
+
+	if (Array.isArray(schema.type)) {
+		const valid = schema.type.some((type) => validate(value, { ...schema, type }, path).length === 0);
+		return valid ? [] : [`${at}: expected ${schema.type.join(' or ')}`];
+	}
+
+	switch (schema.type) {
+		case 'string':
+			if (typeof value !== 'string' || !value.trim()) return [`${at}: expected a non-empty string`];
+			if (schema.enum && !schema.enum.includes(value)) return [`${at}: expected one of ${schema.enum.join(', ')}`];
+			if (schema.pattern && !schema.pattern.test(value)) return [`${at}: does not match ${schema.pattern}`];
+			return [];
+		case 'number':
+			if (typeof value !== 'number' || !Number.isFinite(value)) return [`${at}: expected a number`];
+			if (schema.min !== undefined && value < schema.min) return [`${at}: expected at least ${schema.min}`];
+			if (schema.max !== undefined && value > schema.max) return [`${at}: expected at most ${schema.max}`];
+			return [];
+		case 'boolean':
+			return typeof value === 'boolean' ? [] : [`${at}: expected true or false`];
+		case 'array': {
+			if (!Array.isArray(value)) return [`${at}: expected an array`];
+			if (value.length < (schema.minItems || 0)) return [`${at}: expected at least ${schema.minItems} entries`];
+			const errors = value.flatMap((item, index) => validate(item, schema.items, `${path}[${index}]`));
+			if (schema.unique) {
+				const seen = new Set();
+				value.forEach((item, index) => {
+					const key = item && item[schema.unique];
+					if (seen.has(key)) errors.push(`${path}[${index}].${schema.unique}: duplicate value "${key}"`);
+					seen.add(key);
+				});
+			}
+			return errors;
+		}
+		case 'object': {
+			if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${at}: expected an object`];
+			const prefix = path ? `${path}.` : '';
+			const missing = (schema.required || []).filter((key) => value[key] === undefined).map((key) => `${prefix}${key}: is required`);
+			const unknown = Object.keys(value)
+				.filter((key) => !schema.properties[key])
+				.map((key) => `${prefix}${key}: is not a known field`);
+			const invalid = Object.keys(schema.properties)
+				.filter((key) => value[key] !== undefined)
+				.flatMap((key) => validate(value[key], schema.properties[key], `${prefix}${key}`));
+			return [...missing, ...unknown, ...invalid];
+		}
+		default:
+			throw new Error(`Unsupported schema type "${schema.type}" at ${at}`);
+	}
+};
+
+const text = { type: 'string' };
+const slug = { type: 'string', pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/ };
+
+// Publishing flags every list entry may carry, see `isPublished` in ./index. `flag` names a
+// feature flag (src/flags/flags.json) that has to be on for the entry to show.
+const flags = {
+	draft: { type: 'boolean' },
+	hidden: { type: 'boolean' },
+	flag: { type: 'string', enum: FLAG_NAMES },
+};
+
+const entry = (required, properties) => ({ type: 'object', required, properties: { ...properties, ...flags } });
+
+// Search and social preview metadata of a page, see src/seo
+const pageMeta = { type: 'object', required: ['title', 'description'], properties: { title: text, description: text, noindex: { type: 'boolean' } } };
+const PAGES = ['home', 'about', 'faq', 'pricing', 'integrations', 'resources', 'contact', 'demo', 'beta', 'betaStatus', 'notFound'];
+
+// Reply templates of the chat demo, one per intent in src/chat/intents.js
+const reply = { type: 'object', required: ['default'], properties: { default: text, withOrderNumber: text } };
+const CHAT_INTENTS = ['refund', 'return', 'cancel', 'order-status-with-number', 'order-status', 'shipping', 'human', 'thanks', 'greeting'];
+
+// Categories and statuses of integrations.json, see src/integrations
+const INTEGRATION_CATEGORIES = ['messaging', 'crm', 'helpdesk'];
+const INTEGRATION_STATUSES = ['available', 'beta', 'coming-soon'];
+
+// Plan ids of pricing.json, also the columns of its comparison matrix
+const PLAN_IDS = ['starter', 'growth', 'enterprise'];
+const share = { type: 'number', min: 0, max: 1 };
+
+// Posts of the resources section (posts.json, compiled from posts/*.md by scripts/build-posts.js)
+// refer to their author and to the offerings whose cards link to them
+const AUTHOR_IDS = authorsContent.map((author) => author.id);
+const FEATURE_SLUGS = featuresContent.map((feature) => feature.slug);
+
+// Testimonials may link to the case study in posts.json they come from
+const POST_SLUGS = postsContent.map((post) => post.slug);
+
+// Schema for each content file, keyed by file name
+export const SCHEMAS = {
+	about: {
+		type: 'object',
+		required: ['badge', 'heading', 'body', 'infoCards'],
+		properties: {
+			badge: text,
+			heading: text,
+			body: text,
+			// `to` turns a card into a link to a page of the site
+			infoCards: { type: 'array', items: entry(['title'], { title: text, value: text, to: { type: 'string', pattern: /^\/[a-z0-9/-]*$/ } }) },
+		},
+	},
+	authors: {
+		type: 'array',
+		unique: 'id',
+		items: entry(['id', 'name', 'role', 'bio'], {
+			id: slug,
+			name: text,
+			role: text,
+			bio: text,
+			linkedinUrl: { type: 'string', pattern: /^https:\/\// },
+		}),
+	},
+	chat: {
+		type: 'object',
+		required: ['greeting', 'suggestions', 'fallbackReply', 'replies'],
+		properties: {
+			greeting: text,
+			suggestions: { type: 'array', items: text },
+			fallbackReply: text,
+			replies: {
+				type: 'object',
+				required: CHAT_INTENTS,
+				properties: Object.fromEntries(CHAT_INTENTS.map((id) => [id, reply])),
+			},
+		},
+	},
+	faqs: {
+		type: 'array',
+		unique: 'id',
+		items: entry(['id', 'question', 'answer'], { id: slug, question: text, answer: text }),
+	},
+	features: {
+		type: 'array',
+		minItems: 1,
+		unique: 'slug',
+		items: entry(['slug', 'title', 'summary', 'icon', 'highlights'], {
+			slug,
+			title: text,
+			summary: text,
+			icon: { type: 'string', enum: Object.keys(FEATURE_ICONS) },
+			highlights: {
+				type: 'array',
+				items: entry(['icon', 'text'], { icon: { type: 'string', enum: Object.keys(HIGHLIGHT_ICONS) }, text }),
+			},
+		}),
+	},
+	footer: {
+		type: 'object',
+		required: ['email', 'writeUsLabel', 'followUsLabel', 'linkedinUrl', 'copyright', 'tagline'],
+		properties: {
+			email: { type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+			writeUsLabel: text,
+			followUsLabel: text,
+			linkedinUrl: { type: 'string', pattern: /^https:\/\// },
+			copyright: text,
+			tagline: text,
+		},
+	},
+	hero: {
+		type: 'object',
+		required: ['title', 'subtitle', 'variants'],
+		properties: {
+			title: { type: 'array', minItems: 1, items: text },
+			subtitle: text,
+			// Copy of the `hero` experiment's variants (see src/experiments/config), replacing the fields they set
+			variants: {
+				type: 'array',
+				unique: 'id',
+				items: {
+					type: 'object',
+					required: ['id'],
+					properties: {
+						id: { type: 'string', enum: EXPERIMENTS.hero.variants.map((variant) => variant.id).slice(1) },
+						title: { type: 'array', minItems: 1, items: text },
+						subtitle: text,
+					},
+				},
+			},
+		},
+	},
+	integrations: {
+		type: 'object',
+		required: ['categories', 'items'],
+		properties: {
+			categories: {
+				type: 'array',
+				unique: 'id',
+				items: entry(['id', 'label'], { id: { type: 'string', enum: INTEGRATION_CATEGORIES }, label: text }),
+			},
+			items: {
+				type: 'array',
+				unique: 'slug',
+				items: entry(['slug', 'name', 'category', 'status', 'icon', 'summary', 'description', 'capabilities'], {
+					slug,
+					name: text,
+					category: { type: 'string', enum: INTEGRATION_CATEGORIES },
+					status: { type: 'string', enum: INTEGRATION_STATUSES },
+					icon: { type: 'string', enum: Object.keys(INTEGRATION_ICONS) },
+					// Featured integrations are shown on the landing page
+					featured: { type: 'boolean' },
+					summary: text,
+					description: text,
+					capabilities: { type: 'array', minItems: 1, items: text },
+				}),
+			},
+		},
+	},
+	posts: {
+		type: 'array',
+		unique: 'slug',
+		items: entry(['slug', 'title', 'date', 'author', 'tags', 'summary', 'body'], {
+			slug,
+			title: text,
+			date: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+			author: { type: 'string', enum: AUTHOR_IDS },
+			tags: { type: 'array', minItems: 1, items: slug },
+			features: { type: 'array', items: { type: 'string', enum: FEATURE_SLUGS } },
+			summary: text,
+			body: text,
+		}),
+	},
+	pricing: {
+		type: 'object',
+		required: ['currency', 'annualDiscount', 'plans', 'comparison', 'roi'],
+		properties: {
+			currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+			annualDiscount: share,
+			// Plans without a monthly price are quoted on request
+			plans: {
+				type: 'array',
+				unique: 'id',
+				items: entry(['id', 'name', 'description', 'highlights'], {
+					id: { type: 'string', enum: PLAN_IDS },
+					name: text,
+					description: text,
+					monthlyPrice: { type: 'number', min: 0 },
+					conversations: { type: 'number', min: 1 },
+					featured: { type: 'boolean' },
+					highlights: { type: 'array', minItems: 1, items: text },
+				}),
+			},
+			comparison: {
+				type: 'array',
+				unique: 'id',
+				items: entry(['id', 'label', 'values'], {
+					id: slug,
+					label: text,
+					values: { type: 'object', required: PLAN_IDS, properties: Object.fromEntries(PLAN_IDS.map((id) => [id, { type: ['string', 'boolean'] }])) },
+				}),
+			},
+			// Shares from the advertised results in features.json, applied by the ROI calculator
+			roi: { type: 'object', required: ['automationRate', 'costReduction'], properties: { automationRate: share, costReduction: share } },
+		},
+	},
+	seo: {
+		type: 'object',
+		required: ['siteName', 'image', 'pages'],
+		properties: {
+			siteName: text,
+			image: { type: 'string', pattern: /^\// },
+			pages: { type: 'object', required: PAGES, properties: Object.fromEntries(PAGES.map((page) => [page, pageMeta])) },
+		},
+	},
+	testimonials: {
+		type: 'array',
+		minItems: 1,
+		unique: 'id',
+		items: entry(['id', 'quote', 'role', 'company'], {
+			id: slug,
+			quote: text,
+			name: text,
+			role: text,
+			company: text,
+			caseStudy: { type: 'string', enum: POST_SLUGS },
+			// Before/after results, shown on the case study
+			metrics: {
+				type: 'array',
+				minItems: 1,
+				items: { type: 'object', required: ['label', 'before', 'after'], properties: { label: text, before: text, after: text } },
+			},
+		}),
+	},
+};
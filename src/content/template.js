@@ -0,0 +1,3 @@
+// Fills `{name}` placeholders in a content string, e.g. "Order #{orderNumber}"
+export const fillTemplate = (template, values) =>
+	template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
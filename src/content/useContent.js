@@ -0,0 +1,15 @@
+import { useMemo } from 'react';
+import { gateContent } from '../flags/flags';
+import useFlags from '../flags/useFlags';
+import { useI18n } from '../i18n/I18nProvider';
+import { getContent } from '.';
+
+// Custom Hook returning the published content in the active locale, without the entries whose
+// feature `flag` is off
+const useContent = () => {
+	const content = getContent(useI18n().locale);
+	const isEnabled = useFlags();
+	return useMemo(() => gateContent(content, isEnabled), [content, isEnabled]);
+};
+
+export default useContent;
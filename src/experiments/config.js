@@ -0,0 +1,25 @@
+// Every running experiment. Each visitor is assigned one variant per experiment, at random in
+// proportion to the `weight`s, and keeps it on later visits (see ./experiments). The first
+// variant is the control: it is what pre-rendered pages show and what everyone sees once an
+// experiment is removed from this list.
+//
+// Changing the weights only affects visitors who have not been assigned yet. Renaming or
+// removing a variant reassigns the visitors who had it.
+export const EXPERIMENTS = {
+	// Landing page headline; variant copy is in src/content/hero.json (`variants`, keyed by id)
+	hero: {
+		variants: [
+			{ id: 'a', weight: 50 },
+			{ id: 'b', weight: 50 },
+		],
+	},
+	// Submit button of the hero contact form; variant copy is the `contact.submit.<id>` message
+	cta: {
+		variants: [
+			{ id: 'a', weight: 50 },
+			{ id: 'b', weight: 50 },
+		],
+	},
+};
+
+export const controlVariant = (experiment) => experiment.variants[0].id;
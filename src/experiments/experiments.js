@@ -0,0 +1,81 @@
+import { EXPERIMENTS, controlVariant } from './config';
+
+export const ASSIGNMENTS_KEY = 'nimble-experiments';
+
+// Forced variants for QA, e.g. `?exp=hero:b` or `?exp=hero:b,cta:a`. Unknown experiments and
+// variants are ignored.
+export const parseOverrides = (search, config = EXPERIMENTS) =>
+	Object.fromEntries(
+		new URLSearchParams(search)
+			.getAll('exp')
+			.flatMap((value) => value.split(','))
+			.map((pair) => pair.trim().split(':'))
+			.filter(([id, variant]) => config[id]?.variants.some((item) => item.id === variant))
+	);
+
+// The variant whose share of the total weight `roll` (0 <= roll < 1) falls into
+export const pickVariant = (variants, roll) => {
+	const eligible = variants.filter((variant) => variant.weight > 0);
+	let remaining = roll * eligible.reduce((total, variant) => total + variant.weight, 0);
+	return (eligible.find((variant) => (remaining -= variant.weight) < 0) || eligible[eligible.length - 1]).id;
+};
+
+// Variant assignment and experiment events. Assignments are stored in localStorage so a visitor
+// sees the same variant on every visit; URL overrides are read once when the app loads, like
+// attribution, and last for the rest of the page session without replacing the assignment.
+export const createExperiments = ({
+	config = EXPERIMENTS,
+	storage = window.localStorage,
+	overrides = parseOverrides(window.location.search, config),
+	random = Math.random,
+	track = () => {},
+} = {}) => {
+	const exposed = new Set();
+
+	const read = () => {
+		try {
+			return JSON.parse(storage.getItem(ASSIGNMENTS_KEY)) || {};
+		} catch (error) {
+			return {};
+		}
+	};
+
+	// Read on first use and kept in memory, so assignments stay put for the page session without storage
+	let assignments = null;
+
+	const assign = (id) => {
+		const { variants } = config[id];
+		assignments = assignments || read();
+		const current = variants.find((variant) => variant.id === assignments[id]);
+		if (current && current.weight > 0) return current.id;
+
+		assignments = { ...assignments, [id]: pickVariant(variants, random()) };
+		try {
+			storage.setItem(ASSIGNMENTS_KEY, JSON.stringify(assignments));
+		} catch (error) {
+			// Without storage the visitor may see another variant on their next visit
+		}
+		return assignments[id];
+	};
+
+	const getVariant = (id) => {
+		if (!config[id]) throw new Error(`Unknown experiment "${id}"`);
+		return overrides[id] || assign(id);
+	};
+
+	// Props shared by the experiment events; forced variants are flagged so reports can leave them out
+	const eventProps = (id) => ({ experiment: id, variant: getVariant(id), ...(overrides[id] && { forced: true }) });
+
+	return {
+		getVariant,
+		control: (id) => controlVariant(config[id]),
+		// Reports that the visitor saw the experiment, once per page session
+		expose: (id) => {
+			if (exposed.has(id)) return;
+			exposed.add(id);
+			track('experiment_viewed', eventProps(id));
+		},
+		// Reports that the visitor reached a `goal` (e.g. contact_started) while in the experiment
+		convert: (id, goal) => track('experiment_converted', { ...eventProps(id), goal }),
+	};
+};
@@ -0,0 +1,103 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { analytics } from '../analytics';
+import { createMemoryAdapter } from '../analytics/adapters';
+import { CONSENT } from '../analytics/consent';
+import HeroSection from '../components/HeroSection';
+import { hero } from '../content';
+import { EXPERIMENTS } from './config';
+import { ASSIGNMENTS_KEY, createExperiments, parseOverrides, pickVariant } from './experiments';
+
+const config = {
+	hero: {
+		variants: [
+			{ id: 'a', weight: 80 },
+			{ id: 'b', weight: 20 },
+		],
+	},
+};
+
+const setup = ({ search = '', random = () => 0.9 } = {}) => {
+	const track = jest.fn();
+	return { track, store: createExperiments({ config, storage: window.localStorage, overrides: parseOverrides(search, config), random, track }) };
+};
+
+afterEach(() => {
+	localStorage.clear();
+	analytics.consent.set(CONSENT.UNKNOWN);
+});
+
+test('every experiment has a control and positive weights', () => {
+	Object.values(EXPERIMENTS).forEach(({ variants }) => {
+		expect(variants.length).toBeGreaterThan(1);
+		expect(new Set(variants.map((variant) => variant.id)).size).toBe(variants.length);
+		expect(variants.every((variant) => variant.weight >= 0)).toBe(true);
+		expect(variants.some((variant) => variant.weight > 0)).toBe(true);
+	});
+});
+
+test('splits visitors by weight and skips variants weighted 0', () => {
+	expect(pickVariant(config.hero.variants, 0)).toBe('a');
+	expect(pickVariant(config.hero.variants, 0.79)).toBe('a');
+	expect(pickVariant(config.hero.variants, 0.8)).toBe('b');
+	expect(
+		pickVariant(
+			[
+				{ id: 'a', weight: 0 },
+				{ id: 'b', weight: 1 },
+			],
+			0
+		)
+	).toBe('b');
+});
+
+test('keeps a visitor in their variant and reassigns them when it is removed', () => {
+	const { store } = setup({ random: () => 0.9 });
+	expect(store.getVariant('hero')).toBe('b');
+	expect(JSON.parse(localStorage.getItem(ASSIGNMENTS_KEY))).toEqual({ hero: 'b' });
+
+	// A later visit rolls differently but keeps the stored variant
+	expect(setup({ random: () => 0 }).store.getVariant('hero')).toBe('b');
+
+	localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify({ hero: 'c' }));
+	expect(setup({ random: () => 0 }).store.getVariant('hero')).toBe('a');
+	expect(() => store.getVariant('footer')).toThrow('Unknown experiment "footer"');
+});
+
+test('URL overrides force a variant without replacing the assignment, and flag its events', () => {
+	expect(parseOverrides('?exp=hero:b,cta:x&exp=footer:a', config)).toEqual({ hero: 'b' });
+
+	const { store, track } = setup({ search: '?exp=hero:b', random: () => 0 });
+	expect(store.getVariant('hero')).toBe('b');
+	expect(localStorage.getItem(ASSIGNMENTS_KEY)).toBeNull();
+
+	store.expose('hero');
+	store.expose('hero');
+	store.convert('hero', 'contact_started');
+	expect(track.mock.calls).toEqual([
+		['experiment_viewed', { experiment: 'hero', variant: 'b', forced: true }],
+		['experiment_converted', { experiment: 'hero', variant: 'b', forced: true, goal: 'contact_started' }],
+	]);
+});
+
+test('the hero shows the assigned headline and button text and reports exposures and conversions', () => {
+	localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify({ hero: 'b', cta: 'b' }));
+	const sink = createMemoryAdapter();
+	const removeSink = analytics.addAdapter(sink);
+	analytics.consent.set(CONSENT.GRANTED);
+
+	render(<HeroSection />);
+	expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent(hero.variants.find((variant) => variant.id === 'b').title.join(' '));
+	const submit = screen.getByRole('button', { name: 'Get Started' });
+
+	userEvent.type(screen.getByPlaceholderText('Your Email'), 'ana@example.com');
+	fireEvent.click(submit);
+	expect(sink.events.map(({ name, props }) => [name, props])).toEqual([
+		['experiment_viewed', { experiment: 'hero', variant: 'b' }],
+		['experiment_viewed', { experiment: 'cta', variant: 'b' }],
+		['contact_started', { source: 'hero' }],
+		['experiment_converted', { experiment: 'hero', variant: 'b', goal: 'contact_started' }],
+		['experiment_converted', { experiment: 'cta', variant: 'b', goal: 'contact_started' }],
+	]);
+	removeSink();
+});
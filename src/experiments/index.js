@@ -0,0 +1,5 @@
+import { track } from '../analytics';
+import { createExperiments } from './experiments';
+
+// The site-wide experiments, reporting to the analytics bus
+export const experiments = createExperiments({ track });
@@ -0,0 +1,21 @@
+import { useCallback, useEffect } from 'react';
+import useHydrated from '../hooks/useHydrated';
+import { experiments } from '.';
+
+// Custom Hook returning the visitor's variant of experiment `id` (see ./config), whether it is the
+// control, and `convert(goal)` to report a conversion. Pre-rendered pages show the control variant until they hydrate, and the
+// exposure is reported once the visitor's own variant is on screen.
+const useExperiment = (id, store = experiments) => {
+	const hydrated = useHydrated();
+	const variant = hydrated ? store.getVariant(id) : store.control(id);
+
+	useEffect(() => {
+		if (hydrated) store.expose(id);
+	}, [hydrated, id, store]);
+
+	const convert = useCallback((goal) => store.convert(id, goal), [id, store]);
+
+	return { variant, isControl: variant === store.control(id), convert };
+};
+
+export default useExperiment;
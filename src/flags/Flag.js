@@ -0,0 +1,8 @@
+import useFlags from './useFlags';
+
+// Flag Component - renders its children only while feature flag `name` (see ./flags.json) is on
+function Flag({ name, children }) {
+	return useFlags()(name) ? children : null;
+}
+
+export default Flag;
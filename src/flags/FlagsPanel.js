@@ -0,0 +1,47 @@
+import React, { useSyncExternalStore } from 'react';
+import { flagStore, FLAGS_PANEL } from '.';
+import useHydrated from '../hooks/useHydrated';
+
+// Flags Panel Component - switches overriding the feature flags in this browser, for internal
+// users (`?flags=1`). It stays visible while any override is set so none is forgotten.
+function FlagsPanel({ enabled = FLAGS_PANEL, store = flagStore }) {
+	const overrides = useSyncExternalStore(store.subscribe, store.getOverrides, store.getOverrides);
+	const hydrated = useHydrated();
+	const overridden = Object.keys(overrides).length;
+	if (!hydrated || (!enabled && !overridden)) return null;
+
+	return (
+		<aside
+			aria-label='Feature flags'
+			className='fixed top-20 start-4 z-50 w-72 max-h-[calc(100vh-6rem)] overflow-y-auto p-3 rounded-lg border shadow-lg text-xs bg-surface/95 border-line text-fg'
+		>
+			<div className='flex items-center justify-between gap-2 mb-2'>
+				<p className='font-semibold'>Feature flags</p>
+				<button
+					type='button'
+					onClick={store.reset}
+					disabled={!overridden}
+					className='px-2 py-0.5 rounded-full border font-medium transition-colors duration-300 disabled:opacity-50 border-line-strong text-fg-muted hover:bg-muted'
+				>
+					Reset
+				</button>
+			</div>
+			<ul className='space-y-2'>
+				{store.names.map((name) => (
+					<li key={name}>
+						<label className='flex items-start gap-2'>
+							<input type='checkbox' checked={store.isEnabled(name)} onChange={(e) => store.set(name, e.target.checked)} className='mt-0.5' />
+							<span>
+								<span className='font-mono font-medium'>{name}</span>
+								{name in overrides && <span className='ms-1 text-fg-subtle'>(overridden)</span>}
+								<span className='block text-fg-subtle'>{store.describe(name)}</span>
+							</span>
+						</label>
+					</li>
+				))}
+			</ul>
+		</aside>
+	);
+}
+
+export default FlagsPanel;
@@ -0,0 +1,92 @@
+import definitions from './flags.json';
+
+export const FLAGS_KEY = 'nimble-flags';
+
+export const FLAG_NAMES = Object.keys(definitions);
+
+const BOOLEANS = { true: true, on: true, 1: true, false: false, off: false, 0: false };
+
+// Reads environment overrides such as `testimonials-section=false,onboarding-faqs=true`.
+// Unknown flags and values are reported and ignored.
+export const parseFlagOverrides = (value = '', names = FLAG_NAMES) =>
+	Object.fromEntries(
+		value
+			.split(',')
+			.map((pair) => pair.trim())
+			.filter(Boolean)
+			.flatMap((pair) => {
+				const [name, setting = 'true'] = pair.split('=').map((part) => part.trim());
+				if (names.includes(name) && setting.toLowerCase() in BOOLEANS) return [[name, BOOLEANS[setting.toLowerCase()]]];
+				console.warn(`Ignoring feature flag override "${pair}"`);
+				return [];
+			})
+	);
+
+// Feature flags: the defaults in ./flags.json, then the build's REACT_APP_FLAGS, then the
+// overrides set in the flags panel, which are kept in localStorage on that browser only.
+export const createFlagStore = ({ flags = definitions, env = process.env.REACT_APP_FLAGS, storage = window.localStorage } = {}) => {
+	const names = Object.keys(flags);
+	const defaults = { ...Object.fromEntries(names.map((name) => [name, flags[name].enabled])), ...parseFlagOverrides(env, names) };
+	const listeners = new Set();
+
+	const read = () => {
+		try {
+			const stored = JSON.parse(storage.getItem(FLAGS_KEY)) || {};
+			return Object.fromEntries(Object.entries(stored).filter(([name, value]) => names.includes(name) && typeof value === 'boolean'));
+		} catch (error) {
+			return {};
+		}
+	};
+
+	let overrides = read();
+
+	const write = (next) => {
+		overrides = next;
+		try {
+			if (Object.keys(next).length) storage.setItem(FLAGS_KEY, JSON.stringify(next));
+			else storage.removeItem(FLAGS_KEY);
+		} catch (error) {
+			// Without storage the overrides only last for this page view
+		}
+		listeners.forEach((listener) => listener(overrides));
+	};
+
+	const check = (name) => {
+		if (!names.includes(name)) throw new Error(`Unknown feature flag "${name}"`);
+	};
+
+	return {
+		names,
+		describe: (name) => flags[name].description,
+		// The value everyone gets, which pre-rendered pages use
+		getDefault: (name) => {
+			check(name);
+			return defaults[name];
+		},
+		// Overrides are replaced, not mutated, so they work as a useSyncExternalStore snapshot
+		getOverrides: () => overrides,
+		isEnabled: (name) => {
+			check(name);
+			return name in overrides ? overrides[name] : defaults[name];
+		},
+		// Overriding a flag with its default removes the override
+		set: (name, value) => {
+			check(name);
+			const { [name]: previous, ...rest } = overrides;
+			write(value === defaults[name] ? rest : { ...rest, [name]: value });
+		},
+		reset: () => write({}),
+		subscribe: (listener) => {
+			listeners.add(listener);
+			return () => listeners.delete(listener);
+		},
+	};
+};
+
+// Drops every list entry of `content` carrying a `flag` that is off, at any depth
+export const gateContent = (content, isEnabled) => {
+	if (Array.isArray(content)) return content.filter((item) => !item?.flag || isEnabled(item.flag)).map((item) => gateContent(item, isEnabled));
+	if (content && typeof content === 'object')
+		return Object.fromEntries(Object.entries(content).map(([key, value]) => [key, gateContent(value, isEnabled)]));
+	return content;
+};
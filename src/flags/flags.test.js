@@ -0,0 +1,84 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import FAQSection from '../components/FAQSection';
+import { RAW_CONTENT } from '../content';
+import HomePage from '../pages/HomePage';
+import { flagStore } from '.';
+import { createFlagStore, FLAGS_KEY, gateContent, parseFlagOverrides } from './flags';
+import FlagsPanel from './FlagsPanel';
+
+const flags = {
+	banner: { enabled: true, description: 'Promo banner' },
+	beta: { enabled: false, description: 'Beta features' },
+};
+
+const renderWithRouter = (ui) => render(<MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>{ui}</MemoryRouter>);
+
+beforeEach(() => {
+	window.scrollTo = jest.fn();
+});
+
+afterEach(() => {
+	flagStore.reset();
+	localStorage.clear();
+});
+
+test('reads build overrides and ignores unknown flags and values', () => {
+	const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+	expect(parseFlagOverrides('banner=off, beta ,nope=true,banner=maybe', Object.keys(flags))).toEqual({ banner: false, beta: true });
+	expect(warn).toHaveBeenCalledTimes(2);
+	warn.mockRestore();
+});
+
+test('browser overrides win over build overrides, which win over the defaults', () => {
+	const store = createFlagStore({ flags, env: 'banner=false', storage: window.localStorage });
+	expect([store.isEnabled('banner'), store.isEnabled('beta')]).toEqual([false, false]);
+
+	store.set('beta', true);
+	expect(store.isEnabled('beta')).toBe(true);
+	expect(JSON.parse(localStorage.getItem(FLAGS_KEY))).toEqual({ beta: true });
+	expect(createFlagStore({ flags, storage: window.localStorage }).isEnabled('beta')).toBe(true);
+
+	// Setting a flag back to its default drops the override
+	store.set('beta', false);
+	expect(localStorage.getItem(FLAGS_KEY)).toBeNull();
+	expect(() => store.isEnabled('nope')).toThrow('Unknown feature flag "nope"');
+});
+
+test('gates list entries by their flag at any depth', () => {
+	const content = { faqs: [{ id: 'a' }, { id: 'b', flag: 'beta' }], about: { infoCards: [{ title: 'Beta', flag: 'beta' }, { title: 'Demo' }] } };
+	expect(gateContent(content, (name) => flags[name].enabled)).toEqual({ faqs: [{ id: 'a' }], about: { infoCards: [{ title: 'Demo' }] } });
+	expect(RAW_CONTENT.faqs.filter((faq) => faq.flag)).toHaveLength(2);
+});
+
+test('the flags panel toggles sections and FAQs and stays open while overrides are set', () => {
+	const { unmount } = renderWithRouter(
+		<>
+			<HomePage />
+			<FlagsPanel enabled />
+		</>
+	);
+	const onboardingFaq = RAW_CONTENT.faqs.find((faq) => faq.flag === 'onboarding-faqs').question;
+	expect(screen.getByRole('region', { name: 'Customer testimonials' })).toBeInTheDocument();
+	expect(screen.queryByRole('button', { name: onboardingFaq })).not.toBeInTheDocument();
+
+	const panel = screen.getByRole('complementary', { name: 'Feature flags' });
+	userEvent.click(screen.getByRole('checkbox', { name: /testimonials-section/ }));
+	userEvent.click(screen.getByRole('checkbox', { name: /onboarding-faqs/ }));
+	expect(screen.queryByRole('region', { name: 'Customer testimonials' })).not.toBeInTheDocument();
+	expect(screen.getByRole('button', { name: onboardingFaq })).toBeInTheDocument();
+	expect(panel).toHaveTextContent('(overridden)');
+	unmount();
+
+	// Without ?flags=1 the panel only shows while something is overridden
+	renderWithRouter(
+		<>
+			<FlagsPanel />
+			<FAQSection />
+		</>
+	);
+	userEvent.click(screen.getByRole('button', { name: 'Reset' }));
+	expect(screen.queryByRole('complementary', { name: 'Feature flags' })).not.toBeInTheDocument();
+	expect(screen.queryByRole('button', { name: onboardingFaq })).not.toBeInTheDocument();
+});
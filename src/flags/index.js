@@ -0,0 +1,7 @@
+import { createFlagStore } from './flags';
+
+// The site-wide feature flags, configured from ./flags.json and REACT_APP_FLAGS
+export const flagStore = createFlagStore();
+
+// `?flags=1` in the URL shows the flags panel (see FlagsPanel)
+export const FLAGS_PANEL = new URLSearchParams(window.location.search).get('flags') === '1';
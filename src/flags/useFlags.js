@@ -0,0 +1,16 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import useHydrated from '../hooks/useHydrated';
+import { flagStore } from '.';
+
+const NO_OVERRIDES = {};
+
+// Custom Hook returning `isEnabled(name)` for the feature flags, re-rendering when they are
+// overridden. Pre-rendered pages use the defaults until they hydrate, so hydration matches.
+const useFlags = (store = flagStore) => {
+	const overrides = useSyncExternalStore(store.subscribe, store.getOverrides, () => NO_OVERRIDES);
+	const hydrated = useHydrated();
+
+	return useCallback((name) => (hydrated && name in overrides ? overrides[name] : store.getDefault(name)), [hydrated, overrides, store]);
+};
+
+export default useFlags;
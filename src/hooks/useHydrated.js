@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from 'react';
+
+const subscribe = () => () => {};
+
+// Custom Hook that is false while pre-rendering and while the browser hydrates the pre-rendered
+// HTML, and true afterwards. Anything that depends on the visitor (stored preferences, the URL
+// hash, debug flags) renders its pre-rendered default until then, so hydration always matches.
+const useHydrated = () =>
+	useSyncExternalStore(
+		subscribe,
+		() => true,
+		() => false
+	);
+
+export default useHydrated;
@@ -0,0 +1,37 @@
+import { useEffect, useRef, useState } from 'react';
+import { observe } from '../animation/observerPool';
+
+// Custom Hook for Intersection Observer to trigger animations on scroll. Elements share a pooled
+// observer (see animation/observerPool) and only the option values are effect dependencies, so
+// passing a new options object on every render is fine. With `once` (the default) the element
+// stays visible after it first scrolled into view.
+const useIntersectionObserver = ({ threshold = 0, rootMargin = '0px', once = true } = {}) => {
+	const [isVisible, setIsVisible] = useState(false);
+	const targetRef = useRef(null); // The element to observe
+	const thresholdKey = [].concat(threshold).join(',');
+
+	useEffect(() => {
+		const target = targetRef.current;
+		if (!target) return undefined;
+
+		let stop = () => {};
+		stop = observe(
+			target,
+			(isIntersecting) => {
+				if (isIntersecting) {
+					setIsVisible(true);
+					// Stop observing after the first intersection to play the animation only once
+					if (once) stop();
+				} else if (!once) {
+					setIsVisible(false);
+				}
+			},
+			{ threshold: thresholdKey.split(',').map(Number), rootMargin }
+		);
+		return () => stop();
+	}, [thresholdKey, rootMargin, once]);
+
+	return [targetRef, isVisible];
+};
+
+export default useIntersectionObserver;
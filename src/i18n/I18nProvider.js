@@ -0,0 +1,50 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import useHydrated from '../hooks/useHydrated';
+import { formatMessage } from './formatMessage';
+import { CATALOGS, DEFAULT_LOCALE, detectLocale, getLocale, LOCALES, readStoredLocale, storeLocale } from './locales';
+
+// Builds `t(key, values)` for a locale. Keys missing from the locale's catalog fall back to
+// English, and keys missing everywhere render as the key itself so they are easy to spot.
+export const createTranslator = (locale) => (key, values) => {
+	const catalog = CATALOGS[locale] || {};
+	const message = catalog[key] !== undefined ? catalog[key] : CATALOGS[DEFAULT_LOCALE][key];
+	if (message === undefined) return key;
+	return formatMessage(message, values, catalog[key] !== undefined ? locale : DEFAULT_LOCALE);
+};
+
+const createValue = (locale, setLocale) => ({
+	locale,
+	dir: getLocale(locale).dir,
+	locales: LOCALES,
+	setLocale,
+	t: createTranslator(locale),
+});
+
+// Components rendered outside the provider (e.g. in isolated tests) get English
+const I18nContext = createContext(createValue(DEFAULT_LOCALE, () => {}));
+
+export const useI18n = () => useContext(I18nContext);
+
+// I18n Provider Component - holds the active locale, persists the visitor's choice and keeps
+// the `lang` and `dir` attributes of <html> in sync with it. Pre-rendered pages are English, so
+// they hydrate in English and switch to the visitor's language right after.
+function I18nProvider({ initialLocale, children }) {
+	const [preferredLocale, setLocaleState] = useState(() => initialLocale || readStoredLocale() || detectLocale());
+	const locale = useHydrated() ? preferredLocale : DEFAULT_LOCALE;
+
+	const setLocale = useCallback((code) => {
+		setLocaleState(getLocale(code).code);
+		storeLocale(getLocale(code).code);
+	}, []);
+
+	useEffect(() => {
+		document.documentElement.lang = locale;
+		document.documentElement.dir = getLocale(locale).dir;
+	}, [locale]);
+
+	const value = useMemo(() => createValue(locale, setLocale), [locale, setLocale]);
+
+	return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export default I18nProvider;
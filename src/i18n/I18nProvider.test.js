@@ -0,0 +1,57 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import I18nProvider, { createTranslator, useI18n } from './I18nProvider';
+import LanguageSwitcher from './LanguageSwitcher';
+import { detectLocale, LOCALE_KEY } from './locales';
+
+const Greeting = () => {
+	const { t } = useI18n();
+	return <p>{t('nav.contact')}</p>;
+};
+
+const renderWithSwitcher = (props) =>
+	render(
+		<I18nProvider {...props}>
+			<LanguageSwitcher />
+			<Greeting />
+		</I18nProvider>
+	);
+
+afterEach(() => {
+	localStorage.clear();
+	document.documentElement.lang = 'en';
+	document.documentElement.dir = 'ltr';
+});
+
+test('detects the locale from the browser languages by their base language', () => {
+	expect(detectLocale(['hi-IN', 'en-US'])).toBe('hi');
+	expect(detectLocale(['fr-FR', 'ar-EG'])).toBe('ar');
+	expect(detectLocale(['fr-FR'])).toBe('en');
+	expect(detectLocale([])).toBe('en');
+});
+
+test('falls back to English for keys a catalog is missing and to the key itself', () => {
+	const t = createTranslator('hi');
+	expect(t('nav.contact')).toBe('संपर्क');
+	expect(t('missing.key')).toBe('missing.key');
+	expect(createTranslator('xx')('nav.contact')).toBe('Contact');
+});
+
+test('switching language translates, persists the choice and updates <html> lang and dir', () => {
+	renderWithSwitcher({ initialLocale: 'en' });
+	expect(screen.getByText('Contact')).toBeInTheDocument();
+
+	userEvent.selectOptions(screen.getByLabelText('Language'), 'ar');
+
+	expect(screen.getByText('تواصل معنا')).toBeInTheDocument();
+	expect(document.documentElement).toHaveAttribute('lang', 'ar');
+	expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+	expect(localStorage.getItem(LOCALE_KEY)).toBe('ar');
+});
+
+test('a stored choice wins over the browser language', () => {
+	localStorage.setItem(LOCALE_KEY, 'hi');
+	renderWithSwitcher();
+	expect(screen.getByText('संपर्क')).toBeInTheDocument();
+	expect(document.documentElement).toHaveAttribute('lang', 'hi');
+});
@@ -0,0 +1,41 @@
+import React from 'react';
+import { useI18n } from './I18nProvider';
+
+// Language Switcher Component - compact select in the navbar listing every supported locale
+function LanguageSwitcher() {
+	const { locale, locales, setLocale, t } = useI18n();
+
+	return (
+		<label className='relative flex items-center'>
+			<span className='sr-only'>{t('nav.language')}</span>
+			<svg
+				className='pointer-events-none absolute start-2 w-4 h-4 text-fg-subtle'
+				fill='none'
+				stroke='currentColor'
+				viewBox='0 0 24 24'
+				xmlns='http://www.w3.org/2000/svg'
+				aria-hidden='true'
+			>
+				<path
+					strokeLinecap='round'
+					strokeLinejoin='round'
+					strokeWidth='2'
+					d='M3 5h12M9 3v2m1.048 9.5A18.022 18.022 0 016.412 9m6.088 9h7M11 21l5-10 5 10M12.751 5C11.783 10.77 8.07 15.61 3 18.129'
+				/>
+			</svg>
+			<select
+				value={locale}
+				onChange={(e) => setLocale(e.target.value)}
+				className='appearance-none ps-7 pe-3 py-2 rounded-full text-sm font-medium cursor-pointer transition-colors duration-300 focus:outline-none focus:ring-2 bg-muted text-fg hover:bg-muted-strong focus:ring-focus'
+			>
+				{locales.map((option) => (
+					<option key={option.code} value={option.code} lang={option.code}>
+						{option.label}
+					</option>
+				))}
+			</select>
+		</label>
+	);
+}
+
+export default LanguageSwitcher;
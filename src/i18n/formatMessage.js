@@ -0,0 +1,129 @@
+// Formats catalog messages written in a subset of the ICU MessageFormat syntax:
+// {name}                                   - interpolation
+// {count, number}                          - locale aware number
+// {count, plural, =0 {...} one {...} other {...}} - plural, `#` is the formatted count
+// {unit, select, minute {...} other {...}}  - select on a string value
+// A doubled apostrophe is a literal one and '{...}' quotes braces, other apostrophes are plain text.
+
+const ARGUMENT_HEADER = /\s*(\w+)\s*(?:,\s*(number|plural|select)\s*)?([,}])/y;
+const OPTION_HEADER = /\s*(=\d+|\w+)\s*\{/y;
+
+const parse = (message) => {
+	let pos = 0;
+
+	const fail = (reason) => {
+		throw new Error(`Invalid message "${message}": ${reason} at position ${pos}`);
+	};
+
+	const parseNodes = (inPlural) => {
+		const nodes = [];
+		let text = '';
+		const flush = () => {
+			if (text) nodes.push({ type: 'text', text });
+			text = '';
+		};
+
+		while (pos < message.length) {
+			const char = message[pos];
+			if (char === '}') break;
+			if (char === '{') {
+				flush();
+				nodes.push(parseArgument(inPlural));
+				continue;
+			}
+			if (char === '#' && inPlural) {
+				flush();
+				nodes.push({ type: 'count' });
+				pos++;
+				continue;
+			}
+			if (char === "'") {
+				const next = message[pos + 1];
+				if (next === "'") {
+					text += "'";
+					pos += 2;
+					continue;
+				}
+				if (next === '{' || next === '}' || (next === '#' && inPlural)) {
+					const end = message.indexOf("'", pos + 1);
+					if (end === -1) fail('unterminated quote');
+					text += message.slice(pos + 1, end);
+					pos = end + 1;
+					continue;
+				}
+			}
+			text += char;
+			pos++;
+		}
+		flush();
+		return nodes;
+	};
+
+	const parseArgument = (inPlural) => {
+		ARGUMENT_HEADER.lastIndex = pos + 1;
+		const header = ARGUMENT_HEADER.exec(message);
+		if (!header) fail('malformed argument');
+		const [, name, format, terminator] = header;
+		pos = ARGUMENT_HEADER.lastIndex;
+
+		if (terminator === '}') return { type: 'argument', name, format };
+		if (format !== 'plural' && format !== 'select') fail(`"${format || name}" takes no options`);
+
+		const options = {};
+		for (;;) {
+			while (/\s/.test(message[pos])) pos++;
+			if (message[pos] === '}') break;
+			OPTION_HEADER.lastIndex = pos;
+			const option = OPTION_HEADER.exec(message);
+			if (!option) fail('malformed option');
+			pos = OPTION_HEADER.lastIndex;
+			options[option[1]] = parseNodes(inPlural || format === 'plural');
+			if (message[pos] !== '}') fail('unclosed option');
+			pos++;
+		}
+		if (!options.other) fail(`"${name}" has no "other" option`);
+		pos++;
+		return { type: format, name, options };
+	};
+
+	const nodes = parseNodes(false);
+	if (pos < message.length) fail('unexpected "}"');
+	return nodes;
+};
+
+const cache = new Map();
+
+// Parses `message` once and keeps the syntax tree for later calls; throws on malformed messages
+export const parseMessage = (message) => {
+	if (!cache.has(message)) cache.set(message, parse(message));
+	return cache.get(message);
+};
+
+const render = (nodes, values, locale, count) =>
+	nodes
+		.map((node) => {
+			switch (node.type) {
+				case 'text':
+					return node.text;
+				case 'count':
+					return new Intl.NumberFormat(locale).format(count);
+				case 'argument': {
+					const value = values[node.name];
+					if (value === undefined || value === null) return `{${node.name}}`;
+					return node.format === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+				}
+				case 'plural': {
+					const number = Number(values[node.name]);
+					const option = node.options[`=${number}`] || node.options[new Intl.PluralRules(locale).select(number)] || node.options.other;
+					return render(option, values, locale, number);
+				}
+				default: {
+					const option = node.options[String(values[node.name])] || node.options.other;
+					return render(option, values, locale, count);
+				}
+			}
+		})
+		.join('');
+
+// Formats `message` for `locale`; placeholders without a value are left in place
+export const formatMessage = (message, values = {}, locale = 'en') => render(parseMessage(message), values, locale);
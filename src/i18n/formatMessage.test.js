@@ -0,0 +1,43 @@
+import { formatMessage } from './formatMessage';
+import { CATALOGS } from './locales';
+
+const WAIT = '{count, plural, =0 {no time} one {# second} other {# seconds}}';
+
+test('interpolates values and leaves missing ones in place', () => {
+	expect(formatMessage('Hello {name}, welcome to {site}', { name: 'Asha' })).toBe('Hello Asha, welcome to {site}');
+});
+
+test('picks plural forms by exact value first, then by the locale plural rules', () => {
+	expect(formatMessage(WAIT, { count: 0 })).toBe('no time');
+	expect(formatMessage(WAIT, { count: 1 })).toBe('1 second');
+	expect(formatMessage(WAIT, { count: 1500 })).toBe('1,500 seconds');
+});
+
+test('uses the plural categories of the target locale', () => {
+	const message = '{count, plural, one {one} two {two} few {few} many {many} other {other}}';
+	expect([1, 2, 3, 11, 100].map((count) => formatMessage(message, { count }, 'ar'))).toEqual(['one', 'two', 'few', 'many', 'other']);
+	expect(formatMessage('{count, plural, one {# minute} other {# minutes}}', { count: 1500 }, 'hi')).toBe('1,500 minutes');
+});
+
+test('supports select with nested plurals', () => {
+	const message =
+		'Wait {unit, select, minute {{count, plural, one {# minute} other {# minutes}}} other {{count, plural, one {# second} other {# seconds}}}}';
+	expect(formatMessage(message, { unit: 'minute', count: 2 })).toBe('Wait 2 minutes');
+	expect(formatMessage(message, { unit: 'second', count: 1 })).toBe('Wait 1 second');
+});
+
+test('treats apostrophes as text unless they quote braces', () => {
+	expect(formatMessage("You've got '{mail}' and it''s {count, number}", { count: 3 })).toBe("You've got {mail} and it's 3");
+});
+
+test('throws on malformed messages', () => {
+	expect(() => formatMessage('Hello {name')).toThrow(/Invalid message/);
+	expect(() => formatMessage('{count, plural, one {#}}')).toThrow(/no "other" option/);
+});
+
+test('every catalog only has keys from the English catalog and parses', () => {
+	Object.entries(CATALOGS).forEach(([code, catalog]) => {
+		expect({ code, unknown: Object.keys(catalog).filter((key) => !(key in CATALOGS.en)) }).toEqual({ code, unknown: [] });
+		Object.values(catalog).forEach((message) => expect(() => formatMessage(message, { count: 1 }, code)).not.toThrow());
+	});
+});
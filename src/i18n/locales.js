@@ -0,0 +1,49 @@
+import ar from './catalogs/ar.json';
+import en from './catalogs/en.json';
+import hi from './catalogs/hi.json';
+
+// Languages the site is available in. `dir` is applied to <html> when the locale is active.
+export const LOCALES = [
+	{ code: 'en', label: 'English', dir: 'ltr' },
+	{ code: 'hi', label: 'हिन्दी', dir: 'ltr' },
+	{ code: 'ar', label: 'العربية', dir: 'rtl' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+// Message catalogs per locale. English is complete, other catalogs fall back to it key by key.
+export const CATALOGS = { en, hi, ar };
+
+// localStorage key of the language picked in the switcher, which wins over the browser language
+export const LOCALE_KEY = 'nimble-locale';
+
+export const getLocale = (code) => LOCALES.find((locale) => locale.code === code) || getLocale(DEFAULT_LOCALE);
+
+const isSupported = (code) => LOCALES.some((locale) => locale.code === code);
+
+// Picks the first supported language from the browser preferences, matching on the base
+// language so that e.g. "hi-IN" selects Hindi
+export const detectLocale = (languages = (typeof navigator !== 'undefined' && navigator.languages) || []) => {
+	for (const language of languages) {
+		const code = language.toLowerCase().split('-')[0];
+		if (isSupported(code)) return code;
+	}
+	return DEFAULT_LOCALE;
+};
+
+export const readStoredLocale = (storage = window.localStorage) => {
+	try {
+		const code = storage.getItem(LOCALE_KEY);
+		return isSupported(code) ? code : null;
+	} catch (error) {
+		return null;
+	}
+};
+
+export const storeLocale = (code, storage = window.localStorage) => {
+	try {
+		storage.setItem(LOCALE_KEY, code);
+	} catch (error) {
+		// Without storage the choice only lasts for this page view
+	}
+};
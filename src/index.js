@@ -1,17 +1,37 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
 import './index.css';
 import App from './App';
-import reportWebVitals from './reportWebVitals';
+import I18nProvider from './i18n/I18nProvider';
+import { startServiceWorker } from './pwa';
+import ThemeProvider from './theme/ThemeProvider';
+import { startVitals } from './vitals';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
+const app = (
   <React.StrictMode>
-    <App />
+    <BrowserRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <I18nProvider>
+        <ThemeProvider>
+          <App />
+        </ThemeProvider>
+      </I18nProvider>
+    </BrowserRouter>
   </React.StrictMode>
 );
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// Production builds ship every page pre-rendered (see scripts/prerender.js), which is hydrated;
+// the development server serves an empty #root that is rendered from scratch
+const container = document.getElementById('root');
+if (container.hasChildNodes()) {
+  ReactDOM.hydrateRoot(container, app);
+} else {
+  ReactDOM.createRoot(container).render(app);
+}
+
+// Core Web Vitals are sent to REACT_APP_VITALS_ENDPOINT (see src/vitals), and shown in an
+// overlay with ?vitals=debug. Learn more: https://bit.ly/CRA-vitals
+startVitals();
+
+// Offline support and the "new version available" prompt, production builds only (see src/pwa)
+startServiceWorker();
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import Reveal from '../animation/Reveal';
+import { IntegrationIcon } from '../content/icons';
+import StatusBadge from './StatusBadge';
+
+// Integration Card Component - catalog entry linking to the integration's detail page
+const IntegrationCard = ({ integration, categoryLabel, delay }) => (
+	<Reveal
+		as='article'
+		animation='slide-up'
+		delay={delay}
+		aria-labelledby={`integration-${integration.slug}`}
+		className='relative flex flex-col p-6 rounded-xl border shadow-md text-start transition-shadow duration-300 hover:shadow-lg bg-raised border-line-strong'
+	>
+		<div className='flex items-start justify-between gap-4 mb-4'>
+			<IntegrationIcon name={integration.icon} />
+			<StatusBadge status={integration.status} />
+		</div>
+		<h2 id={`integration-${integration.slug}`} className='text-lg font-semibold text-fg'>
+			{/* The stretched link makes the whole card clickable */}
+			<Link to={`/integrations/${integration.slug}`} className='after:absolute after:inset-0 focus:outline-none focus-visible:underline'>
+				{integration.name}
+			</Link>
+		</h2>
+		<p className='text-xs font-medium uppercase tracking-wide text-fg-subtle'>{categoryLabel}</p>
+		<p className='mt-3 text-sm text-fg-muted'>{integration.summary}</p>
+	</Reveal>
+);
+
+export default IntegrationCard;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+
+const STATUS_CLASSES = {
+	available: 'bg-accent text-on-accent border-transparent',
+	beta: 'bg-warning text-on-warning border-warning-line',
+	'coming-soon': 'bg-muted text-fg-muted border-line-strong',
+};
+
+// Status Badge Component - availability of an integration: available, beta or coming soon
+const StatusBadge = ({ status }) => {
+	const { t } = useI18n();
+	return (
+		<span className={`inline-block px-2 py-0.5 rounded-full border text-xs font-semibold whitespace-nowrap ${STATUS_CLASSES[status]}`}>
+			{t(`integrations.status.${status}`)}
+		</span>
+	);
+};
+
+export default StatusBadge;
@@ -0,0 +1,20 @@
+// Filtering for the integrations catalog (src/content/integrations.json)
+
+// Case-insensitive match on the name, category label or summary
+const matchesQuery = (integration, categoryLabel, query) => {
+	const needle = query.toLocaleLowerCase();
+	return [integration.name, categoryLabel, integration.summary].some((text) => text.toLocaleLowerCase().includes(needle));
+};
+
+// Integrations in `category` (all when null) matching the search `query`, in file order
+export const filterIntegrations = ({ categories, items }, { category = null, query = '' } = {}) => {
+	const search = query.trim();
+	const labels = Object.fromEntries(categories.map(({ id, label }) => [id, label]));
+	return items.filter((item) => (!category || item.category === category) && (!search || matchesQuery(item, labels[item.category], search)));
+};
+
+// The category of a `?category=` URL parameter, or null for an unknown or missing one
+export const parseCategory = (params, categories) => {
+	const id = params.get('category');
+	return categories.some((category) => category.id === id) ? id : null;
+};
@@ -0,0 +1,19 @@
+import React from 'react';
+import AboutSection from '../components/AboutSection';
+import CallToAction from '../components/CallToAction';
+import useContent from '../content/useContent';
+import usePageMeta from '../seo/usePageMeta';
+
+// About Page
+function AboutPage() {
+	usePageMeta(useContent().seo.pages.about);
+
+	return (
+		<>
+			<AboutSection />
+			<CallToAction />
+		</>
+	);
+}
+
+export default AboutPage;
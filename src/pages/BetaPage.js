@@ -0,0 +1,22 @@
+import React from 'react';
+import PageHeader from '../components/PageHeader';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+import WaitlistForm from '../waitlist/WaitlistForm';
+
+// Beta Page - the beta access waitlist offered on the About section (/beta, /beta?ref=<code>)
+function BetaPage() {
+	const { t } = useI18n();
+	usePageMeta(useContent().seo.pages.beta);
+
+	return (
+		<PageHeader eyebrow={t('pages.beta.title')} title={t('pages.beta.heading')} description={t('pages.beta.description')}>
+			<div className='max-w-md mx-auto'>
+				<WaitlistForm />
+			</div>
+		</PageHeader>
+	);
+}
+
+export default BetaPage;
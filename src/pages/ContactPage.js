@@ -0,0 +1,36 @@
+import React from 'react';
+import PageHeader from '../components/PageHeader';
+import ContactForm from '../contact/ContactForm';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import { toRoiEstimate } from '../pricing/roi';
+import usePricingParams from '../pricing/usePricingParams';
+import usePageMeta from '../seo/usePageMeta';
+
+// Contact Page - an ROI calculation linked from the pricing page (/contact?tickets=...) is
+// attached to the enquiry
+function ContactPage() {
+	const { t } = useI18n();
+	const { footer, pricing, seo } = useContent();
+	const { billing, inputs, update } = usePricingParams();
+	usePageMeta(seo.pages.contact);
+
+	const estimate = inputs && toRoiEstimate(inputs, pricing, billing);
+	const removeEstimate = () => update({ tickets: null, agentCost: null, handleTime: null, billing: null });
+
+	return (
+		<PageHeader eyebrow={t('pages.contact.title')} title={t('pages.contact.heading')} description={t('pages.contact.description')}>
+			<div className='mt-8'>
+				<ContactForm source='contact-page' estimate={estimate} onRemoveEstimate={removeEstimate} />
+			</div>
+			<p className='mt-8 text-sm text-fg-subtle'>
+				{t('pages.contact.emailPrompt')}{' '}
+				<a href={`mailto:${footer.email}`} className='font-semibold underline'>
+					{footer.email}
+				</a>
+			</p>
+		</PageHeader>
+	);
+}
+
+export default ContactPage;
@@ -0,0 +1,22 @@
+import React from 'react';
+import DemoScheduler from '../booking/DemoScheduler';
+import PageHeader from '../components/PageHeader';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+
+// Demo Page - books the free first demo offered on the About section
+function DemoPage() {
+	const { t } = useI18n();
+	usePageMeta(useContent().seo.pages.demo);
+
+	return (
+		<PageHeader eyebrow={t('pages.demo.title')} title={t('pages.demo.heading')} description={t('pages.demo.description')}>
+			<div className='mt-8'>
+				<DemoScheduler />
+			</div>
+		</PageHeader>
+	);
+}
+
+export default DemoPage;
@@ -0,0 +1,21 @@
+import React from 'react';
+import CallToAction from '../components/CallToAction';
+import FAQSection from '../components/FAQSection';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+
+// FAQ Page
+function FAQPage() {
+	const { t } = useI18n();
+	usePageMeta(useContent().seo.pages.faq);
+
+	return (
+		<>
+			<FAQSection />
+			<CallToAction title={t('pages.faq.ctaTitle')} description={t('pages.faq.ctaDescription')} />
+		</>
+	);
+}
+
+export default FAQPage;
@@ -0,0 +1,45 @@
+import React from 'react';
+import AboutSection from '../components/AboutSection';
+import ComparisonSection from '../components/ComparisonSection';
+import FAQSection from '../components/FAQSection';
+import FeaturesSection from '../components/FeaturesSection';
+import HeroSection from '../components/HeroSection';
+import SeamlessIntegrations from '../components/SeamlessIntegrations';
+import TestimonialsSection from '../components/TestimonialsSection';
+import useContent from '../content/useContent';
+import Flag from '../flags/Flag';
+import usePageMeta from '../seo/usePageMeta';
+
+// Home Page - the original single-page landing experience
+function HomePage() {
+	usePageMeta(useContent().seo.pages.home);
+
+	return (
+		<>
+			{/* Hero Section Component */}
+			<HeroSection />
+			{/* Features Section Component */}
+			<FeaturesSection />
+			{/* About Section Component */}
+			<AboutSection />
+			{/* Customer testimonials, linking to their case studies */}
+			<Flag name='testimonials-section'>
+				<TestimonialsSection />
+			</Flag>
+
+			{/* Comparison Section Component */}
+			<Flag name='comparison-section'>
+				<ComparisonSection />
+			</Flag>
+			{/* Featured integrations, linking to the catalog */}
+			<Flag name='integrations-teaser'>
+				<SeamlessIntegrations />
+			</Flag>
+
+			{/* FAQ Section Component */}
+			<FAQSection />
+		</>
+	);
+}
+
+export default HomePage;
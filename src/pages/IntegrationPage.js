@@ -0,0 +1,95 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import Reveal from '../animation/Reveal';
+import CallToAction from '../components/CallToAction';
+import PageHeader from '../components/PageHeader';
+import { IntegrationIcon } from '../content/icons';
+import Markdown from '../content/Markdown';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import StatusBadge from '../integrations/StatusBadge';
+import usePageMeta from '../seo/usePageMeta';
+import NotFoundPage from './NotFoundPage';
+
+// Integration Page - detail view of a catalog entry (/integrations/:slug)
+function IntegrationPage() {
+	const { slug } = useParams();
+	const { t } = useI18n();
+	const { integrations, seo } = useContent();
+	const integration = integrations.items.find((item) => item.slug === slug);
+	usePageMeta(
+		integration ? { title: t('integrations.pageTitle', { name: integration.name }), description: integration.summary } : seo.pages.notFound
+	);
+
+	if (!integration) return <NotFoundPage />;
+
+	const category = integrations.categories.find(({ id }) => id === integration.category);
+	const related = integrations.items.filter((item) => item.category === integration.category && item.slug !== slug);
+
+	return (
+		<>
+			<PageHeader eyebrow={category.label} title={integration.name} description={integration.summary}>
+				<div className='mt-8 flex items-center justify-center gap-4'>
+					<IntegrationIcon name={integration.icon} className='w-12 h-12' />
+					<StatusBadge status={integration.status} />
+				</div>
+			</PageHeader>
+
+			<section className='py-12 sm:py-16 px-4 bg-page'>
+				<Reveal animation='slide-up' className='container mx-auto max-w-3xl'>
+					<Markdown text={integration.description} className='text-base sm:text-lg text-fg-muted' />
+					<h2 className='mt-8 mb-4 text-lg sm:text-xl font-semibold text-fg'>{t('integrations.capabilities')}</h2>
+					<ul className='space-y-3'>
+						{integration.capabilities.map((capability) => (
+							<li key={capability} className='flex gap-3 text-fg-muted'>
+								<svg
+									className='w-5 h-5 flex-shrink-0 text-fg'
+									fill='none'
+									stroke='currentColor'
+									viewBox='0 0 24 24'
+									xmlns='http://www.w3.org/2000/svg'
+									aria-hidden='true'
+								>
+									<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M5 13l4 4L19 7' />
+								</svg>
+								<span>{capability}</span>
+							</li>
+						))}
+					</ul>
+				</Reveal>
+			</section>
+
+			{/* Other integrations in the same category */}
+			<section className='pb-12 sm:pb-16 px-4 bg-page'>
+				<div className='container mx-auto text-center'>
+					{related.length > 0 && (
+						<>
+							<h2 className='text-lg sm:text-xl font-semibold mb-4 text-fg'>{t('integrations.related', { category: category.label })}</h2>
+							<div className='flex flex-wrap justify-center gap-3 mb-8'>
+								{related.map((item) => (
+									<Link
+										key={item.slug}
+										to={`/integrations/${item.slug}`}
+										className='px-4 py-2 rounded-full border text-sm font-medium transition-colors duration-300 border-line-strong text-fg-muted hover:bg-muted'
+									>
+										{item.name}
+									</Link>
+								))}
+							</div>
+						</>
+					)}
+					<Link to='/integrations' className='text-sm font-semibold underline text-fg'>
+						{t('integrations.viewAll')}
+					</Link>
+				</div>
+			</section>
+
+			<CallToAction
+				title={integration.status === 'available' ? undefined : t('integrations.earlyAccessTitle', { name: integration.name })}
+				description={integration.status === 'available' ? undefined : t('integrations.earlyAccessDescription')}
+			/>
+		</>
+	);
+}
+
+export default IntegrationPage;
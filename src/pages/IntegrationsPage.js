@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { RevealGroup } from '../animation/Reveal';
+import CallToAction from '../components/CallToAction';
+import PageHeader from '../components/PageHeader';
+import useContent from '../content/useContent';
+import useHydrated from '../hooks/useHydrated';
+import { useI18n } from '../i18n/I18nProvider';
+import { filterIntegrations, parseCategory } from '../integrations/catalog';
+import IntegrationCard from '../integrations/IntegrationCard';
+import usePageMeta from '../seo/usePageMeta';
+
+const NO_PARAMS = new URLSearchParams();
+
+const filterClass = (active) =>
+	`px-4 py-2 rounded-full border text-sm font-medium transition-colors duration-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-focus ${
+		active ? 'bg-accent text-on-accent border-transparent' : 'border-line-strong text-fg-muted hover:bg-muted'
+	}`;
+
+// Integrations Page - catalog of every integration with category filters and search. The category
+// is kept in the URL (/integrations?category=crm), read once hydrated like other visitor state.
+function IntegrationsPage() {
+	const { t } = useI18n();
+	const { integrations, seo } = useContent();
+	const [searchParams, setSearchParams] = useSearchParams();
+	const [query, setQuery] = useState('');
+	usePageMeta(seo.pages.integrations);
+
+	const category = parseCategory(useHydrated() ? searchParams : NO_PARAMS, integrations.categories);
+	const visible = filterIntegrations(integrations, { category, query });
+	const labels = Object.fromEntries(integrations.categories.map(({ id, label }) => [id, label]));
+	const search = query.trim();
+
+	const selectCategory = (id) => setSearchParams(id ? { category: id } : {}, { replace: true });
+
+	return (
+		<>
+			<PageHeader eyebrow={t('pages.integrations.title')} title={t('pages.integrations.heading')} description={t('pages.integrations.description')} />
+			<section className='py-12 sm:py-16 px-4 bg-page'>
+				<div className='container mx-auto'>
+					<div className='flex flex-col lg:flex-row gap-4 lg:items-center lg:justify-between mb-8'>
+						<div role='group' aria-label={t('integrations.filterLabel')} className='flex flex-wrap gap-2'>
+							<button type='button' aria-pressed={!category} onClick={() => selectCategory(null)} className={filterClass(!category)}>
+								{t('integrations.all')}
+							</button>
+							{integrations.categories.map(({ id, label }) => (
+								<button
+									key={id}
+									type='button'
+									aria-pressed={category === id}
+									onClick={() => selectCategory(id)}
+									className={filterClass(category === id)}
+								>
+									{label}
+								</button>
+							))}
+						</div>
+						<input
+							type='search'
+							value={query}
+							onChange={(e) => setQuery(e.target.value)}
+							placeholder={t('integrations.searchPlaceholder')}
+							aria-label={t('integrations.searchLabel')}
+							aria-controls='integration-list'
+							className='w-full lg:w-72 px-4 py-2 rounded-full border text-sm focus:outline-none bg-raised border-line-strong text-fg placeholder-fg-subtle focus:border-focus'
+						/>
+					</div>
+					<p className='sr-only' role='status'>
+						{search || category ? t('integrations.resultCount', { count: visible.length }) : ''}
+					</p>
+					<div id='integration-list' className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6'>
+						<RevealGroup stagger={50}>
+							{visible.map((integration) => (
+								<IntegrationCard key={integration.slug} integration={integration} categoryLabel={labels[integration.category]} />
+							))}
+						</RevealGroup>
+					</div>
+					{visible.length === 0 && <p className='mt-6 text-center text-sm text-fg-subtle'>{t('integrations.noResults', { query: search })}</p>}
+				</div>
+			</section>
+			<CallToAction title={t('integrations.requestTitle')} description={t('integrations.requestDescription')} />
+		</>
+	);
+}
+
+export default IntegrationsPage;
@@ -0,0 +1,55 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { integrations } from '../content';
+import IntegrationPage from './IntegrationPage';
+import IntegrationsPage from './IntegrationsPage';
+
+const renderAt = (path) =>
+	render(
+		<MemoryRouter initialEntries={[path]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<Routes>
+				<Route path='/integrations' element={<IntegrationsPage />} />
+				<Route path='/integrations/:slug' element={<IntegrationPage />} />
+			</Routes>
+		</MemoryRouter>
+	);
+
+const cardNames = () => screen.getAllByRole('article').map((card) => within(card).getByRole('heading').textContent);
+
+beforeEach(() => {
+	window.scrollTo = jest.fn();
+});
+
+test('filters the catalog by category from the URL and by search', () => {
+	renderAt('/integrations?category=crm');
+	expect(screen.getByRole('button', { name: 'CRM' })).toHaveAttribute('aria-pressed', 'true');
+	expect(cardNames()).toEqual(integrations.items.filter((item) => item.category === 'crm').map((item) => item.name));
+
+	userEvent.click(screen.getByRole('button', { name: 'All' }));
+	expect(cardNames()).toHaveLength(integrations.items.length);
+
+	userEvent.type(screen.getByRole('searchbox', { name: 'Search integrations' }), 'desk');
+	expect(cardNames()).toEqual(['Zendesk', 'Freshdesk', 'Intercom']);
+	expect(screen.getByRole('status')).toHaveTextContent('3 integrations shown');
+
+	userEvent.type(screen.getByRole('searchbox', { name: 'Search integrations' }), 'xyz');
+	expect(screen.queryAllByRole('article')).toHaveLength(0);
+	expect(screen.getByText(/No integrations match "deskxyz"/)).toBeInTheDocument();
+});
+
+test('opens the detail view of an integration with its status', () => {
+	renderAt('/integrations');
+	userEvent.click(screen.getByRole('link', { name: 'Zendesk' }));
+
+	expect(screen.getByRole('heading', { level: 1, name: 'Zendesk' })).toBeInTheDocument();
+	expect(document.title).toBe('Zendesk integration | Nimble AI');
+	expect(screen.getByText('Beta')).toBeInTheDocument();
+	expect(screen.getByRole('heading', { name: 'Get early access to Zendesk' })).toBeInTheDocument();
+	expect(screen.getByRole('link', { name: 'Freshdesk' })).toHaveAttribute('href', '/integrations/freshdesk');
+});
+
+test('falls back to the not found page for an unknown integration', () => {
+	renderAt('/integrations/unknown');
+	expect(screen.getByRole('heading', { level: 1, name: 'Page not found' })).toBeInTheDocument();
+});
@@ -0,0 +1,25 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import PageHeader from '../components/PageHeader';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+
+// Not Found Page - rendered for any URL without a matching route
+function NotFoundPage() {
+	const { t } = useI18n();
+	usePageMeta(useContent().seo.pages.notFound);
+
+	return (
+		<PageHeader eyebrow='404' title={t('pages.notFound.title')} description={t('pages.notFound.description')}>
+			<Link
+				to='/'
+				className='inline-block mt-8 px-6 py-3 font-semibold rounded-full shadow-md transition duration-300 bg-accent text-on-accent hover:bg-accent-hover'
+			>
+				{t('pages.notFound.backHome')}
+			</Link>
+		</PageHeader>
+	);
+}
+
+export default NotFoundPage;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import Reveal, { RevealGroup } from '../animation/Reveal';
+import CallToAction from '../components/CallToAction';
+import { getFeatures } from '../components/FeaturesSection';
+import PageHeader from '../components/PageHeader';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+import NotFoundPage from './NotFoundPage';
+
+// Offering Page - deep-linkable detail page for each FeaturesSection card (/solutions/:slug)
+function OfferingPage() {
+	const { slug } = useParams();
+	const { t } = useI18n();
+	const content = useContent();
+	const features = getFeatures(content.features);
+	const feature = features.find((item) => item.slug === slug);
+	usePageMeta(feature ? { title: feature.title, description: feature.summary } : content.seo.pages.notFound);
+
+	if (!feature) return <NotFoundPage />;
+
+	return (
+		<>
+			<PageHeader eyebrow={t('nav.solutions')} title={feature.title} description={feature.summary}>
+				<div className='mt-8 flex justify-center'>{feature.icon}</div>
+			</PageHeader>
+
+			{/* Outcomes */}
+			<section className='py-12 sm:py-16 px-4 bg-page'>
+				<div className='container mx-auto grid grid-cols-1 md:grid-cols-3 gap-6 sm:gap-8'>
+					<RevealGroup>
+						{feature.description.map((item, index) => (
+							<Reveal key={index} animation='slide-up' className='p-6 rounded-xl border flex items-start gap-3 bg-surface border-line text-fg-subtle'>
+								{item.icon}
+								<p className='text-sm sm:text-base'>{item.text}</p>
+							</Reveal>
+						))}
+					</RevealGroup>
+				</div>
+			</section>
+
+			{/* Other offerings */}
+			<section className='pb-12 sm:pb-16 px-4 bg-page'>
+				<div className='container mx-auto text-center'>
+					<h2 className='text-lg sm:text-xl font-semibold mb-4 text-fg'>{t('features.exploreMore')}</h2>
+					<div className='flex flex-wrap justify-center gap-3'>
+						{features
+							.filter((item) => item.slug !== slug)
+							.map((item) => (
+								<Link
+									key={item.slug}
+									to={`/solutions/${item.slug}`}
+									className='px-4 py-2 rounded-full border text-sm font-medium transition-colors duration-300 border-line-strong text-fg-muted hover:bg-muted'
+								>
+									{item.title}
+								</Link>
+							))}
+					</div>
+				</div>
+			</section>
+
+			<CallToAction />
+		</>
+	);
+}
+
+export default OfferingPage;
@@ -0,0 +1,25 @@
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import OfferingPage from './OfferingPage';
+
+const renderAt = (path) =>
+	render(
+		<MemoryRouter initialEntries={[path]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<Routes>
+				<Route path='/solutions/:slug' element={<OfferingPage />} />
+			</Routes>
+		</MemoryRouter>
+	);
+
+test('renders the offering for a deep link and titles the page after it', () => {
+	renderAt('/solutions/agentic-workflows');
+	expect(screen.getByRole('heading', { level: 1, name: 'Agentic workflows' })).toBeInTheDocument();
+	expect(document.title).toBe('Agentic workflows | Nimble AI');
+	expect(screen.getByRole('link', { name: 'AI Customer Support Service' })).toHaveAttribute('href', '/solutions/customer-support');
+});
+
+test('falls back to the not found page for an unknown offering', () => {
+	renderAt('/solutions/unknown');
+	expect(screen.getByRole('heading', { level: 1, name: 'Page not found' })).toBeInTheDocument();
+	expect(document.title).toBe('Page not found | Nimble AI');
+});
@@ -0,0 +1,91 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import Reveal from '../animation/Reveal';
+import AuthorCard from '../blog/AuthorCard';
+import PostBody from '../blog/PostBody';
+import PostMeta from '../blog/PostMeta';
+import { adjacentPosts, tagLabel } from '../blog/posts';
+import CallToAction from '../components/CallToAction';
+import PageHeader from '../components/PageHeader';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import JsonLd from '../seo/JsonLd';
+import { blogPostingSchema } from '../seo/structuredData';
+import usePageMeta from '../seo/usePageMeta';
+import CaseStudyResults from '../testimonials/CaseStudyResults';
+import NotFoundPage from './NotFoundPage';
+
+// Post Page - a post of the resources section (/resources/:slug) with its author and links to
+// the posts published before and after it. Case studies open with the customer's results.
+function PostPage() {
+	const { slug } = useParams();
+	const { t } = useI18n();
+	const { authors, posts, seo, testimonials } = useContent();
+	const post = posts.find((item) => item.slug === slug);
+	usePageMeta(post ? { title: post.title, description: post.summary } : seo.pages.notFound);
+
+	if (!post) return <NotFoundPage />;
+
+	const author = authors.find(({ id }) => id === post.author);
+	const { newer, older } = adjacentPosts(posts, slug);
+	const caseStudy = testimonials.find((testimonial) => testimonial.caseStudy === slug);
+
+	return (
+		<>
+			<PageHeader eyebrow={t('pages.resources.title')} title={post.title} description={post.summary}>
+				<PostMeta post={post} author={author} className='mt-6 justify-center' />
+			</PageHeader>
+
+			<article className='py-12 sm:py-16 px-4 bg-page'>
+				<Reveal animation='slide-up' className='container mx-auto max-w-3xl'>
+					{caseStudy && <CaseStudyResults testimonial={caseStudy} />}
+					<PostBody body={post.body} />
+					<ul className='mt-10 flex flex-wrap gap-2'>
+						{post.tags.map((tag) => (
+							<li key={tag}>
+								<Link
+									to={`/resources?tag=${tag}`}
+									className='inline-block px-3 py-1 rounded-full border text-xs font-medium transition-colors duration-300 border-line-strong text-fg-muted hover:bg-muted'
+								>
+									{tagLabel(tag)}
+								</Link>
+							</li>
+						))}
+					</ul>
+					{author && <AuthorCard author={author} />}
+				</Reveal>
+			</article>
+
+			<nav aria-label={t('resources.postNavigation')} className='pb-12 sm:pb-16 px-4 bg-page'>
+				<div className='container mx-auto max-w-3xl grid grid-cols-1 sm:grid-cols-2 gap-4'>
+					{[
+						[older, 'resources.older', 'sm:col-start-1 text-start'],
+						[newer, 'resources.newer', 'sm:col-start-2 text-end'],
+					].map(
+						([adjacent, labelKey, className]) =>
+							adjacent && (
+								<Link
+									key={labelKey}
+									to={`/resources/${adjacent.slug}`}
+									className={`p-4 rounded-xl border transition-colors duration-300 border-line-strong hover:bg-muted ${className}`}
+								>
+									<span className='block text-xs font-medium uppercase tracking-wide text-fg-subtle'>{t(labelKey)}</span>
+									<span className='block mt-1 font-semibold text-fg'>{adjacent.title}</span>
+								</Link>
+							)
+					)}
+				</div>
+				<div className='mt-8 text-center'>
+					<Link to='/resources' className='text-sm font-semibold underline text-fg'>
+						{t('resources.viewAll')}
+					</Link>
+				</div>
+			</nav>
+
+			<CallToAction />
+			<JsonLd data={blogPostingSchema(post, author)} />
+		</>
+	);
+}
+
+export default PostPage;
@@ -0,0 +1,60 @@
+import React from 'react';
+import Reveal, { RevealGroup } from '../animation/Reveal';
+import { track } from '../analytics';
+import CallToAction from '../components/CallToAction';
+import PageHeader from '../components/PageHeader';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import ComparisonTable from '../pricing/ComparisonTable';
+import PricingPlans from '../pricing/PricingPlans';
+import { DEFAULT_ROI_INPUTS } from '../pricing/roi';
+import RoiCalculator from '../pricing/RoiCalculator';
+import usePricingParams from '../pricing/usePricingParams';
+import usePageMeta from '../seo/usePageMeta';
+
+// Catalog key prefixes of the highlight cards, each has a `Title` and a `Text` message
+const HIGHLIGHTS = ['pages.pricing.demo', 'pages.pricing.onboarding', 'pages.pricing.usage'];
+
+// Pricing Page - plans, comparison matrix and ROI calculator. The billing period and the
+// calculator inputs live in the URL so a calculation can be shared.
+function PricingPage() {
+	const { t } = useI18n();
+	const { pricing, seo } = useContent();
+	const { billing, inputs, update } = usePricingParams();
+	usePageMeta(seo.pages.pricing);
+
+	const changeBilling = (period) => {
+		update({ billing: period === 'monthly' ? null : period });
+		track('billing_changed', { billing: period });
+	};
+
+	return (
+		<>
+			<PageHeader eyebrow={t('pages.pricing.title')} title={t('pages.pricing.heading')} description={t('pages.pricing.description')} />
+			<section className='py-12 sm:py-16 px-4 bg-page'>
+				<PricingPlans pricing={pricing} billing={billing} onBillingChange={changeBilling} />
+			</section>
+			<Reveal as='section' onReveal={() => track('section_viewed', { section: 'pricing-comparison' })} className='py-12 sm:py-16 px-4 bg-page-alt'>
+				<ComparisonTable pricing={pricing} />
+			</Reveal>
+			<Reveal as='section' id='roi' onReveal={() => track('section_viewed', { section: 'roi-calculator' })} className='py-12 sm:py-16 px-4 bg-page'>
+				<RoiCalculator pricing={pricing} billing={billing} inputs={inputs || DEFAULT_ROI_INPUTS} onChange={update} />
+			</Reveal>
+			<section className='py-12 sm:py-16 px-4 bg-page-alt'>
+				<div className='container mx-auto grid grid-cols-1 md:grid-cols-3 gap-6 sm:gap-8'>
+					<RevealGroup>
+						{HIGHLIGHTS.map((prefix) => (
+							<Reveal key={prefix} animation='slide-up' className='p-6 sm:p-8 rounded-xl border text-center bg-surface border-line'>
+								<h2 className='text-lg sm:text-xl font-semibold mb-2 text-fg'>{t(`${prefix}Title`)}</h2>
+								<p className='text-sm sm:text-base text-fg-subtle'>{t(`${prefix}Text`)}</p>
+							</Reveal>
+						))}
+					</RevealGroup>
+				</div>
+			</section>
+			<CallToAction title={t('pages.pricing.ctaTitle')} description={t('pages.pricing.ctaDescription')} />
+		</>
+	);
+}
+
+export default PricingPage;
@@ -0,0 +1,58 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+import ContactPage from './ContactPage';
+import PricingPage from './PricingPage';
+
+let location;
+const LocationSpy = () => {
+	location = useLocation();
+	return null;
+};
+
+const renderAt = (path) =>
+	render(
+		<MemoryRouter initialEntries={[path]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<Routes>
+				<Route path='/pricing' element={<PricingPage />} />
+				<Route path='/contact' element={<ContactPage />} />
+			</Routes>
+			<LocationSpy />
+		</MemoryRouter>
+	);
+
+beforeEach(() => {
+	window.scrollTo = jest.fn();
+	localStorage.clear();
+});
+
+test('switches plan prices to annual billing and keeps it in the URL', () => {
+	renderAt('/pricing');
+	expect(screen.getByRole('article', { name: 'Growth' })).toHaveTextContent('$799');
+
+	userEvent.click(screen.getByRole('button', { name: /Annual/ }));
+	expect(screen.getByRole('article', { name: 'Growth' })).toHaveTextContent('$639');
+	expect(screen.getByRole('article', { name: 'Enterprise' })).toHaveTextContent('Custom');
+	expect(location.search).toBe('?billing=annual');
+});
+
+test('restores a shared calculation and attaches it to an enquiry', () => {
+	renderAt('/pricing?tickets=4000&agentCost=30&handleTime=6');
+	expect(screen.getByRole('spinbutton', { name: 'Support tickets per month' })).toHaveValue(4000);
+	// 4,000 tickets x 6 minutes x $30 / hour, of which 70% is saved
+	expect(screen.getByText('$12,000')).toBeInTheDocument();
+	expect(screen.getByText('$8,400')).toBeInTheDocument();
+
+	userEvent.clear(screen.getByRole('spinbutton', { name: 'Support tickets per month' }));
+	userEvent.type(screen.getByRole('spinbutton', { name: 'Support tickets per month' }), '20000');
+	expect(location.search).toBe('?tickets=20000&agentCost=30&handleTime=6');
+	expect(screen.getByText('This volume fits the Enterprise plan. Talk to us for a quote.')).toBeInTheDocument();
+
+	userEvent.click(screen.getByRole('link', { name: 'Attach to my enquiry' }));
+	expect(location.pathname).toBe('/contact');
+	expect(screen.getByText(/Your ROI estimate \(20,000 tickets a month, \$42,000 estimated monthly savings\)/)).toBeInTheDocument();
+
+	userEvent.click(screen.getByRole('button', { name: 'Remove' }));
+	expect(screen.queryByText(/Your ROI estimate/)).not.toBeInTheDocument();
+	expect(location.search).toBe('');
+});
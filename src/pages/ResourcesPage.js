@@ -0,0 +1,78 @@
+import React from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { RevealGroup } from '../animation/Reveal';
+import PostCard from '../blog/PostCard';
+import { collectTags, filterPosts, parseTag, tagLabel } from '../blog/posts';
+import CallToAction from '../components/CallToAction';
+import PageHeader from '../components/PageHeader';
+import useContent from '../content/useContent';
+import useHydrated from '../hooks/useHydrated';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+
+const NO_PARAMS = new URLSearchParams();
+
+const filterClass = (active) =>
+	`px-4 py-2 rounded-full border text-sm font-medium transition-colors duration-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-focus ${
+		active ? 'bg-accent text-on-accent border-transparent' : 'border-line-strong text-fg-muted hover:bg-muted'
+	}`;
+
+// Resources Page - case studies, announcements and guides, newest first, filterable by tag. The
+// tag is kept in the URL (/resources?tag=case-study), read once hydrated like other visitor state.
+function ResourcesPage() {
+	const { t } = useI18n();
+	const { posts, seo } = useContent();
+	const [searchParams, setSearchParams] = useSearchParams();
+	usePageMeta(seo.pages.resources);
+
+	const tags = collectTags(posts);
+	const tag = parseTag(useHydrated() ? searchParams : NO_PARAMS, tags);
+	const visible = filterPosts(posts, tag);
+
+	const selectTag = (id) => setSearchParams(id ? { tag: id } : {}, { replace: true });
+
+	return (
+		<>
+			<PageHeader eyebrow={t('pages.resources.title')} title={t('pages.resources.heading')} description={t('pages.resources.description')}>
+				<a href='/feed.xml' className='mt-6 inline-flex items-center gap-2 text-sm font-semibold underline text-fg'>
+					<svg className='w-4 h-4' fill='none' stroke='currentColor' viewBox='0 0 24 24' xmlns='http://www.w3.org/2000/svg' aria-hidden='true'>
+						<path
+							strokeLinecap='round'
+							strokeLinejoin='round'
+							strokeWidth='2'
+							d='M6 5c7.18 0 13 5.82 13 13M6 11a7 7 0 017 7m-6 0a1 1 0 11-2 0 1 1 0 012 0z'
+						/>
+					</svg>
+					{t('resources.feed')}
+				</a>
+			</PageHeader>
+			<section className='py-12 sm:py-16 px-4 bg-page'>
+				<div className='container mx-auto'>
+					<div role='group' aria-label={t('resources.filterLabel')} className='flex flex-wrap gap-2 mb-8'>
+						<button type='button' aria-pressed={!tag} onClick={() => selectTag(null)} className={filterClass(!tag)}>
+							{t('resources.all')}
+						</button>
+						{tags.map((id) => (
+							<button key={id} type='button' aria-pressed={tag === id} onClick={() => selectTag(id)} className={filterClass(tag === id)}>
+								{tagLabel(id)}
+							</button>
+						))}
+					</div>
+					<p className='sr-only' role='status'>
+						{tag ? t('resources.resultCount', { count: visible.length }) : ''}
+					</p>
+					<div className='grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6'>
+						<RevealGroup stagger={50}>
+							{visible.map((post) => (
+								<PostCard key={post.slug} post={post} />
+							))}
+						</RevealGroup>
+					</div>
+				</div>
+			</section>
+			<CallToAction />
+		</>
+	);
+}
+
+export default ResourcesPage;
@@ -0,0 +1,70 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import FeaturesSection from '../components/FeaturesSection';
+import { posts } from '../content';
+import PostPage from './PostPage';
+import ResourcesPage from './ResourcesPage';
+
+const renderAt = (path) =>
+	render(
+		<MemoryRouter initialEntries={[path]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<Routes>
+				<Route path='/' element={<FeaturesSection />} />
+				<Route path='/resources' element={<ResourcesPage />} />
+				<Route path='/resources/:slug' element={<PostPage />} />
+			</Routes>
+		</MemoryRouter>
+	);
+
+const postTitles = () => screen.getAllByRole('article').map((card) => within(card).getByRole('heading').textContent);
+
+beforeEach(() => {
+	window.scrollTo = jest.fn();
+});
+
+test('lists posts newest first and filters them by the tag in the URL', () => {
+	renderAt('/resources?tag=case-study');
+	expect(screen.getByRole('button', { name: 'Case study' })).toHaveAttribute('aria-pressed', 'true');
+	expect(postTitles()).toEqual(posts.filter((post) => post.tags.includes('case-study')).map((post) => post.title));
+	expect(screen.getByRole('status')).toHaveTextContent('2 posts shown');
+
+	userEvent.click(screen.getByRole('button', { name: 'All' }));
+	expect(postTitles()).toEqual(posts.map((post) => post.title));
+	expect(screen.getByRole('link', { name: 'Subscribe to the feed' })).toHaveAttribute('href', '/feed.xml');
+});
+
+test('shows a post with its author, highlighted code and links to its neighbours', () => {
+	renderAt('/resources');
+	userEvent.click(screen.getByRole('link', { name: 'Add the Nimble AI chat to your website in one line' }));
+
+	expect(screen.getByRole('heading', { level: 1, name: 'Add the Nimble AI chat to your website in one line' })).toBeInTheDocument();
+	expect(document.title).toBe('Add the Nimble AI chat to your website in one line | Nimble AI');
+	expect(screen.getByText('By Nimble AI Engineering')).toBeInTheDocument();
+	expect(screen.getByText('May 12, 2025')).toHaveAttribute('datetime', '2025-05-12');
+	expect(screen.getByRole('heading', { level: 2, name: 'Control it from your page' })).toHaveAttribute('id', 'control-it-from-your-page');
+	expect(screen.getByText('html code')).toBeInTheDocument();
+	expect(screen.getAllByText("'nimble-chat:send'")[0]).toHaveClass('text-syntax-string');
+	expect(within(screen.getByRole('complementary', { name: 'Written by' })).getByText('Platform engineering')).toBeInTheDocument();
+
+	// The newest post has no newer neighbour
+	const navigation = screen.getByRole('navigation', { name: 'More posts' });
+	expect(within(navigation).queryByText('Newer post')).not.toBeInTheDocument();
+	userEvent.click(within(navigation).getByRole('link', { name: `Older post ${posts[1].title}` }));
+	expect(screen.getByRole('heading', { level: 1, name: posts[1].title })).toBeInTheDocument();
+	expect(within(screen.getByRole('navigation', { name: 'More posts' })).getByRole('link', { name: /^Newer post/ })).toHaveAttribute(
+		'href',
+		'/resources/embed-the-chat-widget'
+	);
+});
+
+test('links offering cards to the latest post about them', () => {
+	renderAt('/');
+	const supportPost = posts.find((post) => (post.features || []).includes('customer-support'));
+	expect(screen.getByRole('link', { name: `Read: ${supportPost.title}` })).toHaveAttribute('href', `/resources/${supportPost.slug}`);
+});
+
+test('falls back to the not found page for an unknown post', () => {
+	renderAt('/resources/unknown');
+	expect(screen.getByRole('heading', { level: 1, name: 'Page not found' })).toBeInTheDocument();
+});
@@ -0,0 +1,25 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import PageHeader from '../components/PageHeader';
+import useContent from '../content/useContent';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+import WaitlistStatus from '../waitlist/WaitlistStatus';
+
+// Waitlist Status Page - a visitor's place on the beta waitlist (/beta/status/:token). The token
+// in the URL is their key, so the page is kept out of search results.
+function WaitlistStatusPage() {
+	const { token } = useParams();
+	const { t } = useI18n();
+	usePageMeta(useContent().seo.pages.betaStatus);
+
+	return (
+		<PageHeader eyebrow={t('pages.beta.title')} title={t('pages.betaStatus.heading')}>
+			<div className='mt-8 max-w-md mx-auto'>
+				<WaitlistStatus token={token} />
+			</div>
+		</PageHeader>
+	);
+}
+
+export default WaitlistStatusPage;
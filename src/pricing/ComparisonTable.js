@@ -0,0 +1,68 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { CheckIcon } from './PricingPlans';
+
+// Included / not included marks, or the plan specific text of a row
+const Cell = ({ value }) => {
+	const { t } = useI18n();
+	if (value === true) {
+		return (
+			<span className='inline-flex justify-center'>
+				<CheckIcon />
+				<span className='sr-only'>{t('pricing.included')}</span>
+			</span>
+		);
+	}
+	if (value === false) {
+		return (
+			<span className='text-fg-subtle'>
+				<span aria-hidden='true'>–</span>
+				<span className='sr-only'>{t('pricing.notIncluded')}</span>
+			</span>
+		);
+	}
+	return value;
+};
+
+// Comparison Table Component - feature matrix of every plan, scrolling sideways on small screens
+function ComparisonTable({ pricing }) {
+	const { t } = useI18n();
+
+	return (
+		<div className='container mx-auto max-w-5xl'>
+			<h2 className='text-2xl sm:text-3xl font-bold mb-8 text-center text-fg'>{t('pricing.compareHeading')}</h2>
+			<div className='overflow-x-auto rounded-xl border border-line-strong'>
+				<table className='w-full min-w-[36rem] text-sm text-start bg-raised'>
+					<thead>
+						<tr className='bg-muted'>
+							<th scope='col' className='p-4 text-start font-semibold text-fg'>
+								{t('pricing.featureColumn')}
+							</th>
+							{pricing.plans.map((plan) => (
+								<th key={plan.id} scope='col' className='p-4 text-center font-semibold text-fg'>
+									{plan.name}
+								</th>
+							))}
+						</tr>
+					</thead>
+					<tbody>
+						{pricing.comparison.map((row) => (
+							<tr key={row.id} className='border-t border-line'>
+								<th scope='row' className='p-4 text-start font-medium text-fg-muted'>
+									{row.label}
+								</th>
+								{pricing.plans.map((plan) => (
+									<td key={plan.id} className='p-4 text-center text-fg-muted'>
+										<Cell value={row.values[plan.id]} />
+									</td>
+								))}
+							</tr>
+						))}
+					</tbody>
+				</table>
+			</div>
+		</div>
+	);
+}
+
+export default ComparisonTable;
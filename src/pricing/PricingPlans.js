@@ -0,0 +1,123 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import Reveal, { RevealGroup } from '../animation/Reveal';
+import { useI18n } from '../i18n/I18nProvider';
+import { BILLING_PERIODS, formatCurrency, planPrice } from './pricing';
+
+// Billing Toggle Component - switches the plan prices between monthly and annual billing
+function BillingToggle({ billing, discount, onChange }) {
+	const { t } = useI18n();
+
+	return (
+		<div role='group' aria-label={t('pricing.billingLabel')} className='inline-flex p-1 rounded-full bg-muted'>
+			{BILLING_PERIODS.map((period) => (
+				<button
+					key={period}
+					type='button'
+					aria-pressed={billing === period}
+					onClick={() => onChange(period)}
+					className={`px-4 py-2 rounded-full text-sm font-medium transition-colors duration-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-focus ${
+						billing === period ? 'bg-raised text-fg shadow' : 'text-fg-muted hover:text-fg'
+					}`}
+				>
+					{t(`pricing.billing.${period}`)}
+					{period === 'annual' && (
+						<span className='ms-2 text-xs font-semibold text-accent'>{t('pricing.annualSaving', { percent: Math.round(discount * 100) })}</span>
+					)}
+				</button>
+			))}
+		</div>
+	);
+}
+
+// Pricing Plans Component - billing toggle and one card per plan of src/content/pricing.json
+function PricingPlans({ pricing, billing, onBillingChange }) {
+	return (
+		<div className='container mx-auto text-center'>
+			<BillingToggle billing={billing} discount={pricing.annualDiscount} onChange={onBillingChange} />
+			<div className='mt-8 grid grid-cols-1 md:grid-cols-3 gap-6 sm:gap-8 items-stretch text-start'>
+				<RevealGroup>
+					{pricing.plans.map((plan) => (
+						<PlanCard
+							key={plan.id}
+							plan={plan}
+							price={planPrice(plan, billing, pricing.annualDiscount)}
+							currency={pricing.currency}
+							billing={billing}
+						/>
+					))}
+				</RevealGroup>
+			</div>
+		</div>
+	);
+}
+
+// Plan Card Component - price, conversation allowance and highlights of a plan
+function PlanCard({ plan, price, currency, billing, delay }) {
+	const { locale, t } = useI18n();
+
+	return (
+		<Reveal
+			as='article'
+			animation='slide-up'
+			delay={delay}
+			aria-labelledby={`plan-${plan.id}`}
+			className={`relative flex flex-col p-6 sm:p-8 rounded-xl border shadow-md bg-raised ${plan.featured ? 'border-focus' : 'border-line-strong'}`}
+		>
+			{plan.featured && (
+				<span className='absolute -top-3 start-6 px-3 py-0.5 rounded-full text-xs font-semibold bg-accent text-on-accent'>
+					{t('pricing.featured')}
+				</span>
+			)}
+			<h2 id={`plan-${plan.id}`} className='text-xl font-semibold text-fg'>
+				{plan.name}
+			</h2>
+			<p className='mt-2 text-sm text-fg-subtle'>{plan.description}</p>
+			<p className='mt-6 text-fg'>
+				{price === null ? (
+					<span className='text-3xl font-bold'>{t('pricing.custom')}</span>
+				) : (
+					<>
+						<span className='text-3xl font-bold'>{formatCurrency(price, currency, locale)}</span>
+						<span className='text-sm text-fg-muted'> {t('pricing.perMonth')}</span>
+					</>
+				)}
+			</p>
+			<p className='mt-1 text-xs text-fg-subtle'>{price === null ? t('pricing.customNote') : t(`pricing.billedNote.${billing}`)}</p>
+			<p className='mt-4 text-sm font-medium text-fg-muted'>
+				{plan.conversations === undefined ? t('pricing.unlimited') : t('pricing.conversations', { count: plan.conversations })}
+			</p>
+			<ul className='mt-4 mb-8 space-y-2 text-sm text-fg-muted'>
+				{plan.highlights.map((highlight) => (
+					<li key={highlight} className='flex gap-2'>
+						<CheckIcon />
+						<span>{highlight}</span>
+					</li>
+				))}
+			</ul>
+			<Link
+				to='/contact'
+				className={`mt-auto px-6 py-3 rounded-full text-center font-semibold transition duration-300 ${
+					plan.featured ? 'bg-accent text-on-accent hover:bg-accent-hover' : 'border border-line-strong text-fg hover:bg-muted'
+				}`}
+			>
+				{price === null ? t('pricing.contactSales') : t('pricing.getStarted')}
+			</Link>
+		</Reveal>
+	);
+}
+
+export const CheckIcon = () => (
+	<svg
+		className='w-5 h-5 flex-shrink-0 text-accent'
+		fill='none'
+		stroke='currentColor'
+		viewBox='0 0 24 24'
+		xmlns='http://www.w3.org/2000/svg'
+		aria-hidden='true'
+	>
+		<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M5 13l4 4L19 7' />
+	</svg>
+);
+
+export default PricingPlans;
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { track } from '../analytics';
+import { useI18n } from '../i18n/I18nProvider';
+import { formatCurrency } from './pricing';
+import { calculateRoi, ROI_INPUTS, toRoiParams } from './roi';
+
+const COPIED_MESSAGE_MS = 2000;
+
+// Number Field Component - keeps the visitor's text while they type and only reports values
+// within the input's range, so clearing the field doesn't snap it back to a default
+function NumberField({ name, label, hint, value, onChange }) {
+	const [text, setText] = useState(String(value));
+	const { min, max, step } = ROI_INPUTS[name];
+
+	// Follow outside changes, e.g. back/forward navigation to another calculation
+	useEffect(() => {
+		setText((current) => (Number(current) === value ? current : String(value)));
+	}, [value]);
+
+	const handleChange = (e) => {
+		setText(e.target.value);
+		const number = Number(e.target.value);
+		if (e.target.value !== '' && number >= min && number <= max) onChange(name, number);
+	};
+
+	return (
+		<div>
+			<label htmlFor={`roi-${name}`} className='block text-sm font-medium text-fg'>
+				{label}
+			</label>
+			<input
+				id={`roi-${name}`}
+				type='number'
+				inputMode='numeric'
+				name={name}
+				min={min}
+				max={max}
+				step={step}
+				value={text}
+				onChange={handleChange}
+				onBlur={() => setText(String(value))}
+				aria-describedby={`roi-${name}-hint`}
+				className='mt-2 w-full px-4 py-2 rounded-lg border text-sm focus:outline-none bg-raised border-line-strong text-fg focus:border-focus'
+			/>
+			<p id={`roi-${name}-hint`} className='mt-1 text-xs text-fg-subtle'>
+				{hint}
+			</p>
+		</div>
+	);
+}
+
+// ROI Calculator Component - estimates savings from ticket volume, agent cost and handle time with
+// the rates advertised for the customer support offering. The calculation can be shared as a link
+// or attached to an enquiry on the contact page.
+function RoiCalculator({ pricing, billing, inputs, onChange }) {
+	const { locale, t } = useI18n();
+	const [copied, setCopied] = useState(false);
+	const result = calculateRoi(inputs, pricing, billing);
+	const params = toRoiParams(inputs, billing).toString();
+	const money = (amount) => formatCurrency(amount, pricing.currency, locale);
+
+	useEffect(() => {
+		if (!copied) return;
+		const timer = setTimeout(() => setCopied(false), COPIED_MESSAGE_MS);
+		return () => clearTimeout(timer);
+	}, [copied]);
+
+	const handleChange = (name, value) => onChange({ ...inputs, [name]: value });
+
+	const copyLink = async () => {
+		try {
+			await navigator.clipboard.writeText(`${window.location.origin}/pricing?${params}`);
+			setCopied(true);
+			track('roi_shared', { method: 'link' });
+		} catch (error) {
+			// Without clipboard access the address bar still holds the shareable link
+		}
+	};
+
+	const results = [
+		{ id: 'currentCost', label: t('roi.currentCost'), value: money(result.currentCost) },
+		{ id: 'automated', label: t('roi.automatedTickets'), value: t('roi.tickets', { count: result.automatedTickets }) },
+		{ id: 'hours', label: t('roi.hoursSaved'), value: t('roi.hours', { count: Math.round(result.hoursSaved) }) },
+		{ id: 'savings', label: t('roi.savings'), value: money(result.savings) },
+	];
+
+	return (
+		<div className='container mx-auto max-w-5xl'>
+			<div className='text-center mb-8'>
+				<h2 id='roi-heading' className='text-2xl sm:text-3xl font-bold text-fg'>
+					{t('roi.heading')}
+				</h2>
+				<p className='mt-3 text-sm sm:text-base text-fg-muted'>{t('roi.description')}</p>
+			</div>
+			<div className='grid grid-cols-1 md:grid-cols-2 gap-6 sm:gap-8'>
+				<form
+					aria-labelledby='roi-heading'
+					onSubmit={(e) => e.preventDefault()}
+					className='space-y-5 p-6 sm:p-8 rounded-xl border bg-raised border-line-strong'
+				>
+					<NumberField name='tickets' label={t('roi.ticketsLabel')} hint={t('roi.ticketsHint')} value={inputs.tickets} onChange={handleChange} />
+					<NumberField
+						name='agentCost'
+						label={t('roi.agentCostLabel', { currency: pricing.currency })}
+						hint={t('roi.agentCostHint')}
+						value={inputs.agentCost}
+						onChange={handleChange}
+					/>
+					<NumberField
+						name='handleTime'
+						label={t('roi.handleTimeLabel')}
+						hint={t('roi.handleTimeHint')}
+						value={inputs.handleTime}
+						onChange={handleChange}
+					/>
+				</form>
+				<div className='flex flex-col p-6 sm:p-8 rounded-xl bg-inverse text-on-inverse'>
+					<dl aria-live='polite' className='grid grid-cols-2 gap-6'>
+						{results.map(({ id, label, value }) => (
+							<div key={id}>
+								<dt className='text-xs sm:text-sm opacity-80'>{label}</dt>
+								<dd className='mt-1 text-xl sm:text-2xl font-bold'>{value}</dd>
+							</div>
+						))}
+					</dl>
+					{result.plan && (
+						<p className='mt-6 text-sm'>
+							{result.planCost === null
+								? t('roi.recommendationCustom', { plan: result.plan.name })
+								: t(result.netSavings > 0 ? 'roi.recommendation' : 'roi.recommendationLowVolume', {
+										plan: result.plan.name,
+										price: money(result.planCost),
+										net: money(result.netSavings),
+								  })}
+						</p>
+					)}
+					<p className='mt-4 text-xs opacity-80'>
+						{t('roi.disclaimer', {
+							automation: Math.round(pricing.roi.automationRate * 100),
+							reduction: Math.round(pricing.roi.costReduction * 100),
+						})}
+					</p>
+					<div className='mt-auto pt-6 flex flex-wrap gap-3'>
+						<Link
+							to={`/contact?${params}`}
+							onClick={() => track('roi_shared', { method: 'enquiry' })}
+							className='px-5 py-2 rounded-full text-sm font-semibold transition duration-300 bg-page text-fg hover:bg-muted'
+						>
+							{t('roi.attach')}
+						</Link>
+						<button
+							type='button'
+							onClick={copyLink}
+							className='px-5 py-2 rounded-full text-sm font-semibold border transition duration-300 border-on-inverse/40 hover:bg-inverse-hover'
+						>
+							{copied ? t('roi.copied') : t('roi.copyLink')}
+						</button>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default RoiCalculator;
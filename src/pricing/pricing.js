@@ -0,0 +1,14 @@
+// Billing periods of the plan toggle. Annual plans are billed yearly and shown as a monthly price.
+export const BILLING_PERIODS = ['monthly', 'annual'];
+
+export const DEFAULT_BILLING = 'monthly';
+
+// Monthly price of `plan` for a billing period, or null for plans quoted on request
+export const planPrice = (plan, billing, annualDiscount) => {
+	if (plan.monthlyPrice === undefined) return null;
+	return billing === 'annual' ? Math.round(plan.monthlyPrice * (1 - annualDiscount)) : plan.monthlyPrice;
+};
+
+// Locale aware currency amount without cents, e.g. "$1,250"
+export const formatCurrency = (amount, currency, locale) =>
+	new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
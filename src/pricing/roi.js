@@ -0,0 +1,77 @@
+import { BILLING_PERIODS, DEFAULT_BILLING, planPrice } from './pricing';
+
+// Inputs of the ROI calculator, also its URL parameters: monthly ticket volume, fully loaded
+// hourly cost of a support agent (in the pricing currency) and average handle time in minutes
+export const ROI_INPUTS = {
+	tickets: { min: 100, max: 1000000, step: 100, defaultValue: 2000 },
+	agentCost: { min: 1, max: 500, step: 1, defaultValue: 25 },
+	handleTime: { min: 1, max: 120, step: 1, defaultValue: 8 },
+};
+
+export const DEFAULT_ROI_INPUTS = Object.fromEntries(Object.entries(ROI_INPUTS).map(([name, { defaultValue }]) => [name, defaultValue]));
+
+const clamp = (value, { min, max }) => Math.min(Math.max(value, min), max);
+
+// Smallest plan that covers the ticket volume, in the order of pricing.json. Volumes above every
+// plan limit fall through to the first plan without one.
+export const recommendPlan = (plans, tickets) =>
+	plans.find((plan) => plan.conversations !== undefined && plan.conversations >= tickets) ||
+	plans.find((plan) => plan.conversations === undefined) ||
+	null;
+
+// Estimates the monthly impact of Nimble AI with the advertised rates in `pricing.roi`: the share of
+// tickets resolved without an agent, and the reduction of the current support cost
+export const calculateRoi = (inputs, pricing, billing = DEFAULT_BILLING) => {
+	const { tickets, agentCost, handleTime } = inputs;
+	const currentCost = ((tickets * handleTime) / 60) * agentCost;
+	const automatedTickets = Math.round(tickets * pricing.roi.automationRate);
+	const savings = currentCost * pricing.roi.costReduction;
+	const plan = recommendPlan(pricing.plans, tickets);
+	const planCost = plan ? planPrice(plan, billing, pricing.annualDiscount) : null;
+
+	return {
+		currentCost,
+		automatedTickets,
+		hoursSaved: (automatedTickets * handleTime) / 60,
+		savings,
+		plan,
+		planCost,
+		netSavings: planCost === null ? null : savings - planCost,
+	};
+};
+
+// Calculator inputs from URL parameters, or null when the URL carries none of them. Missing or
+// invalid values fall back to the defaults and out of range values are clamped.
+export const parseRoiParams = (params) => {
+	const names = Object.keys(ROI_INPUTS);
+	if (!names.some((name) => params.has(name))) return null;
+	return Object.fromEntries(
+		names.map((name) => {
+			const value = Number(params.get(name));
+			return [name, params.get(name) && Number.isFinite(value) ? clamp(value, ROI_INPUTS[name]) : ROI_INPUTS[name].defaultValue];
+		})
+	);
+};
+
+export const parseBilling = (params) => (BILLING_PERIODS.includes(params.get('billing')) ? params.get('billing') : DEFAULT_BILLING);
+
+// URL parameters that reproduce a calculation, e.g. to share it or attach it to an enquiry
+export const toRoiParams = (inputs, billing = DEFAULT_BILLING) => {
+	const params = new URLSearchParams(Object.entries(inputs).map(([name, value]) => [name, String(value)]));
+	if (billing !== DEFAULT_BILLING) params.set('billing', billing);
+	return params;
+};
+
+// Summary of a calculation attached to a lead submission, see contact/leadForm
+export const toRoiEstimate = (inputs, pricing, billing = DEFAULT_BILLING) => {
+	const result = calculateRoi(inputs, pricing, billing);
+	return {
+		...inputs,
+		billing,
+		currency: pricing.currency,
+		currentCost: Math.round(result.currentCost),
+		automatedTickets: result.automatedTickets,
+		savings: Math.round(result.savings),
+		recommendedPlan: result.plan ? result.plan.id : undefined,
+	};
+};
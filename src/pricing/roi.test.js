@@ -0,0 +1,61 @@
+import { features, pricing } from '../content';
+import { planPrice } from './pricing';
+import { calculateRoi, DEFAULT_ROI_INPUTS, parseBilling, parseRoiParams, recommendPlan, toRoiEstimate, toRoiParams } from './roi';
+
+test('applies the advertised automation and cost reduction rates', () => {
+	const result = calculateRoi({ tickets: 2000, agentCost: 30, handleTime: 6 }, pricing);
+	// 2,000 tickets x 6 minutes = 200 agent hours at $30
+	expect(result.currentCost).toBe(6000);
+	expect(result.automatedTickets).toBe(1600);
+	expect(result.hoursSaved).toBe(160);
+	expect(result.savings).toBe(4200);
+	expect(result.plan.id).toBe('growth');
+	expect(result.planCost).toBe(799);
+	expect(result.netSavings).toBe(3401);
+	expect(calculateRoi({ tickets: 2000, agentCost: 30, handleTime: 6 }, pricing, 'annual').planCost).toBe(639);
+});
+
+test('the calculator rates are the ones the customer support offering advertises', () => {
+	const copy = features.find((feature) => feature.slug === 'customer-support').highlights.map((highlight) => highlight.text);
+	expect(copy.some((text) => text.includes(`up to ${pricing.roi.automationRate * 100}% of queries instantly`))).toBe(true);
+	expect(copy.some((text) => text.includes(`Reduce support costs by ${pricing.roi.costReduction * 100}%`))).toBe(true);
+});
+
+test('recommends the smallest plan covering the volume and quotes on request above every limit', () => {
+	expect(recommendPlan(pricing.plans, 500).id).toBe('starter');
+	expect(recommendPlan(pricing.plans, 1000).id).toBe('starter');
+	expect(recommendPlan(pricing.plans, 1001).id).toBe('growth');
+	const enterprise = recommendPlan(pricing.plans, 50000);
+	expect(enterprise.id).toBe('enterprise');
+	expect(planPrice(enterprise, 'monthly', pricing.annualDiscount)).toBeNull();
+	expect(calculateRoi({ ...DEFAULT_ROI_INPUTS, tickets: 50000 }, pricing).netSavings).toBeNull();
+});
+
+test('round-trips a calculation through URL parameters', () => {
+	const inputs = { tickets: 12000, agentCost: 42, handleTime: 11 };
+	const params = toRoiParams(inputs, 'annual');
+	expect(params.toString()).toBe('tickets=12000&agentCost=42&handleTime=11&billing=annual');
+	expect(parseRoiParams(params)).toEqual(inputs);
+	expect(parseBilling(params)).toBe('annual');
+	expect(toRoiParams(inputs).has('billing')).toBe(false);
+});
+
+test('ignores missing or invalid parameters', () => {
+	expect(parseRoiParams(new URLSearchParams('utm_source=newsletter'))).toBeNull();
+	expect(parseRoiParams(new URLSearchParams('tickets=abc&agentCost=9999&handleTime=0'))).toEqual({ tickets: 2000, agentCost: 500, handleTime: 1 });
+	expect(parseBilling(new URLSearchParams('billing=weekly'))).toBe('monthly');
+});
+
+test('summarises a calculation for the lead payload', () => {
+	expect(toRoiEstimate({ tickets: 2000, agentCost: 25, handleTime: 8 }, pricing)).toEqual({
+		tickets: 2000,
+		agentCost: 25,
+		handleTime: 8,
+		billing: 'monthly',
+		currency: 'USD',
+		currentCost: 6667,
+		automatedTickets: 1600,
+		savings: 4667,
+		recommendedPlan: 'growth',
+	});
+});
@@ -0,0 +1,31 @@
+import { useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import useHydrated from '../hooks/useHydrated';
+import { parseBilling, parseRoiParams } from './roi';
+
+const NO_PARAMS = new URLSearchParams();
+
+// Custom Hook reading the billing period and calculator inputs from the URL, so a calculation can be
+// shared as a link. Pre-rendered pages have no query, so the URL is only read once hydrated.
+// `inputs` is null when the URL carries no calculation. Updates replace the history entry.
+const usePricingParams = () => {
+	const [searchParams, setSearchParams] = useSearchParams();
+	const params = useHydrated() ? searchParams : NO_PARAMS;
+
+	const update = useCallback(
+		(changes) =>
+			setSearchParams(
+				(current) => {
+					const next = new URLSearchParams(current);
+					Object.entries(changes).forEach(([name, value]) => (value === null ? next.delete(name) : next.set(name, String(value))));
+					return next;
+				},
+				{ replace: true }
+			),
+		[setSearchParams]
+	);
+
+	return { billing: parseBilling(params), inputs: parseRoiParams(params), update };
+};
+
+export default usePricingParams;
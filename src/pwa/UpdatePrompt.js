@@ -0,0 +1,39 @@
+import React, { useSyncExternalStore } from 'react';
+import { updateStore } from '.';
+import { useI18n } from '../i18n/I18nProvider';
+import { applyUpdate } from './registration';
+
+// Update Prompt Component - tells visitors a new version was deployed and reloads into it on request
+function UpdatePrompt({ store = updateStore, onReload = applyUpdate }) {
+	const { t } = useI18n();
+	const registration = useSyncExternalStore(store.subscribe, store.get, () => null);
+	if (!registration) return null;
+
+	return (
+		<div
+			role='status'
+			className='fixed bottom-4 start-4 z-50 flex items-center gap-3 px-4 py-3 rounded-xl border shadow-lg animate-slideInUp bg-surface border-line text-fg'
+		>
+			<span className='text-sm'>{t('pwa.updateAvailable')}</span>
+			<button
+				type='button'
+				onClick={() => onReload(registration)}
+				className='px-3 py-1.5 rounded-full text-sm font-semibold transition duration-300 bg-accent text-on-accent hover:bg-accent-hover'
+			>
+				{t('pwa.reload')}
+			</button>
+			<button
+				type='button'
+				onClick={() => store.set(null)}
+				aria-label={t('pwa.dismiss')}
+				className='p-1 rounded-full transition-colors duration-300 text-fg-subtle hover:bg-muted'
+			>
+				<svg className='w-4 h-4' fill='none' stroke='currentColor' viewBox='0 0 24 24' xmlns='http://www.w3.org/2000/svg' aria-hidden='true'>
+					<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M6 18L18 6M6 6l12 12' />
+				</svg>
+			</button>
+		</div>
+	);
+}
+
+export default UpdatePrompt;
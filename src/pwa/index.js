@@ -0,0 +1,11 @@
+import { createUpdateStore, registerServiceWorker } from './registration';
+
+// Registration waiting to update the site, shown by UpdatePrompt
+export const updateStore = createUpdateStore();
+
+// Registers src/service-worker.js in production builds, where it is compiled to service-worker.js.
+// The development server has no service worker so changes always show up on reload.
+export const startServiceWorker = () => {
+	if (process.env.NODE_ENV !== 'production') return;
+	window.addEventListener('load', () => registerServiceWorker({ url: `${process.env.PUBLIC_URL}/service-worker.js`, onUpdate: updateStore.set }));
+};
@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+import tokens from '../theme/tokens.json';
+
+const PUBLIC = path.join(__dirname, '..', '..', 'public');
+const read = (file) => fs.readFileSync(path.join(PUBLIC, file), 'utf8');
+const manifest = JSON.parse(read('manifest.json'));
+
+// PNG width and height from the IHDR chunk
+const pngSize = (file) => {
+	const data = fs.readFileSync(path.join(PUBLIC, file));
+	return `${data.readUInt32BE(16)}x${data.readUInt32BE(20)}`;
+};
+
+test('every manifest icon exists in the declared size, including a maskable one', () => {
+	const pngs = manifest.icons.filter((icon) => icon.type === 'image/png');
+	pngs.forEach((icon) => expect(pngSize(icon.src)).toBe(icon.sizes));
+	expect(pngs.map((icon) => icon.sizes)).toEqual(expect.arrayContaining(['192x192', '512x512']));
+	expect(pngs.some((icon) => icon.purpose === 'maskable')).toBe(true);
+});
+
+test('browser and install colors match the theme tokens', () => {
+	expect(manifest.theme_color).toBe(tokens.light.colors.page);
+	expect(manifest.background_color).toBe(tokens.light.colors.page);
+
+	const html = read('index.html');
+	expect(html).toContain(`<meta name="theme-color" media="(prefers-color-scheme: light)" content="${tokens.light.colors.page}" />`);
+	expect(html).toContain(`<meta name="theme-color" media="(prefers-color-scheme: dark)" content="${tokens.dark.colors.page}" />`);
+});
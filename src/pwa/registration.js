@@ -0,0 +1,49 @@
+// Registers the service worker at `url` and calls `onUpdate(registration)` when a new version
+// has been installed and waits to take over, either right away (installed on an earlier visit)
+// or once it finishes installing in the background.
+export const registerServiceWorker = ({ url, onUpdate, container = typeof navigator !== 'undefined' ? navigator.serviceWorker : undefined }) => {
+	if (!container) return Promise.resolve(null);
+
+	return container
+		.register(url)
+		.then((registration) => {
+			// Only an update when a service worker already controls the page, not on the first install
+			const notifyWhenWaiting = () => registration.waiting && container.controller && onUpdate(registration);
+			notifyWhenWaiting();
+			registration.addEventListener('updatefound', () => {
+				const worker = registration.installing;
+				worker?.addEventListener('statechange', () => worker.state === 'installed' && notifyWhenWaiting());
+			});
+			return registration;
+		})
+		.catch((error) => {
+			// The site works without it, just not offline
+			console.error('Service worker registration failed:', error);
+			return null;
+		});
+};
+
+// Activates the waiting service worker and reloads into the new version once it has taken over
+export const applyUpdate = (registration, { container = navigator.serviceWorker, reload = () => window.location.reload() } = {}) => {
+	if (!registration?.waiting) return;
+	container.addEventListener('controllerchange', reload, { once: true });
+	registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// Holds the registration with a waiting update, if any, with change notifications
+export const createUpdateStore = () => {
+	const listeners = new Set();
+	let registration = null;
+
+	const set = (next) => {
+		registration = next;
+		listeners.forEach((listener) => listener(registration));
+	};
+
+	const subscribe = (listener) => {
+		listeners.add(listener);
+		return () => listeners.delete(listener);
+	};
+
+	return { get: () => registration, set, subscribe };
+};
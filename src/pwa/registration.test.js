@@ -0,0 +1,77 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { applyUpdate, createUpdateStore, registerServiceWorker } from './registration';
+import UpdatePrompt from './UpdatePrompt';
+
+// Minimal ServiceWorkerContainer/Registration stand-ins driven by the tests
+const createTarget = (props) => {
+	const listeners = {};
+	return {
+		...props,
+		addEventListener: jest.fn((type, listener) => (listeners[type] = listener)),
+		emit: (type) => listeners[type](),
+	};
+};
+
+const setup = ({ controller = {}, waiting = null } = {}) => {
+	const registration = createTarget({ waiting, installing: null });
+	const container = { controller, register: jest.fn(() => Promise.resolve(registration)) };
+	return { registration, container };
+};
+
+test('reports a worker that was already waiting when the page loaded', async () => {
+	const { registration, container } = setup({ waiting: {} });
+	const onUpdate = jest.fn();
+
+	await registerServiceWorker({ url: '/service-worker.js', onUpdate, container });
+	expect(container.register).toHaveBeenCalledWith('/service-worker.js');
+	expect(onUpdate).toHaveBeenCalledWith(registration);
+});
+
+test('reports an update once the new worker is installed, but not the first install', async () => {
+	for (const controller of [{}, null]) {
+		const { registration, container } = setup({ controller });
+		const onUpdate = jest.fn();
+		await registerServiceWorker({ url: '/sw.js', onUpdate, container });
+
+		const worker = createTarget({ state: 'installing' });
+		registration.installing = worker;
+		registration.emit('updatefound');
+		worker.state = 'installed';
+		registration.waiting = worker;
+		worker.emit('statechange');
+
+		expect(onUpdate).toHaveBeenCalledTimes(controller ? 1 : 0);
+	}
+});
+
+test('does nothing without service worker support', async () => {
+	await expect(registerServiceWorker({ url: '/sw.js', onUpdate: jest.fn(), container: undefined })).resolves.toBeNull();
+});
+
+test('activates the waiting worker and reloads once it took over', () => {
+	const waiting = { postMessage: jest.fn() };
+	const container = createTarget();
+	const reload = jest.fn();
+
+	applyUpdate({ waiting }, { container, reload });
+	expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+	expect(reload).not.toHaveBeenCalled();
+	container.emit('controllerchange');
+	expect(reload).toHaveBeenCalled();
+});
+
+test('the update prompt reloads into the new version or can be dismissed', () => {
+	const store = createUpdateStore();
+	const onReload = jest.fn();
+	render(<UpdatePrompt store={store} onReload={onReload} />);
+	expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+	const registration = { waiting: {} };
+	act(() => store.set(registration));
+	userEvent.click(screen.getByRole('button', { name: 'Reload' }));
+	expect(onReload).toHaveBeenCalledWith(registration);
+
+	userEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+	expect(screen.queryByRole('status')).not.toBeInTheDocument();
+});
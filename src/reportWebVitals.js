@@ -1,10 +1,12 @@
-const reportWebVitals = onPerfEntry => {
+// With `reportAllChanges` the handler also receives intermediate values instead of only the
+// final one per metric (TTFB is only ever reported once)
+const reportWebVitals = (onPerfEntry, reportAllChanges = false) => {
   if (onPerfEntry && onPerfEntry instanceof Function) {
     import('web-vitals').then(({ getCLS, getFID, getFCP, getLCP, getTTFB }) => {
-      getCLS(onPerfEntry);
-      getFID(onPerfEntry);
-      getFCP(onPerfEntry);
-      getLCP(onPerfEntry);
+      getCLS(onPerfEntry, reportAllChanges);
+      getFID(onPerfEntry, reportAllChanges);
+      getFCP(onPerfEntry, reportAllChanges);
+      getLCP(onPerfEntry, reportAllChanges);
       getTTFB(onPerfEntry);
     });
   }
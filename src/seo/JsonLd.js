@@ -0,0 +1,9 @@
+import React from 'react';
+
+// `<` is escaped so content can never close the script element early
+const serialize = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+// JSON-LD Component - schema.org structured data for search engines, see ./structuredData
+const JsonLd = ({ data }) => <script type='application/ld+json' dangerouslySetInnerHTML={{ __html: serialize(data) }} />;
+
+export default JsonLd;
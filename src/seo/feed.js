@@ -0,0 +1,39 @@
+import { absoluteUrl, SITE_URL } from './meta';
+import { escapeXml } from './sitemap';
+
+// Post dates are calendar days; the feed stamps them at midnight UTC
+const toTimestamp = (date) => `${date}T00:00:00Z`;
+
+// Atom feed (feed.xml) of `posts`, which are newest first like posts.json. Feed readers show the
+// summary of each post and link to it on the site.
+export const buildFeed = (posts, authors, { siteUrl = SITE_URL, siteName = 'Nimble AI', title = `${siteName} resources` } = {}) => {
+	const names = Object.fromEntries(authors.map((author) => [author.id, author.name]));
+	const updated = toTimestamp(posts.length ? posts[0].date : '1970-01-01');
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<feed xmlns="http://www.w3.org/2005/Atom">',
+		`  <title>${escapeXml(title)}</title>`,
+		`  <id>${escapeXml(absoluteUrl('/resources', siteUrl))}</id>`,
+		`  <link rel="alternate" type="text/html" href="${escapeXml(absoluteUrl('/resources', siteUrl))}"/>`,
+		`  <link rel="self" type="application/atom+xml" href="${escapeXml(absoluteUrl('/feed.xml', siteUrl))}"/>`,
+		`  <updated>${updated}</updated>`,
+		`  <author><name>${escapeXml(siteName)}</name></author>`,
+		...posts.flatMap((post) => {
+			const url = escapeXml(absoluteUrl(`/resources/${post.slug}`, siteUrl));
+			return [
+				'  <entry>',
+				`    <title>${escapeXml(post.title)}</title>`,
+				`    <id>${url}</id>`,
+				`    <link rel="alternate" type="text/html" href="${url}"/>`,
+				`    <published>${toTimestamp(post.date)}</published>`,
+				`    <updated>${toTimestamp(post.date)}</updated>`,
+				`    <author><name>${escapeXml(names[post.author] || siteName)}</name></author>`,
+				...post.tags.map((tag) => `    <category term="${escapeXml(tag)}"/>`),
+				`    <summary>${escapeXml(post.summary)}</summary>`,
+				'  </entry>',
+			];
+		}),
+		'</feed>',
+		'',
+	].join('\n');
+};
@@ -0,0 +1,53 @@
+// Public origin of the site, used for canonical URLs, social previews and the sitemap
+export const SITE_URL = (process.env.REACT_APP_SITE_URL || 'https://nimbleai.in').replace(/\/+$/, '');
+
+export const absoluteUrl = (path, siteUrl = SITE_URL) => `${siteUrl}${path === '/' ? '/' : path.replace(/\/+$/, '')}`;
+
+// Full head metadata of a page from its content entry (`{ title, description, noindex }`, see
+// src/content/seo.json). The home page passes no title and is listed under the site name alone.
+export const buildPageMeta = ({ title, description, noindex = false }, { pathname, seo, siteUrl = SITE_URL }) => ({
+	title: title ? `${title} | ${seo.siteName}` : seo.siteName,
+	description,
+	siteName: seo.siteName,
+	canonical: absoluteUrl(pathname, siteUrl),
+	image: absoluteUrl(seo.image, siteUrl),
+	noindex,
+});
+
+// Tags managed per page, as [selector attribute, key, value from the meta]
+const META_TAGS = [
+	['name', 'description', (meta) => meta.description],
+	['name', 'robots', (meta) => (meta.noindex ? 'noindex' : null)],
+	['property', 'og:type', () => 'website'],
+	['property', 'og:site_name', (meta) => meta.siteName],
+	['property', 'og:title', (meta) => meta.title],
+	['property', 'og:description', (meta) => meta.description],
+	['property', 'og:url', (meta) => meta.canonical],
+	['property', 'og:image', (meta) => meta.image],
+	['name', 'twitter:card', () => 'summary'],
+	['name', 'twitter:title', (meta) => meta.title],
+	['name', 'twitter:description', (meta) => meta.description],
+	['name', 'twitter:image', (meta) => meta.image],
+];
+
+const upsert = (doc, tag, attribute, key) => {
+	let element = doc.head.querySelector(`${tag}[${attribute}="${key}"]`);
+	if (!element) {
+		element = doc.createElement(tag);
+		element.setAttribute(attribute, key);
+		doc.head.appendChild(element);
+	}
+	return element;
+};
+
+// Writes the title, meta tags and canonical link of `meta` into `doc`. Used in the browser on
+// every navigation and by scripts/prerender.js on the static HTML of each page.
+export const applyPageMeta = (meta, doc = document) => {
+	doc.title = meta.title;
+	META_TAGS.forEach(([attribute, key, getValue]) => {
+		const value = getValue(meta);
+		if (value) upsert(doc, 'meta', attribute, key).setAttribute('content', value);
+		else doc.head.querySelector(`meta[${attribute}="${key}"]`)?.remove();
+	});
+	upsert(doc, 'link', 'rel', 'canonical').setAttribute('href', meta.canonical);
+};
@@ -0,0 +1,67 @@
+import { seo } from '../content';
+import { buildFeed } from './feed';
+import { applyPageMeta, buildPageMeta } from './meta';
+import { buildRobots, buildSitemap } from './sitemap';
+
+const SITE = 'https://example.com';
+
+test('builds titles, canonical URLs and preview images from the content', () => {
+	expect(buildPageMeta(seo.pages.pricing, { pathname: '/pricing/', seo, siteUrl: SITE })).toEqual({
+		title: 'Pricing | Nimble AI',
+		description: seo.pages.pricing.description,
+		siteName: 'Nimble AI',
+		canonical: 'https://example.com/pricing',
+		image: 'https://example.com/icon-512.png',
+		noindex: false,
+	});
+	expect(buildPageMeta({ description: 'Home' }, { pathname: '/', seo, siteUrl: SITE })).toMatchObject({
+		title: 'Nimble AI',
+		canonical: 'https://example.com/',
+	});
+});
+
+test('updates existing head tags in place and removes robots once a page is indexable again', () => {
+	const doc = document.implementation.createHTMLDocument('');
+	applyPageMeta(buildPageMeta(seo.pages.notFound, { pathname: '/missing', seo, siteUrl: SITE }), doc);
+	applyPageMeta(buildPageMeta(seo.pages.faq, { pathname: '/faq', seo, siteUrl: SITE }), doc);
+	const content = (selector) => doc.head.querySelector(selector)?.getAttribute('content');
+
+	expect(doc.title).toBe('FAQ | Nimble AI');
+	expect(content('meta[property="og:url"]')).toBe('https://example.com/faq');
+	expect(content('meta[name="twitter:description"]')).toBe(seo.pages.faq.description);
+	expect(content('meta[name="robots"]')).toBeUndefined();
+	expect(doc.head.querySelectorAll('link[rel="canonical"]')).toHaveLength(1);
+});
+
+test('writes the sitemap and robots.txt for the site URL', () => {
+	expect(buildSitemap(['/', '/faq'], { siteUrl: SITE, lastmod: '2025-01-31' })).toContain(
+		'<url><loc>https://example.com/faq</loc><lastmod>2025-01-31</lastmod></url>'
+	);
+	expect(buildRobots({ siteUrl: SITE })).toMatch(/^User-agent: \*\nAllow: \/\n\nSitemap: https:\/\/example.com\/sitemap.xml$/m);
+});
+
+test('writes an Atom feed of the posts, newest first', () => {
+	const posts = [
+		{ slug: 'b', title: 'Tips & tricks', date: '2025-05-02', author: 'ana', tags: ['guide'], summary: 'Use <script>.' },
+		{ slug: 'a', title: 'Hello', date: '2025-01-10', author: 'unknown', tags: [], summary: 'First post.' },
+	];
+	const feed = buildFeed(posts, [{ id: 'ana', name: 'Ana' }], { siteUrl: SITE, siteName: 'Nimble AI' });
+
+	expect(feed).toContain('<link rel="self" type="application/atom+xml" href="https://example.com/feed.xml"/>');
+	expect(feed).toContain('<updated>2025-05-02T00:00:00Z</updated>');
+	expect(feed.match(/<entry>[\s\S]*?<\/entry>/g)).toEqual([
+		[
+			'<entry>',
+			'    <title>Tips &amp; tricks</title>',
+			'    <id>https://example.com/resources/b</id>',
+			'    <link rel="alternate" type="text/html" href="https://example.com/resources/b"/>',
+			'    <published>2025-05-02T00:00:00Z</published>',
+			'    <updated>2025-05-02T00:00:00Z</updated>',
+			'    <author><name>Ana</name></author>',
+			'    <category term="guide"/>',
+			'    <summary>Use &lt;script&gt;.</summary>',
+			'  </entry>',
+		].join('\n'),
+		expect.stringContaining('<author><name>Nimble AI</name></author>'),
+	]);
+});
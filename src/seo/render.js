@@ -0,0 +1,48 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom/server';
+import App from '../App';
+import { features, integrations, posts } from '../content';
+import I18nProvider from '../i18n/I18nProvider';
+import { DEFAULT_LOCALE } from '../i18n/locales';
+import ThemeProvider from '../theme/ThemeProvider';
+import { PageMetaContext } from './usePageMeta';
+
+// Entry point of scripts/prerender.js, which runs it in Node after `react-scripts build`.
+
+// Every page with a route in App.js, one per published offering, integration and post
+export const getStaticPaths = () => [
+	'/',
+	'/about',
+	'/faq',
+	'/pricing',
+	'/integrations',
+	'/resources',
+	'/contact',
+	'/demo',
+	'/beta',
+	...features.map((feature) => `/solutions/${feature.slug}`),
+	...integrations.items.map((integration) => `/integrations/${integration.slug}`),
+	...posts.map((post) => `/resources/${post.slug}`),
+];
+
+// Any path without a route renders the not found page, written to 404.html for the host to serve
+export const NOT_FOUND_PATH = '/404';
+
+// Renders the page at `pathname` as a first-time visitor sees it before hydration: English,
+// system theme, nothing stored. Returns the markup for #root and the page's head metadata.
+export const renderPage = (pathname) => {
+	const collector = { meta: null };
+	const html = renderToString(
+		<PageMetaContext.Provider value={collector}>
+			<StaticRouter location={pathname} future={{ v7_relativeSplatPath: true }}>
+				<I18nProvider initialLocale={DEFAULT_LOCALE}>
+					<ThemeProvider>
+						<App />
+					</ThemeProvider>
+				</I18nProvider>
+			</StaticRouter>
+		</PageMetaContext.Provider>
+	);
+	return { html, meta: collector.meta };
+};
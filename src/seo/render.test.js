@@ -0,0 +1,93 @@
+import { act, screen } from '@testing-library/react';
+import React from 'react';
+import { hydrateRoot } from 'react-dom/client';
+import { MemoryRouter } from 'react-router-dom';
+import App from '../App';
+import { HISTORY_KEY } from '../chat/useChat';
+import { DRAFT_KEY } from '../contact/useLeadForm';
+import en from '../i18n/catalogs/en.json';
+import I18nProvider, { createTranslator } from '../i18n/I18nProvider';
+import { LOCALE_KEY } from '../i18n/locales';
+import ThemeProvider from '../theme/ThemeProvider';
+import { THEME_KEY } from '../theme/themes';
+import { getStaticPaths, NOT_FOUND_PATH, renderPage } from './render';
+
+beforeAll(() => {
+	jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+});
+
+afterAll(() => {
+	window.scrollTo.mockRestore();
+});
+
+afterEach(() => {
+	localStorage.clear();
+	sessionStorage.clear();
+	document.body.innerHTML = '';
+});
+
+// Hydrates the pre-rendered `pathname` like src/index.js does and returns the hydration errors.
+// `visit` runs between pre-rendering and hydrating, e.g. to store a returning visitor's data.
+const hydrate = (pathname, visit = () => {}) => {
+	const { html } = renderPage(pathname);
+	visit();
+	const container = document.createElement('div');
+	// Resource hints React puts ahead of the markup go to <head> in the real pages
+	container.innerHTML = html.replace(/^(<link[^>]*>)+/, '');
+	document.body.appendChild(container);
+
+	const onRecoverableError = jest.fn();
+	act(() => {
+		hydrateRoot(
+			container,
+			<MemoryRouter initialEntries={[pathname]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+				<I18nProvider>
+					<ThemeProvider>
+						<App />
+					</ThemeProvider>
+				</I18nProvider>
+			</MemoryRouter>,
+			{ onRecoverableError }
+		);
+	});
+	return onRecoverableError;
+};
+
+test('pre-renders every route with its own head metadata', () => {
+	const paths = getStaticPaths();
+	expect(paths).toEqual(expect.arrayContaining(['/', '/pricing', '/solutions/customer-support']));
+
+	const { html, meta } = renderPage('/pricing');
+	expect(html).toContain('Pricing that grows with your business');
+	expect(meta).toMatchObject({ title: 'Pricing | Nimble AI', canonical: expect.stringMatching(/\/pricing$/), noindex: false });
+	expect(renderPage('/solutions/customer-support').meta.title).toBe('AI Customer Support Service | Nimble AI');
+	expect(renderPage(NOT_FOUND_PATH).meta.noindex).toBe(true);
+});
+
+test('leaves visitor-specific UI out of the pre-rendered markup', () => {
+	const { html } = renderPage('/');
+	expect(html).not.toContain(en['consent.message']);
+	expect(html).toContain('data-mode="system"');
+});
+
+test('hydrates without mismatches, also for returning visitors with stored preferences', () => {
+	expect(hydrate('/faq')).not.toHaveBeenCalled();
+
+	localStorage.setItem(LOCALE_KEY, 'hi');
+	localStorage.setItem(THEME_KEY, 'dark');
+	expect(hydrate('/pricing')).not.toHaveBeenCalled();
+	// The stored language and theme apply right after hydrating
+	expect(document.documentElement.lang).toBe('hi');
+	const t = createTranslator('hi');
+	expect(screen.getByTitle(t('nav.theme', { mode: t('theme.dark') }))).toHaveAttribute('data-mode', 'dark');
+});
+
+test('restores a saved lead draft and chat history only after hydrating', () => {
+	const visit = () => {
+		localStorage.setItem(DRAFT_KEY, JSON.stringify({ step: 1, values: { email: 'lead@example.com', name: 'Asha' } }));
+		sessionStorage.setItem(HISTORY_KEY, JSON.stringify([{ id: 'saved', role: 'user', text: 'Where is my order?' }]));
+	};
+	expect(hydrate('/', visit)).not.toHaveBeenCalled();
+	expect(screen.getByLabelText('Your name')).toHaveValue('Asha');
+	expect(screen.getByText('Where is my order?')).toBeInTheDocument();
+});
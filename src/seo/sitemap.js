@@ -0,0 +1,25 @@
+import { absoluteUrl, SITE_URL } from './meta';
+
+export const escapeXml = (text) => text.replace(/[<>&'"]/g, (char) => `&${{ '<': 'lt', '>': 'gt', '&': 'amp', "'": 'apos', '"': 'quot' }[char]};`);
+
+// sitemap.xml listing `paths` (e.g. ['/', '/pricing']), all stamped with the build date
+export const buildSitemap = (paths, { siteUrl = SITE_URL, lastmod = new Date().toISOString().slice(0, 10) } = {}) =>
+	[
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+		...paths.map((path) => `  <url><loc>${escapeXml(absoluteUrl(path, siteUrl))}</loc><lastmod>${lastmod}</lastmod></url>`),
+		'</urlset>',
+		'',
+	].join('\n');
+
+// robots.txt allowing every crawler and pointing them at the sitemap
+export const buildRobots = ({ siteUrl = SITE_URL, disallow = [] } = {}) =>
+	[
+		'# https://www.robotstxt.org/robotstxt.html',
+		'User-agent: *',
+		'Allow: /',
+		...disallow.map((path) => `Disallow: ${path}`),
+		'',
+		`Sitemap: ${siteUrl}/sitemap.xml`,
+		'',
+	].join('\n');
@@ -0,0 +1,62 @@
+import { toPlainText } from '../content/Markdown';
+import { absoluteUrl, SITE_URL } from './meta';
+
+// schema.org JSON-LD built from the same content the sections render, so rich results can't
+// drift from the visible copy. Each section renders its own block with <JsonLd>.
+
+const CONTEXT = 'https://schema.org';
+
+// Lets the other blocks refer to the organization instead of repeating it
+export const organizationId = (siteUrl = SITE_URL) => `${siteUrl}/#organization`;
+
+// Organization with its contact email and social profiles (footer.json, seo.json)
+export const organizationSchema = ({ footer, seo }, siteUrl = SITE_URL) => ({
+	'@context': CONTEXT,
+	'@type': 'Organization',
+	'@id': organizationId(siteUrl),
+	name: seo.siteName,
+	url: absoluteUrl('/', siteUrl),
+	logo: absoluteUrl(seo.image, siteUrl),
+	email: footer.email,
+	sameAs: [footer.linkedinUrl],
+	contactPoint: [{ '@type': 'ContactPoint', contactType: 'sales', email: footer.email }],
+});
+
+// FAQPage with every published question (faqs.json)
+export const faqPageSchema = (faqs) => ({
+	'@context': CONTEXT,
+	'@type': 'FAQPage',
+	mainEntity: faqs.map((faq) => ({
+		'@type': 'Question',
+		name: faq.question,
+		acceptedAnswer: { '@type': 'Answer', text: toPlainText(faq.answer) },
+	})),
+});
+
+// One Service per published offering, each pointing at its /solutions page (features.json)
+export const servicesSchema = (features, siteUrl = SITE_URL) => ({
+	'@context': CONTEXT,
+	'@graph': features.map((feature) => ({
+		'@type': 'Service',
+		'@id': `${absoluteUrl(`/solutions/${feature.slug}`, siteUrl)}#service`,
+		name: feature.title,
+		serviceType: feature.title,
+		description: toPlainText(feature.summary),
+		url: absoluteUrl(`/solutions/${feature.slug}`, siteUrl),
+		provider: { '@id': organizationId(siteUrl) },
+	})),
+});
+
+// BlogPosting for a post of the resources section (posts.json) and its author (authors.json)
+export const blogPostingSchema = (post, author, siteUrl = SITE_URL) => ({
+	'@context': CONTEXT,
+	'@type': 'BlogPosting',
+	headline: post.title,
+	description: post.summary,
+	datePublished: post.date,
+	keywords: post.tags,
+	url: absoluteUrl(`/resources/${post.slug}`, siteUrl),
+	mainEntityOfPage: absoluteUrl(`/resources/${post.slug}`, siteUrl),
+	author: author ? { '@type': 'Person', name: author.name, jobTitle: author.role, sameAs: author.linkedinUrl } : { '@id': organizationId(siteUrl) },
+	publisher: { '@id': organizationId(siteUrl) },
+});
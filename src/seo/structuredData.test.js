@@ -0,0 +1,117 @@
+import { authors, faqs, features, footer, posts, seo } from '../content';
+import { validate } from '../content/schema';
+import { renderPage } from './render';
+import { blogPostingSchema, faqPageSchema, organizationSchema, servicesSchema } from './structuredData';
+
+// The parts of the schema.org types that Google's rich results need, written for the content
+// schema checker (unknown fields are errors too, so typos can't slip through)
+const text = { type: 'string' };
+const url = { type: 'string', pattern: /^https:\/\/\S+$/ };
+const email = { type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ };
+const context = { type: 'string', enum: ['https://schema.org'] };
+const thing = (type, required, properties) => ({
+	type: 'object',
+	required: ['@type', ...required],
+	properties: { '@type': { type: 'string', enum: [type] }, ...properties },
+});
+const reference = { type: 'object', required: ['@id'], properties: { '@id': url } };
+
+const SHAPES = {
+	Organization: thing('Organization', ['@context', '@id', 'name', 'url', 'logo', 'sameAs', 'contactPoint'], {
+		'@context': context,
+		'@id': url,
+		name: text,
+		url,
+		logo: url,
+		email,
+		sameAs: { type: 'array', minItems: 1, items: url },
+		contactPoint: { type: 'array', minItems: 1, items: thing('ContactPoint', ['contactType', 'email'], { contactType: text, email }) },
+	}),
+	FAQPage: thing('FAQPage', ['@context', 'mainEntity'], {
+		'@context': context,
+		mainEntity: {
+			type: 'array',
+			minItems: 1,
+			items: thing('Question', ['name', 'acceptedAnswer'], { name: text, acceptedAnswer: thing('Answer', ['text'], { text }) }),
+		},
+	}),
+	Services: {
+		type: 'object',
+		required: ['@context', '@graph'],
+		properties: {
+			'@context': context,
+			'@graph': {
+				type: 'array',
+				minItems: 1,
+				unique: '@id',
+				items: thing('Service', ['@id', 'name', 'description', 'url', 'provider'], {
+					'@id': url,
+					name: text,
+					serviceType: text,
+					description: text,
+					url,
+					provider: reference,
+				}),
+			},
+		},
+	},
+	BlogPosting: thing('BlogPosting', ['@context', 'headline', 'datePublished', 'url', 'author', 'publisher'], {
+		'@context': context,
+		headline: text,
+		description: text,
+		datePublished: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+		keywords: { type: 'array', items: text },
+		url,
+		mainEntityOfPage: url,
+		author: thing('Person', ['name'], { name: text, jobTitle: text, sameAs: url }),
+		publisher: reference,
+	}),
+};
+
+// The JSON-LD blocks of a pre-rendered page, i.e. what crawlers see
+const structuredDataOf = (pathname) =>
+	[...renderPage(pathname).html.matchAll(/<script type="application\/ld\+json">(.*?)<\/script>/g)].map((match) => JSON.parse(match[1]));
+
+test('matches the schema.org shapes', () => {
+	expect(validate(organizationSchema({ footer, seo }), SHAPES.Organization)).toEqual([]);
+	expect(validate(faqPageSchema(faqs), SHAPES.FAQPage)).toEqual([]);
+	expect(validate(servicesSchema(features), SHAPES.Services)).toEqual([]);
+	posts.forEach((post) =>
+		expect(
+			validate(
+				blogPostingSchema(
+					post,
+					authors.find(({ id }) => id === post.author)
+				),
+				SHAPES.BlogPosting
+			)
+		).toEqual([])
+	);
+});
+
+test('is built from the published content and links services to the organization', () => {
+	const organization = organizationSchema({ footer, seo });
+	expect(organization).toMatchObject({ email: footer.email, sameAs: [footer.linkedinUrl] });
+
+	expect(faqPageSchema(faqs).mainEntity.map((question) => question.name)).toEqual(faqs.map((faq) => faq.question));
+	// Markdown markers are left out of the answers
+	expect(faqPageSchema([{ question: 'Q?', answer: 'Yes, **really**.\n\nSee [pricing](/pricing).' }]).mainEntity[0].acceptedAnswer.text).toBe(
+		'Yes, really.\n\nSee pricing.'
+	);
+
+	const services = servicesSchema(features)['@graph'];
+	expect(services.map((service) => service.name)).toEqual(features.map((feature) => feature.title));
+	services.forEach((service) => expect(service.provider['@id']).toBe(organization['@id']));
+});
+
+test('pre-rendered pages carry the blocks of the sections they show', () => {
+	expect(structuredDataOf('/')).toEqual([servicesSchema(features), faqPageSchema(faqs), organizationSchema({ footer, seo })]);
+	expect(structuredDataOf('/pricing')).toEqual([organizationSchema({ footer, seo })]);
+	expect(structuredDataOf(`/resources/${posts[0].slug}`)).toEqual([
+		blogPostingSchema(
+			posts[0],
+			authors.find(({ id }) => id === posts[0].author)
+		),
+		organizationSchema({ footer, seo }),
+	]);
+});
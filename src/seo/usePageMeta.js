@@ -0,0 +1,27 @@
+import { createContext, useContext, useEffect, useMemo } from 'react';
+import { useLocation } from 'react-router-dom';
+import useContent from '../content/useContent';
+import { applyPageMeta, buildPageMeta } from './meta';
+
+// Pre-rendering provides an object here that collects the meta of the page being rendered,
+// since effects (which update the head in the browser) don't run on the server
+export const PageMetaContext = createContext(null);
+
+// Custom Hook that sets the title, description, social preview tags and canonical URL of the
+// current page, e.g. `usePageMeta(seo.pages.pricing)` gives the tab title "Pricing | Nimble AI"
+const usePageMeta = (page) => {
+	const { pathname } = useLocation();
+	const { seo } = useContent();
+	const collector = useContext(PageMetaContext);
+	const { title, description, siteName, canonical, image, noindex } = buildPageMeta(page, { pathname, seo });
+	// Kept stable across renders so the head is only rewritten when a value changes
+	const meta = useMemo(
+		() => ({ title, description, siteName, canonical, image, noindex }),
+		[title, description, siteName, canonical, image, noindex]
+	);
+	if (collector) collector.meta = meta;
+
+	useEffect(() => applyPageMeta(meta), [meta]);
+};
+
+export default usePageMeta;
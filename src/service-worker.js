@@ -0,0 +1,39 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute } from 'workbox-precaching';
+import { registerRoute, setCatchHandler } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+
+// Service worker compiled by `react-scripts build` (Workbox InjectManifest) and registered in
+// production by src/pwa. A new build waits until the visitor accepts the update prompt.
+
+const OFFLINE_URL = `${process.env.PUBLIC_URL}/offline.html`;
+const OFFLINE_CACHE = 'offline';
+
+clientsClaim();
+
+// App shell: the hashed JS and CSS bundles, media and index.html of this build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Pages are pre-rendered per route, so they come from the network while online and from the
+// cache of visited pages when not
+registerRoute(({ request }) => request.mode === 'navigate', new NetworkFirst({ cacheName: 'pages', networkTimeoutSeconds: 3 }));
+
+// Images rarely change; serve them from the cache and keep the most recent ones for a month
+registerRoute(
+	({ request, url }) => request.destination === 'image' && url.origin === self.location.origin,
+	new CacheFirst({ cacheName: 'images', plugins: [new ExpirationPlugin({ maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60 })] })
+);
+
+// Pages that were never visited fall back to the offline page
+setCatchHandler(async ({ request }) => (request.mode === 'navigate' ? (await caches.match(OFFLINE_URL)) || Response.error() : Response.error()));
+
+self.addEventListener('install', (event) => {
+	event.waitUntil(caches.open(OFFLINE_CACHE).then((cache) => cache.add(new Request(OFFLINE_URL, { cache: 'reload' }))));
+});
+
+// Sent by the update prompt once the visitor chooses to reload into the new version
+self.addEventListener('message', (event) => {
+	if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
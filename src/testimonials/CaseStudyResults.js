@@ -0,0 +1,43 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Case Study Results Component - a customer's before/after metrics and quote, shown on the post
+// that tells their story (a testimonial whose `caseStudy` is the post's slug)
+function CaseStudyResults({ testimonial }) {
+	const { t } = useI18n();
+
+	return (
+		<section aria-labelledby='case-study-results' className='mb-10 p-6 rounded-xl border bg-muted border-line'>
+			<h2 id='case-study-results' className='text-lg font-semibold mb-4 text-fg'>
+				{t('testimonials.results')}
+			</h2>
+			{testimonial.metrics?.length > 0 && (
+				<dl className='grid grid-cols-1 sm:grid-cols-3 gap-4'>
+					{testimonial.metrics.map((metric) => (
+						<div key={metric.label} className='p-4 rounded-lg border bg-raised border-line-strong'>
+							<dt className='text-sm font-medium text-fg-muted'>{metric.label}</dt>
+							<dd className='mt-2 text-xs text-fg-subtle'>
+								{t('testimonials.before')}: <span className='line-through'>{metric.before}</span>
+							</dd>
+							<dd className='mt-1 text-xl font-bold text-fg'>
+								<span className='sr-only'>{t('testimonials.after')}: </span>
+								{metric.after}
+							</dd>
+						</div>
+					))}
+				</dl>
+			)}
+			<figure className='mt-6'>
+				<blockquote className='text-base italic text-fg'>
+					<p>“{testimonial.quote}”</p>
+				</blockquote>
+				<figcaption className='mt-2 text-sm text-fg-subtle'>
+					{testimonial.name && `${testimonial.name}, `}
+					{testimonial.role}, {testimonial.company}
+				</figcaption>
+			</figure>
+		</section>
+	);
+}
+
+export default CaseStudyResults;
@@ -0,0 +1,168 @@
+import React, { useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../i18n/I18nProvider';
+import useCarousel from './useCarousel';
+
+// Horizontal distance in px a swipe has to cover to change slides
+const SWIPE_DISTANCE = 50;
+
+const controlClass =
+	'w-10 h-10 rounded-full border flex items-center justify-center transition-colors duration-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-focus border-line-strong text-fg-muted hover:bg-muted';
+
+const Chevron = ({ d }) => (
+	<svg
+		className='w-5 h-5 rtl:-scale-x-100'
+		fill='none'
+		stroke='currentColor'
+		viewBox='0 0 24 24'
+		xmlns='http://www.w3.org/2000/svg'
+		aria-hidden='true'
+	>
+		<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d={d} />
+	</svg>
+);
+
+// Testimonial Slide Component - the quote, who said it and a link to their case study
+const TestimonialSlide = ({ testimonial, label, hidden }) => {
+	const { t } = useI18n();
+
+	return (
+		<figure role='group' aria-roledescription='slide' aria-label={label} hidden={hidden} className='animate-fadeIn max-w-3xl mx-auto'>
+			<svg
+				className='w-10 h-10 mx-auto mb-4 text-fg-subtle'
+				fill='currentColor'
+				viewBox='0 0 24 24'
+				xmlns='http://www.w3.org/2000/svg'
+				aria-hidden='true'
+			>
+				<path d='M9.5 6C6.46 6 4 8.46 4 11.5V18h6v-6H7c0-1.93 1.57-3.5 3.5-3.5V6h-1zm9 0C15.46 6 13 8.46 13 11.5V18h6v-6h-3c0-1.93 1.57-3.5 3.5-3.5V6h-1z' />
+			</svg>
+			<blockquote className='text-lg sm:text-xl md:text-2xl font-medium leading-relaxed text-fg'>
+				<p>{testimonial.quote}</p>
+			</blockquote>
+			<figcaption className='mt-6 text-sm sm:text-base text-fg-subtle'>
+				{testimonial.name && <span className='font-semibold text-fg'>{testimonial.name}, </span>}
+				{testimonial.role}, {testimonial.company}
+			</figcaption>
+			{testimonial.caseStudy && (
+				<Link to={`/resources/${testimonial.caseStudy}`} className='mt-4 inline-block text-sm font-semibold underline text-fg'>
+					{t('testimonials.readCaseStudy')}
+				</Link>
+			)}
+		</figure>
+	);
+};
+
+// Testimonials Carousel Component - one testimonial at a time, following the WAI-ARIA carousel
+// pattern. It rotates on its own (see ./useCarousel), can be paused, and is driven by the
+// previous/next buttons, the slide picker, the arrow keys and swipes.
+function TestimonialsCarousel({ testimonials, interval }) {
+	const { t, dir } = useI18n();
+	const { index, isPlaying, isRotating, goTo, next, previous, togglePlaying, hold } = useCarousel(testimonials.length, { interval });
+	const swipeRef = useRef(null);
+	const count = testimonials.length;
+
+	// Arrow keys follow the reading direction
+	const [backKey, forwardKey] = dir === 'rtl' ? ['ArrowRight', 'ArrowLeft'] : ['ArrowLeft', 'ArrowRight'];
+	const KEYS = { [backKey]: previous, [forwardKey]: next, Home: () => goTo(0), End: () => goTo(count - 1) };
+
+	const handleKeyDown = (event) => {
+		const action = KEYS[event.key];
+		if (!action) return;
+		event.preventDefault();
+		action();
+	};
+
+	const handlePointerDown = (event) => {
+		if (event.pointerType === 'mouse') return;
+		swipeRef.current = { x: event.clientX, y: event.clientY };
+	};
+
+	const handlePointerUp = (event) => {
+		const start = swipeRef.current;
+		swipeRef.current = null;
+		if (!start) return;
+		const dx = event.clientX - start.x;
+		if (Math.abs(dx) < SWIPE_DISTANCE || Math.abs(dx) < Math.abs(event.clientY - start.y)) return;
+		// Swiping towards the start of the line brings in the next slide
+		const forward = dir === 'rtl' ? dx > 0 : dx < 0;
+		if (forward) next();
+		else previous();
+	};
+
+	const handleBlur = (event) => {
+		if (!event.currentTarget.contains(event.relatedTarget)) hold('focus', false);
+	};
+
+	return (
+		<section
+			aria-roledescription='carousel'
+			aria-label={t('testimonials.carouselLabel')}
+			onKeyDown={handleKeyDown}
+			onMouseEnter={() => hold('hover', true)}
+			onMouseLeave={() => hold('hover', false)}
+			onFocus={() => hold('focus', true)}
+			onBlur={handleBlur}
+			className='max-w-4xl mx-auto'
+		>
+			{count > 1 && (
+				<div className='flex items-center justify-center gap-3 mb-8'>
+					{/* First in tab order so keyboard users can stop the rotation before reaching the slides */}
+					<button
+						type='button'
+						onClick={togglePlaying}
+						aria-label={isPlaying ? t('testimonials.pause') : t('testimonials.play')}
+						className={controlClass}
+					>
+						<svg className='w-4 h-4' fill='currentColor' viewBox='0 0 24 24' xmlns='http://www.w3.org/2000/svg' aria-hidden='true'>
+							<path d={isPlaying ? 'M7 5h3v14H7zM14 5h3v14h-3z' : 'M8 5v14l11-7z'} />
+						</svg>
+					</button>
+					<button type='button' onClick={previous} aria-label={t('testimonials.previous')} className={controlClass}>
+						<Chevron d='M15 19l-7-7 7-7' />
+					</button>
+					<button type='button' onClick={next} aria-label={t('testimonials.next')} className={controlClass}>
+						<Chevron d='M9 5l7 7-7 7' />
+					</button>
+				</div>
+			)}
+
+			{/* Slides are announced when the visitor changes them, not while they rotate on their own */}
+			<div
+				aria-live={isRotating ? 'off' : 'polite'}
+				onPointerDown={handlePointerDown}
+				onPointerUp={handlePointerUp}
+				onPointerCancel={() => (swipeRef.current = null)}
+				className='touch-pan-y select-none sm:select-auto px-2'
+			>
+				{testimonials.map((testimonial, slideIndex) => (
+					<TestimonialSlide
+						key={testimonial.id}
+						testimonial={testimonial}
+						label={t('testimonials.slideLabel', { index: slideIndex + 1, count })}
+						hidden={slideIndex !== index}
+					/>
+				))}
+			</div>
+
+			{count > 1 && (
+				<div className='mt-8 flex justify-center gap-2'>
+					{testimonials.map((testimonial, slideIndex) => (
+						<button
+							key={testimonial.id}
+							type='button'
+							onClick={() => goTo(slideIndex)}
+							aria-label={t('testimonials.goTo', { index: slideIndex + 1 })}
+							aria-current={slideIndex === index}
+							className={`h-2.5 rounded-full transition-all duration-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-focus ${
+								slideIndex === index ? 'w-8 bg-accent' : 'w-2.5 bg-muted-strong hover:bg-fg-subtle'
+							}`}
+						/>
+					))}
+				</div>
+			)}
+		</section>
+	);
+}
+
+export default TestimonialsCarousel;
@@ -0,0 +1,144 @@
+import { act, createEvent, fireEvent, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { REDUCED_MOTION_QUERY } from '../animation/motion';
+import { testimonials } from '../content';
+import I18nProvider from '../i18n/I18nProvider';
+import PostPage from '../pages/PostPage';
+import TestimonialsCarousel from './TestimonialsCarousel';
+
+const renderCarousel = (props = {}) =>
+	render(
+		<MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<TestimonialsCarousel testimonials={testimonials} interval={5000} {...props} />
+		</MemoryRouter>
+	);
+
+// Hidden slides are left out of the accessibility tree, so the only group is the active slide
+const activeSlide = () => screen.getByRole('group');
+
+// jsdom has no PointerEvent, so the pointer details are set on a plain event
+const firePointer = (type, element, details) => {
+	const event = createEvent[type](element);
+	Object.entries(details).forEach(([key, value]) => Object.defineProperty(event, key, { value }));
+	fireEvent(element, event);
+};
+
+const swipe = (element, fromX, toX, pointerType = 'touch') => {
+	firePointer('pointerDown', element, { pointerType, clientX: fromX, clientY: 100 });
+	firePointer('pointerUp', element, { pointerType, clientX: toX, clientY: 110 });
+};
+
+const mockReducedMotion = (matches) => {
+	window.matchMedia = jest.fn((query) => ({ matches: query === REDUCED_MOTION_QUERY && matches, addEventListener() {}, removeEventListener() {} }));
+};
+
+beforeEach(() => {
+	jest.useFakeTimers();
+	mockReducedMotion(false);
+});
+
+afterEach(() => {
+	jest.useRealTimers();
+	delete window.matchMedia;
+});
+
+test('rotates on its own until the visitor hovers it or presses pause', () => {
+	renderCarousel();
+	const carousel = screen.getByRole('region', { name: 'Customer testimonials' });
+	expect(activeSlide()).toHaveAccessibleName(`1 of ${testimonials.length}`);
+	expect(activeSlide()).toHaveTextContent(testimonials[0].quote);
+
+	act(() => jest.advanceTimersByTime(5000));
+	expect(activeSlide()).toHaveAccessibleName(`2 of ${testimonials.length}`);
+
+	userEvent.hover(carousel);
+	act(() => jest.advanceTimersByTime(15000));
+	expect(activeSlide()).toHaveAccessibleName(`2 of ${testimonials.length}`);
+	userEvent.unhover(carousel);
+
+	userEvent.click(screen.getByRole('button', { name: 'Pause testimonials' }));
+	act(() => jest.advanceTimersByTime(15000));
+	expect(activeSlide()).toHaveAccessibleName(`2 of ${testimonials.length}`);
+	expect(screen.getByRole('button', { name: 'Play testimonials' })).toBeInTheDocument();
+});
+
+test('stays put under reduced motion until the visitor presses play', () => {
+	mockReducedMotion(true);
+	renderCarousel();
+
+	act(() => jest.advanceTimersByTime(15000));
+	expect(activeSlide()).toHaveAccessibleName(`1 of ${testimonials.length}`);
+
+	userEvent.click(screen.getByRole('button', { name: 'Play testimonials' }));
+	// Clicking hovers and focuses the carousel, which holds the rotation until the pointer and focus leave
+	userEvent.unhover(screen.getByRole('region'));
+	act(() => screen.getByRole('button', { name: 'Pause testimonials' }).blur());
+	act(() => jest.advanceTimersByTime(5000));
+	expect(activeSlide()).toHaveAccessibleName(`2 of ${testimonials.length}`);
+});
+
+test('changes slides with the buttons, the slide picker, the keyboard and swipes', () => {
+	mockReducedMotion(true);
+	renderCarousel();
+	const count = testimonials.length;
+
+	userEvent.click(screen.getByRole('button', { name: 'Next testimonial' }));
+	expect(activeSlide()).toHaveAccessibleName(`2 of ${count}`);
+	userEvent.click(screen.getByRole('button', { name: 'Previous testimonial' }));
+	userEvent.click(screen.getByRole('button', { name: 'Previous testimonial' }));
+	expect(activeSlide()).toHaveAccessibleName(`${count} of ${count}`);
+
+	userEvent.click(screen.getByRole('button', { name: 'Show testimonial 1' }));
+	expect(screen.getByRole('button', { name: 'Show testimonial 1' })).toHaveAttribute('aria-current', 'true');
+
+	userEvent.keyboard('{arrowright}');
+	expect(activeSlide()).toHaveAccessibleName(`2 of ${count}`);
+	userEvent.keyboard('{end}');
+	expect(activeSlide()).toHaveAccessibleName(`${count} of ${count}`);
+	userEvent.keyboard('{home}');
+	expect(activeSlide()).toHaveAccessibleName(`1 of ${count}`);
+
+	// Swipe left for the next slide; short swipes and mouse drags are ignored
+	swipe(activeSlide(), 200, 100);
+	expect(activeSlide()).toHaveAccessibleName(`2 of ${count}`);
+	swipe(activeSlide(), 100, 130);
+	swipe(activeSlide(), 100, 300, 'mouse');
+	expect(activeSlide()).toHaveAccessibleName(`2 of ${count}`);
+	swipe(activeSlide(), 100, 200);
+	expect(activeSlide()).toHaveAccessibleName(`1 of ${count}`);
+});
+
+test('flips the arrow keys in right-to-left languages and links to case studies', () => {
+	mockReducedMotion(true);
+	render(
+		<I18nProvider initialLocale='ar'>
+			<MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+				<TestimonialsCarousel testimonials={testimonials} />
+			</MemoryRouter>
+		</I18nProvider>
+	);
+	userEvent.tab();
+	userEvent.keyboard('{arrowleft}');
+	expect(within(activeSlide()).getByRole('link')).toHaveAttribute('href', `/resources/${testimonials[1].caseStudy}`);
+});
+
+test('a case study opens with the before/after results of its testimonial', () => {
+	jest.useRealTimers();
+	window.scrollTo = jest.fn();
+	const testimonial = testimonials.find((item) => item.caseStudy);
+	render(
+		<MemoryRouter initialEntries={[`/resources/${testimonial.caseStudy}`]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<Routes>
+				<Route path='/resources/:slug' element={<PostPage />} />
+			</Routes>
+		</MemoryRouter>
+	);
+
+	const results = screen.getByRole('region', { name: 'Results' });
+	testimonial.metrics.forEach((metric) => {
+		expect(within(results).getByText(metric.label)).toBeInTheDocument();
+		expect(within(results).getByText(metric.after)).toBeInTheDocument();
+	});
+	expect(results).toHaveTextContent(testimonial.quote);
+});
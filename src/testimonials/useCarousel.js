@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react';
+import { usePrefersReducedMotion } from '../animation/motion';
+
+// Custom Hook that holds the active slide of a carousel of `count` slides and advances it every
+// `interval` ms. Rotation stops while the visitor hovers or focuses the carousel (`hold`), when
+// they pause it, and by default under reduced motion, where it only starts if they press play.
+const useCarousel = (count, { interval = 7000 } = {}) => {
+	const [index, setIndex] = useState(0);
+	// null until the visitor uses the play/pause button, then their choice
+	const [playing, setPlaying] = useState(null);
+	const [holds, setHolds] = useState(() => new Set());
+	const reducedMotion = usePrefersReducedMotion();
+
+	const isPlaying = count > 1 && (playing === null ? !reducedMotion : playing);
+	const isRotating = isPlaying && holds.size === 0;
+
+	useEffect(() => {
+		if (!isRotating) return undefined;
+		const timer = setTimeout(() => setIndex((current) => (current + 1) % count), interval);
+		return () => clearTimeout(timer);
+	}, [isRotating, index, count, interval]);
+
+	const goTo = useCallback((next) => setIndex(((next % count) + count) % count), [count]);
+
+	// `reason` is e.g. 'hover' or 'focus'; rotation resumes once every hold is released
+	const hold = useCallback(
+		(reason, held) =>
+			setHolds((current) => {
+				if (current.has(reason) === held) return current;
+				const next = new Set(current);
+				if (held) next.add(reason);
+				else next.delete(reason);
+				return next;
+			}),
+		[]
+	);
+
+	return {
+		index,
+		isPlaying,
+		isRotating,
+		goTo,
+		next: () => goTo(index + 1),
+		previous: () => goTo(index - 1),
+		togglePlaying: () => setPlaying(!isPlaying),
+		hold,
+	};
+};
+
+export default useCarousel;
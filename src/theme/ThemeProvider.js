@@ -0,0 +1,51 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { DARK_QUERY, MODES, readStoredMode, resolveTheme, storeMode, themeColor, THEMES } from './themes';
+
+// jsdom and very old browsers have no matchMedia; they get the light theme
+const getDarkQuery = () => (typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(DARK_QUERY) : null);
+
+const createValue = (mode, prefersDark, setMode) => ({
+	mode,
+	theme: resolveTheme(mode, prefersDark),
+	modes: MODES,
+	themes: THEMES,
+	setMode,
+});
+
+// Components rendered outside the provider (e.g. in isolated tests) get the light theme
+const ThemeContext = createContext(createValue('light', false, () => {}));
+
+export const useTheme = () => useContext(ThemeContext);
+
+// Theme Provider Component - holds the picked mode (a theme or "system"), follows live changes
+// of the OS color scheme and applies the resolved theme as `data-theme` on <html>
+function ThemeProvider({ initialMode, children }) {
+	const [mode, setModeState] = useState(() => initialMode || readStoredMode());
+	const [prefersDark, setPrefersDark] = useState(() => Boolean(getDarkQuery()?.matches));
+
+	const setMode = useCallback((next) => {
+		setModeState(next);
+		storeMode(next);
+	}, []);
+
+	useEffect(() => {
+		const query = getDarkQuery();
+		if (!query) return undefined;
+		const onChange = (event) => setPrefersDark(event.matches);
+		query.addEventListener('change', onChange);
+		return () => query.removeEventListener('change', onChange);
+	}, []);
+
+	const value = useMemo(() => createValue(mode, prefersDark, setMode), [mode, prefersDark, setMode]);
+
+	// public/index.html sets the same attribute before the first paint; this keeps it current
+	useEffect(() => {
+		document.documentElement.dataset.theme = value.theme;
+		// public/index.html has one per OS color scheme, both follow the theme in use
+		document.querySelectorAll('meta[name="theme-color"]').forEach((meta) => meta.setAttribute('content', themeColor(value.theme)));
+	}, [value.theme]);
+
+	return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+export default ThemeProvider;
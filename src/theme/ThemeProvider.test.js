@@ -0,0 +1,88 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ThemeProvider, { useTheme } from './ThemeProvider';
+import ThemeToggle from './ThemeToggle';
+import { resolveTheme, THEME_KEY } from './themes';
+import tokens from './tokens.json';
+
+// Fake `prefers-color-scheme: dark` media query whose value can be flipped like an OS setting
+const mockColorScheme = (dark) => {
+	const listeners = new Set();
+	const query = {
+		matches: dark,
+		addEventListener: (type, listener) => listeners.add(listener),
+		removeEventListener: (type, listener) => listeners.delete(listener),
+	};
+	window.matchMedia = jest.fn(() => query);
+	return (nextDark) => {
+		query.matches = nextDark;
+		listeners.forEach((listener) => listener({ matches: nextDark }));
+	};
+};
+
+const CurrentTheme = () => <p data-testid='theme'>{useTheme().theme}</p>;
+
+const renderWithToggle = (props) =>
+	render(
+		<ThemeProvider {...props}>
+			<ThemeToggle />
+			<CurrentTheme />
+		</ThemeProvider>
+	);
+
+afterEach(() => {
+	localStorage.clear();
+	delete window.matchMedia;
+	delete document.documentElement.dataset.theme;
+});
+
+test('every theme defines the same tokens', () => {
+	const [reference, ...others] = Object.values(tokens);
+	others.forEach((theme) => {
+		expect(Object.keys(theme).sort()).toEqual(Object.keys(reference).sort());
+		expect(Object.keys(theme.colors).sort()).toEqual(Object.keys(reference.colors).sort());
+	});
+});
+
+test('resolves "system" from the OS preference and unknown modes like "system"', () => {
+	expect(resolveTheme('system', true)).toBe('dark');
+	expect(resolveTheme('system', false)).toBe('light');
+	expect(resolveTheme('light', true)).toBe('light');
+	expect(resolveTheme('sepia', true)).toBe('dark');
+});
+
+test('system mode follows live changes of the OS color scheme', () => {
+	const setOsDark = mockColorScheme(false);
+	renderWithToggle();
+	expect(screen.getByTestId('theme')).toHaveTextContent('light');
+	expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+
+	act(() => setOsDark(true));
+
+	expect(screen.getByTestId('theme')).toHaveTextContent('dark');
+	expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+});
+
+test('the toggle cycles through system, light and dark and persists the choice', () => {
+	mockColorScheme(true);
+	renderWithToggle();
+	expect(screen.getByRole('button', { name: 'Theme: System' })).toBeInTheDocument();
+
+	userEvent.click(screen.getByRole('button', { name: 'Theme: System' }));
+	expect(screen.getByTestId('theme')).toHaveTextContent('light');
+	expect(localStorage.getItem(THEME_KEY)).toBe('light');
+
+	userEvent.click(screen.getByRole('button', { name: 'Theme: Light' }));
+	expect(screen.getByTestId('theme')).toHaveTextContent('dark');
+	expect(localStorage.getItem(THEME_KEY)).toBe('dark');
+
+	userEvent.click(screen.getByRole('button', { name: 'Theme: Dark' }));
+	expect(localStorage.getItem(THEME_KEY)).toBe('system');
+});
+
+test('a stored theme wins over the OS preference and works without matchMedia', () => {
+	localStorage.setItem(THEME_KEY, 'dark');
+	renderWithToggle();
+	expect(screen.getByTestId('theme')).toHaveTextContent('dark');
+	expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+});
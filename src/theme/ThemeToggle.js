@@ -0,0 +1,45 @@
+import React from 'react';
+import { track } from '../analytics';
+import useHydrated from '../hooks/useHydrated';
+import { useI18n } from '../i18n/I18nProvider';
+import { useTheme } from './ThemeProvider';
+import { SYSTEM_MODE } from './themes';
+
+// Outline icon paths per mode; themes without their own icon use the contrast icon
+const MODE_ICONS = {
+	system: 'M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z',
+	light:
+		'M12 3v1m0 16v1m9-9h1M2 12h1m15.325-4.475l-.707-.707M6.382 17.618l-.707-.707M17.618 6.382l-.707-.707M6.382 6.382l-.707-.707M16 12a4 4 0 11-8 0 4 4 0 018 0z',
+	dark: 'M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z',
+	contrast: 'M12 3a9 9 0 100 18V3zm0 0a9 9 0 110 18',
+};
+
+// Theme Toggle Component - navbar button cycling through "system" and every theme in tokens.json
+function ThemeToggle() {
+	const { mode: currentMode, modes, setMode } = useTheme();
+	// The stored mode is unknown when pre-rendering, so pages hydrate showing "system"
+	const mode = useHydrated() ? currentMode : SYSTEM_MODE;
+	const { t } = useI18n();
+	const next = modes[(modes.indexOf(mode) + 1) % modes.length];
+	const label = t('nav.theme', { mode: t(`theme.${mode}`) });
+
+	return (
+		<button
+			type='button'
+			onClick={() => {
+				setMode(next);
+				track('theme_changed', { mode: next });
+			}}
+			className='p-2 rounded-full transition-colors duration-300 bg-muted text-fg hover:bg-muted-strong'
+			aria-label={label}
+			title={label}
+			data-mode={mode}
+		>
+			<svg className='w-6 h-6' fill='none' stroke='currentColor' viewBox='0 0 24 24' xmlns='http://www.w3.org/2000/svg' aria-hidden='true'>
+				<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d={MODE_ICONS[mode] || MODE_ICONS.contrast} />
+			</svg>
+		</button>
+	);
+}
+
+export default ThemeToggle;
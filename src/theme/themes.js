@@ -0,0 +1,40 @@
+import tokens from './tokens.json';
+
+// Theme names, in the order the navbar toggle cycles through them. Adding a theme to
+// tokens.json makes it available here and as Tailwind colors (see tailwind.config.js).
+export const THEMES = Object.keys(tokens);
+
+// Follows the operating system's light/dark preference
+export const SYSTEM_MODE = 'system';
+
+export const MODES = [SYSTEM_MODE, ...THEMES];
+
+// localStorage key of the picked mode; also read by the inline script in public/index.html
+export const THEME_KEY = 'theme';
+
+export const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const isMode = (mode) => MODES.includes(mode);
+
+// The theme to apply for `mode`, where `prefersDark` is the OS preference
+export const resolveTheme = (mode, prefersDark) => (mode === SYSTEM_MODE || !THEMES.includes(mode) ? (prefersDark ? 'dark' : 'light') : mode);
+
+// Page background of a theme, used for the browser UI color
+export const themeColor = (theme) => tokens[theme].colors.page;
+
+export const readStoredMode = (storage = window.localStorage) => {
+	try {
+		const mode = storage.getItem(THEME_KEY);
+		return isMode(mode) ? mode : SYSTEM_MODE;
+	} catch (error) {
+		return SYSTEM_MODE;
+	}
+};
+
+export const storeMode = (mode, storage = window.localStorage) => {
+	try {
+		storage.setItem(THEME_KEY, mode);
+	} catch (error) {
+		// Without storage the choice only lasts for this page view
+	}
+};
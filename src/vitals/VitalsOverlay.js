@@ -0,0 +1,39 @@
+import React, { useSyncExternalStore } from 'react';
+import { VITALS_DEBUG, vitalsStore } from '.';
+import useHydrated from '../hooks/useHydrated';
+import { formatMetric, METRIC_NAMES } from './metrics';
+
+const RATING_CLASSES = {
+	good: 'text-green-500',
+	'needs-improvement': 'text-amber-500',
+	poor: 'text-red-500',
+};
+
+// Vitals Overlay Component - live Core Web Vitals in a corner of the page, only in debug mode
+// (`?vitals=debug`). Meant for tuning the page locally, not for visitors.
+function VitalsOverlay({ enabled = VITALS_DEBUG, store = vitalsStore }) {
+	const metrics = useSyncExternalStore(store.subscribe, store.get, store.get);
+	const hydrated = useHydrated();
+	if (!enabled || !hydrated) return null;
+
+	return (
+		<aside
+			aria-label='Web Vitals'
+			className='fixed top-20 end-4 z-50 w-48 p-3 rounded-lg border shadow-lg font-mono text-xs bg-surface/95 border-line text-fg'
+		>
+			<p className='mb-2 font-semibold'>Web Vitals</p>
+			<dl className='grid grid-cols-2 gap-y-1'>
+				{METRIC_NAMES.map((name) => (
+					<React.Fragment key={name}>
+						<dt className='text-fg-subtle'>{name}</dt>
+						<dd className={`text-end ${metrics[name] ? RATING_CLASSES[metrics[name].rating] : 'text-fg-subtle'}`} data-rating={metrics[name]?.rating}>
+							{metrics[name] ? formatMetric(name, metrics[name].value) : '–'}
+						</dd>
+					</React.Fragment>
+				))}
+			</dl>
+		</aside>
+	);
+}
+
+export default VitalsOverlay;
@@ -0,0 +1,34 @@
+import { analytics } from '../analytics';
+import { CONSENT } from '../analytics/consent';
+import reportWebVitals from '../reportWebVitals';
+import { createMetricStore } from './metrics';
+import { createVitalsReporter } from './reporter';
+
+// `?vitals=debug` in the URL shows the live metrics overlay (see VitalsOverlay)
+export const VITALS_DEBUG = new URLSearchParams(window.location.search).get('vitals') === 'debug';
+
+const parseSampleRate = (value) => {
+	const rate = Number(value);
+	return value !== undefined && value !== '' && rate >= 0 && rate <= 1 ? rate : 1;
+};
+
+// Latest value of every metric, shown by the overlay
+export const vitalsStore = createMetricStore();
+
+// Sends to REACT_APP_VITALS_ENDPOINT, for the share of visits set by REACT_APP_VITALS_SAMPLE_RATE,
+// and like all other analytics only with the visitor's consent
+export const vitalsReporter = createVitalsReporter({
+	endpoint: process.env.REACT_APP_VITALS_ENDPOINT,
+	sampleRate: parseSampleRate(process.env.REACT_APP_VITALS_SAMPLE_RATE),
+	canSend: () => analytics.consent.get() === CONSENT.GRANTED,
+});
+
+// Starts measuring. In debug mode every change is reported so the overlay stays live.
+export const startVitals = () => {
+	if (!vitalsReporter.sampled && !VITALS_DEBUG) return;
+	vitalsReporter.start();
+	reportWebVitals((metric) => {
+		vitalsReporter.report(metric);
+		vitalsStore.update(metric);
+	}, VITALS_DEBUG);
+};
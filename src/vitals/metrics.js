@@ -0,0 +1,38 @@
+// Core Web Vitals thresholds from web.dev: values up to `good` are good, above `poor` are poor.
+// CLS is unitless, the others are milliseconds.
+export const THRESHOLDS = {
+	CLS: { good: 0.1, poor: 0.25 },
+	FCP: { good: 1800, poor: 3000 },
+	FID: { good: 100, poor: 300 },
+	LCP: { good: 2500, poor: 4000 },
+	TTFB: { good: 800, poor: 1800 },
+};
+
+export const METRIC_NAMES = Object.keys(THRESHOLDS);
+
+// 'good', 'needs-improvement' or 'poor'
+export const rateMetric = (name, value) => {
+	const { good, poor } = THRESHOLDS[name];
+	if (value <= good) return 'good';
+	return value <= poor ? 'needs-improvement' : 'poor';
+};
+
+export const formatMetric = (name, value) => (name === 'CLS' ? value.toFixed(3) : `${Math.round(value)} ms`);
+
+// Latest value per metric, for the debug overlay. Follows the consent store's get/subscribe shape.
+export const createMetricStore = () => {
+	const listeners = new Set();
+	let metrics = {};
+
+	return {
+		get: () => metrics,
+		update: ({ name, value }) => {
+			metrics = { ...metrics, [name]: { value, rating: rateMetric(name, value) } };
+			listeners.forEach((listener) => listener(metrics));
+		},
+		subscribe: (listener) => {
+			listeners.add(listener);
+			return () => listeners.delete(listener);
+		},
+	};
+};
@@ -0,0 +1,69 @@
+// Collects Core Web Vitals into a batch and sends it to a collection endpoint when the page is
+// hidden (tab switch, navigation away, app switch on mobile), which is the last reliable moment
+// to send data. The endpoint receives `{ context, metrics }` as JSON, see `collectContext`.
+
+// Page, theme and network conditions the metrics were measured under
+export const collectContext = ({ page, nav = typeof navigator !== 'undefined' ? navigator : {}, root = document.documentElement } = {}) => {
+	const connection = nav.connection || {};
+	return {
+		page,
+		theme: root.dataset.theme,
+		connection: {
+			effectiveType: connection.effectiveType,
+			rtt: connection.rtt,
+			downlink: connection.downlink,
+			saveData: connection.saveData,
+		},
+		userAgent: nav.userAgent,
+	};
+};
+
+// `sampleRate` (0-1) decides once per page load whether this visit reports at all.
+// `canSend` is checked at flush time, so metrics measured before consent was given still count.
+export const createVitalsReporter = ({
+	endpoint,
+	sampleRate = 1,
+	maxBatchSize = 20,
+	random = Math.random,
+	canSend = () => true,
+	// The document the visitor loaded; `route` on each metric is the client-side route at the time
+	page = window.location.pathname,
+	getRoute = () => window.location.pathname,
+	getContext = () => collectContext({ page }),
+	sendBeacon = typeof navigator !== 'undefined' && navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null,
+	fetchImpl = (...args) => fetch(...args),
+}) => {
+	const sampled = Boolean(endpoint) && random() < sampleRate;
+	let batch = [];
+
+	const flush = () => {
+		if (!batch.length || !canSend()) return;
+		const body = JSON.stringify({ context: getContext(), metrics: batch });
+		batch = [];
+		if (sendBeacon && sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) return;
+		fetchImpl(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true }).catch(() => {
+			// Vitals are best effort; a lost batch is acceptable
+		});
+	};
+
+	const report = ({ name, value, delta, id }) => {
+		if (!sampled) return;
+		batch.push({ name, value, delta, id, route: getRoute() });
+		if (batch.length >= maxBatchSize) flush();
+	};
+
+	// Flushes whenever the page is hidden; returns a function removing the listeners
+	const start = () => {
+		const onVisibilityChange = () => {
+			if (document.visibilityState === 'hidden') flush();
+		};
+		document.addEventListener('visibilitychange', onVisibilityChange);
+		window.addEventListener('pagehide', flush);
+		return () => {
+			document.removeEventListener('visibilitychange', onVisibilityChange);
+			window.removeEventListener('pagehide', flush);
+		};
+	};
+
+	return { sampled, report, flush, start, pending: () => batch.length };
+};
@@ -0,0 +1,91 @@
+import { act, render, screen } from '@testing-library/react';
+import { createMetricStore, rateMetric } from './metrics';
+import { collectContext, createVitalsReporter } from './reporter';
+import VitalsOverlay from './VitalsOverlay';
+
+const setup = (options) => {
+	const sendBeacon = jest.fn(() => true);
+	const reporter = createVitalsReporter({
+		endpoint: '/vitals',
+		page: '/pricing',
+		getRoute: () => '/faq',
+		getContext: () => ({ page: '/pricing', theme: 'dark' }),
+		sendBeacon,
+		...options,
+	});
+	return { reporter, sendBeacon };
+};
+
+const blobJson = (blob) =>
+	new Promise((resolve) => {
+		const reader = new FileReader();
+		reader.onload = () => resolve(JSON.parse(reader.result));
+		reader.readAsText(blob);
+	});
+
+test('batches metrics with their route and flushes them with sendBeacon when the page is hidden', async () => {
+	const { reporter, sendBeacon } = setup();
+	const stop = reporter.start();
+	reporter.report({ name: 'LCP', value: 1200, delta: 1200, id: 'v2-1' });
+	reporter.report({ name: 'CLS', value: 0.02, delta: 0.02, id: 'v2-2' });
+	expect(sendBeacon).not.toHaveBeenCalled();
+
+	Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+	document.dispatchEvent(new Event('visibilitychange'));
+	delete document.visibilityState;
+	stop();
+
+	expect(sendBeacon).toHaveBeenCalledWith('/vitals', expect.any(Blob));
+	expect(await blobJson(sendBeacon.mock.calls[0][1])).toEqual({
+		context: { page: '/pricing', theme: 'dark' },
+		metrics: [
+			{ name: 'LCP', value: 1200, delta: 1200, id: 'v2-1', route: '/faq' },
+			{ name: 'CLS', value: 0.02, delta: 0.02, id: 'v2-2', route: '/faq' },
+		],
+	});
+	expect(reporter.pending()).toBe(0);
+});
+
+test('visits outside the sample never report', () => {
+	const { reporter, sendBeacon } = setup({ sampleRate: 0.1, random: () => 0.5 });
+	reporter.report({ name: 'LCP', value: 1200, delta: 1200, id: 'v2-1' });
+	reporter.flush();
+	expect(reporter.sampled).toBe(false);
+	expect(sendBeacon).not.toHaveBeenCalled();
+});
+
+test('keeps the batch until sending is allowed', () => {
+	let allowed = false;
+	const { reporter, sendBeacon } = setup({ canSend: () => allowed });
+	reporter.report({ name: 'TTFB', value: 300, delta: 300, id: 'v2-3' });
+	reporter.flush();
+	expect(sendBeacon).not.toHaveBeenCalled();
+
+	allowed = true;
+	reporter.flush();
+	expect(sendBeacon).toHaveBeenCalledTimes(1);
+});
+
+test('collects theme and connection details', () => {
+	document.documentElement.dataset.theme = 'dark';
+	const nav = { userAgent: 'test', connection: { effectiveType: '4g', rtt: 50, downlink: 10, saveData: false } };
+	expect(collectContext({ page: '/', nav })).toEqual({
+		page: '/',
+		theme: 'dark',
+		connection: { effectiveType: '4g', rtt: 50, downlink: 10, saveData: false },
+		userAgent: 'test',
+	});
+	delete document.documentElement.dataset.theme;
+});
+
+test('the debug overlay shows live values with their rating', () => {
+	expect(rateMetric('LCP', 2000)).toBe('good');
+	expect(rateMetric('CLS', 0.2)).toBe('needs-improvement');
+	expect(rateMetric('FID', 500)).toBe('poor');
+
+	const store = createMetricStore();
+	render(<VitalsOverlay enabled store={store} />);
+	act(() => store.update({ name: 'LCP', value: 4321 }));
+
+	expect(screen.getByText('4321 ms')).toHaveAttribute('data-rating', 'poor');
+});
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { track } from '../analytics';
+import { INITIAL_VALUES, validateStep } from '../contact/leadForm';
+import SubmissionStatus from '../contact/SubmissionStatus';
+import { IDLE, statusFromError, SUBMITTING } from '../contact/submissionState';
+import useHydrated from '../hooks/useHydrated';
+import { useI18n } from '../i18n/I18nProvider';
+import { waitlist } from './index';
+import { parseReferralCode, readWaitlistToken, statusPath, storeWaitlistToken } from './waitlist';
+import WaitlistUnavailable from './WaitlistUnavailable';
+
+const NO_PARAMS = new URLSearchParams();
+
+const inputClass = (invalid) =>
+	`mt-1 w-full px-4 py-3 rounded-lg border text-sm focus:outline-none bg-raised text-fg ${
+		invalid ? 'border-red-400' : 'border-line-strong focus:border-focus'
+	}`;
+
+// Waitlist Form Component - joins the beta waitlist and opens the visitor's status page. A referral
+// code from the link that brought them here (`?ref=`) is sent along, and visitors who already
+// joined on this browser get a link back to their status. `backend` is a waitlist backend, see ./backends;
+// without one the form is replaced by a pointer to the contact page.
+function WaitlistForm({ backend = waitlist }) {
+	const { t } = useI18n();
+	const navigate = useNavigate();
+	const hydrated = useHydrated();
+	const [searchParams] = useSearchParams();
+	const [values, setValues] = useState({ email: '', name: '' });
+	const [emailError, setEmailError] = useState(null);
+	const [status, setStatus] = useState(IDLE);
+	const [duplicate, setDuplicate] = useState(null); // Position of an email that was already on the list
+	const referralCode = parseReferralCode((hydrated ? searchParams : NO_PARAMS).get('ref'));
+	const storedToken = hydrated ? readWaitlistToken() : null;
+	const isLoading = status.type === 'submitting';
+
+	const setValue = (field, value) => {
+		setValues((current) => ({ ...current, [field]: value }));
+		if (field === 'email') setEmailError(null);
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		const error = validateStep(0, { ...INITIAL_VALUES, email: values.email }).email;
+		setEmailError(error || null);
+		if (error) return;
+
+		setStatus(SUBMITTING);
+		setDuplicate(null);
+		try {
+			const entry = await backend.join({ email: values.email.trim(), name: values.name.trim(), referralCode });
+			if (entry.alreadyJoined) {
+				setStatus(IDLE);
+				setDuplicate(entry.position);
+				track('waitlist_joined', { status: 'duplicate', referred: Boolean(referralCode) });
+				return;
+			}
+			storeWaitlistToken(entry.token);
+			track('waitlist_joined', { status: 'success', referred: Boolean(referralCode) });
+			navigate(statusPath(entry.token));
+		} catch (err) {
+			console.error('Error joining the waitlist:', err);
+			const result = statusFromError(err);
+			setStatus(result);
+			track('waitlist_joined', { status: 'error', referred: Boolean(referralCode), code: result.code });
+		}
+	};
+
+	if (!backend) return <WaitlistUnavailable />;
+
+	return (
+		<div className='mt-8 p-6 sm:p-8 rounded-xl border shadow-md text-start bg-raised border-line-strong'>
+			{storedToken && (
+				<p className='mb-6 text-sm text-fg-muted'>
+					{t('waitlist.alreadyJoined')}{' '}
+					<Link to={statusPath(storedToken)} className='font-semibold underline text-fg'>
+						{t('waitlist.viewStatus')}
+					</Link>
+				</p>
+			)}
+			{referralCode && <p className='mb-6 text-sm text-fg-muted'>{t('waitlist.referred')}</p>}
+			<form onSubmit={handleSubmit} noValidate className='space-y-4'>
+				<div>
+					<label htmlFor='waitlist-email' className='block text-sm font-medium text-fg-muted'>
+						{t('waitlist.email')}
+					</label>
+					<input
+						id='waitlist-email'
+						type='email'
+						autoComplete='email'
+						value={values.email}
+						onChange={(e) => setValue('email', e.target.value)}
+						aria-invalid={Boolean(emailError)}
+						aria-describedby={emailError ? 'waitlist-email-error' : undefined}
+						className={inputClass(emailError)}
+					/>
+					{emailError && (
+						<p id='waitlist-email-error' className='mt-1 text-xs text-red-600'>
+							{t(emailError)}
+						</p>
+					)}
+				</div>
+				<div>
+					<label htmlFor='waitlist-name' className='block text-sm font-medium text-fg-muted'>
+						{t('waitlist.name')}
+					</label>
+					<input
+						id='waitlist-name'
+						type='text'
+						autoComplete='name'
+						value={values.name}
+						onChange={(e) => setValue('name', e.target.value)}
+						className={inputClass(false)}
+					/>
+				</div>
+				<button
+					type='submit'
+					disabled={isLoading}
+					className='w-full px-6 py-3 rounded-full font-semibold shadow-md transition duration-300 disabled:opacity-50 bg-accent text-on-accent hover:bg-accent-hover'
+				>
+					{isLoading ? t('waitlist.joining') : t('waitlist.submit')}
+				</button>
+			</form>
+			{duplicate && (
+				<p role='status' className='mt-4 text-sm text-fg-muted'>
+					{t('waitlist.duplicate', { position: duplicate })}
+				</p>
+			)}
+			<SubmissionStatus status={status} />
+		</div>
+	);
+}
+
+export default WaitlistForm;
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { track } from '../analytics';
+import { useI18n } from '../i18n/I18nProvider';
+import { waitlist } from './index';
+import { referralLink, storeWaitlistToken } from './waitlist';
+import WaitlistUnavailable from './WaitlistUnavailable';
+
+const COPIED_MESSAGE_MS = 2000;
+
+// Waitlist Status Component - the position of the visitor holding `token` and their referral link.
+// Loaded from `backend` (see ./backends) every time the page is opened, so it stays current.
+function WaitlistStatus({ token, backend = waitlist }) {
+	const { t } = useI18n();
+	const [entry, setEntry] = useState(null);
+	const [error, setError] = useState(null); // 'not-found' or 'failed'
+	const [attempt, setAttempt] = useState(0);
+	const [copied, setCopied] = useState(false);
+
+	useEffect(() => {
+		if (!backend) return;
+		let active = true;
+		setEntry(null);
+		setError(null);
+		backend.getStatus(token).then(
+			(result) => {
+				if (!active) return;
+				setEntry(result);
+				// Opening the link on another browser remembers the entry there too
+				storeWaitlistToken(result.token);
+			},
+			(err) => active && setError(err.status === 404 ? 'not-found' : 'failed')
+		);
+		return () => {
+			active = false;
+		};
+	}, [backend, token, attempt]);
+
+	useEffect(() => {
+		if (!copied) return;
+		const timer = setTimeout(() => setCopied(false), COPIED_MESSAGE_MS);
+		return () => clearTimeout(timer);
+	}, [copied]);
+
+	if (!backend) return <WaitlistUnavailable />;
+	if (error === 'not-found') {
+		return (
+			<p role='alert' className='text-fg-muted'>
+				{t('waitlist.notFound')}{' '}
+				<Link to='/beta' className='font-semibold underline text-fg'>
+					{t('waitlist.submit')}
+				</Link>
+			</p>
+		);
+	}
+	if (error) {
+		return (
+			<p role='alert' className='text-fg-muted'>
+				{t('waitlist.loadFailed')}{' '}
+				<button type='button' onClick={() => setAttempt((count) => count + 1)} className='font-semibold underline text-fg'>
+					{t('waitlist.retry')}
+				</button>
+			</p>
+		);
+	}
+	if (!entry) return <p className='text-sm text-fg-subtle'>{t('waitlist.loading')}</p>;
+
+	const link = referralLink(entry.referralCode);
+
+	const copyLink = async () => {
+		try {
+			await navigator.clipboard.writeText(link);
+			setCopied(true);
+			track('waitlist_shared', { method: 'link' });
+		} catch (err) {
+			// Without clipboard access the link can still be selected and copied by hand
+		}
+	};
+
+	return (
+		<div className='p-6 sm:p-8 rounded-xl border shadow-md text-center bg-raised border-line-strong'>
+			<p className='text-sm font-medium text-fg-muted'>{t('waitlist.positionLabel')}</p>
+			<p className='mt-1 text-5xl font-extrabold text-fg'>{t('waitlist.position', { position: entry.position })}</p>
+			<p className='mt-2 text-sm text-fg-subtle'>{t('waitlist.total', { total: entry.total })}</p>
+			<p className='mt-6 text-fg-muted'>{t('waitlist.referrals', { count: entry.referrals })}</p>
+
+			<div className='mt-6 text-start'>
+				<label htmlFor='waitlist-referral-link' className='block text-sm font-medium text-fg-muted'>
+					{t('waitlist.referralLink')}
+				</label>
+				<div className='mt-1 flex gap-2'>
+					<input
+						id='waitlist-referral-link'
+						type='text'
+						readOnly
+						value={link}
+						onFocus={(e) => e.target.select()}
+						className='flex-grow min-w-0 px-4 py-3 rounded-lg border text-sm focus:outline-none bg-page border-line-strong text-fg focus:border-focus'
+					/>
+					<button
+						type='button'
+						onClick={copyLink}
+						className='px-4 py-3 rounded-lg font-semibold text-sm transition duration-300 bg-accent text-on-accent hover:bg-accent-hover'
+					>
+						{t('waitlist.copy')}
+					</button>
+				</div>
+				<p className='mt-2 text-xs text-fg-subtle' role='status'>
+					{copied ? t('waitlist.copied') : t('waitlist.shareHint')}
+				</p>
+			</div>
+			<p className='mt-6 text-xs text-fg-subtle'>{t('waitlist.bookmark')}</p>
+		</div>
+	);
+}
+
+export default WaitlistStatus;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Waitlist Unavailable Component - shown instead of the waitlist when the site has no backend
+// for it (see ./backends), pointing visitors to the contact page
+const WaitlistUnavailable = () => {
+	const { t } = useI18n();
+	return (
+		<p role='status' className='mt-8 text-fg-muted'>
+			{t('waitlist.unavailable')}{' '}
+			<Link to='/contact' className='font-semibold underline text-fg'>
+				{t('waitlist.contact')}
+			</Link>
+		</p>
+	);
+};
+
+export default WaitlistUnavailable;
@@ -0,0 +1,110 @@
+import { ApiError, createApiClient } from '../api/client';
+
+// A waitlist backend keeps the beta waitlist. Every backend exposes:
+// - `join({ email, name, referralCode })`, resolving to the visitor's entry. An unknown
+//   `referralCode` is ignored. Joining again with an email already on the list resolves to
+//   `{ alreadyJoined: true, position, total }` only: an email address is no key to someone's
+//   status page, the visitor gets back to it through the link they kept when they joined.
+// - `getStatus(token)`, resolving to the entry of the visitor holding the secret `token`
+// An entry is `{ token, referralCode, position, total, referrals }`, with `position` counting
+// from 1. Failures are ApiErrors (see api/client), e.g. a 404 for an unknown token.
+
+// Places a visitor moves up the list for every friend who joins with their referral link
+export const REFERRAL_BOOST = 5;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+
+// Random string over ALPHABET (32 characters, so every byte maps without bias)
+const randomString = (length) => {
+	const bytes = window.crypto?.getRandomValues
+		? window.crypto.getRandomValues(new Uint8Array(length))
+		: Uint8Array.from({ length }, () => Math.floor(Math.random() * 256));
+	return Array.from(bytes, (byte) => ALPHABET[byte % ALPHABET.length]).join('');
+};
+
+// Entries in waitlist order: join order, moved up `boost` places per referral. Earlier sign-ups win ties.
+export const rankEntries = (entries, boost = REFERRAL_BOOST) =>
+	entries
+		.map((entry, index) => ({ entry, index, score: index - entry.referrals * boost }))
+		.sort((a, b) => a.score - b.score || a.index - b.index)
+		.map(({ entry }) => entry);
+
+// Stand-in for the waitlist service, so the flow works offline and in tests. Entries are kept in
+// memory, or in `storage` when given so the development site keeps them across reloads.
+export const createMemoryBackend = ({ boost = REFERRAL_BOOST, storage = null, key = 'nimble-waitlist-dev' } = {}) => {
+	let memory = [];
+
+	const load = () => {
+		if (!storage) return memory;
+		try {
+			return JSON.parse(storage.getItem(key)) || [];
+		} catch (error) {
+			return [];
+		}
+	};
+
+	const save = (entries) => {
+		memory = entries;
+		try {
+			if (storage) storage.setItem(key, JSON.stringify(entries));
+		} catch (error) {
+			// The entries stay in memory
+		}
+	};
+
+	const statusOf = (entries, entry) => ({
+		token: entry.token,
+		referralCode: entry.referralCode,
+		position: rankEntries(entries, boost).indexOf(entry) + 1,
+		total: entries.length,
+		referrals: entry.referrals,
+	});
+
+	return {
+		join: async ({ email = '', name = '', referralCode } = {}) => {
+			const address = email.trim().toLowerCase();
+			if (!EMAIL_PATTERN.test(address)) {
+				throw new ApiError('Request to /waitlist failed with status 400', {
+					kind: 'http',
+					status: 400,
+					data: { message: 'Please enter a valid email address.' },
+				});
+			}
+
+			const entries = load();
+			const existing = entries.find((entry) => entry.email === address);
+			if (existing) {
+				const { position, total } = statusOf(entries, existing);
+				return { alreadyJoined: true, position, total };
+			}
+
+			const referrer = entries.find((entry) => entry.referralCode === referralCode);
+			const entry = { email: address, name: name.trim(), token: randomString(24), referralCode: randomString(8), referrals: 0 };
+			const next = [...entries.map((item) => (item === referrer ? { ...item, referrals: item.referrals + 1 } : item)), entry];
+			save(next);
+			return statusOf(next, entry);
+		},
+		getStatus: async (token) => {
+			const entries = load();
+			const entry = entries.find((item) => item.token === token);
+			if (!entry) throw new ApiError('Request to /waitlist failed with status 404', { kind: 'http', status: 404 });
+			return statusOf(entries, entry);
+		},
+	};
+};
+
+// Backend for the waitlist service at `client`'s base URL: POST /waitlist joins and
+// GET /waitlist/<token> reads an entry, both answering with the entry as JSON
+export const createHttpBackend = ({ client }) => ({
+	join: ({ email, name, referralCode } = {}) => client.post('/waitlist', { email, name, ...(referralCode && { referralCode }) }),
+	getStatus: (token) => client.request(`/waitlist/${encodeURIComponent(token)}`),
+});
+
+// Picks the HTTP backend when a waitlist endpoint is configured. The stand-in is only used in
+// development and tests: a production build without an endpoint has no backend (null), and the
+// waitlist pages say so instead of handing out positions nobody receives.
+export const createDefaultBackend = (endpoint = process.env.REACT_APP_WAITLIST_ENDPOINT, env = process.env.NODE_ENV) => {
+	if (endpoint) return createHttpBackend({ client: createApiClient({ baseUrl: endpoint.replace(/\/+$/, '') }) });
+	return env === 'production' ? null : createMemoryBackend({ storage: window.localStorage });
+};
@@ -0,0 +1,4 @@
+import { createDefaultBackend } from './backends';
+
+// The site-wide waitlist backend, or null when none is configured (see ./backends)
+export const waitlist = createDefaultBackend();
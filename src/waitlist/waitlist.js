@@ -0,0 +1,30 @@
+// The visitor's own waitlist entry is remembered by its token, so the beta page can link back to
+// their status. The token is also the status page URL, which is how they revisit it elsewhere.
+
+export const WAITLIST_KEY = 'nimble-waitlist';
+
+// Referral codes as they appear in `?ref=` links; anything else is ignored
+const REFERRAL_CODE = /^[a-z0-9]{4,32}$/i;
+
+export const statusPath = (token) => `/beta/status/${encodeURIComponent(token)}`;
+
+export const referralLink = (code, origin = window.location.origin) => `${origin}/beta?ref=${encodeURIComponent(code)}`;
+
+export const parseReferralCode = (value) => (value && REFERRAL_CODE.test(value) ? value : undefined);
+
+export const readWaitlistToken = (storage = window.localStorage) => {
+	try {
+		return storage.getItem(WAITLIST_KEY);
+	} catch (error) {
+		return null;
+	}
+};
+
+export const storeWaitlistToken = (token, storage = window.localStorage) => {
+	try {
+		if (token) storage.setItem(WAITLIST_KEY, token);
+		else storage.removeItem(WAITLIST_KEY);
+	} catch (error) {
+		// Without storage the visitor finds their status through the link only
+	}
+};
@@ -0,0 +1,116 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import BetaPage from '../pages/BetaPage';
+import WaitlistStatusPage from '../pages/WaitlistStatusPage';
+import { createDefaultBackend, createHttpBackend, createMemoryBackend } from './backends';
+import { waitlist } from './index';
+import { WAITLIST_KEY } from './waitlist';
+import WaitlistForm from './WaitlistForm';
+
+const renderAt = (path) =>
+	render(
+		<MemoryRouter initialEntries={[path]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<Routes>
+				<Route path='/beta' element={<BetaPage />} />
+				<Route path='/beta/status/:token' element={<WaitlistStatusPage />} />
+			</Routes>
+		</MemoryRouter>
+	);
+
+afterEach(() => {
+	localStorage.clear();
+});
+
+test('ranks sign-ups by join order and moves referrers up the list', async () => {
+	const backend = createMemoryBackend({ boost: 5 });
+	const first = await backend.join({ email: 'first@example.com' });
+	const second = await backend.join({ email: 'second@example.com' });
+	expect([first.position, second.position, second.total]).toEqual([1, 2, 2]);
+
+	await backend.join({ email: 'friend@example.com', referralCode: second.referralCode });
+	// Joining again neither adds an entry, counts the referral twice nor gives away the entry's token
+	expect(await backend.join({ email: 'Friend@example.com ', referralCode: second.referralCode })).toEqual({
+		alreadyJoined: true,
+		position: 3,
+		total: 3,
+	});
+	expect(await backend.getStatus(second.token)).toEqual({
+		token: second.token,
+		referralCode: second.referralCode,
+		position: 1,
+		total: 3,
+		referrals: 1,
+	});
+	expect((await backend.getStatus(first.token)).position).toBe(2);
+
+	await expect(backend.getStatus('unknown')).rejects.toMatchObject({ kind: 'http', status: 404 });
+	await expect(backend.join({ email: 'nope' })).rejects.toMatchObject({ kind: 'http', status: 400 });
+});
+
+test('the HTTP backend posts sign-ups and reads entries by token', async () => {
+	const client = { post: jest.fn(() => Promise.resolve({ position: 1 })), request: jest.fn(() => Promise.resolve({ position: 1 })) };
+	const backend = createHttpBackend({ client });
+	await backend.join({ email: 'ana@example.com', name: 'Ana' });
+	await backend.getStatus('a/b');
+	expect(client.post).toHaveBeenCalledWith('/waitlist', { email: 'ana@example.com', name: 'Ana' });
+	expect(client.request).toHaveBeenCalledWith('/waitlist/a%2Fb');
+});
+
+test('joining through a referral link opens a status page with the visitor’s own referral link', async () => {
+	const friend = await waitlist.join({ email: 'friend@example.com' });
+	Object.assign(navigator, { clipboard: { writeText: jest.fn(() => Promise.resolve()) } });
+	renderAt(`/beta?ref=${friend.referralCode}`);
+	expect(screen.getByText(/A friend invited you/)).toBeInTheDocument();
+
+	userEvent.click(screen.getByRole('button', { name: 'Join the waitlist' }));
+	expect(screen.getByText('Please enter your email address.')).toBeInTheDocument();
+
+	userEvent.type(screen.getByLabelText('Email'), 'ana@example.com');
+	userEvent.click(screen.getByRole('button', { name: 'Join the waitlist' }));
+
+	expect(await screen.findByText('#2')).toBeInTheDocument();
+	expect(screen.getByText('2 people on the waitlist')).toBeInTheDocument();
+	expect((await waitlist.getStatus(friend.token)).referrals).toBe(1);
+
+	const entry = await waitlist.getStatus(localStorage.getItem(WAITLIST_KEY));
+	const link = screen.getByLabelText('Your referral link');
+	expect(link).toHaveValue(`http://localhost/beta?ref=${entry.referralCode}`);
+	userEvent.click(screen.getByRole('button', { name: 'Copy link' }));
+	expect(await screen.findByText('Link copied')).toBeInTheDocument();
+	expect(navigator.clipboard.writeText).toHaveBeenCalledWith(link.value);
+});
+
+test('returning visitors are linked to their status, and unknown tokens are reported', async () => {
+	localStorage.setItem(WAITLIST_KEY, 'missing-token');
+	renderAt('/beta');
+	expect(screen.getByRole('link', { name: 'See your position' })).toHaveAttribute('href', '/beta/status/missing-token');
+
+	userEvent.click(screen.getByRole('link', { name: 'See your position' }));
+	expect(await screen.findByRole('alert')).toHaveTextContent("We couldn't find this waitlist entry.");
+	expect(document.title).toBe('Your waitlist status | Nimble AI');
+});
+
+test('production builds without an endpoint point visitors to the contact page instead', () => {
+	expect(createDefaultBackend('', 'production')).toBeNull();
+	expect(createDefaultBackend('', 'development')).toHaveProperty('join');
+
+	render(
+		<MemoryRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+			<WaitlistForm backend={null} />
+		</MemoryRouter>
+	);
+	expect(screen.queryByLabelText('Email')).not.toBeInTheDocument();
+	expect(screen.getByRole('link', { name: 'Contact us' })).toHaveAttribute('href', '/contact');
+});
+
+test('signing up with an email already on the list does not open its status page', async () => {
+	await waitlist.join({ email: 'ana@example.com' });
+	localStorage.removeItem(WAITLIST_KEY);
+	renderAt('/beta');
+
+	userEvent.type(screen.getByLabelText('Email'), 'ana@example.com');
+	userEvent.click(screen.getByRole('button', { name: 'Join the waitlist' }));
+	expect(await screen.findByText(/This email is already on the waitlist, at #1\./)).toBeInTheDocument();
+	expect(localStorage.getItem(WAITLIST_KEY)).toBeNull();
+});
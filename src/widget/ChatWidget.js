@@ -0,0 +1,205 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { AIMessage, CustomerMessage, TypingIndicator } from '../chat/ChatMessages';
+import { createDefaultTransport } from '../chat/transports';
+import { useChat } from '../chat/useChat';
+import { DARK_QUERY, resolveTheme } from '../theme/themes';
+
+const HISTORY_KEY = 'nimble-widget-history';
+
+const PANEL_ID = 'nimble-chat-panel';
+
+// The host page's OS color scheme, followed live when the widget theme is "system"
+const usePrefersDark = () => {
+	const [prefersDark, setPrefersDark] = useState(() => Boolean(window.matchMedia?.(DARK_QUERY).matches));
+
+	useEffect(() => {
+		if (!window.matchMedia) return undefined;
+		const query = window.matchMedia(DARK_QUERY);
+		const onChange = (event) => setPrefersDark(event.matches);
+		query.addEventListener('change', onChange);
+		return () => query.removeEventListener('change', onChange);
+	}, []);
+
+	return prefersDark;
+};
+
+// Chat Widget Component - floating launcher and chat panel embedded on customer websites
+// (see ./mount). `bridge` relays commands from the host page and reports what happens back to it.
+function ChatWidget({ config, transport, bridge }) {
+	const chatTransport = useMemo(() => transport || createDefaultTransport(config.endpoint), [transport, config.endpoint]);
+	const { messages, status, send, reset } = useChat(chatTransport, { greeting: config.greeting, storageKey: HISTORY_KEY });
+	const [isOpen, setIsOpen] = useState(config.open);
+	const [draft, setDraft] = useState('');
+	const logRef = useRef(null);
+	const inputRef = useRef(null);
+	const launcherRef = useRef(null);
+	const emittedRef = useRef(null);
+	const theme = resolveTheme(config.theme, usePrefersDark());
+	const isBusy = status === 'typing' || status === 'streaming';
+
+	// Latest values for the command handler, which is subscribed once
+	const commandsRef = useRef();
+	commandsRef.current = { send, reset, isOpen };
+
+	useEffect(
+		() =>
+			bridge.listen((command, data) => {
+				const { send: sendMessage, reset: resetChat, isOpen: open } = commandsRef.current;
+				if (command === 'open' || command === 'close' || command === 'toggle') setIsOpen(command === 'toggle' ? !open : command === 'open');
+				if (command === 'reset') resetChat();
+				if (command === 'send' && typeof data.text === 'string') {
+					setIsOpen(true);
+					sendMessage(data.text);
+				}
+			}),
+		[bridge]
+	);
+
+	useEffect(() => {
+		bridge.emit('ready');
+	}, [bridge]);
+
+	// Skip the first run so the host only hears about the visitor opening or closing the panel
+	const openedRef = useRef(isOpen);
+	useEffect(() => {
+		if (openedRef.current === isOpen) return;
+		openedRef.current = isOpen;
+		bridge.emit(isOpen ? 'opened' : 'closed');
+	}, [bridge, isOpen]);
+
+	// Every message is reported once it is complete, so a streaming reply is sent when it ends.
+	// Messages restored from the session were already reported on the previous page.
+	useEffect(() => {
+		if (!emittedRef.current) {
+			emittedRef.current = new Set(messages.map((message) => message.id));
+			return;
+		}
+		const streamingId = status === 'streaming' ? messages[messages.length - 1].id : null;
+		messages
+			.filter((message) => !emittedRef.current.has(message.id) && message.id !== streamingId && message.id !== 'greeting')
+			.forEach((message) => {
+				emittedRef.current.add(message.id);
+				bridge.emit('message', { role: message.role, text: message.text });
+			});
+	}, [bridge, messages, status]);
+
+	// Keep the latest message in view as replies stream in
+	useEffect(() => {
+		if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+	}, [messages, status, isOpen]);
+
+	useEffect(() => {
+		if (isOpen && inputRef.current) inputRef.current.focus();
+	}, [isOpen]);
+
+	const close = () => {
+		setIsOpen(false);
+		if (launcherRef.current) launcherRef.current.focus();
+	};
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		if (isBusy) return;
+		send(draft);
+		setDraft('');
+	};
+
+	const isLeft = config.position === 'bottom-left';
+
+	return (
+		<div
+			data-theme={theme}
+			className={`fixed bottom-4 z-[2147483000] flex flex-col gap-3 font-sans text-fg ${isLeft ? 'left-4 items-start' : 'right-4 items-end'}`}
+		>
+			{isOpen && (
+				<section
+					id={PANEL_ID}
+					role='dialog'
+					aria-label={config.title}
+					onKeyDown={(e) => e.key === 'Escape' && close()}
+					className='w-[calc(100vw-2rem)] sm:w-96 h-[32rem] max-h-[calc(100vh-6rem)] rounded-xl shadow-2xl border p-4 flex flex-col animate-fadeIn bg-muted border-line'
+				>
+					<div className='flex items-center justify-between gap-2 mb-4'>
+						<h2 className='text-lg font-semibold flex items-center gap-1.5 text-fg'>
+							<span className='text-2xl' aria-hidden='true'>
+								◎
+							</span>{' '}
+							{config.title}
+						</h2>
+						<div className='flex items-center gap-1'>
+							<button
+								type='button'
+								onClick={reset}
+								className='text-xs font-medium px-3 py-1 rounded-full transition-colors duration-300 bg-raised text-fg-muted hover:bg-muted-strong'
+							>
+								New chat
+							</button>
+							<button
+								type='button'
+								onClick={close}
+								aria-label='Close chat'
+								className='p-1 rounded-full transition-colors duration-300 text-fg-muted hover:bg-muted-strong'
+							>
+								<svg className='w-5 h-5' fill='none' stroke='currentColor' viewBox='0 0 24 24' aria-hidden='true'>
+									<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M6 18L18 6M6 6l12 12' />
+								</svg>
+							</button>
+						</div>
+					</div>
+
+					<div ref={logRef} className='space-y-3 flex-grow overflow-y-auto pr-1' role='log' aria-live='polite' aria-label='Chat messages'>
+						{messages.map((message) =>
+							message.role === 'user' ? <CustomerMessage key={message.id} text={message.text} /> : <AIMessage key={message.id} text={message.text} />
+						)}
+						{status === 'typing' && <TypingIndicator />}
+						{status === 'error' && <p className='text-xs text-red-600 text-left'>Sorry, the assistant is unavailable right now. Please try again.</p>}
+					</div>
+
+					<form onSubmit={handleSubmit} className='mt-4 flex items-center gap-2'>
+						<input
+							ref={inputRef}
+							type='text'
+							value={draft}
+							onChange={(e) => setDraft(e.target.value)}
+							placeholder='Type your message...'
+							aria-label={`Message ${config.title}`}
+							className='flex-grow min-w-0 px-4 py-2 rounded-full border text-sm focus:outline-none bg-raised border-line-strong text-fg placeholder-fg-subtle focus:border-focus'
+						/>
+						<button
+							type='submit'
+							disabled={isBusy || !draft.trim()}
+							className='px-4 py-2 rounded-full text-sm font-semibold transition duration-300 disabled:opacity-50 bg-accent text-on-accent hover:bg-accent-hover'
+						>
+							Send
+						</button>
+					</form>
+				</section>
+			)}
+
+			<button
+				ref={launcherRef}
+				type='button'
+				onClick={() => setIsOpen((open) => !open)}
+				aria-expanded={isOpen}
+				aria-controls={PANEL_ID}
+				aria-label={isOpen ? 'Minimize chat' : `Chat with ${config.title}`}
+				className='w-14 h-14 rounded-full shadow-lg flex items-center justify-center transition duration-300 focus:outline-none focus-visible:ring-4 focus-visible:ring-focus bg-accent text-on-accent hover:bg-accent-hover'
+			>
+				<svg className='w-7 h-7' fill='none' stroke='currentColor' viewBox='0 0 24 24' aria-hidden='true'>
+					{isOpen ? (
+						<path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M19 9l-7 7-7-7' />
+					) : (
+						<path
+							strokeLinecap='round'
+							strokeLinejoin='round'
+							strokeWidth='2'
+							d='M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z'
+						/>
+					)}
+				</svg>
+			</button>
+		</div>
+	);
+}
+
+export default ChatWidget;
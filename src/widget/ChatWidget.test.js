@@ -0,0 +1,114 @@
+import { act, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { createWindowBridge } from './bridge';
+import ChatWidget from './ChatWidget';
+import { parseWidgetConfig } from './config';
+import { mountWidget } from './mount';
+
+const echoTransport = {
+	async *stream(messages) {
+		yield 'You said: ';
+		yield messages[messages.length - 1].text;
+	},
+};
+
+// Stands in for the host window: `command` plays a postMessage from the page
+const createFakeBridge = () => {
+	let onCommand = () => {};
+	return {
+		emit: jest.fn(),
+		listen: (handler) => {
+			onCommand = handler;
+			return () => {};
+		},
+		command: (name, data = {}) => act(() => onCommand(name, data)),
+	};
+};
+
+beforeEach(() => sessionStorage.clear());
+
+test('reads the config from data attributes and ignores unknown values', () => {
+	expect(parseWidgetConfig({ theme: 'dark', position: 'bottom-left', greeting: ' Hi there! ', open: 'true' })).toMatchObject({
+		theme: 'dark',
+		position: 'bottom-left',
+		greeting: 'Hi there!',
+		title: 'Nimble AI',
+		open: true,
+	});
+	expect(parseWidgetConfig({ theme: 'neon', position: 'top', greeting: ' ' })).toMatchObject({
+		theme: 'system',
+		position: 'bottom-right',
+		greeting: 'Hello! How can I assist you today?',
+		endpoint: undefined,
+		open: false,
+	});
+});
+
+test('opens from the launcher, greets with the configured text and chats', async () => {
+	const bridge = createFakeBridge();
+	render(<ChatWidget config={parseWidgetConfig({ greeting: 'Welcome to Acme!' })} transport={echoTransport} bridge={bridge} />);
+	expect(bridge.emit).toHaveBeenCalledWith('ready');
+	expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+	userEvent.click(screen.getByRole('button', { name: 'Chat with Nimble AI' }));
+	const panel = screen.getByRole('dialog', { name: 'Nimble AI' });
+	expect(within(panel).getByText('Welcome to Acme!')).toBeInTheDocument();
+	expect(within(panel).getByLabelText('Message Nimble AI')).toHaveFocus();
+	expect(bridge.emit).toHaveBeenCalledWith('opened');
+
+	userEvent.type(within(panel).getByLabelText('Message Nimble AI'), 'Where is my order?{enter}');
+	expect(await within(panel).findByText('You said: Where is my order?')).toBeInTheDocument();
+	await waitFor(() => expect(bridge.emit).toHaveBeenCalledWith('message', { role: 'assistant', text: 'You said: Where is my order?' }));
+	expect(bridge.emit).toHaveBeenCalledWith('message', { role: 'user', text: 'Where is my order?' });
+
+	userEvent.keyboard('{esc}');
+	expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+	expect(screen.getByRole('button', { name: 'Chat with Nimble AI' })).toHaveFocus();
+	expect(bridge.emit).toHaveBeenCalledWith('closed');
+});
+
+test('follows commands from the host page', async () => {
+	const bridge = createFakeBridge();
+	render(<ChatWidget config={parseWidgetConfig({})} transport={echoTransport} bridge={bridge} />);
+
+	bridge.command('send', { text: 'Hi' });
+	expect(screen.getByRole('dialog')).toBeInTheDocument();
+	expect(await screen.findByText('You said: Hi')).toBeInTheDocument();
+
+	bridge.command('reset');
+	expect(screen.queryByText('You said: Hi')).not.toBeInTheDocument();
+	bridge.command('toggle');
+	expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+	bridge.command('open');
+	expect(screen.getByRole('dialog')).toBeInTheDocument();
+});
+
+test('only accepts commands posted by the host window itself', () => {
+	const onCommand = jest.fn();
+	const unsubscribe = createWindowBridge(window).listen(onCommand);
+	const post = (data, source = window) => window.dispatchEvent(new MessageEvent('message', { data, source }));
+
+	post({ type: 'nimble-chat:send', text: 'Hi' });
+	post({ type: 'nimble-chat:opened' });
+	post({ type: 'nimble-chat:open' }, null);
+	post('nimble-chat:open');
+	unsubscribe();
+	post({ type: 'nimble-chat:close' });
+
+	expect(onCommand.mock.calls).toEqual([['send', { type: 'nimble-chat:send', text: 'Hi' }]]);
+});
+
+test('mounts once, isolated in a shadow root', () => {
+	let widget;
+	act(() => {
+		widget = mountWidget({ config: parseWidgetConfig({}), styles: '.x{}', transport: echoTransport, bridge: createFakeBridge() });
+	});
+
+	expect(widget.host.shadowRoot).toHaveTextContent('.x{}');
+	expect(screen.queryByRole('button', { name: 'Chat with Nimble AI' })).not.toBeInTheDocument();
+	expect(within(widget.root).getByRole('button', { name: 'Chat with Nimble AI' })).toBeInTheDocument();
+	expect(mountWidget({ config: parseWidgetConfig({}) })).toBeNull();
+
+	act(() => widget.unmount());
+	expect(widget.host).not.toBeInTheDocument();
+});
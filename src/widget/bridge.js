@@ -0,0 +1,27 @@
+// The host page talks to the widget with window.postMessage. Commands and events are plain
+// objects whose `type` is prefixed with "nimble-chat:":
+//
+//   commands (host -> widget): open, close, toggle, reset, send ({ text })
+//   events (widget -> host):   ready, opened, closed, message ({ role, text })
+export const MESSAGE_PREFIX = 'nimble-chat:';
+
+export const WIDGET_COMMANDS = ['open', 'close', 'toggle', 'reset', 'send'];
+
+// Bridge over `win` with `emit(name, detail)` and `listen(onCommand)`, which returns an unsubscribe
+// function. Only messages posted by the host window itself are accepted, never ones from frames
+// it embeds, and events go back to that same window only.
+export const createWindowBridge = (win = window) => ({
+	emit(name, detail = {}) {
+		win.postMessage({ ...detail, type: `${MESSAGE_PREFIX}${name}` }, '*');
+	},
+	listen(onCommand) {
+		const handleMessage = (event) => {
+			const { data } = event;
+			if (event.source !== win || !data || typeof data.type !== 'string' || !data.type.startsWith(MESSAGE_PREFIX)) return;
+			const command = data.type.slice(MESSAGE_PREFIX.length);
+			if (WIDGET_COMMANDS.includes(command)) onCommand(command, data);
+		};
+		win.addEventListener('message', handleMessage);
+		return () => win.removeEventListener('message', handleMessage);
+	},
+});
@@ -0,0 +1,23 @@
+import chat from '../content/chat.json';
+import { MODES, SYSTEM_MODE } from '../theme/themes';
+
+// Corner of the host page the launcher sits in
+export const POSITIONS = ['bottom-right', 'bottom-left'];
+
+export const DEFAULT_TITLE = 'Nimble AI';
+
+// Reads the widget settings from the `data-` attributes of its script tag, e.g.
+// <script src=".../nimble-chat.js" data-theme="dark" data-position="bottom-left" data-greeting="Hi!"></script>
+// Unknown values fall back to the defaults so a typo never breaks the host page.
+export const parseWidgetConfig = (dataset = {}) => {
+	const text = (value) => (typeof value === 'string' && value.trim()) || null;
+	return {
+		theme: MODES.includes(dataset.theme) ? dataset.theme : SYSTEM_MODE,
+		position: POSITIONS.includes(dataset.position) ? dataset.position : POSITIONS[0],
+		greeting: text(dataset.greeting) || chat.greeting,
+		title: text(dataset.title) || DEFAULT_TITLE,
+		// Chat backend of this widget; without one the build's REACT_APP_CHAT_ENDPOINT (or the offline demo) is used
+		endpoint: text(dataset.endpoint) || undefined,
+		open: dataset.open === 'true',
+	};
+};
@@ -0,0 +1,16 @@
+// Entry of the embeddable chat widget, bundled on its own by scripts/build-widget.js into a
+// single script customers add to their site:
+//
+//   <script src="https://nimbleai.in/widget/nimble-chat.js" data-theme="dark" async></script>
+//
+// The stylesheet is compiled by Tailwind into a string that is injected into the shadow root.
+import { parseWidgetConfig } from './config';
+import { mountWidget } from './mount';
+import styles from './widget.css';
+
+// Only available while the script first runs, so it is read before waiting for the page
+const script = document.currentScript;
+const mount = () => mountWidget({ config: parseWidgetConfig(script ? script.dataset : {}), styles });
+
+if (document.body) mount();
+else document.addEventListener('DOMContentLoaded', mount, { once: true });
@@ -0,0 +1,35 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { createWindowBridge } from './bridge';
+import ChatWidget from './ChatWidget';
+
+export const HOST_ID = 'nimble-chat-widget';
+
+// Renders the widget in a shadow root on a new element at the end of `container`, so the host
+// page's CSS cannot restyle it and the widget's Tailwind styles (`styles`) cannot leak into the page.
+// Returns `null` if the widget is already on the page, e.g. when the script tag is included twice.
+export const mountWidget = ({ config, styles = '', container = document.body, transport, bridge = createWindowBridge() }) => {
+	if (document.getElementById(HOST_ID)) return null;
+
+	const host = document.createElement('div');
+	host.id = HOST_ID;
+	container.appendChild(host);
+
+	const shadow = host.attachShadow({ mode: 'open' });
+	const style = document.createElement('style');
+	style.textContent = styles;
+	const rootElement = document.createElement('div');
+	shadow.append(style, rootElement);
+
+	const root = createRoot(rootElement);
+	root.render(<ChatWidget config={config} transport={transport} bridge={bridge} />);
+
+	return {
+		host,
+		root: rootElement,
+		unmount() {
+			root.unmount();
+			host.remove();
+		},
+	};
+};
@@ -1,10 +1,61 @@
+const plugin = require('tailwindcss/plugin');
+const themes = require('./src/theme/tokens.json');
+
+// Themes are defined once in src/theme/tokens.json. Each theme becomes a set of CSS variables
+// scoped to `[data-theme="<name>"]` on <html>, and every color in it becomes a semantic Tailwind
+// color (`bg-page`, `text-fg-muted`, `border-line`, ...) that follows the active theme.
+const [defaultTheme] = Object.keys(themes);
+
+// "#rrggbb" -> "r g b", so opacity modifiers like `bg-accent/50` keep working
+const toChannels = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `${(value >> 16) & 255} ${(value >> 8) & 255} ${value & 255}`;
+};
+
+const themeVariables = ({ colorScheme, logoFilter, colors }) => ({
+  'color-scheme': colorScheme,
+  '--logo-filter': logoFilter,
+  ...Object.fromEntries(Object.entries(colors).map(([name, hex]) => [`--color-${name}`, toChannels(hex)])),
+});
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      colors: Object.fromEntries(
+        Object.keys(themes[defaultTheme].colors).map((name) => [name, `rgb(var(--color-${name}) / <alpha-value>)`])
+      ),
+      // Entrance animations used by <Reveal> (src/animation) and directly on above-the-fold
+      // elements. `both` keeps elements hidden during their animation delay.
+      keyframes: {
+        fadeIn: {
+          from: { opacity: '0' },
+          to: { opacity: '1' },
+        },
+        slideInUp: {
+          from: { opacity: '0', transform: 'translateY(20px)' },
+          to: { opacity: '1', transform: 'translateY(0)' },
+        },
+      },
+      animation: {
+        fadeIn: 'fadeIn 0.8s ease-out both',
+        slideInUp: 'slideInUp 0.8s ease-out both',
+      },
+    },
   },
-  plugins: [],
-}
\ No newline at end of file
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase({ ':root': themeVariables(themes[defaultTheme]) });
+      Object.entries(themes).forEach(([name, theme]) => addBase({ [`[data-theme='${name}']`]: themeVariables(theme) }));
+    }),
+    // animate-delay-100 ... animate-delay-800
+    plugin(({ addUtilities }) => {
+      addUtilities(
+        Object.fromEntries([100, 200, 300, 400, 500, 600, 700, 800].map((ms) => [`.animate-delay-${ms}`, { 'animation-delay': `${ms}ms` }]))
+      );
+    }),
+  ],
+}